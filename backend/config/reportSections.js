@@ -0,0 +1,309 @@
+/**
+ * Report section schema
+ *
+ * Every editable valuation_reports column, the section it is entered in and
+ * how it is coerced and validated. PUT /api/reports/:id/section validates
+ * against this and the frontend ReportBuilder renders its forms from it
+ * (GET /api/reports/reference/section-schema).
+ *
+ * System columns (status, report_reference, coordinates) and values written
+ * by the calculators (land_value, building_value, valuation_breakdown, ...)
+ * are not listed; their own services write them.
+ *
+ * Field properties:
+ *   type        text | textarea | integer | decimal | date | select | array
+ *   required    needed before the report can be finalized (validateReport)
+ *   options     allowed values for select and array fields
+ *   allowOther  accept values outside options (free-text building types)
+ *   min/max     numeric range; maxLength for text
+ *   generated   filled from another field; shown read-only
+ *   virtual     accepted as input but not stored (extent entry units)
+ *   extentUnit  entering this field gives the land extent in that unit
+ *
+ * Sections may list anchors: parts of the printed report other than a
+ * field (tables) that review comments can be attached to.
+ */
+
+const option = (value, label) => ({ value, label });
+
+const SECTIONS = [
+  { id: 'basic_info', title: 'Basic Information', description: 'Client details and report purpose', pdfSection: '1.0' },
+  { id: 'property_location', title: 'Property Location', description: 'GPS coordinates and administrative details (Auto-populated)', pdfSection: '3.1' },
+  { id: 'legal_details', title: 'Legal Description', description: 'Ownership, survey and land extent', pdfSection: '3.2' },
+  { id: 'access_route', title: 'Access and Route', description: 'Route description and access certification', pdfSection: '4.0' },
+  { id: 'boundaries', title: 'Property Boundaries', description: 'North, South, East, West boundaries', pdfSection: '5.0' },
+  { id: 'land_description', title: 'Land Description', description: 'Topography, soil, and plantation details', pdfSection: '6.0' },
+  { id: 'building_details', title: 'Building Details', description: 'Construction and accommodation details', pdfSection: '7.0' },
+  { id: 'locality', title: 'Locality', description: 'Surrounding development and facilities', pdfSection: '8.0' },
+  { id: 'planning', title: 'Planning Regulations', description: 'Local authority and street line', pdfSection: '9.0' },
+  {
+    id: 'evidence', title: 'Evidence of Value', description: 'Market evidence and rate range', pdfSection: '10.0',
+    anchors: [{ id: 'comparables_table', label: 'Comparable sales table' }]
+  },
+  { id: 'property_images', title: 'Property Images', description: 'Upload and organize property documentation photos' },
+  {
+    id: 'valuation', title: 'Valuation', description: 'Market analysis and final valuation', pdfSection: '11.0',
+    anchors: [{ id: 'valuation_table', label: 'Section 12.0 valuation table' }]
+  },
+  { id: 'certification', title: 'Certification', description: 'Disclaimers printed with the certificate', pdfSection: '13.0' },
+
+  // Written by location analysis auto-fill; spans fields owned by other sections
+  {
+    id: 'location_context',
+    title: 'Location Context',
+    description: 'Fields filled from GPS location analysis',
+    hidden: true,
+    fields: ['district', 'province', 'nearest_town', 'distance_to_town', 'nearby_facilities_list', 'market_demand_analysis']
+  }
+];
+
+const FIELDS = {
+  // ===============================================
+  // Basic Information (Section 1.0)
+  // ===============================================
+  report_type: {
+    section: 'basic_info', label: 'Report Type', type: 'select',
+    options: [
+      option('fair_value', 'Fair Value Assessment'),
+      option('mortgage', 'Mortgage Valuation'),
+      option('insurance', 'Insurance Valuation'),
+      option('investment', 'Investment Valuation')
+    ]
+  },
+  language: {
+    section: 'basic_info', label: 'Report Language', type: 'select',
+    options: [option('en', 'English'), option('si', 'Sinhala (සිංහල)'), option('ta', 'Tamil (தமிழ்)')]
+  },
+  report_date: { section: 'basic_info', label: 'Report Date', type: 'date' },
+  valuation_date: { section: 'basic_info', label: 'Date of Valuation', type: 'date' },
+  instruction_source: {
+    section: 'basic_info', label: 'Client Name', type: 'text', required: true, maxLength: 255,
+    placeholder: 'Enter client name'
+  },
+  client_designation: { section: 'basic_info', label: 'Client Designation', type: 'text', maxLength: 255, placeholder: 'e.g., Manager' },
+  client_organization: {
+    section: 'basic_info', label: 'Client Organization', type: 'text', maxLength: 255,
+    placeholder: 'Bank, Company, or Individual'
+  },
+  client_address: { section: 'basic_info', label: 'Client Address', type: 'textarea' },
+  instruction_method: {
+    section: 'basic_info', label: 'Instruction Method', type: 'select',
+    options: [option('letter', 'Letter'), option('email', 'Email'), option('phone', 'Phone')]
+  },
+  instruction_date: { section: 'basic_info', label: 'Instruction Date', type: 'date' },
+  inspection_date: { section: 'basic_info', label: 'Inspection Date', type: 'date' },
+  persons_present: { section: 'basic_info', label: 'Persons Present at Inspection', type: 'text' },
+  valuation_purpose: {
+    section: 'basic_info', label: 'Valuation Purpose', type: 'textarea', required: true,
+    placeholder: 'e.g., Mortgage evaluation, Fair value assessment, Insurance purposes'
+  },
+
+  // ===============================================
+  // Property Location (Section 3.1)
+  // ===============================================
+  latitude: { section: 'property_location', label: 'Latitude', type: 'decimal', min: -90, max: 90, placeholder: '7.8731' },
+  longitude: { section: 'property_location', label: 'Longitude', type: 'decimal', min: -180, max: 180, placeholder: '80.7718' },
+  village_name: { section: 'property_location', label: 'Village/Area', type: 'text', maxLength: 255, placeholder: 'Village name' },
+  pradeshiya_sabha: { section: 'property_location', label: 'Pradeshiya Sabha', type: 'text', maxLength: 255 },
+  korale: { section: 'property_location', label: 'Korale', type: 'text', maxLength: 255 },
+  hathpattu: { section: 'property_location', label: 'Hathpattu', type: 'text', maxLength: 255 },
+  district: { section: 'property_location', label: 'District', type: 'text', maxLength: 255, placeholder: 'District name' },
+  province: { section: 'property_location', label: 'Province', type: 'text', maxLength: 255, placeholder: 'Province name' },
+
+  // ===============================================
+  // Legal Description and Ownership (Sections 3.2 - 3.4)
+  // ===============================================
+  lot_number: { section: 'legal_details', label: 'Lot Number', type: 'text', required: true, maxLength: 100, placeholder: 'e.g., 15' },
+  plan_number: {
+    section: 'legal_details', label: 'Plan Number', type: 'text', required: true, maxLength: 255,
+    placeholder: 'e.g., 1234 dated 2023-01-15'
+  },
+  survey_date: { section: 'legal_details', label: 'Survey Date', type: 'date' },
+  licensed_surveyor: { section: 'legal_details', label: 'Licensed Surveyor', type: 'text', maxLength: 255, placeholder: 'Surveyor name' },
+  approving_authority: { section: 'legal_details', label: 'Approving Authority', type: 'text', maxLength: 255 },
+  approval_date: { section: 'legal_details', label: 'Approval Date', type: 'date' },
+  deed_number: { section: 'legal_details', label: 'Deed Number', type: 'text', maxLength: 255 },
+  deed_date: { section: 'legal_details', label: 'Deed Date', type: 'date' },
+  notary_public: { section: 'legal_details', label: 'Notary Public', type: 'text', maxLength: 255 },
+  current_owner: { section: 'legal_details', label: 'Current Owner', type: 'text', required: true, placeholder: 'Property owner name' },
+  land_name: { section: 'legal_details', label: 'Name of Land', type: 'text', maxLength: 255 },
+  acres: { section: 'legal_details', label: 'Acres', type: 'integer', min: 0, extentUnit: 'arp' },
+  roods: { section: 'legal_details', label: 'Roods', type: 'integer', min: 0, max: 3, extentUnit: 'arp' },
+  perches: { section: 'legal_details', label: 'Perches', type: 'decimal', min: 0, max: 9999.99, extentUnit: 'arp' },
+  hectares: { section: 'legal_details', label: 'Hectares', type: 'decimal', min: 0, extentUnit: 'hectares' },
+  square_metres: { section: 'legal_details', label: 'Sq. metres', type: 'decimal', min: 0, virtual: true, extentUnit: 'square_metres' },
+  square_feet: { section: 'legal_details', label: 'Sq. feet', type: 'decimal', min: 0, virtual: true, extentUnit: 'square_feet' },
+  land_extent: {
+    section: 'legal_details', label: 'Land Extent', type: 'text', maxLength: 100, extentUnit: 'land_extent',
+    placeholder: 'e.g., 0A-1R-12.5P'
+  },
+
+  // ===============================================
+  // Access and Route (Section 4.0)
+  // ===============================================
+  route_description: { section: 'access_route', label: 'Route Description', type: 'textarea' },
+  access_certification: { section: 'access_route', label: 'Access Certification', type: 'textarea' },
+
+  // ===============================================
+  // Boundaries (Section 5.0)
+  // ===============================================
+  north_boundary: { section: 'boundaries', label: 'North Boundary', type: 'text', placeholder: 'e.g., Property of Mr. A.B. Silva' },
+  south_boundary: { section: 'boundaries', label: 'South Boundary', type: 'text', placeholder: 'e.g., Property of Mrs. C.D. Fernando' },
+  east_boundary: { section: 'boundaries', label: 'East Boundary', type: 'text', placeholder: 'e.g., Paddy land' },
+  west_boundary: { section: 'boundaries', label: 'West Boundary', type: 'text', placeholder: 'e.g., 20 feet wide motorable road' },
+
+  // ===============================================
+  // Land Description (Section 6.0)
+  // ===============================================
+  land_shape: {
+    section: 'land_description', label: 'Land Shape', type: 'select',
+    options: [
+      option('rectangular', 'Rectangular'), option('square', 'Square'), option('irregular', 'Irregular'),
+      option('triangular', 'Triangular'), option('L_shaped', 'L-shaped')
+    ]
+  },
+  topography_type: {
+    section: 'land_description', label: 'Topography Type', type: 'select',
+    options: [
+      option('fairly_level', 'Fairly Level'), option('gently_sloping', 'Gently Sloping'),
+      option('moderately_sloping', 'Moderately Sloping'), option('steeply_sloping', 'Steeply Sloping'),
+      option('undulating', 'Undulating'), option('terraced', 'Terraced')
+    ]
+  },
+  land_use_type: {
+    section: 'land_description', label: 'Land Use Type', type: 'select',
+    options: [
+      option('residential', 'Residential'), option('commercial', 'Commercial'), option('agricultural', 'Agricultural'),
+      option('industrial', 'Industrial'), option('mixed_residential', 'Mixed Residential'), option('plantation', 'Plantation')
+    ]
+  },
+  frontage_measurement: { section: 'land_description', label: 'Frontage', type: 'text', maxLength: 100, placeholder: 'e.g., 60 feet' },
+  access_road_type: {
+    section: 'land_description', label: 'Access Road Type', type: 'select',
+    options: [
+      option('motorable_road', 'Motorable Road'), option('gravel_road', 'Gravel Road'),
+      option('cart_track', 'Cart Track'), option('footpath', 'Footpath')
+    ]
+  },
+  boundary_direction: {
+    section: 'land_description', label: 'Road Frontage Direction', type: 'select',
+    options: [option('north', 'North'), option('south', 'South'), option('east', 'East'), option('west', 'West')]
+  },
+  soil_type: {
+    section: 'land_description', label: 'Soil Type', type: 'select', allowOther: true,
+    options: [
+      option('red_earth', 'Red Earth'), option('clay', 'Clay'), option('sandy', 'Sandy'),
+      option('laterite', 'Laterite'), option('alluvial', 'Alluvial'), option('rocky', 'Rocky')
+    ]
+  },
+  suitable_use: { section: 'land_description', label: 'Suitable Use', type: 'textarea' },
+  water_table_depth: { section: 'land_description', label: 'Water Table Depth', type: 'text', maxLength: 100 },
+  flood_status: { section: 'land_description', label: 'Flood Status', type: 'text', maxLength: 255 },
+  plantation_description: {
+    section: 'land_description', label: 'Plantation Description', type: 'textarea',
+    placeholder: 'Describe any trees, crops, or vegetation on the property'
+  },
+  plantation_details: { section: 'land_description', label: 'Plantation Details', type: 'textarea' },
+
+  // ===============================================
+  // Building Description (Section 7.0)
+  // ===============================================
+  building_type: {
+    section: 'building_details', label: 'Building Type', type: 'select', allowOther: true,
+    options: [
+      option('single_storied_house', 'Single Storied House'), option('two_storied_house', 'Two Storied House'),
+      option('apartment', 'Apartment'), option('commercial_building', 'Commercial Building'),
+      option('industrial_building', 'Industrial Building'), option('warehouse', 'Warehouse'),
+      option('mixed_use', 'Mixed Use')
+    ]
+  },
+  building_age: { section: 'building_details', label: 'Building Age (years)', type: 'integer', min: 0, max: 500, placeholder: '15' },
+  condition_grade: {
+    section: 'building_details', label: 'Condition Grade', type: 'select',
+    options: [
+      option('excellent', 'Excellent'), option('very_good', 'Very Good'), option('good', 'Good'),
+      option('fair', 'Fair'), option('poor', 'Poor'), option('dilapidated', 'Dilapidated')
+    ]
+  },
+  total_floor_area: { section: 'building_details', label: 'Total Floor Area (sq ft)', type: 'integer', min: 0, placeholder: '1500' },
+  roof_description: { section: 'building_details', label: 'Roof Description', type: 'text', placeholder: 'AC sheets on timber rafters' },
+  wall_description: { section: 'building_details', label: 'Wall Description', type: 'text', placeholder: 'Cement block walls with cement plaster' },
+  floor_description: { section: 'building_details', label: 'Floor Description', type: 'text', placeholder: 'Cement concrete floors with ceramic tiles' },
+  doors_windows_description: {
+    section: 'building_details', label: 'Doors & Windows', type: 'text',
+    placeholder: 'Timber doors and windows with glass panels'
+  },
+  room_layout_description: {
+    section: 'building_details', label: 'Room Layout Description', type: 'textarea',
+    placeholder: 'Describe the layout: sitting room, dining room, kitchen, bedrooms, bathrooms, etc.'
+  },
+  conveniences_list: {
+    section: 'building_details', label: 'Building Conveniences', type: 'array',
+    options: [
+      'Electricity', 'Water Supply', 'Telephone', 'Internet',
+      'Sewerage', 'Solar Power', 'Generator', 'Security System'
+    ].map(convenience => option(convenience, convenience))
+  },
+
+  // ===============================================
+  // Locality Description (Section 8.0)
+  // ===============================================
+  locality_type: { section: 'locality', label: 'Locality Type', type: 'text', maxLength: 255 },
+  nearest_town: { section: 'locality', label: 'Nearest Town', type: 'text', maxLength: 255 },
+  distance_to_town: { section: 'locality', label: 'Distance to Town', type: 'text', maxLength: 100, placeholder: 'e.g., 3.5km' },
+  development_level: { section: 'locality', label: 'Development Level', type: 'text', maxLength: 255 },
+  infrastructure_description: { section: 'locality', label: 'Infrastructure', type: 'textarea' },
+  nearby_facilities_list: { section: 'locality', label: 'Nearby Facilities (one per line)', type: 'array' },
+  market_demand_analysis: { section: 'locality', label: 'Market Demand', type: 'textarea' },
+
+  // ===============================================
+  // Planning Regulations (Section 9.0)
+  // ===============================================
+  local_authority: { section: 'planning', label: 'Local Authority', type: 'text', maxLength: 255 },
+  street_line_status: { section: 'planning', label: 'Street Line', type: 'textarea' },
+  regulatory_compliance_status: { section: 'planning', label: 'Regulatory Compliance', type: 'textarea' },
+
+  // ===============================================
+  // Evidence of Value (Section 10.0)
+  // ===============================================
+  market_evidence_analysis: { section: 'evidence', label: 'Market Evidence', type: 'textarea' },
+  min_rate: { section: 'evidence', label: 'Minimum Rate (Rs. per perch)', type: 'decimal', min: 0 },
+  max_rate: { section: 'evidence', label: 'Maximum Rate (Rs. per perch)', type: 'decimal', min: 0 },
+  rate_factors: { section: 'evidence', label: 'Rate Factors', type: 'textarea' },
+
+  // ===============================================
+  // Valuation (Sections 11.0 & 12.0)
+  // ===============================================
+  methodology_explanation: { section: 'valuation', label: 'Methodology', type: 'textarea' },
+  approach_justification: { section: 'valuation', label: 'Approach Justification', type: 'textarea' },
+  valuation_factors: { section: 'valuation', label: 'Valuation Factors', type: 'textarea' },
+  valuation_method: {
+    section: 'valuation', label: 'Valuation Method', type: 'select',
+    options: [
+      option('contractor_method', "Contractor's Method"),
+      option('comparison_method', 'Comparison Method'),
+      option('investment_method', 'Investment Method')
+    ]
+  },
+  adopted_rate: { section: 'valuation', label: 'Adopted Rate (Rs. per perch)', type: 'decimal', min: 0 },
+  land_rate: { section: 'valuation', label: 'Land Rate (Rs. per perch)', type: 'decimal', required: true, min: 0, placeholder: '450000' },
+  floor_area: { section: 'valuation', label: 'Floor Area Valued (sq ft)', type: 'integer', min: 0 },
+  building_rate: { section: 'valuation', label: 'Building Rate (Rs. per sq ft)', type: 'decimal', min: 0 },
+  depreciation_rate: { section: 'valuation', label: 'Depreciation (%)', type: 'decimal', min: 0, max: 100 },
+  additional_components: { section: 'valuation', label: 'Additional Components', type: 'textarea' },
+  forced_sale_percentage: { section: 'valuation', label: 'Forced Sale (% of market value)', type: 'decimal', min: 0, max: 100 },
+  market_value: { section: 'valuation', label: 'Market Value (Rs.)', type: 'decimal', required: true, min: 0, placeholder: '15000000' },
+  market_value_words: { section: 'valuation', label: 'Market Value in Words', type: 'textarea', generated: 'market_value' },
+  forced_sale_value: { section: 'valuation', label: 'Forced Sale Value (Rs.)', type: 'decimal', min: 0, placeholder: '12000000' },
+  forced_sale_value_words: { section: 'valuation', label: 'Forced Sale Value in Words', type: 'textarea', generated: 'forced_sale_value' },
+  insurance_value: { section: 'valuation', label: 'Insurance Value (Rs.)', type: 'decimal', min: 0, placeholder: '8000000' },
+  insurance_value_words: { section: 'valuation', label: 'Insurance Value in Words', type: 'textarea', generated: 'insurance_value' },
+  final_value: { section: 'valuation', label: 'Final Value (Rs.)', type: 'decimal', min: 0 },
+
+  // ===============================================
+  // Certification (Section 13.0)
+  // ===============================================
+  standard_disclaimers: { section: 'certification', label: 'Disclaimers', type: 'textarea' }
+};
+
+module.exports = { SECTIONS, FIELDS };
@@ -12,7 +12,9 @@ const ensureUploadDirs = async () => {
     'uploads/reports/building_exterior',
     'uploads/reports/building_interior',
     'uploads/reports/boundaries',
-    'uploads/reports/location_maps'
+    'uploads/reports/location_maps',
+    'uploads/reports/survey_plan',
+    'uploads/reports/deed'
   ];
 
   for (const dir of uploadDirs) {
@@ -74,6 +76,41 @@ const upload = multer({
   }
 });
 
+// PKCS#12 signing certificates are kept in memory and only stored encrypted
+const uploadCertificate = (fieldName = 'certificate') => {
+  const certificateUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+      if (['.p12', '.pfx'].includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+      } else {
+        cb(new Error('Invalid file type. Only .p12 and .pfx certificates are allowed.'), false);
+      }
+    },
+    limits: {
+      fileSize: 1024 * 1024, // 1MB limit
+      files: 1
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    certificateUpload(req, res, (err) => {
+      if (err) {
+        logger.error('Certificate upload error:', err);
+
+        return res.status(400).json({
+          success: false,
+          message: err.code === 'LIMIT_FILE_SIZE'
+            ? 'Certificate file too large. Maximum 1MB allowed.'
+            : err.message || 'Certificate upload failed'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
 // Middleware for single file upload
 const uploadSingle = (fieldName = 'image') => {
   return (req, res, next) => {
@@ -158,7 +195,9 @@ const uploadByCategory = () => {
       { name: 'building_exterior', maxCount: 10 },
       { name: 'building_interior', maxCount: 15 },
       { name: 'boundaries', maxCount: 4 },
-      { name: 'location_maps', maxCount: 2 }
+      { name: 'location_maps', maxCount: 2 },
+      { name: 'survey_plan', maxCount: 4 },
+      { name: 'deed', maxCount: 6 }
     ];
 
     const categoryUpload = upload.fields(fields);
@@ -341,6 +380,7 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   uploadByCategory,
+  uploadCertificate,
   getFileInfo,
   deleteFile,
   cleanupOldFiles,
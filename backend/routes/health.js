@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const monitoringService = require('../services/monitoringService');
+const browserPoolService = require('../services/browserPoolService');
 const SecurityMiddleware = require('../middleware/security');
 const { Pool } = require('pg');
 
@@ -141,7 +142,8 @@ router.get('/detailed', async (req, res) => {
           status: 'active',
           alerts: metrics.alerts.length,
           performance: metrics.performance
-        }
+        },
+        pdf_rendering: browserPoolService.getStats()
       }
     };
 
@@ -2,8 +2,30 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const { validateRequest } = require('../middleware/validateRequest');
-const { uploadMultiple, uploadByCategory, getFileInfo, optimizeImage } = require('../middleware/upload');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const SecurityMiddleware = require('../middleware/security');
+const { uploadMultiple, uploadByCategory, uploadCertificate, getFileInfo, optimizeImage } = require('../middleware/upload');
 const reportsService = require('../services/reportsService');
+const comparablesService = require('../services/comparablesService');
+const valuationService = require('../services/valuationService');
+const investmentService = require('../services/investmentService');
+const reinstatementService = require('../services/reinstatementService');
+const depreciationService = require('../services/depreciationService');
+const sectionSchemaService = require('../services/sectionSchemaService');
+const revisionService = require('../services/revisionService');
+const workflowService = require('../services/workflowService');
+const commentService = require('../services/commentService');
+const verificationService = require('../services/verificationService');
+const certificateService = require('../services/certificateService');
+const layoutService = require('../services/layoutService');
+const clientProfileService = require('../services/clientProfileService');
+const clientService = require('../services/clientService');
+const feeService = require('../services/feeService');
+const invoiceService = require('../services/invoiceService');
+const reportLanguageService = require('../services/reportLanguageService');
+const annexureService = require('../services/annexureService');
+const locationSketchService = require('../services/locationSketchService');
+const pdfJobService = require('../services/pdfJobService');
 const aiService = require('../services/aiService');
 const logger = require('../utils/logger');
 
@@ -11,16 +33,62 @@ const logger = require('../utils/logger');
 // Validation Middleware
 // ===============================================
 
+const validateLayoutKey = body('layout_key').optional().custom(async (value, { req }) => {
+  if (!await layoutService.getLayout(value, null, req.body.user_id)) {
+    throw new Error('Unknown report layout');
+  }
+  return true;
+});
+
+// Whether the user signed in through authenticate owns a record. users.id
+// is an integer and the reports' user_id text, so compare them as text.
+const isOwner = (req, ownerId) => req.user?.id !== undefined && String(req.user.id) === String(ownerId);
+
+// Only the signed-in valuer may reach their own /profile/:user_id records
+const requireProfileOwner = (req, res, next) => {
+  if (!isOwner(req, req.params.user_id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+  next();
+};
+
+// Print options for rendered PDFs, from the query string or the body
+const RENDER_OPTIONS = ['running_header', 'toc', 'distinct_first_page', 'pdfa'];
+
+const validateRenderOptions = location => RENDER_OPTIONS.map(field => (
+  location(field).optional().isBoolean().withMessage(`${field} must be true or false`).toBoolean()
+));
+
+// The print options given in a validated query string or body, and nothing else
+const pickRenderOptions = source => RENDER_OPTIONS.reduce((options, field) => {
+  if (source[field] !== undefined) options[field] = source[field];
+  return options;
+}, {});
+
+// The address book client, branch and contact person a report is for
+const validateClientLink = (required = false) => [
+  (required ? body('client_id') : body('client_id').optional({ nullable: true }))
+    .isInt().withMessage('Client ID must be an integer').toInt(),
+  body('client_branch_id').optional({ nullable: true }).isInt().withMessage('Branch ID must be an integer').toInt(),
+  body('client_contact_id').optional({ nullable: true }).isInt().withMessage('Contact ID must be an integer').toInt()
+];
+
 const validateCreateReport = [
   body('user_id').notEmpty().withMessage('User ID is required'),
   body('report_type').optional().isIn(['mortgage', 'fair_value', 'insurance', 'investment'])
     .withMessage('Invalid report type'),
+  validateLayoutKey,
   body('coordinates').optional().custom((value) => {
     if (value && (!value.latitude || !value.longitude)) {
       throw new Error('Coordinates must include both latitude and longitude');
     }
     return true;
   }),
+  ...validateClientLink(),
+  body('save_client').optional().isBoolean().toBoolean(),
   validateRequest
 ];
 
@@ -28,6 +96,8 @@ const validateUpdateSection = [
   param('id').isInt().withMessage('Report ID must be an integer'),
   body('section').notEmpty().withMessage('Section name is required'),
   body('data').isObject().withMessage('Section data must be an object'),
+  body('change_type').optional().isIn(['section_update', 'ai_enhancement'])
+    .withMessage('Change type must be section_update or ai_enhancement'),
   validateRequest
 ];
 
@@ -38,6 +108,28 @@ const validateGenerateContent = [
   validateRequest
 ];
 
+// Reviewer rights are granted by the firm: through the admin API key, or
+// by a signed-in valuer who is already a reviewer
+const requireReviewerGrant = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return SecurityMiddleware.validateApiKey(req, res, next);
+  }
+
+  authenticate(req, res, async () => {
+    try {
+      if (!await workflowService.isReviewer(req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only a reviewer can grant reviewer rights'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
 // ===============================================
 // User Profile Routes
 // ===============================================
@@ -87,355 +179,2148 @@ router.put('/profile/:user_id', [
   }
 });
 
-// ===============================================
-// Report Management Routes
-// ===============================================
+/**
+ * PUT /api/reports/profile/:user_id/reviewer
+ * Grant or withdraw a valuer's rights to review and approve reports
+ */
+router.put('/profile/:user_id/reviewer', [
+  requireReviewerGrant,
+  body('can_review').isBoolean().withMessage('can_review must be true or false').toBoolean(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const profile = await workflowService.setReviewer(req.params.user_id, req.body.can_review, req.user?.id);
+
+    res.json({
+      success: true,
+      message: profile.can_review ? 'Reviewer rights granted' : 'Reviewer rights withdrawn',
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error setting reviewer:', error);
+    next(error);
+  }
+});
 
 /**
- * POST /api/reports/create
- * Create a new valuation report
+ * GET /api/reports/profile/:user_id/certificate
+ * Get the valuer's signing certificate details
  */
-router.post('/create', validateCreateReport, async (req, res, next) => {
+router.get('/profile/:user_id/certificate', authenticate, requireProfileOwner, async (req, res, next) => {
   try {
-    const reportData = req.body;
+    const certificate = await certificateService.getCertificateInfo(req.params.user_id);
 
-    // Auto-fill from location analysis if coordinates provided
-    if (reportData.coordinates) {
-      const locationData = await reportsService.getLocationData(reportData.coordinates);
-      if (locationData) {
-        reportData.location_context = locationData;
-      }
-    }
+    res.json({
+      success: true,
+      data: certificate
+    });
+  } catch (error) {
+    logger.error('Error fetching signing certificate:', error);
+    next(error);
+  }
+});
 
-    const report = await reportsService.createReport(reportData);
+/**
+ * POST /api/reports/profile/:user_id/certificate
+ * Upload a PKCS#12 (.p12/.pfx) certificate for signing finalized reports
+ */
+router.post('/profile/:user_id/certificate', authenticate, requireProfileOwner, uploadCertificate('certificate'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No certificate uploaded'
+      });
+    }
 
-    logger.info(`New valuation report created: ${report.id} for user: ${reportData.user_id}`);
+    const certificate = await certificateService.saveCertificate(
+      req.params.user_id,
+      req.file.buffer,
+      req.body.passphrase || ''
+    );
 
     res.status(201).json({
       success: true,
-      message: 'Report created successfully',
-      data: report
+      message: 'Signing certificate saved',
+      data: certificate
     });
   } catch (error) {
-    logger.error('Error creating report:', error);
+    logger.error('Error saving signing certificate:', error);
     next(error);
   }
 });
 
 /**
- * GET /api/reports/:id
- * Get a specific report by ID
+ * DELETE /api/reports/profile/:user_id/certificate
+ * Remove the valuer's signing certificate
  */
-router.get('/:id', [
-  param('id').isInt().withMessage('Report ID must be an integer'),
-  validateRequest
-], async (req, res, next) => {
+router.delete('/profile/:user_id/certificate', authenticate, requireProfileOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const report = await reportsService.getReport(id);
-
-    if (!report) {
+    const deleted = await certificateService.deleteCertificate(req.params.user_id);
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: 'Report not found'
+        message: 'Certificate not found'
       });
     }
 
     res.json({
       success: true,
-      data: report
+      message: 'Signing certificate removed'
     });
   } catch (error) {
-    logger.error('Error fetching report:', error);
+    logger.error('Error deleting signing certificate:', error);
     next(error);
   }
 });
 
+// ===============================================
+// Client Format Profile Routes
+// ===============================================
+
+const validateClientProfile = [
+  body('organization_name').notEmpty().withMessage('Organization name is required'),
+  body('aliases').optional().isArray(),
+  body('required_fields').optional().isArray(),
+  body('required_images').optional().isObject(),
+  body('extra_sections').optional().isArray(),
+  body('forced_sale_percentage').optional({ nullable: true }).isFloat({ min: 1, max: 100 })
+    .withMessage('Forced sale percentage must be between 1 and 100'),
+  body('ltv_percentage').optional({ nullable: true }).isFloat({ min: 1, max: 100 })
+    .withMessage('LTV percentage must be between 1 and 100'),
+  body('ltv_basis').optional().isIn(['market_value', 'forced_sale_value']),
+  validateRequest
+];
+
 /**
- * GET /api/reports/user/:user_id
- * Get all reports for a specific user
+ * GET /api/reports/profile/:user_id/client-profiles
+ * List the valuer's bank format profiles
  */
-router.get('/user/:user_id', [
-  query('status').optional().isIn(['draft', 'in_progress', 'completed', 'finalized']),
-  query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('offset').optional().isInt({ min: 0 }),
-], async (req, res, next) => {
+router.get('/profile/:user_id/client-profiles', async (req, res, next) => {
   try {
-    const { user_id } = req.params;
-    const { status, limit = 20, offset = 0 } = req.query;
+    const profiles = await clientProfileService.getProfiles(req.params.user_id);
 
-    const reports = await reportsService.getUserReports(user_id, {
-      status,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+    res.json({
+      success: true,
+      data: profiles
     });
+  } catch (error) {
+    logger.error('Error fetching client format profiles:', error);
+    next(error);
+  }
+});
 
-    res.json({
+/**
+ * POST /api/reports/profile/:user_id/client-profiles
+ * Create a format profile for a lending bank
+ */
+router.post('/profile/:user_id/client-profiles', validateClientProfile, async (req, res, next) => {
+  try {
+    const profile = await clientProfileService.createProfile(req.params.user_id, req.body);
+
+    res.status(201).json({
       success: true,
-      data: reports.reports,
-      pagination: {
-        total: reports.total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: reports.total > (parseInt(offset) + parseInt(limit))
-      }
+      message: 'Client format profile created successfully',
+      data: profile
     });
   } catch (error) {
-    logger.error('Error fetching user reports:', error);
+    logger.error('Error creating client format profile:', error);
     next(error);
   }
 });
 
 /**
- * PUT /api/reports/:id/section
- * Update a specific section of the report
+ * PUT /api/reports/profile/:user_id/client-profiles/:profileId
+ * Update a bank format profile
  */
-router.put('/:id/section', validateUpdateSection, async (req, res, next) => {
+router.put('/profile/:user_id/client-profiles/:profileId', [
+  param('profileId').isInt().withMessage('Profile ID must be an integer'),
+  ...validateClientProfile
+], async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { section, data } = req.body;
+    const { user_id, profileId } = req.params;
 
-    const updatedReport = await reportsService.updateReportSection(id, section, data);
+    const profile = await clientProfileService.updateProfile(user_id, parseInt(profileId), req.body);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client format profile not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Report section updated successfully',
-      data: updatedReport
+      message: 'Client format profile updated successfully',
+      data: profile
     });
   } catch (error) {
-    logger.error('Error updating report section:', error);
+    logger.error('Error updating client format profile:', error);
     next(error);
   }
 });
 
 /**
- * PUT /api/reports/:id/status
- * Update report status
+ * DELETE /api/reports/profile/:user_id/client-profiles/:profileId
+ * Delete a bank format profile
  */
-router.put('/:id/status', [
-  param('id').isInt().withMessage('Report ID must be an integer'),
-  body('status').isIn(['draft', 'in_progress', 'completed', 'finalized'])
-    .withMessage('Invalid status'),
+router.delete('/profile/:user_id/client-profiles/:profileId', [
+  param('profileId').isInt().withMessage('Profile ID must be an integer'),
   validateRequest
 ], async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const { user_id, profileId } = req.params;
 
-    const report = await reportsService.updateReportStatus(id, status);
+    const deleted = await clientProfileService.deleteProfile(user_id, parseInt(profileId));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client format profile not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Report status updated successfully',
-      data: report
+      message: 'Client format profile deleted'
     });
   } catch (error) {
-    logger.error('Error updating report status:', error);
+    logger.error('Error deleting client format profile:', error);
     next(error);
   }
 });
 
 // ===============================================
-// AI Content Generation Routes
+// Client Address Book Routes
 // ===============================================
 
+const validateClient = [
+  body('organization_name').notEmpty().withMessage('Organization name is required'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  validateRequest
+];
+
+const validateClientBranch = [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  body('branch_name').notEmpty().withMessage('Branch name is required'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  validateRequest
+];
+
+const validateClientContact = [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  body('full_name').notEmpty().withMessage('Contact name is required'),
+  body('branch_id').optional({ nullable: true }).isInt().withMessage('Branch ID must be an integer'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  validateRequest
+];
+
 /**
- * POST /api/reports/generate-content
- * Generate AI-enhanced content for report sections
+ * GET /api/reports/profile/:user_id/clients
+ * List the valuer's clients with their branches and contact persons
  */
-router.post('/generate-content', validateGenerateContent, async (req, res, next) => {
+router.get('/profile/:user_id/clients', [
+  query('search').optional().isString(),
+  validateRequest
+], async (req, res, next) => {
   try {
-    const { content_type, input_data, use_cache = true } = req.body;
+    const clients = await clientService.getClients(req.params.user_id, { search: req.query.search });
 
-    // Check cache first if enabled
-    let cachedContent = null;
-    if (use_cache) {
-      cachedContent = await aiService.getCachedContent(content_type, input_data);
-    }
+    res.json({
+      success: true,
+      data: clients
+    });
+  } catch (error) {
+    logger.error('Error fetching clients:', error);
+    next(error);
+  }
+});
 
-    if (cachedContent) {
-      return res.json({
-        success: true,
-        data: {
-          generated_text: cachedContent.generated_text,
-          cached: true,
-          cost_saved: cachedContent.cost_usd
-        }
-      });
-    }
+/**
+ * GET /api/reports/profile/:user_id/clients/suggestions
+ * Address book entries matching what was typed, with the preamble each fills in
+ */
+router.get('/profile/:user_id/clients/suggestions', [
+  query('q').isString().trim().notEmpty().withMessage('Search text is required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { q, limit } = req.query;
 
-    // Generate new content
-    const result = await aiService.generateContent(content_type, input_data);
+    const suggestions = await clientService.suggest(req.params.user_id, q, limit ? parseInt(limit) : undefined);
 
     res.json({
       success: true,
-      data: {
-        generated_text: result.generated_text,
-        cached: false,
-        tokens_used: result.tokens_used,
-        cost_usd: result.cost_usd,
-        model_used: result.ai_model
-      }
+      data: suggestions
     });
   } catch (error) {
-    logger.error('Error generating AI content:', error);
+    logger.error('Error fetching client suggestions:', error);
+    next(error);
+  }
+});
 
-    // Provide fallback response for AI failures
-    res.status(500).json({
-      success: false,
-      message: 'AI content generation failed. Please enter content manually.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+/**
+ * POST /api/reports/profile/:user_id/clients
+ * Add an organisation to the address book
+ */
+router.post('/profile/:user_id/clients', validateClient, async (req, res, next) => {
+  try {
+    const client = await clientService.createClient(req.params.user_id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Client created successfully',
+      data: client
     });
+  } catch (error) {
+    logger.error('Error creating client:', error);
+    next(error);
   }
 });
 
 /**
- * POST /api/reports/:id/enhance
- * Enhance multiple report sections with AI
+ * GET /api/reports/profile/:user_id/clients/:clientId
+ * Get a client with its branches and contact persons
  */
-router.post('/:id/enhance', [
-  param('id').isInt().withMessage('Report ID must be an integer'),
-  body('sections').isArray().withMessage('Sections must be an array'),
-  body('sections.*').isIn(['route_description', 'property_description', 'market_analysis', 'locality_analysis', 'building_description'])
-    .withMessage('Invalid section type'),
+router.get('/profile/:user_id/clients/:clientId', [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
   validateRequest
 ], async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { sections } = req.body;
+    const { user_id, clientId } = req.params;
 
-    const report = await reportsService.getReport(id);
-    if (!report) {
+    const client = await clientService.getClient(user_id, parseInt(clientId));
+    if (!client) {
       return res.status(404).json({
         success: false,
-        message: 'Report not found'
+        message: 'Client not found'
       });
     }
 
-    const enhancedSections = await aiService.enhanceReportSections(report, sections);
-
     res.json({
       success: true,
-      message: 'Report sections enhanced successfully',
-      data: enhancedSections,
-      total_cost: enhancedSections.reduce((sum, section) => sum + section.cost_usd, 0)
+      data: client
     });
   } catch (error) {
-    logger.error('Error enhancing report sections:', error);
+    logger.error('Error fetching client:', error);
     next(error);
   }
 });
 
 /**
- * POST /api/reports/enhance-content
- * Enhanced AI content generation with frontend-compatible pricing
+ * PUT /api/reports/profile/:user_id/clients/:clientId
+ * Update a client's organisation details
  */
-router.post('/enhance-content', [
-  body('enhancement_type').isIn(['route_enhancement', 'locality_analysis', 'market_analysis'])
-    .withMessage('Invalid enhancement type'),
-  body('input_data').isObject().withMessage('Input data must be an object'),
-  validateRequest
+router.put('/profile/:user_id/clients/:clientId', [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  ...validateClient
 ], async (req, res, next) => {
   try {
-    const { enhancement_type, input_data } = req.body;
-
-    // Map frontend enhancement types to backend content types
-    const contentTypeMap = {
-      route_enhancement: 'route_description',
-      locality_analysis: 'locality_analysis',
-      market_analysis: 'market_analysis'
-    };
+    const { user_id, clientId } = req.params;
 
-    const contentType = contentTypeMap[enhancement_type];
-    if (!contentType) {
-      return res.status(400).json({
+    const client = await clientService.updateClient(user_id, parseInt(clientId), req.body);
+    if (!client) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid enhancement type'
+        message: 'Client not found'
       });
     }
 
-    // Generate content using AI service
-    const result = await aiService.generateContent(contentType, input_data);
-
-    // Calculate fixed costs that match frontend expectations
-    const fixedCosts = {
-      route_enhancement: 0.003,
+    res.json({
+      success: true,
+      message: 'Client updated successfully',
+      data: client
+    });
+  } catch (error) {
+    logger.error('Error updating client:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/reports/profile/:user_id/clients/:clientId
+ * Remove a client; its reports keep their preamble
+ */
+router.delete('/profile/:user_id/clients/:clientId', [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, clientId } = req.params;
+
+    const deleted = await clientService.deleteClient(user_id, parseInt(clientId));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Client deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting client:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/profile/:user_id/clients/:clientId/reports
+ * List the reports prepared for a client
+ */
+router.get('/profile/:user_id/clients/:clientId/reports', [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, clientId } = req.params;
+
+    const client = await clientService.getClient(user_id, parseInt(clientId));
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const reports = await clientService.getClientReports(user_id, client.id);
+
+    res.json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    logger.error('Error fetching client reports:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/profile/:user_id/clients/:clientId/branches
+ * Add a branch to a client
+ */
+router.post('/profile/:user_id/clients/:clientId/branches', validateClientBranch, async (req, res, next) => {
+  try {
+    const { user_id, clientId } = req.params;
+
+    const branch = await clientService.createBranch(user_id, parseInt(clientId), req.body);
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully',
+      data: branch
+    });
+  } catch (error) {
+    logger.error('Error creating client branch:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/profile/:user_id/clients/:clientId/branches/:branchId
+ * Update a client branch
+ */
+router.put('/profile/:user_id/clients/:clientId/branches/:branchId', [
+  param('branchId').isInt().withMessage('Branch ID must be an integer'),
+  ...validateClientBranch
+], async (req, res, next) => {
+  try {
+    const { user_id, clientId, branchId } = req.params;
+
+    const branch = await clientService.updateBranch(user_id, parseInt(clientId), parseInt(branchId), req.body);
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+  } catch (error) {
+    logger.error('Error updating client branch:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/reports/profile/:user_id/clients/:clientId/branches/:branchId
+ * Remove a client branch; its contact persons move to the head office
+ */
+router.delete('/profile/:user_id/clients/:clientId/branches/:branchId', [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  param('branchId').isInt().withMessage('Branch ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, clientId, branchId } = req.params;
+
+    const deleted = await clientService.deleteBranch(user_id, parseInt(clientId), parseInt(branchId));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Branch deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting client branch:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/profile/:user_id/clients/:clientId/contacts
+ * Add a contact person, at a branch or the head office
+ */
+router.post('/profile/:user_id/clients/:clientId/contacts', validateClientContact, async (req, res, next) => {
+  try {
+    const { user_id, clientId } = req.params;
+
+    const contact = await clientService.createContact(user_id, parseInt(clientId), req.body);
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client or branch not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact person created successfully',
+      data: contact
+    });
+  } catch (error) {
+    logger.error('Error creating client contact:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/profile/:user_id/clients/:clientId/contacts/:contactId
+ * Update a contact person
+ */
+router.put('/profile/:user_id/clients/:clientId/contacts/:contactId', [
+  param('contactId').isInt().withMessage('Contact ID must be an integer'),
+  ...validateClientContact
+], async (req, res, next) => {
+  try {
+    const { user_id, clientId, contactId } = req.params;
+
+    const contact = await clientService.updateContact(user_id, parseInt(clientId), parseInt(contactId), req.body);
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact person or branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact person updated successfully',
+      data: contact
+    });
+  } catch (error) {
+    logger.error('Error updating client contact:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/reports/profile/:user_id/clients/:clientId/contacts/:contactId
+ * Remove a contact person
+ */
+router.delete('/profile/:user_id/clients/:clientId/contacts/:contactId', [
+  param('clientId').isInt().withMessage('Client ID must be an integer'),
+  param('contactId').isInt().withMessage('Contact ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, clientId, contactId } = req.params;
+
+    const deleted = await clientService.deleteContact(user_id, parseInt(clientId), parseInt(contactId));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact person not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact person deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting client contact:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Fee Scale Routes
+// ===============================================
+
+const validateFeeScale = [
+  body('name').notEmpty().withMessage('Fee scale name is required'),
+  body('client_id').optional({ nullable: true }).isInt().withMessage('Client ID must be an integer'),
+  body('bands').isArray({ min: 1 }).withMessage('A fee scale needs at least one band'),
+  body('extras').optional().isArray().withMessage('Extras must be a list'),
+  validateRequest
+];
+
+/**
+ * GET /api/reports/profile/:user_id/fee-scales
+ * List the valuer's default fee scale and the scales agreed with clients
+ */
+router.get('/profile/:user_id/fee-scales', async (req, res, next) => {
+  try {
+    const scales = await feeService.getScales(req.params.user_id);
+
+    res.json({
+      success: true,
+      data: scales
+    });
+  } catch (error) {
+    logger.error('Error fetching fee scales:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/profile/:user_id/fee-scales
+ * Add a fee scale, for one client or as the default (no client_id)
+ */
+router.post('/profile/:user_id/fee-scales', validateFeeScale, async (req, res, next) => {
+  try {
+    const scale = await feeService.createScale(req.params.user_id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee scale created successfully',
+      data: scale
+    });
+  } catch (error) {
+    logger.error('Error creating fee scale:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/profile/:user_id/fee-scales/:scaleId
+ * Update a fee scale. Invoices already raised keep their amounts.
+ */
+router.put('/profile/:user_id/fee-scales/:scaleId', [
+  param('scaleId').isInt().withMessage('Fee scale ID must be an integer'),
+  ...validateFeeScale
+], async (req, res, next) => {
+  try {
+    const { user_id, scaleId } = req.params;
+
+    const scale = await feeService.updateScale(user_id, parseInt(scaleId), req.body);
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee scale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee scale updated successfully',
+      data: scale
+    });
+  } catch (error) {
+    logger.error('Error updating fee scale:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/reports/profile/:user_id/fee-scales/:scaleId
+ * Delete a fee scale
+ */
+router.delete('/profile/:user_id/fee-scales/:scaleId', [
+  param('scaleId').isInt().withMessage('Fee scale ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, scaleId } = req.params;
+
+    const deleted = await feeService.deleteScale(user_id, parseInt(scaleId));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee scale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee scale deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting fee scale:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Invoice Routes
+// ===============================================
+
+/**
+ * GET /api/reports/profile/:user_id/invoices
+ * List the valuer's invoices, optionally only paid or unpaid (?status=)
+ */
+router.get('/profile/:user_id/invoices', [
+  authenticate,
+  requireProfileOwner,
+  query('status').optional().isIn(['unpaid', 'paid']).withMessage('Status must be unpaid or paid'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const invoices = await invoiceService.getInvoices(req.params.user_id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: invoices
+    });
+  } catch (error) {
+    logger.error('Error fetching invoices:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/profile/:user_id/invoices/:invoiceId
+ * Get one invoice with its line items
+ */
+router.get('/profile/:user_id/invoices/:invoiceId', [
+  authenticate,
+  requireProfileOwner,
+  param('invoiceId').isInt().withMessage('Invoice ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, invoiceId } = req.params;
+
+    const invoice = await invoiceService.getInvoice(user_id, parseInt(invoiceId));
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Error fetching invoice:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/profile/:user_id/invoices/:invoiceId/status
+ * Mark an invoice paid (with the payment date and reference) or unpaid
+ */
+router.put('/profile/:user_id/invoices/:invoiceId/status', [
+  authenticate,
+  requireProfileOwner,
+  param('invoiceId').isInt().withMessage('Invoice ID must be an integer'),
+  body('status').isIn(['unpaid', 'paid']).withMessage('Status must be unpaid or paid'),
+  body('paid_at').optional({ checkFalsy: true }).isISO8601().withMessage('Payment date must be a valid date'),
+  body('payment_reference').optional({ nullable: true }).isString(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, invoiceId } = req.params;
+
+    const invoice = await invoiceService.updateStatus(user_id, parseInt(invoiceId), req.body);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Invoice marked ${invoice.status}`,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Error updating invoice status:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/profile/:user_id/invoices/:invoiceId/pdf
+ * Download the invoice as a PDF on the valuer's letterhead
+ */
+router.get('/profile/:user_id/invoices/:invoiceId/pdf', [
+  authenticate,
+  requireProfileOwner,
+  param('invoiceId').isInt().withMessage('Invoice ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, invoiceId } = req.params;
+
+    const invoice = await invoiceService.getInvoice(user_id, parseInt(invoiceId));
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const pdfBuffer = await reportsService.generateInvoicePDF(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoice_number.replace(/[^\w-]+/g, '-')}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    logger.error('Error generating invoice PDF:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/invoice
+ * Get the invoice raised for a report
+ */
+router.get('/:id/invoice', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.getReportInvoice(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!isOwner(req, invoice.user_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Error fetching report invoice:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/:id/invoice
+ * Raise the invoice for a finalized report that was not invoiced when it
+ * was issued, e.g. because no fee scale had been set up yet
+ */
+router.post('/:id/invoice', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const report = await reportsService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!isOwner(req, report.user_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (report.status !== 'finalized') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only finalized reports can be invoiced'
+      });
+    }
+
+    const invoice = await invoiceService.createForReport(report);
+    if (!invoice) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set up a fee scale before invoicing this report'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice raised successfully',
+      data: invoice
+    });
+  } catch (error) {
+    logger.error('Error raising report invoice:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Report Management Routes
+// ===============================================
+
+/**
+ * POST /api/reports/create
+ * Create a new valuation report
+ */
+router.post('/create', validateCreateReport, async (req, res, next) => {
+  try {
+    const reportData = req.body;
+
+    // Auto-fill from location analysis if coordinates provided
+    if (reportData.coordinates) {
+      const locationData = await reportsService.getLocationData(reportData.coordinates);
+      if (locationData) {
+        reportData.location_context = locationData;
+      }
+    }
+
+    const report = await reportsService.createReport(reportData);
+
+    logger.info(`New valuation report created: ${report.id} for user: ${reportData.user_id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Report created successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error creating report:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id
+ * Get a specific report by ID
+ */
+router.get('/:id', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const report = await reportsService.getReport(id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error fetching report:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/user/:user_id
+ * Get all reports for a specific user
+ */
+router.get('/user/:user_id', [
+  query('status').optional().isIn(workflowService.getStatuses()),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    const { user_id } = req.params;
+    const { status, limit = 20, offset = 0 } = req.query;
+
+    const reports = await reportsService.getUserReports(user_id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: reports.reports,
+      pagination: {
+        total: reports.total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: reports.total > (parseInt(offset) + parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching user reports:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/:id/section
+ * Update a specific section of the report
+ */
+router.put('/:id/section', validateUpdateSection, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { section, data, change_type, user_id } = req.body;
+
+    const updatedReport = await reportsService.updateReportSection(id, section, data, {
+      changeType: change_type,
+      userId: user_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Report section updated successfully',
+      data: updatedReport
+    });
+  } catch (error) {
+    logger.error('Error updating report section:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/:id/status
+ * Update report status as the signed-in user. Reports are finalized through
+ * POST /:id/finalize, which issues the signed PDF.
+ */
+router.put('/:id/status', authenticate, [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('status').isIn(workflowService.getStatuses())
+    .withMessage('Invalid status')
+    .not().equals('finalized')
+    .withMessage('Finalize the report to issue it'),
+  body('comments').optional().isString().isLength({ max: 2000 }),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, comments } = req.body;
+
+    const report = await reportsService.updateReportStatus(id, status, { userId: String(req.user.id), comments });
+
+    res.json({
+      success: true,
+      message: 'Report status updated successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error updating report status:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/client-profile
+ * Get the format profile matching the report's client organization, if any
+ */
+router.get('/:id/client-profile', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const report = await reportsService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const profile = await clientProfileService.findForReport(report);
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error fetching report client profile:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/:id/layout
+ * Switch the layout template the report renders with
+ */
+router.put('/:id/layout', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('layout_key').notEmpty().withMessage('Layout key is required'),
+  body('version').optional().isInt({ min: 1 }).toInt(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { layout_key, version, user_id } = req.body;
+
+    const report = await reportsService.updateReportLayout(id, layout_key, version, { userId: user_id });
+
+    res.json({
+      success: true,
+      message: 'Report layout updated successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error updating report layout:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/:id/client
+ * Link the report to an address book client and refill its preamble
+ */
+router.put('/:id/client', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  ...validateClientLink(true),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { user_id, ...link } = req.body;
+
+    const report = await reportsService.updateReportClient(id, link, { userId: user_id });
+
+    res.json({
+      success: true,
+      message: 'Report client updated successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error linking report to client:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/annexures
+ * Get the report's annexure order and the annexures it will print
+ */
+router.get('/:id/annexures', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const report = await reportsService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const annexures = await reportsService.getReportAnnexures(report);
+
+    res.json({
+      success: true,
+      data: {
+        order: annexureService.getOrder(report),
+        available: annexureService.getTypes(),
+        annexures: annexures.map(({ letter, key, count }) => ({ letter, key, count }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching report annexures:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/:id/annexures
+ * Set which annexures are printed after the certification, and in what order
+ */
+router.put('/:id/annexures', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('order').isArray().withMessage('Annexure order must be a list'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { order, user_id } = req.body;
+
+    const report = await reportsService.updateAnnexureOrder(id, order, { userId: user_id });
+
+    res.json({
+      success: true,
+      message: 'Annexure order updated successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error updating annexure order:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/workflow
+ * Get the report's status, the transitions open to the user and the transition log
+ */
+router.get('/:id/workflow', optionalAuth, [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const workflow = await workflowService.getWorkflow(parseInt(id), req.user?.id ?? null);
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: workflow
+    });
+  } catch (error) {
+    logger.error('Error fetching report workflow:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Revision History Routes
+// ===============================================
+
+/**
+ * GET /api/reports/:id/history
+ * Get the report's revisions, newest first, with field-level changes
+ */
+router.get('/:id/history', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const history = await revisionService.getHistory(parseInt(id));
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error fetching report history:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/:id/restore/:revision
+ * Return the report's section fields to their values after a revision
+ */
+router.post('/:id/restore/:revision', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id, revision } = req.params;
+
+    const result = await revisionService.restoreRevision(parseInt(id), parseInt(revision), req.body.user_id);
+
+    res.json({
+      success: true,
+      message: result.revision
+        ? `Report restored to revision ${revision}`
+        : `Report already matches revision ${revision}`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error restoring report revision:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Review Comment Routes
+// ===============================================
+
+/**
+ * GET /api/reports/:id/comments
+ * Get review comment threads with per-section counts for badges
+ */
+router.get('/:id/comments', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  query('section').optional().isString(),
+  query('status').optional().isIn(['all', 'resolved', 'unresolved']),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { section, status } = req.query;
+
+    const comments = await commentService.getComments(parseInt(id), { section, status });
+    if (!comments) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: comments
+    });
+  } catch (error) {
+    logger.error('Error fetching report comments:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/:id/comments
+ * Start a comment thread on a section or field, or reply to one (parent_id)
+ */
+router.post('/:id/comments', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('body').trim().notEmpty().withMessage('Comment text is required')
+    .isLength({ max: 5000 }).withMessage('Comment is too long'),
+  body('parent_id').optional().isInt(),
+  body('section').if(body('parent_id').not().exists()).notEmpty().withMessage('Section is required'),
+  body('field').optional({ nullable: true }).isString(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const comment = await commentService.addComment(parseInt(id), req.body, String(req.user.id));
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: comment
+    });
+  } catch (error) {
+    logger.error('Error adding report comment:', error);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reports/:id/comments/:commentId/resolve
+ * Resolve or reopen a comment thread
+ */
+router.put('/:id/comments/:commentId/resolve', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('commentId').isInt().withMessage('Comment ID must be an integer'),
+  body('resolved').optional().isBoolean(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const resolved = req.body.resolved !== false;
+
+    const comment = await commentService.setResolved(parseInt(id), parseInt(commentId), resolved, String(req.user.id));
+
+    res.json({
+      success: true,
+      message: resolved ? 'Comment resolved' : 'Comment reopened',
+      data: comment
+    });
+  } catch (error) {
+    logger.error('Error resolving report comment:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// AI Content Generation Routes
+// ===============================================
+
+/**
+ * POST /api/reports/generate-content
+ * Generate AI-enhanced content for report sections
+ */
+router.post('/generate-content', validateGenerateContent, async (req, res, next) => {
+  try {
+    const { content_type, input_data, use_cache = true } = req.body;
+
+    // Check cache first if enabled
+    let cachedContent = null;
+    if (use_cache) {
+      cachedContent = await aiService.getCachedContent(content_type, input_data);
+    }
+
+    if (cachedContent) {
+      return res.json({
+        success: true,
+        data: {
+          generated_text: cachedContent.generated_text,
+          cached: true,
+          cost_saved: cachedContent.cost_usd
+        }
+      });
+    }
+
+    // Generate new content
+    const result = await aiService.generateContent(content_type, input_data);
+
+    res.json({
+      success: true,
+      data: {
+        generated_text: result.generated_text,
+        cached: false,
+        tokens_used: result.tokens_used,
+        cost_usd: result.cost_usd,
+        model_used: result.ai_model
+      }
+    });
+  } catch (error) {
+    logger.error('Error generating AI content:', error);
+
+    // Provide fallback response for AI failures
+    res.status(500).json({
+      success: false,
+      message: 'AI content generation failed. Please enter content manually.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:id/enhance
+ * Enhance multiple report sections with AI
+ */
+router.post('/:id/enhance', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('sections').isArray().withMessage('Sections must be an array'),
+  body('sections.*').isIn(['route_description', 'property_description', 'market_analysis', 'locality_analysis', 'building_description'])
+    .withMessage('Invalid section type'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { sections } = req.body;
+
+    const report = await reportsService.getReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const enhancedSections = await aiService.enhanceReportSections(report, sections);
+
+    res.json({
+      success: true,
+      message: 'Report sections enhanced successfully',
+      data: enhancedSections,
+      total_cost: enhancedSections.reduce((sum, section) => sum + section.cost_usd, 0)
+    });
+  } catch (error) {
+    logger.error('Error enhancing report sections:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/enhance-content
+ * Enhanced AI content generation with frontend-compatible pricing
+ */
+router.post('/enhance-content', [
+  body('enhancement_type').isIn(['route_enhancement', 'locality_analysis', 'market_analysis'])
+    .withMessage('Invalid enhancement type'),
+  body('input_data').isObject().withMessage('Input data must be an object'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { enhancement_type, input_data } = req.body;
+
+    // Map frontend enhancement types to backend content types
+    const contentTypeMap = {
+      route_enhancement: 'route_description',
+      locality_analysis: 'locality_analysis',
+      market_analysis: 'market_analysis'
+    };
+
+    const contentType = contentTypeMap[enhancement_type];
+    if (!contentType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid enhancement type'
+      });
+    }
+
+    // Generate content using AI service
+    const result = await aiService.generateContent(contentType, input_data);
+
+    // Calculate fixed costs that match frontend expectations
+    const fixedCosts = {
+      route_enhancement: 0.003,
       locality_analysis: 0.008,
       market_analysis: 0.006
     };
 
     res.json({
       success: true,
-      data: {
-        enhanced_content: result.generated_text,
-        enhancement_type,
-        cached: result.cached,
-        tokens_used: result.tokens_used,
-        actual_cost_usd: result.cost_usd,
-        frontend_cost_usd: fixedCosts[enhancement_type], // Fixed cost for frontend display
-        model_used: result.ai_model
-      }
+      data: {
+        enhanced_content: result.generated_text,
+        enhancement_type,
+        cached: result.cached,
+        tokens_used: result.tokens_used,
+        actual_cost_usd: result.cost_usd,
+        frontend_cost_usd: fixedCosts[enhancement_type], // Fixed cost for frontend display
+        model_used: result.ai_model
+      }
+    });
+  } catch (error) {
+    logger.error('Error enhancing content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Content enhancement failed. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ===============================================
+// PDF Generation Routes
+// ===============================================
+
+/**
+ * GET /api/reports/:id/preview
+ * Generate PDF preview of the report, optionally in another layout
+ * (?layout=) or language (?lang=en|si|ta)
+ */
+router.get('/:id/preview', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  query('format').optional().isIn(['pdf', 'html']),
+  query('layout').optional().isString(),
+  query('lang').optional().isIn(reportLanguageService.getLanguageCodes())
+    .withMessage('Language must be one of: ' + reportLanguageService.getLanguageCodes().join(', ')),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf', lang: language } = req.query;
+
+    const report = await reportsService.getReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    // Preview another layout without switching the report to it
+    const layout = req.query.layout ? await layoutService.requireLayout(req.query.layout, null, report.user_id) : undefined;
+
+    if (format === 'html') {
+      const htmlContent = await reportsService.generateReportHTML(report, { layout, language });
+      res.setHeader('Content-Type', 'text/html');
+      res.send(htmlContent);
+    } else {
+      const pdfBuffer = await reportsService.generateReportPDF(report, { isDraft: true, layout, language });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="valuation-report-${id}-preview.pdf"`);
+      res.send(pdfBuffer);
+    }
+  } catch (error) {
+    logger.error('Error generating report preview:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/docx
+ * Download an editable Word copy of the report. Reports that have not been
+ * approved are marked as drafts.
+ */
+router.get('/:id/docx', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await reportsService.getReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const isDraft = !['approved', 'finalized'].includes(report.status);
+    const docxBuffer = await reportsService.generateReportDOCX(report, { isDraft });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="valuation-report-${report.report_reference || id}${isDraft ? '-draft' : ''}.docx"`);
+    res.send(docxBuffer);
+  } catch (error) {
+    logger.error('Error generating report DOCX:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/:id/finalize
+ * Generate final PDF report, hashed and stamped with a verification code.
+ * Body running_header, toc and distinct_first_page set the print options;
+ * the issue is PDF/A-2b unless pdfa is false. A finalized report returns
+ * the PDF it was issued with.
+ */
+router.post('/:id/finalize', authenticate, [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  ...validateRenderOptions(body),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await reportsService.getReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!isOwner(req, report.user_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Only approved reports can be finalized; finalized reports are downloaded again
+    const isFinalized = report.status === 'finalized';
+    if (!isFinalized) {
+      workflowService.getTransition(report.status, 'finalized');
+    }
+
+    // Validate report completeness
+    const validation = await reportsService.validateReport(report);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report is incomplete',
+        errors: validation.errors
+      });
+    }
+
+    // Review comments must all be resolved before sign-off
+    const unresolvedComments = isFinalized ? 0 : await commentService.countUnresolved(id);
+    if (unresolvedComments > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Report has ${unresolvedComments} unresolved review comment${unresolvedComments === 1 ? '' : 's'}`,
+        unresolved_comments: unresolvedComments
+      });
+    }
+
+    const issue = isFinalized ? await verificationService.getCurrentIssue(id) : null;
+    let pdfBuffer = issue ? issue.pdf_data : null;
+
+    if (!pdfBuffer) {
+      // Generate final PDF with its verification code in the footer
+      const verification = verificationService.prepare(report);
+      pdfBuffer = await reportsService.generateReportPDF(report, {
+        isDraft: false,
+        verification,
+        sign: true,
+        render: { pdfa: true, ...pickRenderOptions(req.body) }
+      });
+
+      // Record the issue with the status change, so a failed issue leaves the report unfinalized
+      const recordIssue = client => verificationService.recordIssue(report, verification, pdfBuffer, String(req.user.id), client);
+      if (isFinalized) {
+        await recordIssue();
+      } else {
+        await reportsService.updateReportStatus(id, 'finalized', {
+          userId: String(req.user.id),
+          comments: req.body.comments,
+          onTransition: recordIssue
+        });
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="valuation-report-${report.report_reference}.pdf"`);
+    res.send(pdfBuffer);
+
+    logger.info(`Report finalized: ${id} - ${report.report_reference}`);
+  } catch (error) {
+    logger.error('Error finalizing report:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Template and Reference Data Routes
+// ===============================================
+
+/**
+ * GET /api/reports/templates/:category
+ * Get template options for dropdowns and auto-fill
+ */
+router.get('/templates/:category', async (req, res, next) => {
+  try {
+    const { category } = req.params;
+    const templates = await reportsService.getTemplates(category);
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    logger.error('Error fetching templates:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/reference/sri-lankan-locations
+ * Get Sri Lankan administrative divisions for dropdowns
+ */
+router.get('/reference/sri-lankan-locations', [
+  query('type').optional().isIn(['province', 'district', 'city', 'pradeshiya_sabha']),
+  query('parent').optional(),
+], async (req, res, next) => {
+  try {
+    const { type, parent } = req.query;
+    const locations = await reportsService.getSriLankanLocations(type, parent);
+
+    res.json({
+      success: true,
+      data: locations
+    });
+  } catch (error) {
+    logger.error('Error fetching Sri Lankan locations:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/reference/section-schema
+ * Get the report section schema used to render and validate section forms
+ */
+router.get('/reference/section-schema', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: sectionSchemaService.getSchema()
+    });
+  } catch (error) {
+    logger.error('Error fetching section schema:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/reference/languages
+ * Get the languages reports can be printed in
+ */
+router.get('/reference/languages', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: reportLanguageService.getLanguages()
+    });
+  } catch (error) {
+    logger.error('Error fetching report languages:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/reference/layouts
+ * List the report layouts available to a valuer
+ */
+router.get('/reference/layouts', optionalAuth, async (req, res, next) => {
+  try {
+    const layouts = await layoutService.getLayouts(req.user?.id ?? null);
+
+    res.json({
+      success: true,
+      data: layouts
+    });
+  } catch (error) {
+    logger.error('Error fetching report layouts:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/reference/layouts/:key
+ * Get a layout definition, at its latest version unless ?version is given
+ */
+router.get('/reference/layouts/:key', [
+  optionalAuth,
+  query('version').optional().isInt({ min: 1 }).toInt(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const layout = await layoutService.requireLayout(req.params.key, req.query.version || null, req.user?.id ?? null);
+
+    res.json({
+      success: true,
+      data: layout
+    });
+  } catch (error) {
+    logger.error('Error fetching report layout:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/reference/layouts
+ * Save a layout template as the next version of the signed-in valuer's key
+ */
+router.post('/reference/layouts', [
+  authenticate,
+  body('layout').isObject().withMessage('Layout definition must be an object'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const saved = await layoutService.saveLayout(req.body.layout, String(req.user.id));
+
+    res.status(201).json({
+      success: true,
+      message: `Layout saved as version ${saved.version}`,
+      data: saved
+    });
+  } catch (error) {
+    logger.error('Error saving report layout:', error);
+    next(error);
+  }
+});
+
+// ===============================================
+// Image Management Routes
+// ===============================================
+
+/**
+ * POST /api/reports/:id/images
+ * Upload images for the report
+ */
+router.post('/:id/images', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+
+  // Apply upload middleware
+  uploadMultiple('images', 10)(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      return; // Error already handled by middleware
+    }
+
+    try {
+      const { id } = req.params;
+      const { category = 'general' } = req.body;
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No files uploaded'
+        });
+      }
+
+      // Process uploaded files
+      const uploadedImages = [];
+
+      for (const file of req.files) {
+        // Optimize image (if optimization library is available)
+        const optimizedPath = await optimizeImage(file.path);
+
+        // Save to database
+        const imageRecord = await reportsService.saveReportImage(parseInt(id), {
+          category,
+          filename: file.filename,
+          file_path: optimizedPath,
+          file_size: file.size,
+          mime_type: file.mimetype,
+          caption: req.body.caption || `${category.replace('_', ' ')} image`
+        });
+
+        uploadedImages.push({
+          ...imageRecord,
+          file_info: getFileInfo(file)
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Successfully uploaded ${uploadedImages.length} images`,
+        data: {
+          report_id: parseInt(id),
+          uploaded_images: uploadedImages,
+          category
+        }
+      });
+    } catch (error) {
+      logger.error('Error processing uploaded images:', error);
+      next(error);
+    }
+  });
+});
+
+/**
+ * POST /api/reports/:id/images/category
+ * Upload images by category (multiple categories at once)
+ */
+router.post('/:id/images/category', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+
+  // Apply upload middleware
+  uploadByCategory()(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      return; // Error already handled by middleware
+    }
+
+    try {
+      const { id } = req.params;
+
+      if (!req.files || Object.keys(req.files).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No files uploaded'
+        });
+      }
+
+      const results = {};
+      let totalUploaded = 0;
+
+      // Process files by category
+      for (const [category, files] of Object.entries(req.files)) {
+        const categoryResults = [];
+
+        for (const file of files) {
+          // Optimize image
+          const optimizedPath = await optimizeImage(file.path);
+
+          // Save to database
+          const imageRecord = await reportsService.saveReportImage(parseInt(id), {
+            category,
+            filename: file.filename,
+            file_path: optimizedPath,
+            file_size: file.size,
+            mime_type: file.mimetype,
+            caption: req.body[`${category}_caption`] || `${category.replace('_', ' ')} image`
+          });
+
+          categoryResults.push({
+            ...imageRecord,
+            file_info: getFileInfo(file)
+          });
+        }
+
+        results[category] = categoryResults;
+        totalUploaded += categoryResults.length;
+      }
+
+      res.json({
+        success: true,
+        message: `Successfully uploaded ${totalUploaded} images across ${Object.keys(results).length} categories`,
+        data: {
+          report_id: parseInt(id),
+          results,
+          total_uploaded: totalUploaded
+        }
+      });
+    } catch (error) {
+      logger.error('Error processing categorized image upload:', error);
+      next(error);
+    }
+  });
+});
+
+/**
+ * GET /api/reports/:id/images
+ * Get all images for a report
+ */
+router.get('/:id/images', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  query('category').optional(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { category } = req.query;
+
+    const images = await reportsService.getReportImages(parseInt(id), category);
+
+    res.json({
+      success: true,
+      data: images
+    });
+  } catch (error) {
+    logger.error('Error fetching report images:', error);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/reports/:id/images/:imageId
+ * Delete a specific image
+ */
+router.delete('/:id/images/:imageId', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('imageId').isInt().withMessage('Image ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const success = await reportsService.deleteReportImage(parseInt(id), parseInt(imageId));
+
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
     });
   } catch (error) {
-    logger.error('Error enhancing content:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Content enhancement failed. Please try again.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    logger.error('Error deleting image:', error);
+    next(error);
   }
 });
 
 // ===============================================
-// PDF Generation Routes
+// Comparable Evidence Routes (Section 10.0)
 // ===============================================
 
+const validateComparable = [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('comparable_id').optional().isInt().withMessage('Comparable ID must be an integer'),
+  body('transaction_type').optional().isIn(['sale', 'listing']).withMessage('Invalid transaction type'),
+  body('transaction_date').if(body('comparable_id').not().exists())
+    .isISO8601().withMessage('Valid transaction date is required'),
+  body('extent_perches').if(body('comparable_id').not().exists())
+    .isFloat({ gt: 0 }).withMessage('Extent in perches must be greater than zero'),
+  body('price').if(body('comparable_id').not().exists())
+    .isFloat({ gt: 0 }).withMessage('Price must be greater than zero'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }),
+  body('adjustment_percentage').optional().isFloat({ min: -100, max: 100 })
+    .withMessage('Adjustment must be between -100% and 100%'),
+  body('is_selected').optional().isBoolean(),
+  validateRequest
+];
+
 /**
- * GET /api/reports/:id/preview
- * Generate PDF preview of the report
+ * GET /api/reports/:id/comparables
+ * Get comparable sales evidence linked to a report
  */
-router.get('/:id/preview', [
+router.get('/:id/comparables', [
   param('id').isInt().withMessage('Report ID must be an integer'),
-  query('format').optional().isIn(['pdf', 'html']),
   validateRequest
 ], async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { format = 'pdf' } = req.query;
-
-    const report = await reportsService.getReport(id);
-    if (!report) {
-      return res.status(404).json({
-        success: false,
-        message: 'Report not found'
-      });
-    }
 
-    if (format === 'html') {
-      const htmlContent = await reportsService.generateReportHTML(report);
-      res.setHeader('Content-Type', 'text/html');
-      res.send(htmlContent);
-    } else {
-      const pdfBuffer = await reportsService.generateReportPDF(report, { isDraft: true });
+    const comparables = await comparablesService.getReportComparables(parseInt(id));
 
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="valuation-report-${id}-preview.pdf"`);
-      res.send(pdfBuffer);
-    }
+    res.json({
+      success: true,
+      data: {
+        comparables,
+        rate_range: comparablesService.calculateRateRange(comparables)
+      }
+    });
   } catch (error) {
-    logger.error('Error generating report preview:', error);
+    logger.error('Error fetching comparables:', error);
     next(error);
   }
 });
 
 /**
- * POST /api/reports/:id/finalize
- * Generate final PDF report
+ * GET /api/reports/:id/comparables/nearby
+ * Find comparables in the valuer's register near the report coordinates
  */
-router.post('/:id/finalize', [
+router.get('/:id/comparables/nearby', [
   param('id').isInt().withMessage('Report ID must be an integer'),
+  query('radius_km').optional().isFloat({ min: 0.1, max: 50 }),
+  query('max_age_months').optional().isInt({ min: 1, max: 120 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
   validateRequest
 ], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { radius_km = 5, max_age_months = 36, limit = 20 } = req.query;
+
+    const comparables = await comparablesService.findNearbyComparables(parseInt(id), {
+      radiusKm: parseFloat(radius_km),
+      maxAgeMonths: parseInt(max_age_months),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: comparables
+    });
+  } catch (error) {
+    logger.error('Error finding nearby comparables:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reports/:id/comparables
+ * Record a new comparable (or link an existing one) as evidence for a report
+ */
+router.post('/:id/comparables', validateComparable, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -447,271 +2332,427 @@ router.post('/:id/finalize', [
       });
     }
 
-    // Validate report completeness
-    const validation = await reportsService.validateReport(report);
-    if (!validation.isValid) {
-      return res.status(400).json({
+    const comparable = await comparablesService.addComparable(parseInt(id), report.user_id, req.body);
+    if (!comparable) {
+      return res.status(404).json({
         success: false,
-        message: 'Report is incomplete',
-        errors: validation.errors
+        message: 'Comparable not found'
       });
     }
 
-    // Generate final PDF
-    const pdfBuffer = await reportsService.generateReportPDF(report, { isDraft: false });
+    res.status(201).json({
+      success: true,
+      message: 'Comparable added successfully',
+      data: comparable
+    });
+  } catch (error) {
+    logger.error('Error adding comparable:', error);
+    next(error);
+  }
+});
 
-    // Update report status
-    await reportsService.updateReportStatus(id, 'finalized');
+/**
+ * PUT /api/reports/:id/comparables/:comparableId
+ * Update a comparable and its adjustment for this report
+ */
+router.put('/:id/comparables/:comparableId', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('comparableId').isInt().withMessage('Comparable ID must be an integer'),
+  body('transaction_type').optional().isIn(['sale', 'listing']).withMessage('Invalid transaction type'),
+  body('transaction_date').optional().isISO8601().withMessage('Invalid transaction date'),
+  body('extent_perches').optional().isFloat({ gt: 0 }).withMessage('Extent in perches must be greater than zero'),
+  body('price').optional().isFloat({ gt: 0 }).withMessage('Price must be greater than zero'),
+  body('adjustment_percentage').optional().isFloat({ min: -100, max: 100 })
+    .withMessage('Adjustment must be between -100% and 100%'),
+  body('is_selected').optional().isBoolean(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id, comparableId } = req.params;
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="valuation-report-${report.report_reference}.pdf"`);
-    res.send(pdfBuffer);
+    const comparable = await comparablesService.updateComparable(parseInt(id), parseInt(comparableId), req.body);
+    if (!comparable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comparable not found'
+      });
+    }
 
-    logger.info(`Report finalized: ${id} - ${report.report_reference}`);
+    res.json({
+      success: true,
+      message: 'Comparable updated successfully',
+      data: comparable
+    });
   } catch (error) {
-    logger.error('Error finalizing report:', error);
+    logger.error('Error updating comparable:', error);
     next(error);
   }
 });
 
-// ===============================================
-// Template and Reference Data Routes
-// ===============================================
-
 /**
- * GET /api/reports/templates/:category
- * Get template options for dropdowns and auto-fill
+ * DELETE /api/reports/:id/comparables/:comparableId
+ * Remove a comparable from the report's evidence (the register entry is kept)
  */
-router.get('/templates/:category', async (req, res, next) => {
+router.delete('/:id/comparables/:comparableId', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('comparableId').isInt().withMessage('Comparable ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
   try {
-    const { category } = req.params;
-    const templates = await reportsService.getTemplates(category);
+    const { id, comparableId } = req.params;
+
+    const success = await comparablesService.removeComparable(parseInt(id), parseInt(comparableId));
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comparable not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: templates
+      message: 'Comparable removed successfully'
     });
   } catch (error) {
-    logger.error('Error fetching templates:', error);
+    logger.error('Error removing comparable:', error);
     next(error);
   }
 });
 
 /**
- * GET /api/reports/reference/sri-lankan-locations
- * Get Sri Lankan administrative divisions for dropdowns
+ * POST /api/reports/:id/comparables/rate-range
+ * Calculate the adjusted min/max rate from the selected comparables and
+ * save it to the report
  */
-router.get('/reference/sri-lankan-locations', [
-  query('type').optional().isIn(['province', 'district', 'city', 'pradeshiya_sabha']),
-  query('parent').optional(),
+router.post('/:id/comparables/rate-range', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
 ], async (req, res, next) => {
   try {
-    const { type, parent } = req.query;
-    const locations = await reportsService.getSriLankanLocations(type, parent);
+    const { id } = req.params;
+
+    const rateRange = await comparablesService.applyRateRange(parseInt(id), { userId: req.body.user_id });
 
     res.json({
       success: true,
-      data: locations
+      message: rateRange.count > 0
+        ? 'Rate range updated from selected comparables'
+        : 'No selected comparables to derive a rate range from',
+      data: rateRange
     });
   } catch (error) {
-    logger.error('Error fetching Sri Lankan locations:', error);
+    logger.error('Error calculating rate range:', error);
     next(error);
   }
 });
 
 // ===============================================
-// Image Management Routes
+// Valuation Calculation Routes (Section 11.0 & 12.0)
 // ===============================================
 
 /**
- * POST /api/reports/:id/images
- * Upload images for the report
+ * POST /api/reports/:id/calculate
+ * Calculate land, building, market and forced sale values and save them to
+ * the report. Pass persist: false to preview without saving.
  */
-router.post('/:id/images', [
+router.post('/:id/calculate', [
   param('id').isInt().withMessage('Report ID must be an integer'),
+  body('valuation_method').optional().isIn(['contractor_method', 'comparison_method'])
+    .withMessage('Invalid valuation method'),
+  body('land_rate').optional().isFloat({ min: 0 }),
+  body('building_rate').optional().isFloat({ min: 0 }),
+  body('depreciation_rate').optional().isFloat({ min: 0, max: 100 }),
+  body('comparison_rate').optional().isFloat({ min: 0 }),
+  body('forced_sale_percentage').optional().isFloat({ min: 1, max: 100 })
+    .withMessage('Forced sale percentage must be between 1 and 100'),
+  body('round_to').optional().isInt({ min: 0 }),
+  body('additional_components').optional().isArray(),
+  body('additional_components.*.description').optional().notEmpty(),
+  body('additional_components.*.value').optional().isFloat({ min: 0 }),
+  body('persist').optional().isBoolean(),
   validateRequest
 ], async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-  // Apply upload middleware
-  uploadMultiple('images', 10)(req, res, async (uploadErr) => {
-    if (uploadErr) {
-      return; // Error already handled by middleware
+    const result = await valuationService.calculateReportValuation(parseInt(id), req.body);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
     }
 
-    try {
-      const { id } = req.params;
-      const { category = 'general' } = req.body;
+    res.json({
+      success: true,
+      message: req.body.persist === false ? 'Valuation calculated' : 'Valuation calculated and saved',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error calculating valuation:', error);
+    next(error);
+  }
+});
 
-      if (!req.files || req.files.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No files uploaded'
-        });
+/**
+ * GET /api/reports/:id/investment
+ * Get the income capitalisation inputs and working for an investment report
+ */
+router.get('/:id/investment', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const inputs = await investmentService.getInvestmentInputs(parseInt(id));
+
+    res.json({
+      success: true,
+      data: {
+        inputs,
+        calculation: inputs ? investmentService.calculate(inputs) : null
       }
+    });
+  } catch (error) {
+    logger.error('Error fetching investment valuation:', error);
+    next(error);
+  }
+});
 
-      // Process uploaded files
-      const uploadedImages = [];
+/**
+ * PUT /api/reports/:id/investment
+ * Save rent, outgoings, yield and lease inputs, capitalise them and update
+ * the report's market and forced sale values
+ */
+router.put('/:id/investment', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('interest_type').optional().isIn(['freehold', 'leasehold']).withMessage('Invalid interest type'),
+  body('gross_monthly_rent').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('gross_annual_rent').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('outgoings_percentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  body('outgoings_amount').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('yield_rate').optional().isFloat({ gt: 0, max: 100 }).withMessage('Yield rate must be between 0 and 100'),
+  body('term_years').optional({ nullable: true }).isFloat({ gt: 0 }),
+  body('reversion_annual_rent').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('reversion_yield_rate').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }),
+  body('unexpired_term_years').optional({ nullable: true }).isFloat({ gt: 0 }),
+  body('ground_rent').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('use_dual_rate').optional().isBoolean(),
+  body('sinking_fund_rate').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }),
+  body('tax_rate').optional({ nullable: true }).isFloat({ min: 0, max: 99 }),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-      for (const file of req.files) {
-        // Optimize image (if optimization library is available)
-        const optimizedPath = await optimizeImage(file.path);
+    const report = await reportsService.getReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
 
-        // Save to database
-        const imageRecord = await reportsService.saveReportImage(parseInt(id), {
-          category,
-          filename: file.filename,
-          file_path: optimizedPath,
-          file_size: file.size,
-          mime_type: file.mimetype,
-          caption: req.body.caption || `${category.replace('_', ' ')} image`
-        });
+    const result = await investmentService.saveAndCalculate(parseInt(id), req.body, { userId: req.body.user_id });
 
-        uploadedImages.push({
-          ...imageRecord,
-          file_info: getFileInfo(file)
-        });
-      }
+    res.json({
+      success: true,
+      message: 'Investment valuation calculated and saved',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error saving investment valuation:', error);
+    next(error);
+  }
+});
 
-      res.json({
-        success: true,
-        message: `Successfully uploaded ${uploadedImages.length} images`,
-        data: {
-          report_id: parseInt(id),
-          uploaded_images: uploadedImages,
-          category
-        }
+/**
+ * POST /api/reports/:id/reinstatement
+ * Calculate the reinstatement cost schedule and save it as the insurance value
+ */
+router.post('/:id/reinstatement', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('floor_area').optional().isFloat({ gt: 0 }),
+  body('rates').optional().isObject(),
+  body('rates.*').optional().isFloat({ min: 0 }),
+  body('professional_fees_percentage').optional().isFloat({ min: 0, max: 50 }),
+  body('debris_removal_percentage').optional().isFloat({ min: 0, max: 50 }),
+  body('round_to').optional().isInt({ min: 0 }),
+  body('persist').optional().isBoolean(),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await reinstatementService.calculateReportReinstatement(parseInt(id), req.body);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
       });
-    } catch (error) {
-      logger.error('Error processing uploaded images:', error);
-      next(error);
     }
-  });
+
+    res.json({
+      success: true,
+      message: req.body.persist === false ? 'Reinstatement cost calculated' : 'Reinstatement cost calculated and saved',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error calculating reinstatement cost:', error);
+    next(error);
+  }
 });
 
 /**
- * POST /api/reports/:id/images/category
- * Upload images by category (multiple categories at once)
+ * GET /api/reports/reinstatement-rates/:user_id
+ * Get the reinstatement rate table (system rates plus the user's own)
  */
-router.post('/:id/images/category', [
-  param('id').isInt().withMessage('Report ID must be an integer'),
-  validateRequest
-], async (req, res, next) => {
-
-  // Apply upload middleware
-  uploadByCategory()(req, res, async (uploadErr) => {
-    if (uploadErr) {
-      return; // Error already handled by middleware
-    }
-
-    try {
-      const { id } = req.params;
-
-      if (!req.files || Object.keys(req.files).length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No files uploaded'
-        });
-      }
+router.get('/reinstatement-rates/:user_id', async (req, res, next) => {
+  try {
+    const { user_id } = req.params;
 
-      const results = {};
-      let totalUploaded = 0;
+    const rateTable = await reinstatementService.getRateTable(user_id);
 
-      // Process files by category
-      for (const [category, files] of Object.entries(req.files)) {
-        const categoryResults = [];
+    res.json({
+      success: true,
+      data: rateTable
+    });
+  } catch (error) {
+    logger.error('Error fetching reinstatement rates:', error);
+    next(error);
+  }
+});
 
-        for (const file of files) {
-          // Optimize image
-          const optimizedPath = await optimizeImage(file.path);
+/**
+ * PUT /api/reports/reinstatement-rates/:user_id
+ * Add or update the user's reinstatement rates and fee percentages
+ */
+router.put('/reinstatement-rates/:user_id', [
+  body('rates').optional().isArray(),
+  body('rates.*.building_type').notEmpty().withMessage('Building type is required'),
+  body('rates.*.element').isIn(['structure', 'roof', 'finishes', 'services']).withMessage('Invalid building element'),
+  body('rates.*.rate_per_sqft').isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+  body('professional_fees_percentage').optional().isFloat({ min: 0, max: 50 }),
+  body('debris_removal_percentage').optional().isFloat({ min: 0, max: 50 }),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id } = req.params;
 
-          // Save to database
-          const imageRecord = await reportsService.saveReportImage(parseInt(id), {
-            category,
-            filename: file.filename,
-            file_path: optimizedPath,
-            file_size: file.size,
-            mime_type: file.mimetype,
-            caption: req.body[`${category}_caption`] || `${category.replace('_', ' ')} image`
-          });
+    const rateTable = await reinstatementService.saveUserRates(user_id, req.body);
 
-          categoryResults.push({
-            ...imageRecord,
-            file_info: getFileInfo(file)
-          });
-        }
+    res.json({
+      success: true,
+      message: 'Reinstatement rates updated successfully',
+      data: rateTable
+    });
+  } catch (error) {
+    logger.error('Error saving reinstatement rates:', error);
+    next(error);
+  }
+});
 
-        results[category] = categoryResults;
-        totalUploaded += categoryResults.length;
-      }
+/**
+ * DELETE /api/reports/reinstatement-rates/:user_id/:rateId
+ * Delete one of the user's own reinstatement rates
+ */
+router.delete('/reinstatement-rates/:user_id/:rateId', [
+  param('rateId').isInt().withMessage('Rate ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { user_id, rateId } = req.params;
 
-      res.json({
-        success: true,
-        message: `Successfully uploaded ${totalUploaded} images across ${Object.keys(results).length} categories`,
-        data: {
-          report_id: parseInt(id),
-          results,
-          total_uploaded: totalUploaded
-        }
+    const success = await reinstatementService.deleteUserRate(user_id, parseInt(rateId));
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate not found'
       });
-    } catch (error) {
-      logger.error('Error processing categorized image upload:', error);
-      next(error);
     }
-  });
+
+    res.json({
+      success: true,
+      message: 'Reinstatement rate deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting reinstatement rate:', error);
+    next(error);
+  }
 });
 
 /**
- * GET /api/reports/:id/images
- * Get all images for a report
+ * GET /api/reports/:id/depreciation
+ * Suggested depreciation rate and working from building age, condition and type
  */
-router.get('/:id/images', [
+router.get('/:id/depreciation', [
   param('id').isInt().withMessage('Report ID must be an integer'),
-  query('category').optional(),
+  query('model').optional().isIn(['straight_line', 'reducing_balance', 'condition_adjusted']).withMessage('Invalid depreciation model'),
+  query('economic_life').optional().isInt({ min: 1, max: 200 }).withMessage('Economic life must be a whole number of years'),
   validateRequest
 ], async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { category } = req.query;
 
-    const images = await reportsService.getReportImages(parseInt(id), category);
+    const result = await depreciationService.getReportDepreciation(parseInt(id), {
+      model: req.query.model,
+      economic_life: req.query.economic_life
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: images
+      data: {
+        ...result,
+        models: depreciationService.getModels()
+      }
     });
   } catch (error) {
-    logger.error('Error fetching report images:', error);
+    logger.error('Error calculating depreciation:', error);
     next(error);
   }
 });
 
 /**
- * DELETE /api/reports/:id/images/:imageId
- * Delete a specific image
+ * PUT /api/reports/:id/depreciation
+ * Apply a depreciation model: saves the rate and the working for Section 12.1
+ * and recalculates the valuation
  */
-router.delete('/:id/images/:imageId', [
+router.put('/:id/depreciation', [
   param('id').isInt().withMessage('Report ID must be an integer'),
-  param('imageId').isInt().withMessage('Image ID must be an integer'),
+  body('model').isIn(['straight_line', 'reducing_balance', 'condition_adjusted']).withMessage('Invalid depreciation model'),
+  body('economic_life').optional().isInt({ min: 1, max: 200 }).withMessage('Economic life must be a whole number of years'),
   validateRequest
 ], async (req, res, next) => {
   try {
-    const { id, imageId } = req.params;
-
-    const success = await reportsService.deleteReportImage(parseInt(id), parseInt(imageId));
+    const { id } = req.params;
 
-    if (!success) {
+    const result = await depreciationService.getReportDepreciation(parseInt(id), {
+      model: req.body.model,
+      economic_life: req.body.economic_life,
+      apply: true,
+      userId: req.body.user_id
+    });
+    if (!result) {
       return res.status(404).json({
         success: false,
-        message: 'Image not found'
+        message: 'Report not found'
       });
     }
 
     res.json({
       success: true,
-      message: 'Image deleted successfully'
+      message: 'Depreciation applied successfully',
+      data: result
     });
   } catch (error) {
-    logger.error('Error deleting image:', error);
+    logger.error('Error applying depreciation:', error);
     next(error);
   }
 });
@@ -729,6 +2770,9 @@ router.post('/create-from-coordinates', [
   body('coordinates.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
   body('coordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
   body('report_type').optional().isIn(['mortgage', 'fair_value', 'insurance', 'investment']),
+  validateLayoutKey,
+  ...validateClientLink(),
+  body('save_client').optional().isBoolean().toBoolean(),
   validateRequest
 ], async (req, res, next) => {
   try {
@@ -879,6 +2923,49 @@ router.post('/analyze-location', [
   }
 });
 
+/**
+ * GET /api/reports/:id/location-sketch
+ * Location sketch drawn from the report's GPS coordinates, nearby towns and
+ * facilities, without a map tile service. PNG labels in Sinhala or Tamil
+ * need the Noto fonts installed on the server; the SVG carries its own.
+ */
+router.get('/:id/location-sketch', [
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  query('format').optional().isIn(['svg', 'png']),
+  query('lang').optional().isIn(reportLanguageService.getLanguageCodes()),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const report = await reportsService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const locationContext = await reportsService.getAnnexureLocationContext(report);
+    const svg = await locationSketchService.generateForReport(report, locationContext, { language: req.query.lang });
+    if (!svg) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report has no GPS coordinates for a location sketch'
+      });
+    }
+
+    if (req.query.format === 'png') {
+      res.setHeader('Content-Type', 'image/png');
+      return res.send(await locationSketchService.toPNG(svg));
+    }
+
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.send(svg);
+  } catch (error) {
+    logger.error('Error generating location sketch:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/reports/:id/route-data
  * Get route information for AI enhancement
@@ -947,6 +3034,24 @@ router.get('/analytics/costs/:user_id', [
   }
 });
 
+/**
+ * GET /api/reports/analytics/income/:user_id
+ * Get invoiced and received fees by month and by client
+ */
+router.get('/analytics/income/:user_id', authenticate, requireProfileOwner, async (req, res, next) => {
+  try {
+    const analytics = await invoiceService.getIncomeAnalytics(req.params.user_id);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    logger.error('Error fetching income analytics:', error);
+    next(error);
+  }
+});
+
 // ===============================================
 // Dashboard and Analytics Routes
 // ===============================================
@@ -1044,7 +3149,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('search').optional().isString(),
-  query('status').optional().isIn(['all', 'draft', 'completed', 'archived']),
+  query('status').optional().isIn(['all', 'completed', 'archived', ...workflowService.getStatuses()]),
   query('district').optional().isString(),
   query('sortBy').optional().isIn(['created_at', 'market_value', 'village_name']),
   query('sortOrder').optional().isIn(['asc', 'desc']),
@@ -1104,10 +3209,17 @@ router.get('/', [
 
 /**
  * GET /api/reports/:id/pdf
- * Download PDF for a completed report
+ * Download PDF for a completed report, optionally in another language
+ * (?lang=en|si|ta) and with other print options (?running_header=,
+ * ?toc=, ?distinct_first_page=, ?pdfa=). Finalized reports are PDF/A-2b
+ * unless ?pdfa=false.
  */
 router.get('/:id/pdf', [
+  authenticate,
   param('id').isInt().withMessage('Report ID must be an integer'),
+  query('lang').optional().isIn(reportLanguageService.getLanguageCodes())
+    .withMessage('Language must be one of: ' + reportLanguageService.getLanguageCodes().join(', ')),
+  ...validateRenderOptions(query),
   validateRequest
 ], async (req, res, next) => {
   try {
@@ -1124,26 +3236,46 @@ router.get('/:id/pdf', [
     }
 
     // Check ownership
-    if (report.user_id !== userId) {
+    if (!isOwner(req, report.user_id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Check if report is completed
-    if (report.status !== 'completed') {
+    // Check if report has been signed off
+    if (report.status !== 'approved' && report.status !== 'finalized') {
       return res.status(400).json({
         success: false,
-        message: 'PDF is only available for completed reports'
+        message: 'PDF is only available for approved or finalized reports'
       });
     }
 
-    const pdfBuffer = await reportsService.generateReportPDF(report, { isDraft: false });
+    // Finalized reports are served exactly as issued. A copy in another
+    // language is rendered separately and is not the signed, verifiable issue.
+    const language = req.query.lang;
+    const translated = language && language !== reportLanguageService.resolve(report.language);
+    const issue = report.status === 'finalized' && !translated ? await verificationService.getCurrentIssue(id) : null;
+    const render = { pdfa: report.status === 'finalized', ...pickRenderOptions(req.query) };
+    const stored = issue ? null : await pdfJobService.getStoredPDF(report, { language, render });
+
+    // Versions not rendered yet are queued; poll the job and download it when done
+    if (!issue && !stored) {
+      const job = await pdfJobService.requestPDF(report, { language, render, userId });
+      res.setHeader('Location', `/api/reports/${id}/pdf-jobs/${job.id}`);
+      return res.status(202).json({
+        success: true,
+        message: 'PDF generation queued',
+        data: job
+      });
+    }
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="valuation-report-${report.report_reference}.pdf"`);
-    res.send(pdfBuffer);
+    if (stored) {
+      res.setHeader('X-Checksum-SHA256', stored.file.checksum);
+    }
+    res.send(issue ? issue.pdf_data : stored.data);
 
   } catch (error) {
     logger.error('Error downloading PDF:', error);
@@ -1151,6 +3283,153 @@ router.get('/:id/pdf', [
   }
 });
 
+// The report's PDF job when both belong to the signed-in user; otherwise
+// answers 403/404 and returns no job
+const getOwnedPDFJob = async (req, res) => {
+  const report = await reportsService.getReport(req.params.id);
+
+  if (report && !isOwner(req, report.user_id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return {};
+  }
+
+  const job = report ? await pdfJobService.getJob(report.id, req.params.jobId) : null;
+  if (!job || (job.user_id && !isOwner(req, job.user_id))) {
+    res.status(404).json({
+      success: false,
+      message: 'PDF job not found'
+    });
+    return {};
+  }
+
+  return { report, job };
+};
+
+/**
+ * POST /api/reports/:id/pdf-jobs
+ * Queue a PDF of the report as it is now, with the same print options and
+ * PDF/A default as GET /pdf in the body. A version already rendered returns a completed job
+ * straight away.
+ */
+router.post('/:id/pdf-jobs', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  body('lang').optional().isIn(reportLanguageService.getLanguageCodes())
+    .withMessage('Language must be one of: ' + reportLanguageService.getLanguageCodes().join(', ')),
+  ...validateRenderOptions(body),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user?.id;
+
+    const report = await reportsService.getReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    // Check ownership
+    if (!isOwner(req, report.user_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (report.status !== 'approved' && report.status !== 'finalized') {
+      return res.status(400).json({
+        success: false,
+        message: 'PDF is only available for approved or finalized reports'
+      });
+    }
+
+    const job = await pdfJobService.requestPDF(report, {
+      language: req.body.lang,
+      render: { pdfa: report.status === 'finalized', ...pickRenderOptions(req.body) },
+      userId
+    });
+
+    res.status(job.status === 'completed' ? 200 : 202).json({
+      success: true,
+      message: job.status === 'completed' ? 'PDF already generated' : 'PDF generation queued',
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error queuing PDF job:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/pdf-jobs/:jobId
+ * Poll a PDF job
+ */
+router.get('/:id/pdf-jobs/:jobId', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('jobId').isInt().withMessage('Job ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { job } = await getOwnedPDFJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error fetching PDF job:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/:id/pdf-jobs/:jobId/download
+ * Download the PDF a completed job produced
+ */
+router.get('/:id/pdf-jobs/:jobId/download', [
+  authenticate,
+  param('id').isInt().withMessage('Report ID must be an integer'),
+  param('jobId').isInt().withMessage('Job ID must be an integer'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { report, job } = await getOwnedPDFJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: `PDF job is ${job.status}`,
+        data: job
+      });
+    }
+
+    const stored = await pdfJobService.getJobFile(job);
+    if (!stored) {
+      return res.status(410).json({
+        success: false,
+        message: 'Stored PDF is no longer available; queue the report again'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="valuation-report-${report.report_reference || req.params.id}.pdf"`);
+    res.setHeader('X-Checksum-SHA256', stored.file.checksum);
+    res.send(stored.data);
+  } catch (error) {
+    logger.error('Error downloading PDF job:', error);
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/reports/:id
  * Delete a report
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validateRequest');
+const verificationService = require('../services/verificationService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/verify/:reference
+ * Public check that a finalized report was issued by us and not altered.
+ * ?code= is the verification code printed in the report footer, which is
+ * required, and ?hash= the SHA-256 of the holder's PDF copy.
+ */
+router.get('/:reference(*)', [
+  param('reference').trim().notEmpty().isLength({ max: 100 }),
+  query('code').isString().trim().notEmpty().withMessage('Verification code is required').isLength({ max: 20 }),
+  query('hash').optional().isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Hash must be a SHA-256 hex digest'),
+  validateRequest
+], async (req, res, next) => {
+  try {
+    const { reference } = req.params;
+    const { code, hash } = req.query;
+
+    const verification = await verificationService.verify(reference, { code, hash });
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        verified: false,
+        message: 'No issued report matches this reference and code'
+      });
+    }
+
+    res.json({
+      success: true,
+      verified: verification.hash_matches !== false && verification.data_unchanged,
+      data: verification
+    });
+  } catch (error) {
+    logger.error('Error verifying report:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -21,12 +21,15 @@ const poiRoutes = require('./routes/poi');
 const navigationRoutes = require('./routes/navigation');
 const healthRoutes = require('./routes/health');
 const reportsRoutes = require('./routes/reports');
+const verifyRoutes = require('./routes/verify');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { validateRequest } = require('./middleware/validateRequest');
 const SecurityMiddleware = require('./middleware/security');
 const monitoringService = require('./services/monitoringService');
+const pdfJobService = require('./services/pdfJobService');
+const browserPoolService = require('./services/browserPoolService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -95,6 +98,7 @@ app.use('/api/location', locationRoutes);
 app.use('/api/poi', poiRoutes);
 app.use('/api/navigation', navigationRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/verify', verifyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -121,12 +125,12 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
+  browserPoolService.shutdown().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
+  browserPoolService.shutdown().finally(() => process.exit(0));
 });
 
 // Start server
@@ -134,6 +138,9 @@ if (require.main === module) {
   app.listen(PORT, () => {
     logger.info(`Location Intelligence API server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV}`);
+
+    // PDF jobs interrupted by the last shutdown
+    pdfJobService.recoverJobs();
   });
 }
 
@@ -0,0 +1,241 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Report value fields and the words column generated for each
+const VALUE_WORD_FIELDS = {
+  market_value: 'market_value_words',
+  forced_sale_value: 'forced_sale_value_words',
+  insurance_value: 'insurance_value_words'
+};
+
+const SCALES = {
+  million: [
+    { key: 'billion', value: 1000000000 },
+    { key: 'million', value: 1000000 },
+    { key: 'thousand', value: 1000 }
+  ],
+  lakh: [
+    { key: 'crore', value: 10000000 },
+    { key: 'lakh', value: 100000 },
+    { key: 'thousand', value: 1000 }
+  ]
+};
+
+// Sinhala and Tamil readers expect lakhs and crores; English reports use millions
+const DEFAULT_GROUPING = { en: 'million', si: 'lakh', ta: 'lakh' };
+
+// ===============================================
+// English
+// ===============================================
+
+const english = {
+  units: ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'],
+  teens: ['Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'],
+  tens: ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'],
+  scales: { billion: 'Billion', million: 'Million', thousand: 'Thousand', crore: 'Crore', lakh: 'Lakh' },
+
+  below1000(n) {
+    const words = [];
+    if (n >= 100) {
+      // British usage: "Two Hundred and Fifty"
+      words.push(`${this.units[Math.floor(n / 100)]} Hundred${n % 100 ? ' and' : ''}`);
+      n %= 100;
+    }
+    if (n >= 20) {
+      words.push(this.tens[Math.floor(n / 10)]);
+      n %= 10;
+    } else if (n >= 10) {
+      words.push(this.teens[n - 10]);
+      n = 0;
+    }
+    if (n > 0) {
+      words.push(this.units[n]);
+    }
+    return words.join(' ');
+  },
+
+  scale(countWords, count, key) {
+    // Lakhs and Crores take the plural, as in "Fifty Lakhs"
+    const plural = count > 1 && (key === 'lakh' || key === 'crore') ? 's' : '';
+    return `${countWords} ${this.scales[key]}${plural}`;
+  },
+
+  zero: 'Zero',
+  join: parts => parts.join(' '),
+  // Closed with "/=" as the figures are, so nothing can be added after
+  rupees: (words, cents) => `Rupees ${words}${cents ? ` and Cents ${cents}` : ''} Only/=`
+};
+
+// ===============================================
+// Sinhala
+// ===============================================
+
+// Sinhala compounds a number with the word that follows it, using a
+// combining form (පන් + දහස = පන්දහස). The standalone form is only used
+// for the last word of the amount.
+const sinhala = {
+  units: ['', 'එක', 'දෙක', 'තුන', 'හතර', 'පහ', 'හය', 'හත', 'අට', 'නවය'],
+  unitsCombining: ['', 'එක්', 'දෙ', 'තුන්', 'හාර', 'පන්', 'හය', 'හත්', 'අට', 'නව'],
+  teens: ['දහය', 'එකොළහ', 'දොළහ', 'දහතුන', 'දහහතර', 'පහළොව', 'දහසය', 'දහහත', 'දහඅට', 'දහනවය'],
+  teensCombining: ['දස', 'එකොළොස්', 'දොළොස්', 'දහතුන්', 'දහහතර', 'පහළොස්', 'දහසය', 'දහහත්', 'දහඅට', 'දහනව'],
+  tens: ['', '', 'විස්ස', 'තිහ', 'හතළිහ', 'පනහ', 'හැට', 'හැත්තෑව', 'අසූව', 'අනූව'],
+  tensCombining: ['', '', 'විසි', 'තිස්', 'හතළිස්', 'පනස්', 'හැට', 'හැත්තෑ', 'අසූ', 'අනූ'],
+  scales: { billion: 'බිලියනය', million: 'මිලියනය', thousand: 'දහස', crore: 'කෝටිය', lakh: 'ලක්ෂය' },
+  scalesCombining: { billion: 'බිලියන', million: 'මිලියන', thousand: 'දහස්', crore: 'කෝටි', lakh: 'ලක්ෂ' },
+
+  below100(n, final) {
+    if (n < 10) return final ? this.units[n] : this.unitsCombining[n];
+    if (n < 20) return final ? this.teens[n - 10] : this.teensCombining[n - 10];
+
+    const ten = Math.floor(n / 10);
+    const unit = n % 10;
+    if (unit === 0) return final ? this.tens[ten] : this.tensCombining[ten];
+    return this.tensCombining[ten] + (final ? this.units[unit] : this.unitsCombining[unit]);
+  },
+
+  below1000(n, final) {
+    const hundred = Math.floor(n / 100);
+    const rest = n % 100;
+    if (!hundred) return this.below100(rest, final);
+
+    const hundreds = `${hundred === 1 ? 'එක' : this.unitsCombining[hundred]}සිය`;
+    if (!rest) return final ? `${hundreds}ය` : hundreds;
+    return `${hundreds} ${this.below100(rest, final)}`;
+  },
+
+  scale(countWords, count, key, final) {
+    return countWords + (final ? this.scales[key] : this.scalesCombining[key]);
+  },
+
+  zero: 'බිංදුව',
+  join: parts => parts.join(' '),
+  rupees: (words, cents) => `රුපියල් ${words}${cents ? ` සහ ශත ${cents}` : ''} පමණි`
+};
+
+// ===============================================
+// Tamil
+// ===============================================
+
+// Tamil uses a linking form (நூற்று, ஆயிரத்து) when more of the amount follows
+const tamil = {
+  units: ['', 'ஒன்று', 'இரண்டு', 'மூன்று', 'நான்கு', 'ஐந்து', 'ஆறு', 'ஏழு', 'எட்டு', 'ஒன்பது'],
+  teens: ['பத்து', 'பதினொன்று', 'பன்னிரண்டு', 'பதின்மூன்று', 'பதினான்கு', 'பதினைந்து', 'பதினாறு', 'பதினேழு', 'பதினெட்டு', 'பத்தொன்பது'],
+  tens: ['', '', 'இருபது', 'முப்பது', 'நாற்பது', 'ஐம்பது', 'அறுபது', 'எழுபது', 'எண்பது', 'தொண்ணூறு'],
+  tensLinking: ['', '', 'இருபத்து', 'முப்பத்து', 'நாற்பத்து', 'ஐம்பத்து', 'அறுபத்து', 'எழுபத்து', 'எண்பத்து', 'தொண்ணூற்று'],
+  hundreds: ['', 'நூறு', 'இருநூறு', 'முந்நூறு', 'நானூறு', 'ஐந்நூறு', 'அறுநூறு', 'எழுநூறு', 'எண்ணூறு', 'தொள்ளாயிரம்'],
+  hundredsLinking: ['', 'நூற்று', 'இருநூற்று', 'முந்நூற்று', 'நானூற்று', 'ஐந்நூற்று', 'அறுநூற்று', 'எழுநூற்று', 'எண்ணூற்று', 'தொள்ளாயிரத்து'],
+  scales: { billion: 'பில்லியன்', million: 'மில்லியன்', thousand: 'ஆயிரம்', crore: 'கோடி', lakh: 'இலட்சம்' },
+  scalesLinking: { billion: 'பில்லியன்', million: 'மில்லியன்', thousand: 'ஆயிரத்து', crore: 'கோடியே', lakh: 'இலட்சத்து' },
+
+  below100(n) {
+    if (n < 10) return this.units[n];
+    if (n < 20) return this.teens[n - 10];
+
+    const ten = Math.floor(n / 10);
+    const unit = n % 10;
+    return unit === 0 ? this.tens[ten] : `${this.tensLinking[ten]} ${this.units[unit]}`;
+  },
+
+  below1000(n) {
+    const hundred = Math.floor(n / 100);
+    const rest = n % 100;
+    if (!hundred) return this.below100(rest);
+    if (!rest) return this.hundreds[hundred];
+    return `${this.hundredsLinking[hundred]} ${this.below100(rest)}`;
+  },
+
+  scale(countWords, count, key, final) {
+    const scaleWord = final ? this.scales[key] : this.scalesLinking[key];
+    if (count === 1) {
+      return key === 'thousand' ? scaleWord : `ஒரு ${scaleWord}`;
+    }
+    return `${countWords} ${scaleWord}`;
+  },
+
+  zero: 'பூஜ்ஜியம்',
+  join: parts => parts.join(' '),
+  rupees: (words, cents) => `ரூபாய் ${words}${cents ? ` மற்றும் ${cents} சதம்` : ''} மட்டும்`
+};
+
+const LANGUAGES = { en: english, si: sinhala, ta: tamil };
+
+class AmountInWordsService {
+  getLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Whole number in words. final marks the last words of the amount, which
+   * Sinhala and Tamil inflect differently from words that are followed by more.
+   */
+  integerToWords(n, language = 'en', grouping = DEFAULT_GROUPING[language], final = true) {
+    const lang = LANGUAGES[language];
+    if (n === 0) return lang.zero;
+
+    const parts = [];
+    let remainder = n;
+
+    for (const { key, value } of SCALES[grouping]) {
+      if (remainder >= value) {
+        const count = Math.floor(remainder / value);
+        remainder %= value;
+        const isLast = final && remainder === 0;
+        parts.push(lang.scale(this.integerToWords(count, language, grouping, false), count, key, isLast));
+      }
+    }
+
+    if (remainder > 0) {
+      parts.push(lang.below1000(remainder, final));
+    }
+
+    return lang.join(parts);
+  }
+
+  /**
+   * Rupee amount in words, e.g. "Rupees Fifteen Million Five Hundred
+   * Thousand Only/=". Cents are added when the amount has them.
+   */
+  toWords(amount, options = {}) {
+    const language = options.language || 'en';
+    if (!LANGUAGES[language]) {
+      throw ValidationError(`Unsupported language: ${language}`, 'language');
+    }
+
+    const grouping = options.grouping || DEFAULT_GROUPING[language];
+    if (!SCALES[grouping]) {
+      throw ValidationError(`Unsupported grouping: ${grouping}`, 'grouping');
+    }
+
+    const value = parseFloat(amount);
+    if (isNaN(value) || value < 0) {
+      throw ValidationError('Amount must be a positive number', 'amount');
+    }
+
+    const totalCents = Math.round(value * 100);
+    const rupees = Math.floor(totalCents / 100);
+    const cents = totalCents % 100;
+
+    return LANGUAGES[language].rupees(
+      this.integerToWords(rupees, language, grouping),
+      cents ? this.integerToWords(cents, language, grouping) : null
+    );
+  }
+
+  /**
+   * Words columns for the value fields present in a report update, so the
+   * words written to the report always match the figures
+   */
+  generateValueWords(values, options = {}) {
+    const words = {};
+
+    Object.keys(VALUE_WORD_FIELDS).forEach(field => {
+      if (values[field] === undefined) return;
+
+      const amount = parseFloat(values[field]);
+      words[VALUE_WORD_FIELDS[field]] = isNaN(amount) ? null : this.toWords(amount, options);
+    });
+
+    return words;
+  }
+}
+
+module.exports = new AmountInWordsService();
@@ -0,0 +1,136 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Annexures printed after the certification, in this order unless the
+// report has its own (valuation_reports.annexure_order)
+const DEFAULT_ORDER = ['location_sketch', 'route_map', 'survey_plan', 'deed', 'photographs'];
+
+// report_images categories each image annexure is built from
+const IMAGE_ANNEXURES = {
+  location_sketch: ['location_maps'],
+  survey_plan: ['survey_plan'],
+  deed: ['deed']
+};
+
+// Photograph pages, one group per category
+const PHOTOGRAPH_CATEGORIES = ['land_views', 'boundaries', 'building_exterior', 'building_interior'];
+
+// What locationReportService stores when the route lookup failed
+const UNAVAILABLE_ROUTE = /unavailable/i;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+class AnnexureService {
+  getTypes() {
+    return DEFAULT_ORDER;
+  }
+
+  /**
+   * The report's annexure order, or the default
+   */
+  getOrder(report) {
+    const order = typeof report.annexure_order === 'string'
+      ? JSON.parse(report.annexure_order)
+      : report.annexure_order;
+
+    return Array.isArray(order) ? order.filter(key => DEFAULT_ORDER.includes(key)) : DEFAULT_ORDER;
+  }
+
+  /**
+   * Check an order sent by the valuer. Annexures left out are not printed.
+   */
+  normalizeOrder(order) {
+    if (!Array.isArray(order)) {
+      throw ValidationError('Annexure order must be a list', 'order');
+    }
+
+    order.forEach(key => {
+      if (!DEFAULT_ORDER.includes(key)) {
+        throw ValidationError(`Unknown annexure: ${key}`, 'order');
+      }
+    });
+
+    if (new Set(order).size !== order.length) {
+      throw ValidationError('Each annexure can only be listed once', 'order');
+    }
+
+    return order;
+  }
+
+  // ===============================================
+  // Assembly
+  // ===============================================
+
+  /**
+   * Annexures with something to print, lettered in order. Images come
+   * from report.images; the route map from the report's location context
+   * (the data behind GET /:id/route-data). The location sketch falls back
+   * to the generated sketch when no location map was uploaded.
+   */
+  buildAnnexures(report, locationContext = null, locationSketch = null) {
+    const images = report.images || [];
+
+    const annexures = this.getOrder(report).map(key => {
+      if (IMAGE_ANNEXURES[key]) {
+        const items = images.filter(img => IMAGE_ANNEXURES[key].includes(img.category));
+        if (items.length === 0 && key === 'location_sketch' && locationSketch) {
+          items.push({ url: locationSketch, caption: null });
+        }
+        return items.length > 0 ? { key, images: items, count: items.length } : null;
+      }
+
+      if (key === 'photographs') {
+        const groups = PHOTOGRAPH_CATEGORIES
+          .map(category => ({ category, images: images.filter(img => img.category === category) }))
+          .filter(group => group.images.length > 0);
+        const count = groups.reduce((total, group) => total + group.images.length, 0);
+        return count > 0 ? { key, groups, count } : null;
+      }
+
+      const route = this.getRoute(locationContext);
+      return route ? { key, route, count: route.steps.length } : null;
+    }).filter(Boolean);
+
+    return annexures.map((annexure, index) => ({ ...annexure, letter: LETTERS[index] }));
+  }
+
+  /**
+   * Route from the nearest major city, split into numbered steps
+   */
+  getRoute(locationContext) {
+    if (!locationContext) return null;
+
+    const instructions = locationContext.route_instructions || '';
+    const steps = UNAVAILABLE_ROUTE.test(instructions)
+      ? []
+      : instructions.split(/\.\s+/).map(step => step.trim().replace(/\.$/, '')).filter(Boolean);
+
+    if (steps.length === 0) {
+      return null;
+    }
+
+    return {
+      from: locationContext.nearest_major_city || null,
+      distance_km: parseFloat(locationContext.route_distance_km) || null,
+      duration: this.formatDuration(locationContext.route_duration),
+      quality: locationContext.route_quality || null,
+      steps
+    };
+  }
+
+  /**
+   * Route durations are stored as the routing API returned them ("1830s")
+   */
+  formatDuration(duration) {
+    const match = /^(\d+)s$/.exec(duration || '');
+    if (!match) {
+      return duration || null;
+    }
+
+    const minutes = Math.round(parseInt(match[1]) / 60);
+    return minutes >= 60
+      ? `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+      : `${minutes} min`;
+  }
+}
+
+module.exports = new AnnexureService();
@@ -0,0 +1,352 @@
+const puppeteer = require('puppeteer');
+const logger = require('../utils/logger');
+const { AppError, ErrorTypes } = require('../middleware/errorHandler');
+
+// How long an idle browser has to answer a health check
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * A fixed set of Chromium workers that render pages for PDF generation.
+ * Renders beyond the worker count wait in a bounded queue; each render has
+ * a deadline covering its wait and the render itself. Browsers are launched
+ * when first needed, health-checked while idle, and relaunched when they
+ * crash, fail a check or overrun a deadline.
+ */
+class BrowserPoolService {
+  constructor() {
+    this.size = readInt(process.env.PDF_BROWSER_WORKERS, 2);
+    this.queueLimit = readInt(process.env.PDF_QUEUE_LIMIT, 20);
+    this.jobTimeout = readInt(process.env.PDF_JOB_TIMEOUT_MS, 60000);
+    this.healthCheckInterval = readInt(process.env.PDF_HEALTH_CHECK_MS, 30000);
+    this.launcher = options => puppeteer.launch(options);
+    this.reset();
+  }
+
+  reset() {
+    this.workers = [];
+    this.queue = [];
+    this.healthTimer = null;
+    this.closing = false;
+    this.counters = { completed: 0, failed: 0, timed_out: 0, relaunches: 0 };
+  }
+
+  getLaunchOptions() {
+    // Railway/Docker optimized browser configuration
+    const browserOptions = {
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor',
+        '--run-all-compositor-stages-before-draw',
+        '--disable-background-timer-throttling',
+        '--disable-renderer-backgrounding',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-ipc-flooding-protection'
+      ]
+    };
+
+    // Use system Chromium if available (Railway/Docker)
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+      browserOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    }
+
+    return browserOptions;
+  }
+
+  // ===============================================
+  // Workers
+  // ===============================================
+
+  ensureWorkers() {
+    while (this.workers.length < this.size) {
+      this.workers.push({
+        id: this.workers.length + 1,
+        browser: null,
+        launching: null,
+        busy: false,
+        jobs: 0,
+        relaunches: 0,
+        launched_at: null,
+        checked_at: null
+      });
+    }
+
+    if (!this.healthTimer) {
+      this.healthTimer = setInterval(() => this.checkWorkers(), this.healthCheckInterval);
+      this.healthTimer.unref();
+    }
+  }
+
+  /**
+   * The worker's browser, launching one if it has none. Concurrent callers
+   * share the same launch.
+   */
+  async launchWorker(worker) {
+    if (worker.browser) return worker.browser;
+
+    if (!worker.launching) {
+      worker.launching = this.launcher(this.getLaunchOptions())
+        .then(browser => {
+          worker.browser = browser;
+          worker.launched_at = new Date();
+          browser.on('disconnected', () => this.handleDisconnect(worker, browser));
+          logger.info(`PDF browser worker ${worker.id} launched`);
+          return browser;
+        })
+        .catch(error => {
+          logger.error(`Failed to launch PDF browser worker ${worker.id}:`, error);
+          throw error;
+        })
+        .finally(() => {
+          worker.launching = null;
+        });
+    }
+
+    return worker.launching;
+  }
+
+  handleDisconnect(worker, browser) {
+    // Closed on purpose, or already replaced
+    if (worker.browser !== browser || this.closing) return;
+
+    logger.warn(`PDF browser worker ${worker.id} disconnected; relaunching`);
+    this.relaunch(worker);
+  }
+
+  /**
+   * Throw away the worker's browser and start a fresh one. A render still
+   * running on the old browser fails when it closes.
+   */
+  async relaunch(worker) {
+    const browser = worker.browser;
+    worker.browser = null;
+    worker.relaunches++;
+    this.counters.relaunches++;
+
+    if (browser) {
+      await browser.close().catch(error => {
+        logger.warn(`PDF browser worker ${worker.id} did not close cleanly: ${error.message}`);
+      });
+    }
+
+    if (this.closing) return;
+
+    try {
+      await this.launchWorker(worker);
+    } catch (error) {
+      // Retried on the worker's next render or health check
+    } finally {
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Ask each idle browser for its version; relaunch the ones that do not
+   * answer in time and the ones that failed to launch
+   */
+  async checkWorkers() {
+    const idle = this.workers.filter(worker => !worker.busy && !worker.launching);
+
+    await Promise.all(idle.map(async worker => {
+      if (!worker.browser) {
+        if (worker.launched_at) {
+          await this.relaunch(worker);
+        }
+        return;
+      }
+
+      try {
+        await this.withTimeout(worker.browser.version(), HEALTH_CHECK_TIMEOUT);
+        worker.checked_at = new Date();
+      } catch (error) {
+        logger.warn(`PDF browser worker ${worker.id} failed its health check; relaunching`);
+        await this.relaunch(worker);
+      }
+    }));
+  }
+
+  withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // ===============================================
+  // Jobs
+  // ===============================================
+
+  /**
+   * Run task(page) on a fresh page of the next free browser. The page is
+   * closed afterwards. Rejects with 503 when the queue is full and 504 when
+   * the job misses its deadline.
+   */
+  run(task, { timeout = this.jobTimeout } = {}) {
+    if (this.closing) {
+      return Promise.reject(new AppError('PDF rendering is shutting down', 503, ErrorTypes.PDF_GENERATION_ERROR));
+    }
+
+    this.ensureWorkers();
+
+    const idle = this.workers.some(worker => !worker.busy);
+    if (!idle && this.queue.length >= this.queueLimit) {
+      return Promise.reject(new AppError(
+        'PDF rendering is busy, please try again shortly',
+        503,
+        ErrorTypes.PDF_GENERATION_ERROR
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { task, resolve, reject, worker: null, settled: false };
+      job.timer = setTimeout(() => this.expire(job, timeout), timeout);
+
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.workers.find(candidate => !candidate.busy);
+      if (!worker) return;
+
+      this.execute(worker, this.queue.shift());
+    }
+  }
+
+  async execute(worker, job) {
+    worker.busy = true;
+    job.worker = worker;
+    let page = null;
+    let outcome;
+
+    try {
+      const browser = await this.launchWorker(worker);
+      if (!job.settled) {
+        page = await browser.newPage();
+        outcome = { result: await job.task(page) };
+      }
+    } catch (error) {
+      outcome = { error };
+    }
+
+    // Free the worker before the caller carries on
+    if (page) {
+      await page.close().catch(() => {});
+    }
+    worker.jobs++;
+    worker.busy = false;
+
+    if (outcome && this.settle(job, outcome.error, outcome.result)) {
+      this.counters[outcome.error ? 'failed' : 'completed']++;
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Resolve or reject a job once; false when it was already settled
+   */
+  settle(job, error, result) {
+    if (job.settled) return false;
+
+    job.settled = true;
+    clearTimeout(job.timer);
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+    return true;
+  }
+
+  expire(job, timeout) {
+    if (job.settled) return;
+
+    const position = this.queue.indexOf(job);
+    if (position !== -1) {
+      this.queue.splice(position, 1);
+    }
+
+    this.counters.timed_out++;
+    this.settle(job, new AppError(
+      `PDF rendering timed out after ${timeout}ms`,
+      504,
+      ErrorTypes.PDF_GENERATION_ERROR
+    ));
+
+    // A render that overran may have left its browser hung
+    if (job.worker) {
+      logger.warn(`PDF render on worker ${job.worker.id} timed out; relaunching`);
+      this.relaunch(job.worker);
+    }
+  }
+
+  // ===============================================
+  // Status and Shutdown
+  // ===============================================
+
+  getStats() {
+    const busy = this.workers.filter(worker => worker.busy).length;
+    const running = this.workers.filter(worker => worker.browser).length;
+
+    return {
+      status: this.workers.some(worker => worker.launched_at && !worker.browser && !worker.launching)
+        ? 'degraded'
+        : 'healthy',
+      workers: this.size,
+      running,
+      busy,
+      idle: this.size - busy,
+      queue_depth: this.queue.length,
+      queue_limit: this.queueLimit,
+      job_timeout_ms: this.jobTimeout,
+      ...this.counters,
+      worker_details: this.workers.map(worker => ({
+        id: worker.id,
+        running: !!worker.browser,
+        busy: worker.busy,
+        jobs: worker.jobs,
+        relaunches: worker.relaunches,
+        launched_at: worker.launched_at,
+        checked_at: worker.checked_at
+      }))
+    };
+  }
+
+  /**
+   * Fail queued jobs and close every browser
+   */
+  async shutdown() {
+    this.closing = true;
+    clearInterval(this.healthTimer);
+
+    this.queue.splice(0).forEach(job => {
+      this.settle(job, new AppError('PDF rendering is shutting down', 503, ErrorTypes.PDF_GENERATION_ERROR));
+    });
+
+    await Promise.all(this.workers.map(async worker => {
+      const browser = worker.browser || await worker.launching?.catch(() => null);
+      worker.browser = null;
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }));
+
+    logger.info('PDF browser pool closed');
+    this.reset();
+  }
+}
+
+module.exports = new BrowserPoolService();
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { AppError, ValidationError } = require('../middleware/errorHandler');
+
+class CertificateService {
+  // ===============================================
+  // Encryption
+  // ===============================================
+
+  getEncryptionKey() {
+    const secret = process.env.CERTIFICATE_ENCRYPTION_KEY;
+    if (!secret) {
+      throw new AppError('Certificate storage is not configured', 500);
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return { encrypted, iv, authTag: cipher.getAuthTag() };
+  }
+
+  decrypt({ encrypted, iv, authTag }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+
+  // ===============================================
+  // Certificates
+  // ===============================================
+
+  /**
+   * Open a PKCS#12 file and read its signing certificate. Rejects files
+   * without a private key, a wrong passphrase and expired certificates.
+   */
+  parseCertificate(p12Buffer, passphrase = '') {
+    let p12;
+    try {
+      const asn1 = forge.asn1.fromDer(forge.util.createBuffer(p12Buffer.toString('binary')));
+      p12 = forge.pkcs12.pkcs12FromAsn1(asn1, passphrase);
+    } catch (error) {
+      throw ValidationError('Certificate could not be opened; check the file and passphrase', 'certificate');
+    }
+
+    const bags = bagType => p12.getBags({ bagType })[bagType] || [];
+    const certBags = bags(forge.pki.oids.certBag);
+    // Keys may be stored encrypted or, in files protected only by the container, as plain key bags
+    const keyBags = [...bags(forge.pki.oids.pkcs8ShroudedKeyBag), ...bags(forge.pki.oids.keyBag)];
+
+    if (certBags.length === 0 || keyBags.length === 0) {
+      throw ValidationError('Certificate file must contain a certificate and its private key', 'certificate');
+    }
+
+    const cert = certBags[0].cert;
+    const commonName = attributes => attributes.getField('CN')?.value || null;
+
+    const info = {
+      subject_name: commonName(cert.subject),
+      issuer_name: commonName(cert.issuer),
+      serial_number: cert.serialNumber,
+      valid_from: cert.validity.notBefore,
+      valid_to: cert.validity.notAfter
+    };
+
+    if (info.valid_to < new Date()) {
+      throw ValidationError('Certificate has expired', 'certificate');
+    }
+
+    return info;
+  }
+
+  async saveCertificate(userId, p12Buffer, passphrase = '') {
+    try {
+      const info = this.parseCertificate(p12Buffer, passphrase);
+      const { encrypted, iv, authTag } = this.encrypt(
+        Buffer.from(JSON.stringify({ p12: p12Buffer.toString('base64'), passphrase }))
+      );
+
+      const result = await pool.query(`
+        INSERT INTO valuer_certificates (
+          user_id, encrypted_data, iv, auth_tag,
+          subject_name, issuer_name, serial_number, valid_from, valid_to
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (user_id) DO UPDATE SET
+          encrypted_data = EXCLUDED.encrypted_data,
+          iv = EXCLUDED.iv,
+          auth_tag = EXCLUDED.auth_tag,
+          subject_name = EXCLUDED.subject_name,
+          issuer_name = EXCLUDED.issuer_name,
+          serial_number = EXCLUDED.serial_number,
+          valid_from = EXCLUDED.valid_from,
+          valid_to = EXCLUDED.valid_to,
+          updated_at = NOW()
+        RETURNING user_id, subject_name, issuer_name, serial_number, valid_from, valid_to, updated_at
+      `, [
+        userId, encrypted, iv, authTag,
+        info.subject_name, info.issuer_name, info.serial_number, info.valid_from, info.valid_to
+      ]);
+
+      logger.info(`Signing certificate saved for user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error saving signing certificate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Certificate details for the profile page, without the key material
+   */
+  async getCertificateInfo(userId) {
+    try {
+      const result = await pool.query(`
+        SELECT user_id, subject_name, issuer_name, serial_number, valid_from, valid_to, updated_at
+        FROM valuer_certificates
+        WHERE user_id = $1
+      `, [userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching signing certificate:', error);
+      throw new Error('Failed to fetch signing certificate');
+    }
+  }
+
+  async deleteCertificate(userId) {
+    try {
+      const result = await pool.query('DELETE FROM valuer_certificates WHERE user_id = $1 RETURNING id', [userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting signing certificate:', error);
+      throw new Error('Failed to delete signing certificate');
+    }
+  }
+
+  /**
+   * Decrypted PKCS#12 file and passphrase for signing, or null when the
+   * valuer has no current certificate
+   */
+  async getSigningCredentials(userId) {
+    try {
+      const result = await pool.query('SELECT * FROM valuer_certificates WHERE user_id = $1', [userId]);
+      const row = result.rows[0];
+      if (!row) {
+        return null;
+      }
+
+      if (row.valid_to && new Date(row.valid_to) < new Date()) {
+        logger.warn(`Signing certificate for user ${userId} expired on ${row.valid_to}`);
+        return null;
+      }
+
+      const { p12, passphrase } = JSON.parse(this.decrypt({
+        encrypted: row.encrypted_data,
+        iv: row.iv,
+        authTag: row.auth_tag
+      }).toString());
+
+      return {
+        p12: Buffer.from(p12, 'base64'),
+        passphrase,
+        subject_name: row.subject_name
+      };
+    } catch (error) {
+      logger.error('Error loading signing credentials:', error);
+      throw new Error('Failed to load signing certificate');
+    }
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,281 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const sectionSchemaService = require('./sectionSchemaService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Upload categories a profile can ask for a minimum number of photographs in
+const IMAGE_CATEGORIES = ['land_views', 'building_exterior', 'building_interior', 'boundaries', 'location_maps'];
+
+// Extra sections rendered by pdfService; banks' own wording goes in
+// { key, title, template } sections
+const EXTRA_SECTIONS = ['ltv_summary', 'photographs'];
+
+const LTV_BASES = ['market_value', 'forced_sale_value'];
+
+const IMAGE_LABELS = {
+  land_views: 'land view',
+  building_exterior: 'building exterior',
+  building_interior: 'building interior',
+  boundaries: 'boundary',
+  location_maps: 'location map'
+};
+
+class ClientProfileService {
+  // ===============================================
+  // Profiles
+  // ===============================================
+
+  async getProfiles(userId) {
+    try {
+      const result = await pool.query(`
+        SELECT * FROM client_format_profiles
+        WHERE user_id = $1
+        ORDER BY organization_name
+      `, [userId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching client format profiles:', error);
+      throw new Error('Failed to fetch client format profiles');
+    }
+  }
+
+  async createProfile(userId, data) {
+    const profile = this.normalizeProfile(data);
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO client_format_profiles (
+          user_id, organization_name, aliases, required_fields, required_images, extra_sections,
+          forced_sale_percentage, ltv_percentage, ltv_basis, notes
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        userId,
+        profile.organization_name,
+        profile.aliases,
+        JSON.stringify(profile.required_fields),
+        JSON.stringify(profile.required_images),
+        JSON.stringify(profile.extra_sections),
+        profile.forced_sale_percentage,
+        profile.ltv_percentage,
+        profile.ltv_basis,
+        profile.notes
+      ]);
+
+      logger.info(`Client format profile created for ${profile.organization_name} (user ${userId})`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating client format profile:', error);
+      throw error;
+    }
+  }
+
+  async updateProfile(userId, profileId, data) {
+    const profile = this.normalizeProfile(data);
+
+    try {
+      const result = await pool.query(`
+        UPDATE client_format_profiles
+        SET organization_name = $1, aliases = $2, required_fields = $3, required_images = $4,
+            extra_sections = $5, forced_sale_percentage = $6, ltv_percentage = $7, ltv_basis = $8,
+            notes = $9, updated_at = NOW()
+        WHERE id = $10 AND user_id = $11
+        RETURNING *
+      `, [
+        profile.organization_name,
+        profile.aliases,
+        JSON.stringify(profile.required_fields),
+        JSON.stringify(profile.required_images),
+        JSON.stringify(profile.extra_sections),
+        profile.forced_sale_percentage,
+        profile.ltv_percentage,
+        profile.ltv_basis,
+        profile.notes,
+        profileId,
+        userId
+      ]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating client format profile:', error);
+      throw error;
+    }
+  }
+
+  async deleteProfile(userId, profileId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM client_format_profiles WHERE id = $1 AND user_id = $2 RETURNING id',
+        [profileId, userId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting client format profile:', error);
+      throw new Error('Failed to delete client format profile');
+    }
+  }
+
+  /**
+   * The valuer's profile for the report's client organization, matched on
+   * the organization name or an alias regardless of case
+   */
+  async findForReport(report) {
+    const organization = (report.client_organization || '').trim();
+    if (!organization) {
+      return null;
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT * FROM client_format_profiles
+        WHERE user_id = $1
+          AND (LOWER(organization_name) = LOWER($2)
+               OR EXISTS (SELECT 1 FROM unnest(aliases) AS alias WHERE LOWER(alias) = LOWER($2)))
+        LIMIT 1
+      `, [report.user_id, organization]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching client format profile for report:', error);
+      throw new Error('Failed to fetch client format profile');
+    }
+  }
+
+  /**
+   * Validate and tidy a profile posted by the valuer. Throws a 400 naming
+   * the first invalid setting.
+   */
+  normalizeProfile(data = {}) {
+    const organizationName = typeof data.organization_name === 'string' ? data.organization_name.trim() : '';
+    if (!organizationName) {
+      throw ValidationError('Organization name is required', 'organization_name');
+    }
+
+    const requiredFields = data.required_fields || [];
+    if (!Array.isArray(requiredFields)) {
+      throw ValidationError('Required fields must be a list of report fields', 'required_fields');
+    }
+    requiredFields.forEach(field => {
+      if (!sectionSchemaService.isStored(field)) {
+        throw ValidationError(`Unknown report field: ${field}`, 'required_fields');
+      }
+    });
+
+    const requiredImages = data.required_images || {};
+    Object.entries(requiredImages).forEach(([category, count]) => {
+      if (!IMAGE_CATEGORIES.includes(category)) {
+        throw ValidationError(`Unknown image category: ${category}`, 'required_images');
+      }
+      if (!Number.isInteger(count) || count < 1) {
+        throw ValidationError(`Minimum ${IMAGE_LABELS[category]} photographs must be a whole number`, 'required_images');
+      }
+    });
+
+    const extraSections = data.extra_sections || [];
+    if (!Array.isArray(extraSections)) {
+      throw ValidationError('Extra sections must be a list', 'extra_sections');
+    }
+    extraSections.forEach(section => {
+      if (typeof section === 'string') {
+        if (!EXTRA_SECTIONS.includes(section)) {
+          throw ValidationError(`Unknown extra section: ${section}`, 'extra_sections');
+        }
+      } else if (!section?.key || !section.title || typeof section.template !== 'string') {
+        throw ValidationError('Custom sections need a key, a title and a template', 'extra_sections');
+      }
+    });
+
+    const percentage = (value, field) => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = Number(value);
+      if (isNaN(number) || number <= 0 || number > 100) {
+        throw ValidationError(`${field.replace(/_/g, ' ')} must be between 0 and 100`, field);
+      }
+      return number;
+    };
+
+    const ltvBasis = data.ltv_basis || 'forced_sale_value';
+    if (!LTV_BASES.includes(ltvBasis)) {
+      throw ValidationError('LTV basis must be market_value or forced_sale_value', 'ltv_basis');
+    }
+
+    return {
+      organization_name: organizationName,
+      aliases: (data.aliases || []).map(alias => String(alias).trim()).filter(alias => alias !== ''),
+      required_fields: requiredFields,
+      required_images: requiredImages,
+      extra_sections: extraSections,
+      forced_sale_percentage: percentage(data.forced_sale_percentage, 'forced_sale_percentage'),
+      ltv_percentage: percentage(data.ltv_percentage, 'ltv_percentage'),
+      ltv_basis: ltvBasis,
+      notes: data.notes || null
+    };
+  }
+
+  // ===============================================
+  // Report Checks
+  // ===============================================
+
+  /**
+   * Errors and warnings for a report against its client's profile, merged
+   * into validateReport
+   */
+  validateReport(report, profile) {
+    const errors = [];
+    const warnings = [];
+    const client = profile.organization_name;
+
+    (profile.required_fields || []).forEach(name => {
+      const value = report[name];
+      const field = sectionSchemaService.getField(name);
+      if (value === null || value === undefined || value.toString().trim() === '' ||
+          (Array.isArray(value) && value.length === 0)) {
+        errors.push(`${client}: ${field ? field.label : name} is required`);
+      }
+    });
+
+    Object.entries(profile.required_images || {}).forEach(([category, minimum]) => {
+      const count = (report.images || []).filter(image => image.category === category).length;
+      if (count < minimum) {
+        errors.push(`${client}: at least ${minimum} ${IMAGE_LABELS[category]} photograph(s) required (${count} uploaded)`);
+      }
+    });
+
+    const requiredPercentage = profile.forced_sale_percentage === null || profile.forced_sale_percentage === undefined
+      ? null
+      : parseFloat(profile.forced_sale_percentage);
+    const reportPercentage = report.forced_sale_percentage === null || report.forced_sale_percentage === undefined
+      ? null
+      : parseFloat(report.forced_sale_percentage);
+
+    if (requiredPercentage !== null && reportPercentage !== null && reportPercentage !== requiredPercentage) {
+      errors.push(`${client}: forced sale value must be ${requiredPercentage}% of market value (report uses ${reportPercentage}%)`);
+    }
+
+    if ((profile.extra_sections || []).includes('ltv_summary') && !profile.ltv_percentage) {
+      warnings.push(`${client}: LTV summary is printed without a lending percentage`);
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Loan-to-value figures for the LTV summary table
+   */
+  calculateLTV(report, profile) {
+    const basis = profile.ltv_basis || 'forced_sale_value';
+    const basisValue = parseFloat(report[basis]) || 0;
+    const ltvPercentage = profile.ltv_percentage ? parseFloat(profile.ltv_percentage) : null;
+
+    return {
+      basis,
+      basis_value: basisValue,
+      ltv_percentage: ltvPercentage,
+      maximum_advance: ltvPercentage ? Math.round(basisValue * ltvPercentage / 100) : null
+    };
+  }
+}
+
+module.exports = new ClientProfileService();
@@ -0,0 +1,416 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Fields the valuer can set on each address book entry
+const CLIENT_FIELDS = ['organization_name', 'address', 'telephone', 'email', 'notes'];
+const BRANCH_FIELDS = ['branch_name', 'address', 'telephone', 'email'];
+const CONTACT_FIELDS = ['full_name', 'designation', 'telephone', 'email', 'branch_id'];
+
+// A client with its branches and contact persons nested as JSON
+const CLIENT_SELECT = `
+  SELECT c.*,
+    COALESCE((
+      SELECT json_agg(b ORDER BY b.branch_name)
+      FROM client_branches b WHERE b.client_id = c.id
+    ), '[]') AS branches,
+    COALESCE((
+      SELECT json_agg(p ORDER BY p.full_name)
+      FROM client_contacts p WHERE p.client_id = c.id
+    ), '[]') AS contacts
+  FROM clients c
+`;
+
+const DEFAULT_SUGGESTION_LIMIT = 10;
+
+const matches = (value, term) => Boolean(value) && value.toLowerCase().includes(term);
+
+class ClientService {
+  // ===============================================
+  // Clients
+  // ===============================================
+
+  /**
+   * The valuer's address book. options.search keeps the clients whose
+   * organisation, a branch or a contact person matches.
+   */
+  async getClients(userId, options = {}) {
+    try {
+      const values = [userId];
+      let searchClause = '';
+
+      if (options.search) {
+        values.push(`%${options.search}%`);
+        searchClause = `
+          AND (c.organization_name ILIKE $2
+               OR EXISTS (SELECT 1 FROM client_branches b WHERE b.client_id = c.id AND b.branch_name ILIKE $2)
+               OR EXISTS (SELECT 1 FROM client_contacts p WHERE p.client_id = c.id AND p.full_name ILIKE $2))
+        `;
+      }
+
+      const result = await pool.query(`
+        ${CLIENT_SELECT}
+        WHERE c.user_id = $1 ${searchClause}
+        ORDER BY c.organization_name
+      `, values);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching clients:', error);
+      throw new Error('Failed to fetch clients');
+    }
+  }
+
+  async getClient(userId, clientId) {
+    try {
+      const result = await pool.query(`
+        ${CLIENT_SELECT}
+        WHERE c.id = $1 AND c.user_id = $2
+      `, [clientId, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching client:', error);
+      throw new Error('Failed to fetch client');
+    }
+  }
+
+  async createClient(userId, data) {
+    const client = this.normalizeEntry(data, CLIENT_FIELDS, 'organization_name', 'Organization name');
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO clients (user_id, organization_name, address, telephone, email, notes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [userId, ...CLIENT_FIELDS.map(field => client[field])]);
+
+      logger.info(`Client ${client.organization_name} added to the address book of user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating client:', error);
+      throw this.duplicateError(error, 'A client with this organization name already exists', 'organization_name');
+    }
+  }
+
+  async updateClient(userId, clientId, data) {
+    const client = this.normalizeEntry(data, CLIENT_FIELDS, 'organization_name', 'Organization name');
+
+    try {
+      const result = await pool.query(`
+        UPDATE clients
+        SET organization_name = $1, address = $2, telephone = $3, email = $4, notes = $5, updated_at = NOW()
+        WHERE id = $6 AND user_id = $7
+        RETURNING *
+      `, [...CLIENT_FIELDS.map(field => client[field]), clientId, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating client:', error);
+      throw this.duplicateError(error, 'A client with this organization name already exists', 'organization_name');
+    }
+  }
+
+  /**
+   * Reports keep their preamble text; only their link to the client is cleared
+   */
+  async deleteClient(userId, clientId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM clients WHERE id = $1 AND user_id = $2 RETURNING id',
+        [clientId, userId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting client:', error);
+      throw new Error('Failed to delete client');
+    }
+  }
+
+  // ===============================================
+  // Branches and Contact Persons
+  // ===============================================
+
+  async createBranch(userId, clientId, data) {
+    const branch = this.normalizeEntry(data, BRANCH_FIELDS, 'branch_name', 'Branch name');
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO client_branches (client_id, branch_name, address, telephone, email)
+        SELECT c.id, $3, $4, $5, $6
+        FROM clients c WHERE c.id = $1 AND c.user_id = $2
+        RETURNING *
+      `, [clientId, userId, ...BRANCH_FIELDS.map(field => branch[field])]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating client branch:', error);
+      throw this.duplicateError(error, 'This client already has a branch with this name', 'branch_name');
+    }
+  }
+
+  async updateBranch(userId, clientId, branchId, data) {
+    const branch = this.normalizeEntry(data, BRANCH_FIELDS, 'branch_name', 'Branch name');
+
+    try {
+      const result = await pool.query(`
+        UPDATE client_branches b
+        SET branch_name = $4, address = $5, telephone = $6, email = $7, updated_at = NOW()
+        FROM clients c
+        WHERE b.id = $1 AND b.client_id = $2 AND c.id = b.client_id AND c.user_id = $3
+        RETURNING b.*
+      `, [branchId, clientId, userId, ...BRANCH_FIELDS.map(field => branch[field])]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating client branch:', error);
+      throw this.duplicateError(error, 'This client already has a branch with this name', 'branch_name');
+    }
+  }
+
+  async deleteBranch(userId, clientId, branchId) {
+    try {
+      const result = await pool.query(`
+        DELETE FROM client_branches b
+        USING clients c
+        WHERE b.id = $1 AND b.client_id = $2 AND c.id = b.client_id AND c.user_id = $3
+        RETURNING b.id
+      `, [branchId, clientId, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting client branch:', error);
+      throw new Error('Failed to delete client branch');
+    }
+  }
+
+  async createContact(userId, clientId, data) {
+    const contact = this.normalizeEntry(data, CONTACT_FIELDS, 'full_name', 'Contact name');
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO client_contacts (client_id, full_name, designation, telephone, email, branch_id)
+        SELECT c.id, $3, $4, $5, $6, $7
+        FROM clients c
+        WHERE c.id = $1 AND c.user_id = $2
+          AND ($7::integer IS NULL OR EXISTS (SELECT 1 FROM client_branches b WHERE b.id = $7 AND b.client_id = c.id))
+        RETURNING *
+      `, [clientId, userId, ...CONTACT_FIELDS.map(field => contact[field])]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error creating client contact:', error);
+      throw new Error('Failed to create client contact');
+    }
+  }
+
+  async updateContact(userId, clientId, contactId, data) {
+    const contact = this.normalizeEntry(data, CONTACT_FIELDS, 'full_name', 'Contact name');
+
+    try {
+      const result = await pool.query(`
+        UPDATE client_contacts p
+        SET full_name = $4, designation = $5, telephone = $6, email = $7, branch_id = $8, updated_at = NOW()
+        FROM clients c
+        WHERE p.id = $1 AND p.client_id = $2 AND c.id = p.client_id AND c.user_id = $3
+          AND ($8::integer IS NULL OR EXISTS (SELECT 1 FROM client_branches b WHERE b.id = $8 AND b.client_id = c.id))
+        RETURNING p.*
+      `, [contactId, clientId, userId, ...CONTACT_FIELDS.map(field => contact[field])]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating client contact:', error);
+      throw new Error('Failed to update client contact');
+    }
+  }
+
+  async deleteContact(userId, clientId, contactId) {
+    try {
+      const result = await pool.query(`
+        DELETE FROM client_contacts p
+        USING clients c
+        WHERE p.id = $1 AND p.client_id = $2 AND c.id = p.client_id AND c.user_id = $3
+        RETURNING p.id
+      `, [contactId, clientId, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting client contact:', error);
+      throw new Error('Failed to delete client contact');
+    }
+  }
+
+  // ===============================================
+  // Autocomplete and Reports
+  // ===============================================
+
+  /**
+   * Address book entries for the report form, one per contact person,
+   * branch without contacts, or client with neither, each with the
+   * preamble it fills in
+   */
+  async suggest(userId, search, limit = DEFAULT_SUGGESTION_LIMIT) {
+    const clients = await this.getClients(userId, { search });
+    return this.buildSuggestions(clients, search).slice(0, limit);
+  }
+
+  buildSuggestions(clients, search = '') {
+    const term = search.trim().toLowerCase();
+    const suggestions = [];
+
+    const add = (client, branch, contact) => {
+      suggestions.push({
+        client_id: client.id,
+        client_branch_id: branch?.id || null,
+        client_contact_id: contact?.id || null,
+        label: [contact?.full_name, client.organization_name, branch?.branch_name].filter(Boolean).join(' – '),
+        preamble: this.getPreamble(client, branch, contact)
+      });
+    };
+
+    clients.forEach(client => {
+      const branches = client.branches || [];
+      const contacts = client.contacts || [];
+      const organizationMatches = !term || matches(client.organization_name, term);
+
+      contacts.forEach(contact => {
+        const branch = branches.find(b => b.id === contact.branch_id) || null;
+        if (organizationMatches || matches(contact.full_name, term) || matches(branch?.branch_name, term)) {
+          add(client, branch, contact);
+        }
+      });
+
+      branches
+        .filter(branch => !contacts.some(contact => contact.branch_id === branch.id))
+        .forEach(branch => {
+          if (organizationMatches || matches(branch.branch_name, term)) {
+            add(client, branch, null);
+          }
+        });
+
+      if (branches.length === 0 && contacts.length === 0) {
+        add(client, null, null);
+      }
+    });
+
+    return suggestions;
+  }
+
+  /**
+   * Section 1.0 fields for instructions from a contact person at a branch.
+   * The branch goes in the address so the organisation name still matches
+   * the bank's format profile.
+   */
+  getPreamble(client, branch = null, contact = null) {
+    return {
+      instruction_source: contact?.full_name || null,
+      client_designation: contact?.designation || null,
+      client_organization: client.organization_name,
+      client_address: [branch?.branch_name, branch?.address || client.address].filter(Boolean).join(', ') || null
+    };
+  }
+
+  /**
+   * Load the client, branch and contact a report is being linked to.
+   * Throws a 400 unless they are the valuer's and belong together.
+   */
+  async resolveLink(userId, link = {}) {
+    const client = await this.getClient(userId, link.client_id);
+    if (!client) {
+      throw ValidationError('Client not found in your address book', 'client_id');
+    }
+
+    const branch = link.client_branch_id
+      ? client.branches.find(b => b.id === Number(link.client_branch_id))
+      : null;
+    if (link.client_branch_id && !branch) {
+      throw ValidationError('Branch does not belong to this client', 'client_branch_id');
+    }
+
+    const contact = link.client_contact_id
+      ? client.contacts.find(p => p.id === Number(link.client_contact_id))
+      : null;
+    if (link.client_contact_id && !contact) {
+      throw ValidationError('Contact person does not belong to this client', 'client_contact_id');
+    }
+
+    return { client, branch, contact };
+  }
+
+  /**
+   * Save a preamble typed on the report form to the address book, reusing
+   * the client and contact person when their names are already there
+   */
+  async addFromPreamble(userId, preamble) {
+    const organizationName = (preamble.client_organization || '').trim();
+    const contactName = (preamble.instruction_source || '').trim();
+
+    const [existing] = (await this.getClients(userId, { search: organizationName }))
+      .filter(client => client.organization_name.toLowerCase() === organizationName.toLowerCase());
+
+    const client = existing || await this.createClient(userId, {
+      organization_name: organizationName,
+      address: preamble.client_address
+    });
+
+    let contact = null;
+    if (contactName) {
+      contact = (existing?.contacts || []).find(p => p.full_name.toLowerCase() === contactName.toLowerCase()) ||
+        await this.createContact(userId, client.id, {
+          full_name: contactName,
+          designation: preamble.client_designation
+        });
+    }
+
+    return { client: { ...client, branches: existing?.branches || [] }, branch: null, contact };
+  }
+
+  async getClientReports(userId, clientId) {
+    try {
+      const result = await pool.query(`
+        SELECT vr.id, vr.report_reference, vr.report_date, vr.valuation_date, vr.status,
+               vr.report_type, vr.instruction_source, vr.market_value, vr.created_at,
+               COALESCE(vr.village_name || ', ' || vr.district, 'Location not set') AS location_summary,
+               b.branch_name
+        FROM valuation_reports vr
+        LEFT JOIN client_branches b ON b.id = vr.client_branch_id
+        WHERE vr.client_id = $1 AND vr.user_id = $2
+        ORDER BY vr.created_at DESC
+      `, [clientId, userId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching client reports:', error);
+      throw new Error('Failed to fetch client reports');
+    }
+  }
+
+  // ===============================================
+  // Validation
+  // ===============================================
+
+  /**
+   * Trim the known fields of an address book entry, blank ones to null.
+   * Throws a 400 when the name field is missing.
+   */
+  normalizeEntry(data = {}, fields, nameField, nameLabel) {
+    const entry = {};
+    fields.forEach(field => {
+      const value = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      entry[field] = value === undefined || value === '' ? null : value;
+    });
+
+    if (!entry[nameField]) {
+      throw ValidationError(`${nameLabel} is required`, nameField);
+    }
+    if (entry.branch_id !== undefined && entry.branch_id !== null) {
+      entry.branch_id = Number(entry.branch_id);
+    }
+
+    return entry;
+  }
+
+  duplicateError(error, message, field) {
+    return error.code === '23505' ? ValidationError(message, field) : error;
+  }
+}
+
+module.exports = new ClientService();
@@ -0,0 +1,193 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const sectionSchemaService = require('./sectionSchemaService');
+const workflowService = require('./workflowService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errorHandler');
+
+class CommentService {
+  // ===============================================
+  // Anchors and Threads
+  // ===============================================
+
+  /**
+   * A comment is anchored to a schema section and optionally to one of
+   * its fields or anchors (e.g. valuation/valuation_table)
+   */
+  validateAnchor(section, field) {
+    const schemaSection = sectionSchemaService.getSection(section);
+    if (!schemaSection) {
+      throw ValidationError(`Invalid section: ${section}`, 'section');
+    }
+
+    if (field) {
+      const anchors = (schemaSection.anchors || []).map(anchor => anchor.id);
+      if (!sectionSchemaService.getSectionFields(section).includes(field) && !anchors.includes(field)) {
+        throw ValidationError(`${field} is not part of ${schemaSection.title}`, 'field');
+      }
+    }
+  }
+
+  /**
+   * Group comment rows into threads: first comments with their replies
+   * in posting order
+   */
+  buildThreads(rows) {
+    const threads = rows
+      .filter(row => !row.parent_id)
+      .map(row => ({ ...row, replies: [] }));
+    const byId = new Map(threads.map(thread => [thread.id, thread]));
+
+    rows
+      .filter(row => row.parent_id)
+      .forEach(row => byId.get(row.parent_id)?.replies.push(row));
+
+    return threads;
+  }
+
+  /**
+   * Thread counts per section, for the section badges
+   */
+  summarise(threads) {
+    return threads.reduce((summary, thread) => {
+      const counts = summary[thread.section] || { total: 0, unresolved: 0 };
+      counts.total++;
+      if (!thread.is_resolved) counts.unresolved++;
+      return { ...summary, [thread.section]: counts };
+    }, {});
+  }
+
+  // ===============================================
+  // Comments
+  // ===============================================
+
+  async getComments(reportId, options = {}) {
+    try {
+      const reportResult = await pool.query('SELECT id FROM valuation_reports WHERE id = $1', [reportId]);
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      const result = await pool.query(`
+        SELECT * FROM report_comments
+        WHERE report_id = $1
+        ORDER BY created_at ASC, id ASC
+      `, [reportId]);
+
+      const threads = this.buildThreads(result.rows);
+      const summary = this.summarise(threads);
+
+      const filtered = threads.filter(thread =>
+        (!options.section || thread.section === options.section) &&
+        (!options.status || options.status === 'all' || thread.is_resolved === (options.status === 'resolved'))
+      );
+
+      return {
+        threads: filtered,
+        summary,
+        unresolved: threads.filter(thread => !thread.is_resolved).length
+      };
+    } catch (error) {
+      logger.error('Error fetching report comments:', error);
+      throw new Error('Failed to fetch report comments');
+    }
+  }
+
+  /**
+   * Start a thread, or reply to one when parent_id is given. Replies take
+   * the anchor of their thread. userId is the signed-in user posting it.
+   */
+  async addComment(reportId, data, userId = null) {
+    try {
+      const reportResult = await pool.query('SELECT id FROM valuation_reports WHERE id = $1', [reportId]);
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      let { section, field } = data;
+      let parentId = null;
+
+      if (data.parent_id) {
+        const parent = await this.getThread(reportId, data.parent_id);
+        ({ section, field } = parent);
+        parentId = parent.id;
+      } else {
+        this.validateAnchor(section, field);
+      }
+
+      const result = await pool.query(`
+        INSERT INTO report_comments (report_id, parent_id, section, field, body, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [reportId, parentId, section, field || null, data.body.trim(), userId]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error adding report comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The first comment of a thread. Replies cannot be replied to or
+   * resolved on their own.
+   */
+  async getThread(reportId, commentId) {
+    const result = await pool.query(`
+      SELECT * FROM report_comments
+      WHERE id = $1 AND report_id = $2
+    `, [commentId, reportId]);
+
+    if (result.rows.length === 0) {
+      throw NotFoundError('Comment');
+    }
+    if (result.rows[0].parent_id) {
+      throw ValidationError('Replies belong to a thread; use the first comment of the thread', 'parent_id');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Resolve or reopen a thread. Only the user who started it or a reviewer
+   * may, so an author cannot clear a reviewer's comments to finalize.
+   */
+  async setResolved(reportId, commentId, resolved, userId) {
+    try {
+      const thread = await this.getThread(reportId, commentId);
+      if (String(thread.user_id) !== String(userId) && !await workflowService.isReviewer(userId)) {
+        throw AuthorizationError('Only the comment author or a reviewer can resolve this thread');
+      }
+
+      const result = await pool.query(`
+        UPDATE report_comments
+        SET is_resolved = $1,
+            resolved_by = CASE WHEN $1 THEN $2::VARCHAR ELSE NULL END,
+            resolved_at = CASE WHEN $1 THEN NOW() ELSE NULL END,
+            updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [resolved, userId, commentId]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error resolving report comment:', error);
+      throw error;
+    }
+  }
+
+  async countUnresolved(reportId) {
+    try {
+      const result = await pool.query(`
+        SELECT COUNT(*) AS unresolved FROM report_comments
+        WHERE report_id = $1 AND parent_id IS NULL AND is_resolved = FALSE
+      `, [reportId]);
+
+      return parseInt(result.rows[0].unresolved);
+    } catch (error) {
+      logger.error('Error counting unresolved comments:', error);
+      throw new Error('Failed to count unresolved comments');
+    }
+  }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,403 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const revisionService = require('./revisionService');
+
+// Register fields that can be written through the comparables API
+const COMPARABLE_FIELDS = [
+  'transaction_type', 'transaction_date', 'address', 'description',
+  'latitude', 'longitude', 'extent_perches', 'price', 'rate_per_perch',
+  'source', 'source_reference', 'notes'
+];
+
+// Report-specific fields stored on the report_comparables link
+const LINK_FIELDS = ['adjustment_percentage', 'adjustment_notes', 'is_selected', 'display_order'];
+
+class ComparablesService {
+  // ===============================================
+  // Rate Calculations
+  // ===============================================
+
+  /**
+   * Rate per perch after applying the valuer's percentage adjustment
+   */
+  calculateAdjustedRate(ratePerPerch, adjustmentPercentage = 0) {
+    const rate = parseFloat(ratePerPerch);
+    if (isNaN(rate)) return null;
+
+    const adjustment = parseFloat(adjustmentPercentage) || 0;
+    return Math.round(rate * (1 + adjustment / 100) * 100) / 100;
+  }
+
+  /**
+   * Adjusted min/max/average rate across the selected comparables
+   */
+  calculateRateRange(comparables = []) {
+    const rates = comparables
+      .filter(comparable => comparable.is_selected !== false)
+      .map(comparable => comparable.adjusted_rate !== null && comparable.adjusted_rate !== undefined
+        ? parseFloat(comparable.adjusted_rate)
+        : this.calculateAdjustedRate(comparable.rate_per_perch, comparable.adjustment_percentage))
+      .filter(rate => rate !== null && !isNaN(rate));
+
+    if (rates.length === 0) {
+      return { min_rate: null, max_rate: null, average_rate: null, count: 0 };
+    }
+
+    const total = rates.reduce((sum, rate) => sum + rate, 0);
+
+    return {
+      min_rate: Math.min(...rates),
+      max_rate: Math.max(...rates),
+      average_rate: Math.round((total / rates.length) * 100) / 100,
+      count: rates.length
+    };
+  }
+
+  // ===============================================
+  // Report Comparables CRUD
+  // ===============================================
+
+  async getReportComparables(reportId) {
+    try {
+      const query = `
+        SELECT cs.*, rc.id as link_id, rc.adjustment_percentage, rc.adjustment_notes,
+               rc.adjusted_rate, rc.is_selected, rc.display_order
+        FROM report_comparables rc
+        JOIN comparable_sales cs ON rc.comparable_id = cs.id
+        WHERE rc.report_id = $1
+        ORDER BY rc.display_order, cs.transaction_date DESC
+      `;
+
+      const result = await pool.query(query, [reportId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching report comparables:', error);
+      throw new Error('Failed to fetch report comparables');
+    }
+  }
+
+  /**
+   * Link a comparable to a report. Links an existing register entry when
+   * comparable_id is given, otherwise records a new one first.
+   */
+  async addComparable(reportId, userId, data) {
+    try {
+      let comparableId = data.comparable_id;
+
+      if (!comparableId) {
+        const comparable = await this.createComparable(userId, data);
+        comparableId = comparable.id;
+      }
+
+      // Only the report's valuer's own register entries can be linked
+      const registerResult = await pool.query(
+        'SELECT rate_per_perch FROM comparable_sales WHERE id = $1 AND user_id = $2',
+        [comparableId, userId]
+      );
+      if (registerResult.rows.length === 0) {
+        return null;
+      }
+
+      const adjustment = data.adjustment_percentage || 0;
+      const adjustedRate = this.calculateAdjustedRate(registerResult.rows[0].rate_per_perch, adjustment);
+
+      const query = `
+        INSERT INTO report_comparables (
+          report_id, comparable_id, adjustment_percentage, adjustment_notes,
+          adjusted_rate, is_selected, display_order
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (report_id, comparable_id) DO UPDATE SET
+          adjustment_percentage = EXCLUDED.adjustment_percentage,
+          adjustment_notes = EXCLUDED.adjustment_notes,
+          adjusted_rate = EXCLUDED.adjusted_rate,
+          is_selected = EXCLUDED.is_selected
+        RETURNING *
+      `;
+
+      await pool.query(query, [
+        reportId,
+        comparableId,
+        adjustment,
+        data.adjustment_notes || null,
+        adjustedRate,
+        data.is_selected !== false,
+        data.display_order || 0
+      ]);
+
+      logger.info(`Comparable ${comparableId} linked to report ${reportId}`);
+      return this.getReportComparable(reportId, comparableId);
+    } catch (error) {
+      logger.error('Error adding comparable:', error);
+      throw new Error('Failed to add comparable');
+    }
+  }
+
+  async getReportComparable(reportId, comparableId) {
+    const comparables = await this.getReportComparables(reportId);
+    return comparables.find(comparable => comparable.id === parseInt(comparableId)) || null;
+  }
+
+  async updateComparable(reportId, comparableId, data) {
+    try {
+      const existing = await this.getReportComparable(reportId, comparableId);
+      if (!existing) {
+        return null;
+      }
+
+      // The register entry itself
+      const registerData = this.pickFields(data, COMPARABLE_FIELDS);
+      if (registerData.price !== undefined || registerData.extent_perches !== undefined) {
+        const price = registerData.price !== undefined ? registerData.price : existing.price;
+        const extent = registerData.extent_perches !== undefined ? registerData.extent_perches : existing.extent_perches;
+        if (registerData.rate_per_perch === undefined) {
+          registerData.rate_per_perch = this.calculateRatePerPerch(price, extent);
+        }
+      }
+
+      // The report link, with its adjusted rate re-derived
+      const linkData = this.pickFields(data, LINK_FIELDS);
+      const ratePerPerch = registerData.rate_per_perch !== undefined ? registerData.rate_per_perch : existing.rate_per_perch;
+      const adjustment = linkData.adjustment_percentage !== undefined
+        ? linkData.adjustment_percentage
+        : existing.adjustment_percentage;
+      linkData.adjusted_rate = this.calculateAdjustedRate(ratePerPerch, adjustment);
+
+      await pool.withTransaction(async (client) => {
+        if (Object.keys(registerData).length > 0) {
+          const { setClause, values } = this.buildSetClause(registerData);
+          values.push(comparableId);
+
+          await client.query(
+            `UPDATE comparable_sales SET ${setClause} WHERE id = $${values.length}`,
+            values
+          );
+
+          if (registerData.latitude !== undefined || registerData.longitude !== undefined) {
+            await this.updateLocation(comparableId, client);
+          }
+        }
+
+        // The register entry is shared, so a new rate re-derives the
+        // adjusted rate of every other report linked to it too
+        if (registerData.rate_per_perch !== undefined) {
+          const otherLinks = await client.query(`
+            SELECT report_id, adjustment_percentage FROM report_comparables
+            WHERE comparable_id = $1 AND report_id <> $2
+          `, [comparableId, reportId]);
+
+          for (const link of otherLinks.rows) {
+            await client.query(`
+              UPDATE report_comparables SET adjusted_rate = $1
+              WHERE report_id = $2 AND comparable_id = $3
+            `, [this.calculateAdjustedRate(ratePerPerch, link.adjustment_percentage), link.report_id, comparableId]);
+          }
+        }
+
+        const { setClause, values } = this.buildSetClause(linkData);
+        values.push(reportId, comparableId);
+
+        await client.query(
+          `UPDATE report_comparables SET ${setClause}
+           WHERE report_id = $${values.length - 1} AND comparable_id = $${values.length}`,
+          values
+        );
+      });
+
+      return this.getReportComparable(reportId, comparableId);
+    } catch (error) {
+      logger.error('Error updating comparable:', error);
+      throw new Error('Failed to update comparable');
+    }
+  }
+
+  /**
+   * Unlink a comparable from a report. The register entry is kept so it can
+   * be reused as evidence for other reports.
+   */
+  async removeComparable(reportId, comparableId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM report_comparables WHERE report_id = $1 AND comparable_id = $2 RETURNING id',
+        [reportId, comparableId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error removing comparable:', error);
+      throw new Error('Failed to remove comparable');
+    }
+  }
+
+  // ===============================================
+  // Comparable Register
+  // ===============================================
+
+  async createComparable(userId, data) {
+    try {
+      const ratePerPerch = data.rate_per_perch || this.calculateRatePerPerch(data.price, data.extent_perches);
+      const query = `
+        INSERT INTO comparable_sales (
+          user_id, transaction_type, transaction_date, address, description,
+          latitude, longitude, extent_perches, price, rate_per_perch,
+          source, source_reference, notes
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `;
+
+      const result = await pool.query(query, [
+        userId,
+        data.transaction_type || 'sale',
+        data.transaction_date,
+        data.address || null,
+        data.description || null,
+        data.latitude ?? null,
+        data.longitude ?? null,
+        data.extent_perches,
+        data.price,
+        ratePerPerch,
+        data.source || null,
+        data.source_reference || null,
+        data.notes || null
+      ]);
+
+      const comparable = result.rows[0];
+      if (comparable.latitude !== null && comparable.longitude !== null) {
+        await this.updateLocation(comparable.id);
+      }
+
+      logger.info(`Comparable recorded for user ${userId}: ${comparable.id}`);
+      return comparable;
+    } catch (error) {
+      logger.error('Error creating comparable:', error);
+      throw new Error('Failed to create comparable');
+    }
+  }
+
+  /**
+   * Search the valuer's register for comparables within radiusKm of the
+   * report's coordinates, excluding those already linked to the report.
+   */
+  async findNearbyComparables(reportId, options = {}) {
+    try {
+      const { radiusKm = 5, maxAgeMonths = 36, limit = 20 } = options;
+
+      const reportResult = await pool.query(
+        'SELECT user_id, latitude, longitude FROM valuation_reports WHERE id = $1',
+        [reportId]
+      );
+
+      if (reportResult.rows.length === 0) {
+        throw NotFoundError('Report');
+      }
+
+      const { user_id, latitude, longitude } = reportResult.rows[0];
+      if (latitude === null || longitude === null) {
+        throw ValidationError('Report does not have coordinates', 'latitude');
+      }
+
+      const query = `
+        SELECT cs.*,
+               ROUND((ST_Distance(cs.location, subject.point) / 1000)::numeric, 2) as distance_km
+        FROM comparable_sales cs,
+             (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography as point) subject
+        WHERE cs.user_id = $3
+          AND cs.location IS NOT NULL
+          AND ST_DWithin(cs.location, subject.point, $4)
+          AND cs.transaction_date >= CURRENT_DATE - ($5 || ' months')::interval
+          AND cs.id NOT IN (SELECT comparable_id FROM report_comparables WHERE report_id = $6)
+        ORDER BY distance_km ASC, cs.transaction_date DESC
+        LIMIT $7
+      `;
+
+      const result = await pool.query(query, [
+        parseFloat(latitude),
+        parseFloat(longitude),
+        user_id,
+        radiusKm * 1000,
+        String(maxAgeMonths),
+        reportId,
+        limit
+      ]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding nearby comparables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute the adjusted rate range from the selected comparables and write
+   * it to the report's min_rate/max_rate (Section 10.1).
+   */
+  async applyRateRange(reportId, options = {}) {
+    try {
+      const comparables = await this.getReportComparables(reportId);
+      const range = this.calculateRateRange(comparables);
+
+      if (range.count > 0) {
+        await revisionService.updateReport(reportId, async (client) => {
+          const result = await client.query(
+            'UPDATE valuation_reports SET min_rate = $1, max_rate = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+            [range.min_rate, range.max_rate, reportId]
+          );
+          return result.rows[0];
+        }, ['min_rate', 'max_rate'], {
+          changeType: 'calculation',
+          section: 'evidence',
+          userId: options.userId
+        });
+        logger.info(`Rate range updated for report ${reportId}: ${range.min_rate} - ${range.max_rate}`);
+      }
+
+      return range;
+    } catch (error) {
+      logger.error('Error applying comparable rate range:', error);
+      throw new Error('Failed to calculate rate range');
+    }
+  }
+
+  // ===============================================
+  // Helpers
+  // ===============================================
+
+  calculateRatePerPerch(price, extentPerches) {
+    const extent = parseFloat(extentPerches);
+    if (!extent) return null;
+
+    return Math.round((parseFloat(price) / extent) * 100) / 100;
+  }
+
+  async updateLocation(comparableId, client = pool) {
+    await client.query(`
+      UPDATE comparable_sales
+      SET location = CASE
+        WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+        THEN ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography
+        ELSE NULL
+      END
+      WHERE id = $1
+    `, [comparableId]);
+  }
+
+  pickFields(data, fields) {
+    return Object.keys(data)
+      .filter(key => fields.includes(key))
+      .reduce((picked, key) => ({ ...picked, [key]: data[key] }), {});
+  }
+
+  buildSetClause(data) {
+    const values = [];
+    const setClause = Object.keys(data).map((key, index) => {
+      values.push(data[key]);
+      return `${key} = $${index + 1}`;
+    }).join(', ');
+
+    return { setClause, values };
+  }
+}
+
+module.exports = new ComparablesService();
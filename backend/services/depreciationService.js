@@ -0,0 +1,215 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const workflowService = require('./workflowService');
+const revisionService = require('./revisionService');
+const valuationService = require('./valuationService');
+
+const DEPRECIATION_MODELS = {
+  straight_line: 'Straight-line (age/life)',
+  reducing_balance: 'Reducing balance',
+  condition_adjusted: 'Condition-adjusted straight-line'
+};
+
+// Typical economic life in years, matched against building_type
+const ECONOMIC_LIFE_BY_TYPE = {
+  temporary: 20,
+  industrial: 40,
+  warehouse: 40,
+  commercial: 50,
+  apartment: 60,
+  residential: 60,
+  house: 60,
+  default: 60
+};
+
+// Multipliers on straight-line depreciation by condition_grade
+const CONDITION_FACTORS = {
+  excellent: 0.7,
+  very_good: 0.8,
+  good: 0.85,
+  fair: 1.0,
+  poor: 1.25,
+  dilapidated: 1.5
+};
+
+// Valuation methods whose figures use the depreciation rate
+const RECALCULATED_METHODS = ['contractor_method', 'comparison_method'];
+
+// Buildings in use are never written down below this residual value
+const MINIMUM_RESIDUAL_PERCENTAGE = 10;
+
+const roundRate = (rate) => Math.round(rate * 100) / 100;
+
+class DepreciationService {
+  getModels() {
+    return Object.keys(DEPRECIATION_MODELS).map(model => ({ model, label: DEPRECIATION_MODELS[model] }));
+  }
+
+  /**
+   * Economic life for a building type, using the longest matching keyword
+   */
+  getEconomicLife(buildingType) {
+    const type = (buildingType || '').toLowerCase();
+    const match = Object.keys(ECONOMIC_LIFE_BY_TYPE)
+      .filter(keyword => keyword !== 'default' && type.includes(keyword))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return ECONOMIC_LIFE_BY_TYPE[match || 'default'];
+  }
+
+  getConditionFactor(conditionGrade) {
+    return CONDITION_FACTORS[(conditionGrade || '').toLowerCase().trim().replace(/\s+/g, '_')] || 1.0;
+  }
+
+  /**
+   * Suggested depreciation rate and working for a building.
+   * Inputs: building_age, condition_grade, building_type and optionally
+   * economic_life to override the type default.
+   */
+  calculate({ model = 'straight_line', building_age, condition_grade, building_type, economic_life }) {
+    if (!DEPRECIATION_MODELS[model]) {
+      throw ValidationError(`Unknown depreciation model: ${model}`, 'model');
+    }
+
+    const age = parseFloat(building_age);
+    if (isNaN(age) || age < 0) {
+      throw ValidationError('Building age is required to calculate depreciation', 'building_age');
+    }
+
+    let life = this.getEconomicLife(building_type);
+    if (economic_life !== undefined && economic_life !== null && economic_life !== '') {
+      life = Number(economic_life);
+      if (!Number.isInteger(life) || life <= 0) {
+        throw ValidationError('Economic life must be a whole number of years', 'economic_life');
+      }
+    }
+    const maximumRate = 100 - MINIMUM_RESIDUAL_PERCENTAGE;
+    const working = [];
+    let rate;
+    let annualRate;
+    let conditionFactor = null;
+
+    working.push(`Age of building: ${age} years; economic life: ${life} years`);
+
+    if (model === 'reducing_balance') {
+      // Annual rate that writes the building down to the residual over its life
+      annualRate = (1 - Math.pow(MINIMUM_RESIDUAL_PERCENTAGE / 100, 1 / life)) * 100;
+      rate = (1 - Math.pow(1 - annualRate / 100, age)) * 100;
+      working.push(`Annual rate: 1 - ${MINIMUM_RESIDUAL_PERCENTAGE}%^(1/${life}) = ${roundRate(annualRate)}% per annum`);
+      working.push(`Depreciation: 1 - (1 - ${roundRate(annualRate)}%)^${age} = ${roundRate(rate)}%`);
+    } else {
+      annualRate = 100 / life;
+      rate = age / life * 100;
+      working.push(`Straight-line: ${age} / ${life} x 100 = ${roundRate(rate)}%`);
+
+      if (model === 'condition_adjusted') {
+        conditionFactor = this.getConditionFactor(condition_grade);
+        rate = rate * conditionFactor;
+        working.push(`Adjusted for ${condition_grade || 'unstated'} condition (x ${conditionFactor}) = ${roundRate(rate)}%`);
+      }
+    }
+
+    if (rate > maximumRate) {
+      working.push(`Limited to ${maximumRate}% (minimum residual value ${MINIMUM_RESIDUAL_PERCENTAGE}%)`);
+      rate = maximumRate;
+    }
+
+    return {
+      model,
+      model_label: DEPRECIATION_MODELS[model],
+      building_age: age,
+      economic_life: life,
+      remaining_life: Math.max(life - age, 0),
+      condition_grade: condition_grade || null,
+      condition_factor: conditionFactor,
+      annual_rate: roundRate(annualRate),
+      depreciation_rate: roundRate(rate),
+      working
+    };
+  }
+
+  /**
+   * Suggested depreciation for a report. When apply is true the rate, model
+   * and working are saved to the report for Section 12.1 and the valuation
+   * is recalculated with the new rate.
+   */
+  async getReportDepreciation(reportId, options = {}) {
+    try {
+      const reportResult = await pool.query(`
+        SELECT id, status, building_age, condition_grade, building_type, depreciation_model, economic_life
+        FROM valuation_reports
+        WHERE id = $1
+      `, [reportId]);
+
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      const report = reportResult.rows[0];
+      const suggestion = this.calculate({
+        model: options.model || report.depreciation_model || 'straight_line',
+        building_age: options.building_age ?? report.building_age,
+        condition_grade: options.condition_grade ?? report.condition_grade,
+        building_type: report.building_type,
+        economic_life: options.economic_life ?? report.economic_life
+      });
+
+      if (!options.apply) {
+        return { suggestion, applied: false };
+      }
+      workflowService.assertEditable(report);
+
+      const depreciation = {
+        depreciation_rate: suggestion.depreciation_rate,
+        depreciation_model: suggestion.model,
+        economic_life: suggestion.economic_life,
+        depreciation_working: JSON.stringify(suggestion)
+      };
+      let breakdown = null;
+
+      // The building value and market value follow from the rate, in the
+      // same transaction; other methods (investment) keep their own figures
+      const updated = await revisionService.updateReport(reportId, async (client, before) => {
+        const keepsOwnFigures = before.report_type === 'investment' ||
+          (before.valuation_method && !RECALCULATED_METHODS.includes(before.valuation_method));
+
+        if (keepsOwnFigures) {
+          const result = await client.query(`
+            UPDATE valuation_reports
+            SET depreciation_rate = $1, depreciation_model = $2, economic_life = $3,
+                depreciation_working = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $5
+            RETURNING *
+          `, [
+            depreciation.depreciation_rate,
+            depreciation.depreciation_model,
+            depreciation.economic_life,
+            depreciation.depreciation_working,
+            reportId
+          ]);
+          return result.rows[0];
+        }
+
+        const valuation = await valuationService.getValuationUpdates(before, {
+          depreciation_rate: suggestion.depreciation_rate
+        });
+        breakdown = valuation.breakdown;
+        return valuationService.saveValuation(client, reportId, { ...valuation.updates, ...depreciation });
+      }, ['depreciation_rate', 'depreciation_model', 'economic_life', ...valuationService.getValuationFields()], {
+        changeType: 'calculation',
+        section: 'valuation',
+        userId: options.userId
+      });
+
+      logger.info(`Depreciation applied to report ${reportId}: ${suggestion.depreciation_rate}% (${suggestion.model})`);
+
+      return { suggestion, applied: true, report: updated, breakdown };
+    } catch (error) {
+      logger.error('Error calculating report depreciation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DepreciationService();
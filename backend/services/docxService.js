@@ -0,0 +1,121 @@
+const HTMLtoDOCX = require('html-to-docx');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const pdfService = require('./pdfService');
+const locationSketchService = require('./locationSketchService');
+
+// Twentieths of a point per millimetre, for Word page margins
+const TWIPS_PER_MM = 56.7;
+
+// Photographs are placed two to a row in the PDF; keep them that size in Word
+const IMAGE_STYLE = 'width: 280px;';
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+const SVG_DATA_URI = 'data:image/svg+xml;base64,';
+
+class DOCXService {
+  /**
+   * Build an editable Word copy of the report from the same HTML the PDF
+   * is rendered from, so both share the section structure, header block
+   * and tables
+   */
+  async generateDOCX(report, userProfile, options = {}) {
+    const { isDraft = true } = options;
+
+    try {
+      let html = pdfService.generateReportHTML(report, userProfile, { ...options, isDraft });
+
+      // Word has no fixed-position watermark; drafts are marked in the page header instead
+      html = html.replace(/<div class="draft-watermark">[^<]*<\/div>/, '');
+      html = await this.embedImages(html);
+
+      const headerHTML = isDraft
+        ? '<p style="text-align: center; color: #c00000; font-weight: bold;">DRAFT - NOT FOR RELIANCE</p>'
+        : '<p></p>';
+      const footerHTML = isDraft
+        ? '<p></p>'
+        : `<p style="text-align: center; font-size: 8pt; color: #555555;">Editable copy of report ${report.report_reference}. The signed PDF issued by the valuer is the authoritative report.</p>`;
+
+      const docxBuffer = await HTMLtoDOCX(html, headerHTML, {
+        orientation: 'portrait',
+        pageSize: { width: Math.round(210 * TWIPS_PER_MM), height: Math.round(297 * TWIPS_PER_MM) },
+        margins: {
+          top: Math.round(25 * TWIPS_PER_MM),
+          bottom: Math.round(25 * TWIPS_PER_MM),
+          left: Math.round(30 * TWIPS_PER_MM),
+          right: Math.round(20 * TWIPS_PER_MM)
+        },
+        title: `Valuation Report - ${report.report_reference}`,
+        creator: userProfile?.full_name || 'Valuer',
+        font: 'Times New Roman',
+        fontSize: 22, // half-points
+        header: true,
+        footer: true,
+        pageNumber: true,
+        table: { row: { cantSplit: true } }
+      }, footerHTML);
+
+      logger.info(`DOCX generated for report ${report.id}: ${docxBuffer.length} bytes`);
+      return docxBuffer;
+    } catch (error) {
+      logger.error('DOCX generation error:', error);
+      throw new Error('Failed to generate DOCX: ' + error.message);
+    }
+  }
+
+  /**
+   * Inline uploaded images as data URIs, since Word cannot follow the
+   * relative upload paths. Images missing from disk are left out.
+   */
+  async embedImages(html) {
+    const sources = [...new Set([...html.matchAll(/<img src="([^"]*)"/g)].map(match => match[1]))];
+    const embedded = {};
+
+    await Promise.all(sources.map(async (src) => {
+      // Word cannot show SVG, so the generated location sketch goes in as PNG
+      if (src.startsWith(SVG_DATA_URI)) {
+        try {
+          const svg = Buffer.from(src.slice(SVG_DATA_URI.length), 'base64').toString();
+          const png = await locationSketchService.toPNG(svg);
+          embedded[src] = `data:image/png;base64,${png.toString('base64')}`;
+        } catch (error) {
+          logger.warn(`Location sketch not embedded in DOCX: ${error.message}`);
+          embedded[src] = null;
+        }
+        return;
+      }
+
+      if (src.startsWith('data:') || /^https?:\/\//.test(src)) {
+        embedded[src] = src;
+        return;
+      }
+
+      // Image rows hold either the upload path or its /uploads URL
+      const filePath = path.isAbsolute(src) && !src.startsWith('/uploads/')
+        ? src
+        : path.join(process.cwd(), src.replace(/^\/+/, ''));
+      const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+      try {
+        if (!mimeType) throw new Error(`Unsupported image type: ${src}`);
+        const data = await fs.readFile(filePath);
+        embedded[src] = `data:${mimeType};base64,${data.toString('base64')}`;
+      } catch (error) {
+        logger.warn(`Image not embedded in DOCX: ${src}`);
+        embedded[src] = null;
+      }
+    }));
+
+    return html.replace(/<img src="([^"]*)"([^>]*)>/g, (tag, src, rest) => (
+      embedded[src] ? `<img src="${embedded[src]}" style="${IMAGE_STYLE}"${rest}>` : ''
+    ));
+  }
+}
+
+module.exports = new DOCXService();
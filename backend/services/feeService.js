@@ -0,0 +1,328 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const EARTH_RADIUS_KM = 6371;
+
+const round = value => Math.round(value * 100) / 100;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Straight-line distance between two points in km
+const greatCircleKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+class FeeService {
+  // ===============================================
+  // Fee Scales
+  // ===============================================
+
+  async getScales(userId) {
+    try {
+      const result = await pool.query(`
+        SELECT fs.*, c.organization_name
+        FROM fee_scales fs
+        LEFT JOIN clients c ON c.id = fs.client_id
+        WHERE fs.user_id = $1
+        ORDER BY fs.client_id IS NOT NULL, c.organization_name
+      `, [userId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching fee scales:', error);
+      throw new Error('Failed to fetch fee scales');
+    }
+  }
+
+  async createScale(userId, data) {
+    const scale = this.normalizeScale(data);
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO fee_scales (
+          user_id, client_id, name, currency, bands, minimum_fee, travel_rate_per_km, travel_free_km,
+          travel_round_trip, office_latitude, office_longitude, extras, tax_percentage, payment_terms_days
+        )
+        SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+        WHERE $2::integer IS NULL OR EXISTS (SELECT 1 FROM clients WHERE id = $2 AND user_id = $1)
+        RETURNING *
+      `, [userId, ...this.getScaleValues(scale)]);
+
+      if (result.rows.length === 0) {
+        throw ValidationError('Client not found in your address book', 'client_id');
+      }
+
+      logger.info(`Fee scale ${scale.name} created for user ${userId}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating fee scale:', error);
+      throw this.duplicateError(error);
+    }
+  }
+
+  async updateScale(userId, scaleId, data) {
+    const scale = this.normalizeScale(data);
+
+    try {
+      const result = await pool.query(`
+        UPDATE fee_scales
+        SET client_id = $1, name = $2, currency = $3, bands = $4, minimum_fee = $5, travel_rate_per_km = $6,
+            travel_free_km = $7, travel_round_trip = $8, office_latitude = $9, office_longitude = $10,
+            extras = $11, tax_percentage = $12, payment_terms_days = $13, updated_at = NOW()
+        WHERE id = $14 AND user_id = $15
+          AND ($1::integer IS NULL OR EXISTS (SELECT 1 FROM clients WHERE id = $1 AND user_id = $15))
+        RETURNING *
+      `, [...this.getScaleValues(scale), scaleId, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating fee scale:', error);
+      throw this.duplicateError(error);
+    }
+  }
+
+  async deleteScale(userId, scaleId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM fee_scales WHERE id = $1 AND user_id = $2 RETURNING id',
+        [scaleId, userId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting fee scale:', error);
+      throw new Error('Failed to delete fee scale');
+    }
+  }
+
+  /**
+   * The scale the report's client is billed on, falling back to the
+   * valuer's default scale
+   */
+  async findForReport(report) {
+    try {
+      const result = await pool.query(`
+        SELECT * FROM fee_scales
+        WHERE user_id = $1 AND (client_id = $2 OR client_id IS NULL)
+        ORDER BY client_id IS NULL
+        LIMIT 1
+      `, [report.user_id, report.client_id || null]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching fee scale for report:', error);
+      throw new Error('Failed to fetch fee scale');
+    }
+  }
+
+  getScaleValues(scale) {
+    return [
+      scale.client_id,
+      scale.name,
+      scale.currency,
+      JSON.stringify(scale.bands),
+      scale.minimum_fee,
+      scale.travel_rate_per_km,
+      scale.travel_free_km,
+      scale.travel_round_trip,
+      scale.office_latitude,
+      scale.office_longitude,
+      JSON.stringify(scale.extras),
+      scale.tax_percentage,
+      scale.payment_terms_days
+    ];
+  }
+
+  duplicateError(error) {
+    return error.code === '23505'
+      ? ValidationError('There is already a fee scale for this client', 'client_id')
+      : error;
+  }
+
+  // ===============================================
+  // Fee Calculation
+  // ===============================================
+
+  /**
+   * Sliding scale fee on the market value: each slice of the value is
+   * charged at its band's rate and the last band has no upper limit
+   */
+  calculateProfessionalFee(marketValue, scale) {
+    const bands = scale.bands || [];
+    let lower = 0;
+    let fee = 0;
+
+    bands.forEach((band, index) => {
+      const upper = index === bands.length - 1 || band.up_to === null ? Infinity : Number(band.up_to);
+      if (marketValue > lower) {
+        fee += (Math.min(marketValue, upper) - lower) * Number(band.rate) / 100;
+      }
+      lower = upper;
+    });
+
+    return round(Math.max(fee, Number(scale.minimum_fee) || 0));
+  }
+
+  /**
+   * One-way distance to the property: straight from the office when the
+   * scale gives its coordinates, otherwise the route distance from the
+   * nearest major city worked out for Section 4.1
+   */
+  getTravelDistance(report, scale, routeDistanceKm = null) {
+    const hasOffice = scale.office_latitude !== null && scale.office_latitude !== undefined &&
+      scale.office_longitude !== null && scale.office_longitude !== undefined;
+    const hasProperty = report.latitude !== null && report.latitude !== undefined &&
+      report.longitude !== null && report.longitude !== undefined;
+
+    if (hasOffice && hasProperty) {
+      return round(greatCircleKm(
+        { latitude: Number(scale.office_latitude), longitude: Number(scale.office_longitude) },
+        { latitude: Number(report.latitude), longitude: Number(report.longitude) }
+      ));
+    }
+
+    const routeDistance = parseFloat(routeDistanceKm);
+    return isNaN(routeDistance) ? null : routeDistance;
+  }
+
+  /**
+   * Invoice lines and totals for a report on a scale. options.routeDistanceKm
+   * is the report's Section 4.1 route distance.
+   */
+  calculateFee(report, scale, options = {}) {
+    const currency = scale.currency || 'LKR';
+    const marketValue = parseFloat(report.market_value) || 0;
+    const lineItems = [];
+
+    lineItems.push({
+      type: 'professional',
+      description: `Professional fee for the valuation of ${report.report_reference || 'the property'} ` +
+        `(market value ${currency} ${marketValue.toLocaleString('en-LK')})`,
+      amount: this.calculateProfessionalFee(marketValue, scale)
+    });
+
+    const distanceKm = this.getTravelDistance(report, scale, options.routeDistanceKm);
+    const rate = Number(scale.travel_rate_per_km) || 0;
+    const chargeableKm = distanceKm === null ? 0 : Math.max(0, distanceKm - (Number(scale.travel_free_km) || 0));
+    if (rate > 0 && chargeableKm > 0) {
+      const trips = scale.travel_round_trip === false ? 1 : 2;
+      lineItems.push({
+        type: 'travel',
+        description: `Travelling: ${round(chargeableKm)} km${trips === 2 ? ' each way' : ''} at ${currency} ${rate} per km`,
+        amount: round(chargeableKm * trips * rate)
+      });
+    }
+
+    (scale.extras || []).forEach(extra => {
+      lineItems.push({ type: 'extra', description: extra.label, amount: round(Number(extra.amount)) });
+    });
+
+    const subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const taxPercentage = Number(scale.tax_percentage) || 0;
+    const taxAmount = round(subtotal * taxPercentage / 100);
+
+    return {
+      currency,
+      market_value: marketValue,
+      distance_km: distanceKm,
+      line_items: lineItems,
+      subtotal,
+      tax_percentage: taxPercentage,
+      tax_amount: taxAmount,
+      total: round(subtotal + taxAmount)
+    };
+  }
+
+  // ===============================================
+  // Validation
+  // ===============================================
+
+  /**
+   * Validate and tidy a fee scale posted by the valuer. Throws a 400
+   * naming the first invalid setting.
+   */
+  normalizeScale(data = {}) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      throw ValidationError('Fee scale name is required', 'name');
+    }
+
+    const number = (value, field, { min = 0, max = Infinity, fallback = 0 } = {}) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const parsed = Number(value);
+      if (isNaN(parsed) || parsed < min || parsed > max) {
+        const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+        throw ValidationError(`${field.replace(/_/g, ' ')} must be a number ${range}`, field);
+      }
+      return parsed;
+    };
+
+    const bands = data.bands || [];
+    if (!Array.isArray(bands) || bands.length === 0) {
+      throw ValidationError('A fee scale needs at least one band', 'bands');
+    }
+    let previous = 0;
+    const normalizedBands = bands.map((band, index) => {
+      const isLast = index === bands.length - 1;
+      const upTo = isLast && (band.up_to === null || band.up_to === undefined || band.up_to === '')
+        ? null
+        : number(band.up_to, 'bands', { min: 0, fallback: NaN });
+      if (upTo !== null && !(upTo > previous)) {
+        throw ValidationError('Band limits must be given and rise from one band to the next', 'bands');
+      }
+      previous = upTo;
+      return { up_to: upTo, rate: number(band.rate, 'bands', { max: 100, fallback: NaN }) };
+    });
+    if (normalizedBands.some(band => isNaN(band.rate))) {
+      throw ValidationError('Every band needs a rate', 'bands');
+    }
+
+    const extras = data.extras || [];
+    if (!Array.isArray(extras)) {
+      throw ValidationError('Extras must be a list', 'extras');
+    }
+    const normalizedExtras = extras.map(extra => {
+      const label = typeof extra?.label === 'string' ? extra.label.trim() : '';
+      if (!label) {
+        throw ValidationError('Every extra charge needs a label', 'extras');
+      }
+      return { label, amount: number(extra.amount, 'extras', { fallback: NaN }) };
+    });
+    if (normalizedExtras.some(extra => isNaN(extra.amount))) {
+      throw ValidationError('Every extra charge needs an amount', 'extras');
+    }
+
+    const latitude = number(data.office_latitude, 'office_latitude', { min: -90, max: 90, fallback: null });
+    const longitude = number(data.office_longitude, 'office_longitude', { min: -180, max: 180, fallback: null });
+    if ((latitude === null) !== (longitude === null)) {
+      throw ValidationError('Give both the office latitude and longitude, or neither', 'office_latitude');
+    }
+
+    const currency = (data.currency || 'LKR').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw ValidationError('Currency must be a three-letter code such as LKR', 'currency');
+    }
+
+    return {
+      client_id: data.client_id ? Number(data.client_id) : null,
+      name,
+      currency,
+      bands: normalizedBands,
+      minimum_fee: number(data.minimum_fee, 'minimum_fee'),
+      travel_rate_per_km: number(data.travel_rate_per_km, 'travel_rate_per_km'),
+      travel_free_km: number(data.travel_free_km, 'travel_free_km'),
+      travel_round_trip: data.travel_round_trip !== false,
+      office_latitude: latitude,
+      office_longitude: longitude,
+      extras: normalizedExtras,
+      tax_percentage: number(data.tax_percentage, 'tax_percentage', { max: 100 }),
+      payment_terms_days: number(data.payment_terms_days, 'payment_terms_days', { fallback: 30 })
+    };
+  }
+}
+
+module.exports = new FeeService();
@@ -0,0 +1,305 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const valuationService = require('./valuationService');
+const amountInWordsService = require('./amountInWordsService');
+const workflowService = require('./workflowService');
+const revisionService = require('./revisionService');
+
+// Inputs accepted from the investment API
+const INPUT_FIELDS = [
+  'interest_type', 'gross_monthly_rent', 'gross_annual_rent', 'outgoings_percentage',
+  'outgoings_amount', 'outgoings_notes', 'yield_rate', 'term_years', 'reversion_annual_rent',
+  'reversion_yield_rate', 'unexpired_term_years', 'ground_rent', 'use_dual_rate',
+  'sinking_fund_rate', 'tax_rate'
+];
+
+// Report figures the investment method writes, logged with the inputs
+const VALUE_FIELDS = [
+  'total_market_value', 'market_value', 'final_value', 'forced_sale_value',
+  'valuation_method', 'market_value_words', 'forced_sale_value_words'
+];
+
+// Valuation tables are quoted to four decimal places
+const roundFactor = (factor) => Math.round(factor * 10000) / 10000;
+
+class InvestmentService {
+  // ===============================================
+  // Valuation Table Factors
+  // ===============================================
+
+  /**
+   * Present value of Rs. 1 receivable in `years` years at `rate` %
+   */
+  presentValue(rate, years) {
+    const i = parseFloat(rate) / 100;
+    return roundFactor(Math.pow(1 + i, -parseFloat(years)));
+  }
+
+  /**
+   * Single-rate Years' Purchase for `years` years at `rate` %, or in
+   * perpetuity when years is not given
+   */
+  yearsPurchaseSingleRate(rate, years = null) {
+    const i = parseFloat(rate) / 100;
+    if (!i) throw ValidationError('Yield rate must be greater than zero', 'yield_rate');
+
+    if (years === null || years === undefined || years === '') {
+      return roundFactor(1 / i);
+    }
+
+    return roundFactor((1 - Math.pow(1 + i, -parseFloat(years))) / i);
+  }
+
+  /**
+   * Dual-rate Years' Purchase: remunerative rate plus a sinking fund at the
+   * accumulative rate, grossed up for tax where a tax rate is given
+   */
+  yearsPurchaseDualRate(rate, sinkingFundRate, years, taxRate = 0) {
+    const i = parseFloat(rate) / 100;
+    const s = parseFloat(sinkingFundRate) / 100;
+    const n = parseFloat(years);
+    const t = (parseFloat(taxRate) || 0) / 100;
+
+    if (!i || !s || !n) {
+      throw ValidationError('Dual-rate Years\' Purchase requires a yield rate, sinking fund rate and term');
+    }
+
+    const annualSinkingFund = s / (Math.pow(1 + s, n) - 1);
+    const grossUp = 1 / (1 - t);
+
+    return roundFactor(1 / (i + annualSinkingFund * grossUp));
+  }
+
+  // ===============================================
+  // Income Capitalisation
+  // ===============================================
+
+  getGrossAnnualRent(inputs) {
+    if (parseFloat(inputs.gross_annual_rent)) return parseFloat(inputs.gross_annual_rent);
+    return (parseFloat(inputs.gross_monthly_rent) || 0) * 12;
+  }
+
+  getOutgoings(inputs, grossRent) {
+    if (parseFloat(inputs.outgoings_amount)) return parseFloat(inputs.outgoings_amount);
+    return grossRent * (parseFloat(inputs.outgoings_percentage) || 0) / 100;
+  }
+
+  /**
+   * Capitalise the income stream described by the inputs. Returns the
+   * capital value with the row-by-row working for the report table.
+   */
+  calculate(inputs, options = {}) {
+    const rows = [];
+    const yieldRate = parseFloat(inputs.yield_rate);
+    const grossRent = this.getGrossAnnualRent(inputs);
+    const outgoings = this.getOutgoings(inputs, grossRent);
+    const netIncome = grossRent - outgoings;
+
+    rows.push({ label: 'Gross annual rent', amount: grossRent });
+    if (outgoings) {
+      rows.push({
+        label: !parseFloat(inputs.outgoings_amount)
+          ? `Less outgoings @ ${parseFloat(inputs.outgoings_percentage)}%`
+          : 'Less outgoings',
+        amount: -outgoings
+      });
+    }
+    rows.push({ label: 'Net annual income', amount: netIncome, subtotal: true });
+
+    let capitalValue;
+
+    if (inputs.interest_type === 'leasehold') {
+      const unexpiredTerm = parseFloat(inputs.unexpired_term_years);
+      const groundRent = parseFloat(inputs.ground_rent) || 0;
+      const profitRent = netIncome - groundRent;
+
+      if (!unexpiredTerm) {
+        throw ValidationError('Unexpired term is required for a leasehold interest', 'unexpired_term_years');
+      }
+
+      if (groundRent) {
+        rows.push({ label: 'Less ground rent payable', amount: -groundRent });
+        rows.push({ label: 'Profit rent', amount: profitRent, subtotal: true });
+      }
+
+      const useDualRate = inputs.use_dual_rate !== false && Boolean(parseFloat(inputs.sinking_fund_rate));
+      const yp = useDualRate
+        ? this.yearsPurchaseDualRate(yieldRate, inputs.sinking_fund_rate, unexpiredTerm, inputs.tax_rate)
+        : this.yearsPurchaseSingleRate(yieldRate, unexpiredTerm);
+
+      rows.push({
+        label: useDualRate
+          ? `YP ${unexpiredTerm} years @ ${yieldRate}% and ${parseFloat(inputs.sinking_fund_rate)}%` +
+            (parseFloat(inputs.tax_rate) ? ` (tax ${parseFloat(inputs.tax_rate)}%)` : '')
+          : `YP ${unexpiredTerm} years @ ${yieldRate}%`,
+        factor: yp
+      });
+
+      capitalValue = profitRent * yp;
+    } else if (parseFloat(inputs.term_years) && parseFloat(inputs.reversion_annual_rent)) {
+      // Freehold term and reversion
+      const termYears = parseFloat(inputs.term_years);
+      const reversionYield = parseFloat(inputs.reversion_yield_rate) || yieldRate;
+      const termYp = this.yearsPurchaseSingleRate(yieldRate, termYears);
+      const termValue = netIncome * termYp;
+
+      const reversionGross = parseFloat(inputs.reversion_annual_rent);
+      const reversionNet = reversionGross - this.getOutgoings(inputs, reversionGross);
+      const reversionYp = this.yearsPurchaseSingleRate(reversionYield);
+      const deferment = this.presentValue(reversionYield, termYears);
+      const reversionValue = reversionNet * reversionYp * deferment;
+
+      rows.push({ label: `YP ${termYears} years @ ${yieldRate}%`, factor: termYp });
+      rows.push({ label: 'Value of term', amount: termValue, subtotal: true });
+      rows.push({ label: 'Net annual income on reversion', amount: reversionNet });
+      rows.push({ label: `YP in perpetuity @ ${reversionYield}%`, factor: reversionYp });
+      rows.push({ label: `PV of Rs. 1 in ${termYears} years @ ${reversionYield}%`, factor: deferment });
+      rows.push({ label: 'Value of reversion', amount: reversionValue, subtotal: true });
+
+      capitalValue = termValue + reversionValue;
+    } else {
+      const termYears = parseFloat(inputs.term_years) || null;
+      const yp = this.yearsPurchaseSingleRate(yieldRate, termYears);
+      rows.push({
+        label: termYears
+          ? `YP ${termYears} years @ ${yieldRate}%`
+          : `YP in perpetuity @ ${yieldRate}%`,
+        factor: yp
+      });
+
+      capitalValue = netIncome * yp;
+    }
+
+    const roundTo = options.round_to ?? 10000;
+    rows.push({ label: 'Capital value', amount: capitalValue, total: true });
+
+    return {
+      interest_type: inputs.interest_type || 'freehold',
+      gross_annual_rent: grossRent,
+      outgoings,
+      net_income: netIncome,
+      capital_value: capitalValue,
+      market_value: valuationService.roundValue(capitalValue, roundTo),
+      rows
+    };
+  }
+
+  // ===============================================
+  // Report Integration
+  // ===============================================
+
+  async getInvestmentInputs(reportId) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM report_investment_inputs WHERE report_id = $1',
+        [reportId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching investment inputs:', error);
+      throw new Error('Failed to fetch investment inputs');
+    }
+  }
+
+  /**
+   * Save the report's investment inputs, capitalise them and write the
+   * resulting market and forced sale values to the report, recording the
+   * changed inputs and values as one revision
+   */
+  async saveAndCalculate(reportId, data, options = {}) {
+    try {
+      const statusResult = await pool.query(
+        'SELECT status, user_id, client_organization, forced_sale_percentage FROM valuation_reports WHERE id = $1',
+        [reportId]
+      );
+      if (statusResult.rows.length > 0) {
+        workflowService.assertEditable(statusResult.rows[0]);
+      }
+      const defaultForcedSalePercentage = statusResult.rows.length > 0
+        ? await valuationService.getDefaultForcedSalePercentage(statusResult.rows[0])
+        : undefined;
+
+      // Merge with previously saved inputs so partial updates recalculate correctly
+      const existing = await this.getInvestmentInputs(reportId) || {};
+      const inputs = INPUT_FIELDS
+        .filter(key => data[key] !== undefined || (existing[key] !== undefined && existing[key] !== null))
+        .reduce((picked, key) => ({ ...picked, [key]: data[key] !== undefined ? data[key] : existing[key] }), {});
+
+      // Validate before saving so bad inputs are never stored
+      const calculation = this.calculate(inputs);
+
+      const fields = Object.keys(inputs);
+      const values = fields.map(field => inputs[field]);
+      const placeholders = fields.map((_, index) => `$${index + 2}`);
+      const updates = fields.map(field => `${field} = EXCLUDED.${field}`);
+
+      const { saved, report } = await pool.withTransaction(async (client) => {
+        const before = await revisionService.lockReport(client, reportId);
+        const previousResult = await client.query(
+          'SELECT * FROM report_investment_inputs WHERE report_id = $1',
+          [reportId]
+        );
+
+        const savedResult = await client.query(`
+          INSERT INTO report_investment_inputs (report_id, ${fields.join(', ')})
+          VALUES ($1, ${placeholders.join(', ')})
+          ON CONFLICT (report_id) DO UPDATE SET ${updates.join(', ')}
+          RETURNING *
+        `, [reportId, ...values]);
+
+        const reportResult = await client.query(`
+          UPDATE valuation_reports
+          SET total_market_value = $1,
+              market_value = $2,
+              final_value = $2,
+              forced_sale_value = ROUND($2 * COALESCE(forced_sale_percentage, $5, 80) / 100 / 10000) * 10000,
+              valuation_method = 'investment_method',
+              market_value_words = $3,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $4
+          RETURNING *
+        `, [
+          calculation.capital_value,
+          calculation.market_value,
+          amountInWordsService.toWords(calculation.market_value),
+          reportId,
+          defaultForcedSalePercentage ?? null
+        ]);
+
+        // Forced sale value is derived in SQL, so its words follow the update
+        const wordsResult = await client.query(`
+          UPDATE valuation_reports SET forced_sale_value_words = $1
+          WHERE id = $2
+          RETURNING *
+        `, [amountInWordsService.toWords(reportResult.rows[0].forced_sale_value), reportId]);
+
+        await revisionService.recordRevision(reportId, {
+          changeType: 'calculation',
+          section: 'investment',
+          changes: [
+            ...revisionService.diff(previousResult.rows[0] || {}, savedResult.rows[0], fields),
+            ...revisionService.diff(before, wordsResult.rows[0], VALUE_FIELDS)
+          ],
+          userId: options.userId
+        }, client);
+
+        return { saved: savedResult, report: wordsResult.rows[0] };
+      });
+
+      logger.info(`Investment valuation calculated for report ${reportId}: Rs. ${calculation.market_value}`);
+
+      return {
+        inputs: saved.rows[0],
+        calculation,
+        report
+      };
+    } catch (error) {
+      logger.error('Error saving investment valuation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new InvestmentService();
@@ -0,0 +1,310 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const feeService = require('./feeService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const INVOICE_STATUSES = ['unpaid', 'paid'];
+
+// Income analytics cover the last year, month by month
+const INCOME_MONTHS = 12;
+
+const INVOICE_SELECT = `
+  SELECT i.*, c.organization_name AS client_name
+  FROM invoices i
+  LEFT JOIN clients c ON c.id = i.client_id
+`;
+
+class InvoiceService {
+  // ===============================================
+  // Invoices
+  // ===============================================
+
+  /**
+   * Raise the invoice for a finalized report from the client's fee scale.
+   * A report is invoiced once; finalizing an amendment keeps the original
+   * invoice. Returns null when the valuer has no fee scale to bill on.
+   */
+  async createForReport(report) {
+    const existing = await this.getReportInvoice(report.id);
+    if (existing) {
+      return existing;
+    }
+
+    const scale = await feeService.findForReport(report);
+    if (!scale) {
+      logger.warn(`No fee scale for user ${report.user_id}; report ${report.id} not invoiced`);
+      return null;
+    }
+
+    try {
+      const fee = feeService.calculateFee(report, scale, {
+        routeDistanceKm: await this.getRouteDistance(report.id)
+      });
+      const invoiceDate = new Date();
+      const dueDate = new Date(invoiceDate);
+      dueDate.setDate(dueDate.getDate() + (Number(scale.payment_terms_days) || 0));
+
+      const result = await pool.withTransaction(async (client) => {
+        // Number the valuer's invoices one at a time
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`invoices:${report.user_id}`]);
+
+        return client.query(`
+          INSERT INTO invoices (
+            user_id, report_id, client_id, fee_scale_id, invoice_number, invoice_date, due_date,
+            bill_to_name, bill_to_attention, bill_to_address, currency, market_value, distance_km,
+            line_items, subtotal, tax_percentage, tax_amount, total, report_reference
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+          ON CONFLICT (report_id) DO NOTHING
+          RETURNING *
+        `, [
+          report.user_id,
+          report.id,
+          report.client_id || null,
+          scale.id,
+          await this.generateInvoiceNumber(report.user_id, invoiceDate, client),
+          invoiceDate,
+          dueDate,
+          report.client_organization || null,
+          [report.instruction_source, report.client_designation].filter(Boolean).join(', ') || null,
+          report.client_address || null,
+          fee.currency,
+          fee.market_value,
+          fee.distance_km,
+          JSON.stringify(fee.line_items),
+          fee.subtotal,
+          fee.tax_percentage,
+          fee.tax_amount,
+          fee.total,
+          report.report_reference || null
+        ]);
+      });
+
+      // Another request invoiced the report first
+      if (result.rows.length === 0) {
+        return this.getReportInvoice(report.id);
+      }
+
+      logger.info(`Invoice ${result.rows[0].invoice_number} raised for report ${report.id}: ${fee.currency} ${fee.total}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating invoice:', error);
+      throw new Error('Failed to create invoice');
+    }
+  }
+
+  /**
+   * Next number in the valuer's yearly series, one past the highest issued.
+   * Call within the transaction holding the valuer's invoice lock.
+   */
+  async generateInvoiceNumber(userId, invoiceDate, client = pool) {
+    const year = invoiceDate.getFullYear();
+    const result = await client.query(`
+      SELECT MAX(CAST(SUBSTRING(invoice_number FROM '[0-9]+$') AS INTEGER)) AS last_number
+      FROM invoices
+      WHERE user_id = $1 AND invoice_number LIKE $2
+    `, [userId, `INV/${year}/%`]);
+
+    const invoiceNumber = (parseInt(result.rows[0].last_number) || 0) + 1;
+    return `INV/${year}/${invoiceNumber.toString().padStart(3, '0')}`;
+  }
+
+  async getRouteDistance(reportId) {
+    const result = await pool.query(
+      'SELECT route_distance_km FROM report_location_context WHERE report_id = $1',
+      [reportId]
+    );
+    return result.rows[0]?.route_distance_km ?? null;
+  }
+
+  async getInvoices(userId, options = {}) {
+    try {
+      const values = [userId];
+      let whereClause = 'WHERE i.user_id = $1';
+
+      if (options.status) {
+        values.push(options.status);
+        whereClause += ` AND i.status = $${values.length}`;
+      }
+
+      const result = await pool.query(`
+        ${INVOICE_SELECT}
+        ${whereClause}
+        ORDER BY i.invoice_date DESC, i.id DESC
+      `, values);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching invoices:', error);
+      throw new Error('Failed to fetch invoices');
+    }
+  }
+
+  async getInvoice(userId, invoiceId) {
+    try {
+      const result = await pool.query(`
+        ${INVOICE_SELECT}
+        WHERE i.id = $1 AND i.user_id = $2
+      `, [invoiceId, userId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching invoice:', error);
+      throw new Error('Failed to fetch invoice');
+    }
+  }
+
+  async getReportInvoice(reportId) {
+    try {
+      const result = await pool.query(`
+        ${INVOICE_SELECT}
+        WHERE i.report_id = $1
+      `, [reportId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching report invoice:', error);
+      throw new Error('Failed to fetch invoice');
+    }
+  }
+
+  /**
+   * Mark an invoice paid (with the payment date and reference) or unpaid again
+   */
+  async updateStatus(userId, invoiceId, { status, paid_at: paidAt, payment_reference: paymentReference } = {}) {
+    if (!INVOICE_STATUSES.includes(status)) {
+      throw ValidationError(`Invoice status must be one of: ${INVOICE_STATUSES.join(', ')}`, 'status');
+    }
+
+    const isPaid = status === 'paid';
+
+    try {
+      const result = await pool.query(`
+        UPDATE invoices
+        SET status = $1, paid_at = $2, payment_reference = $3, updated_at = NOW()
+        WHERE id = $4 AND user_id = $5
+        RETURNING *
+      `, [
+        status,
+        isPaid ? (paidAt ? new Date(paidAt) : new Date()) : null,
+        isPaid ? paymentReference || null : null,
+        invoiceId,
+        userId
+      ]);
+
+      if (result.rows.length > 0) {
+        logger.info(`Invoice ${result.rows[0].invoice_number} marked ${status}`);
+      }
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating invoice status:', error);
+      throw new Error('Failed to update invoice status');
+    }
+  }
+
+  // ===============================================
+  // Income Analytics
+  // ===============================================
+
+  /**
+   * Totals for the dashboard: invoiced, received, outstanding and overdue
+   */
+  async getIncomeSummary(userId) {
+    try {
+      const result = await pool.query(`
+        SELECT
+          COUNT(*) AS invoice_count,
+          COUNT(CASE WHEN status = 'unpaid' THEN 1 END) AS unpaid_count,
+          COALESCE(SUM(total), 0) AS total_invoiced,
+          COALESCE(SUM(CASE WHEN status = 'paid' THEN total ELSE 0 END), 0) AS total_received,
+          COALESCE(SUM(CASE WHEN status = 'unpaid' THEN total ELSE 0 END), 0) AS outstanding,
+          COALESCE(SUM(CASE WHEN status = 'unpaid' AND due_date < CURRENT_DATE THEN total ELSE 0 END), 0) AS overdue,
+          COALESCE(SUM(CASE WHEN invoice_date >= date_trunc('month', CURRENT_DATE) THEN total ELSE 0 END), 0) AS invoiced_this_month,
+          COALESCE(SUM(CASE WHEN paid_at >= date_trunc('month', CURRENT_DATE) THEN total ELSE 0 END), 0) AS received_this_month
+        FROM invoices
+        WHERE user_id = $1
+      `, [userId]);
+
+      const row = result.rows[0];
+      return {
+        invoice_count: parseInt(row.invoice_count),
+        unpaid_count: parseInt(row.unpaid_count),
+        total_invoiced: parseFloat(row.total_invoiced),
+        total_received: parseFloat(row.total_received),
+        outstanding: parseFloat(row.outstanding),
+        overdue: parseFloat(row.overdue),
+        invoiced_this_month: parseFloat(row.invoiced_this_month),
+        received_this_month: parseFloat(row.received_this_month)
+      };
+    } catch (error) {
+      logger.error('Error fetching income summary:', error);
+      return {
+        invoice_count: 0,
+        unpaid_count: 0,
+        total_invoiced: 0,
+        total_received: 0,
+        outstanding: 0,
+        overdue: 0,
+        invoiced_this_month: 0,
+        received_this_month: 0
+      };
+    }
+  }
+
+  /**
+   * Income by month (invoiced against received) and by client
+   */
+  async getIncomeAnalytics(userId) {
+    try {
+      const [summary, monthly, clients] = await Promise.all([
+        this.getIncomeSummary(userId),
+        pool.query(`
+          SELECT
+            TO_CHAR(month, 'YYYY-MM') AS month,
+            COALESCE((SELECT SUM(total) FROM invoices
+                      WHERE user_id = $1 AND date_trunc('month', invoice_date) = month), 0) AS invoiced,
+            COALESCE((SELECT SUM(total) FROM invoices
+                      WHERE user_id = $1 AND date_trunc('month', paid_at) = month), 0) AS received
+          FROM generate_series(
+            date_trunc('month', CURRENT_DATE) - ($2::integer - 1) * INTERVAL '1 month',
+            date_trunc('month', CURRENT_DATE),
+            INTERVAL '1 month'
+          ) AS month
+          ORDER BY month
+        `, [userId, INCOME_MONTHS]),
+        pool.query(`
+          SELECT
+            COALESCE(c.organization_name, i.bill_to_name, 'Unassigned') AS client_name,
+            COUNT(*) AS invoice_count,
+            SUM(i.total) AS invoiced,
+            SUM(CASE WHEN i.status = 'unpaid' THEN i.total ELSE 0 END) AS outstanding
+          FROM invoices i
+          LEFT JOIN clients c ON c.id = i.client_id
+          WHERE i.user_id = $1
+          GROUP BY 1
+          ORDER BY invoiced DESC
+        `, [userId])
+      ]);
+
+      return {
+        summary,
+        by_month: monthly.rows.map(row => ({
+          month: row.month,
+          invoiced: parseFloat(row.invoiced),
+          received: parseFloat(row.received)
+        })),
+        by_client: clients.rows.map(row => ({
+          client_name: row.client_name,
+          invoice_count: parseInt(row.invoice_count),
+          invoiced: parseFloat(row.invoiced),
+          outstanding: parseFloat(row.outstanding)
+        }))
+      };
+    } catch (error) {
+      logger.error('Error fetching income analytics:', error);
+      throw new Error('Failed to fetch income analytics');
+    }
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,238 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+const PERCHES_PER_ACRE = 160;
+const PERCHES_PER_ROOD = 40;
+const SQUARE_FEET_PER_PERCH = 272.25;
+const SQUARE_METRES_PER_SQUARE_FOOT = 0.09290304;
+const SQUARE_METRES_PER_PERCH = SQUARE_FEET_PER_PERCH * SQUARE_METRES_PER_SQUARE_FOOT;
+const SQUARE_METRES_PER_HECTARE = 10000;
+
+// Perches in one of each unit accepted by the converter
+const UNIT_PERCHES = {
+  perches: 1,
+  roods: PERCHES_PER_ROOD,
+  acres: PERCHES_PER_ACRE,
+  hectares: SQUARE_METRES_PER_HECTARE / SQUARE_METRES_PER_PERCH,
+  square_metres: 1 / SQUARE_METRES_PER_PERCH,
+  square_feet: 1 / SQUARE_FEET_PER_PERCH
+};
+
+// Free-text unit spellings found in deeds and survey plans
+const UNIT_PATTERNS = [
+  { unit: 'hectares', pattern: /^(ha|hectares?)$/i },
+  { unit: 'acres', pattern: /^(a|ac|acres?)$/i },
+  { unit: 'roods', pattern: /^(r|roods?)$/i },
+  { unit: 'perches', pattern: /^(p|perch|perches)$/i },
+  { unit: 'square_metres', pattern: /^(sq\.?\s*m|m2|sqm|square\s*met(re|er)s?)$/i },
+  { unit: 'square_feet', pattern: /^(sq\.?\s*ft|ft2|sqft|square\s*f(ee|oo)t)$/i }
+];
+
+// Stored hectares are rounded to 4 dp, so allow half a unit in the last place
+const HECTARE_TOLERANCE = 0.00005;
+const PERCH_TOLERANCE = 0.01;
+
+const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+class LandExtentService {
+  // ===============================================
+  // Conversion
+  // ===============================================
+
+  toPerches(value, unit) {
+    if (!UNIT_PERCHES[unit]) {
+      throw ValidationError(`Unsupported extent unit: ${unit}`, 'extent_unit');
+    }
+    return (parseFloat(value) || 0) * UNIT_PERCHES[unit];
+  }
+
+  fromARP(acres, roods, perches) {
+    return (parseFloat(acres) || 0) * PERCHES_PER_ACRE +
+      (parseFloat(roods) || 0) * PERCHES_PER_ROOD +
+      (parseFloat(perches) || 0);
+  }
+
+  /**
+   * An extent in perches expressed in every unit. Perches in the A-R-P
+   * split are kept to 2 dp as surveyors quote them.
+   */
+  fromPerches(totalPerches) {
+    const total = round(parseFloat(totalPerches) || 0, 2);
+    const acres = Math.floor(total / PERCHES_PER_ACRE);
+    const roods = Math.floor((total - acres * PERCHES_PER_ACRE) / PERCHES_PER_ROOD);
+    const perches = round(total - acres * PERCHES_PER_ACRE - roods * PERCHES_PER_ROOD, 2);
+    const squareMetres = total * SQUARE_METRES_PER_PERCH;
+
+    return {
+      total_perches: total,
+      acres,
+      roods,
+      perches,
+      hectares: round(squareMetres / SQUARE_METRES_PER_HECTARE, 4),
+      square_metres: round(squareMetres, 2),
+      square_feet: round(total * SQUARE_FEET_PER_PERCH, 2)
+    };
+  }
+
+  /**
+   * Canonical extent string used in Sections 3 and 12, e.g.
+   * "0A-1R-12.5P (0.1328 Ha)"
+   */
+  formatExtent(totalPerches) {
+    const extent = this.fromPerches(totalPerches);
+    return `${extent.acres}A-${extent.roods}R-${extent.perches}P (${extent.hectares.toFixed(4)} Ha)`;
+  }
+
+  // ===============================================
+  // Parsing
+  // ===============================================
+
+  /**
+   * Parse a free-text extent into perches. Accepts A-R-P strings
+   * ("0A-1R-12.5P", "1 A 2 R 10 P"), a single value with a unit
+   * ("0.25 ha", "1000 sq.m", "35.5 perches") or a bare number, which
+   * is taken as perches. Returns null when the text cannot be read.
+   */
+  parseExtent(text) {
+    if (text === undefined || text === null) return null;
+
+    // Ignore the hectare figure in brackets after an A-R-P extent
+    const extentText = String(text).replace(/\(.*?\)/g, '').replace(/,/g, '').trim();
+    if (!extentText) return null;
+
+    if (/^[\d.]+$/.test(extentText)) {
+      return parseFloat(extentText);
+    }
+
+    const parts = [...extentText.matchAll(/([\d.]+)\s*([a-z][a-z.\s]*?)(?=[\s\-,]*[\d]|[\s\-,]*$)/gi)];
+    if (parts.length === 0) return null;
+
+    let total = 0;
+    for (const [, value, unitText] of parts) {
+      const match = UNIT_PATTERNS.find(({ pattern }) => pattern.test(unitText.trim()));
+      if (!match || isNaN(parseFloat(value))) return null;
+      total += this.toPerches(value, match.unit);
+    }
+
+    return total;
+  }
+
+  // ===============================================
+  // Reports
+  // ===============================================
+
+  /**
+   * Report extent in perches: A-R-P when entered, otherwise hectares,
+   * otherwise the free-text land_extent/total_extent
+   */
+  getReportPerches(report) {
+    const arp = this.fromARP(report.acres, report.roods, report.perches);
+    if (arp > 0) return arp;
+
+    const hectares = parseFloat(report.hectares);
+    if (hectares > 0) return this.toPerches(hectares, 'hectares');
+
+    return this.parseExtent(report.land_extent) || this.parseExtent(report.total_extent) || 0;
+  }
+
+  formatReportExtent(report) {
+    const perches = this.getReportPerches(report);
+    return perches > 0 ? this.formatExtent(perches) : null;
+  }
+
+  /**
+   * Fill in every extent field from the one the valuer entered. extent_unit
+   * names the unit entered; without it A-R-P takes precedence, then
+   * hectares, square metres, square feet and finally land_extent text.
+   * A partial A-R-P entry takes its missing parts from the stored report.
+   * Returns {} when the data carries no extent.
+   */
+  normalise(data, stored = {}) {
+    const parts = ['acres', 'roods', 'perches'];
+    if (parts.some(part => data[part] !== undefined)) {
+      data = { ...data };
+      parts.filter(part => data[part] === undefined).forEach(part => {
+        data[part] = stored[part];
+      });
+    }
+
+    let unit = data.extent_unit;
+
+    // A-R-P columns default to 0, so only a non-zero value counts as entered
+    if (!unit) {
+      if (this.fromARP(data.acres, data.roods, data.perches) > 0) unit = 'arp';
+      else unit = ['hectares', 'square_metres', 'square_feet'].find(field => parseFloat(data[field]) > 0);
+    }
+    if (!unit && this.parseExtent(data.land_extent) !== null) unit = 'land_extent';
+    if (!unit) return {};
+
+    let totalPerches;
+    if (unit === 'arp' || unit === 'acres' || unit === 'roods' || unit === 'perches') {
+      totalPerches = this.fromARP(data.acres, data.roods, data.perches);
+    } else if (unit === 'land_extent') {
+      totalPerches = this.parseExtent(data.land_extent);
+      if (totalPerches === null) {
+        throw ValidationError(`Could not read land extent "${data.land_extent}"`, 'land_extent');
+      }
+    } else {
+      totalPerches = this.toPerches(data[unit], unit);
+    }
+
+    const extent = this.fromPerches(totalPerches);
+    return {
+      acres: extent.acres,
+      roods: extent.roods,
+      perches: extent.perches,
+      hectares: extent.hectares,
+      land_extent: this.formatExtent(totalPerches)
+    };
+  }
+
+  /**
+   * Compare the stored A-R-P, hectares and land_extent of a report and
+   * describe any that disagree
+   */
+  reconcile(report) {
+    const issues = [];
+    const arp = this.fromARP(report.acres, report.roods, report.perches);
+    const hectares = parseFloat(report.hectares);
+    const textPerches = this.parseExtent(report.land_extent);
+
+    if (arp > 0 && hectares > 0) {
+      const expected = this.fromPerches(arp).hectares;
+      if (Math.abs(expected - hectares) > HECTARE_TOLERANCE) {
+        issues.push({
+          field: 'hectares',
+          message: `Hectares (${hectares}) do not match ${this.formatExtent(arp)}`,
+          expected,
+          actual: hectares
+        });
+      }
+    }
+
+    if (report.land_extent && textPerches === null) {
+      issues.push({
+        field: 'land_extent',
+        message: `Land extent "${report.land_extent}" could not be read`,
+        expected: null,
+        actual: report.land_extent
+      });
+    } else if (textPerches !== null && arp > 0 && Math.abs(textPerches - arp) > PERCH_TOLERANCE) {
+      issues.push({
+        field: 'land_extent',
+        message: `Land extent "${report.land_extent}" does not match ${this.formatExtent(arp)}`,
+        expected: this.formatExtent(arp),
+        actual: report.land_extent
+      });
+    }
+
+    const perches = this.getReportPerches(report);
+    return {
+      consistent: issues.length === 0,
+      extent: perches > 0 ? this.formatExtent(perches) : null,
+      total_perches: round(perches, 2),
+      issues
+    };
+  }
+}
+
+module.exports = new LandExtentService();
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const LAYOUTS_DIR = path.join(__dirname, '..', 'templates', 'layouts');
+
+const DEFAULT_LAYOUT = 'standard';
+
+// report_templates category holding layouts saved through the API
+const LAYOUT_CATEGORY = 'report_layout';
+
+// Sections rendered by pdfService that a layout can place by key
+const BUILTIN_SECTIONS = [
+  'preamble',
+  'scope_of_work',
+  'property_identification',
+  'access',
+  'boundaries',
+  'land',
+  'building',
+  'locality',
+  'planning',
+  'evidence',
+  'approach',
+  'valuation',
+  'certification'
+];
+
+// Elements a saved layout may not contain: they run script or load other
+// documents in the renderer
+const BLOCKED_ELEMENTS = 'script|iframe|frame|frameset|object|embed|applet|link|meta|base|form|svg|math';
+
+// Attributes that make the renderer fetch a URL
+const URL_ATTRIBUTES = 'src|href|srcset|action|formaction|poster|background|data|xlink:href';
+
+// Anything with a scheme or host, entity-encoded text or a placeholder whose
+// value is only known at render time. Embedded data: images are allowed.
+const isExternalURL = url => !/^\s*data:image\//i.test(url) &&
+  (/^\s*(?:[a-z][a-z0-9+.-]*:|\/\/|\\\\)/i.test(url) || /&#|&[a-z]+;|\{\{/i.test(url));
+
+/**
+ * Layouts shipped on disk as templates/layouts/<key>.v<version>.json
+ */
+const loadDiskLayouts = () => fs.readdirSync(LAYOUTS_DIR)
+  .filter(file => /^[a-z0-9_-]+\.v\d+\.json$/.test(file))
+  .map(file => ({ ...JSON.parse(fs.readFileSync(path.join(LAYOUTS_DIR, file), 'utf8')), source: 'disk' }));
+
+class LayoutService {
+  constructor() {
+    this.diskLayouts = loadDiskLayouts();
+  }
+
+  // ===============================================
+  // Layout Registry
+  // ===============================================
+
+  getBuiltinSections() {
+    return BUILTIN_SECTIONS;
+  }
+
+  /**
+   * Latest version of a disk layout, or the given version
+   */
+  getDiskLayout(key, version = null) {
+    const versions = this.diskLayouts
+      .filter(layout => layout.key === key && (!version || layout.version === version))
+      .sort((a, b) => b.version - a.version);
+
+    return versions[0] || null;
+  }
+
+  getDefaultLayout() {
+    return this.getDiskLayout(DEFAULT_LAYOUT);
+  }
+
+  /**
+   * A layout by key: a disk layout, the valuer's own or a shared one (no
+   * user_id), in that order
+   */
+  async getLayout(key, version = null, userId = null) {
+    const diskLayout = this.getDiskLayout(key, version);
+    if (diskLayout) {
+      return diskLayout;
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT template_content, version, user_id FROM report_templates
+        WHERE template_category = $1 AND template_name = $2
+          AND ($3::INTEGER IS NULL OR version = $3)
+          AND (user_id IS NULL OR user_id = $4)
+        ORDER BY user_id IS NULL, version DESC
+        LIMIT 1
+      `, [LAYOUT_CATEGORY, key, version, userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const row = result.rows[0];
+      return {
+        ...this.sanitizeLayout(JSON.parse(row.template_content)),
+        key,
+        version: row.version,
+        user_id: row.user_id,
+        source: 'database'
+      };
+    } catch (error) {
+      logger.error('Error fetching report layout:', error);
+      throw new Error('Failed to fetch report layout');
+    }
+  }
+
+  /**
+   * Layouts a valuer can pick from: disk layouts, shared layouts and their
+   * own, each at its latest version
+   */
+  async getLayouts(userId = null) {
+    try {
+      const result = await pool.query(`
+        SELECT DISTINCT ON (template_name) template_name, template_content, version, user_id
+        FROM report_templates
+        WHERE template_category = $1 AND (user_id IS NULL OR user_id = $2)
+        ORDER BY template_name, user_id IS NULL, version DESC
+      `, [LAYOUT_CATEGORY, userId]);
+
+      const saved = result.rows.map(row => ({
+        ...JSON.parse(row.template_content),
+        key: row.template_name,
+        version: row.version,
+        user_id: row.user_id,
+        source: 'database'
+      }));
+
+      const disk = [...new Set(this.diskLayouts.map(layout => layout.key))]
+        .map(key => this.getDiskLayout(key));
+
+      return [...disk, ...saved].map(({ key, version, name, description, source }) => ({
+        key, version, name, description, source, is_default: key === DEFAULT_LAYOUT
+      }));
+    } catch (error) {
+      logger.error('Error fetching report layouts:', error);
+      throw new Error('Failed to fetch report layouts');
+    }
+  }
+
+  /**
+   * The layout a report is pinned to; reports whose layout has gone
+   * render with the default
+   */
+  async getReportLayout(report) {
+    const layout = report.layout_key
+      ? await this.getLayout(report.layout_key, report.layout_version || null, report.user_id)
+      : null;
+
+    if (!layout && report.layout_key) {
+      logger.warn(`Layout ${report.layout_key} v${report.layout_version} not found for report ${report.id}; using default`);
+    }
+
+    return layout || this.getDefaultLayout();
+  }
+
+  validateLayout(layout) {
+    if (!layout || typeof layout !== 'object') {
+      throw ValidationError('Layout definition is required', 'layout');
+    }
+    if (!/^[a-z0-9_-]+$/.test(layout.key || '')) {
+      throw ValidationError('Layout key must be lowercase letters, numbers, _ or -', 'key');
+    }
+    if (!layout.name) {
+      throw ValidationError('Layout name is required', 'name');
+    }
+
+    ['header', 'title'].forEach(part => {
+      if (layout[part] !== undefined && typeof layout[part] !== 'string') {
+        throw ValidationError(`${part} must be "builtin" or a template`, part);
+      }
+    });
+
+    if (!Array.isArray(layout.sections) || layout.sections.length === 0) {
+      throw ValidationError('Layout must list its sections', 'sections');
+    }
+    layout.sections.forEach(section => {
+      if (typeof section === 'string') {
+        if (!BUILTIN_SECTIONS.includes(section)) {
+          throw ValidationError(`Unknown section: ${section}`, 'sections');
+        }
+      } else if (!section?.key || typeof section.template !== 'string') {
+        throw ValidationError('Custom sections need a key and a template', 'sections');
+      }
+    });
+
+    if (layout.css !== undefined && typeof layout.css !== 'string') {
+      throw ValidationError('css must be a string', 'css');
+    }
+  }
+
+  /**
+   * Save a layout as the next version of the valuer's key. Disk layouts
+   * cannot be replaced; earlier versions stay so pinned reports keep
+   * rendering. Script, event handlers and external URLs are stripped.
+   */
+  async saveLayout(layout, userId = null) {
+    this.validateLayout(layout);
+
+    if (this.getDiskLayout(layout.key)) {
+      throw ValidationError(`${layout.key} is a built-in layout; save under a new key`, 'key');
+    }
+
+    try {
+      const { key, version, source, user_id, ...definition } = this.sanitizeLayout(layout);
+
+      const result = await pool.query(`
+        INSERT INTO report_templates (template_name, template_category, template_content, user_id, version)
+        SELECT $1, $2, $3, $4, COALESCE(MAX(version), 0) + 1
+        FROM report_templates
+        WHERE template_category = $2 AND template_name = $1 AND user_id IS NOT DISTINCT FROM $4
+        RETURNING version
+      `, [key, LAYOUT_CATEGORY, JSON.stringify(definition), userId]);
+
+      logger.info(`Report layout ${key} saved as version ${result.rows[0].version}`);
+      return { ...definition, key, version: result.rows[0].version, user_id: userId, source: 'database' };
+    } catch (error) {
+      logger.error('Error saving report layout:', error);
+      throw new Error('Failed to save report layout');
+    }
+  }
+
+  /**
+   * Resolve a layout for a report, failing when it does not exist
+   */
+  async requireLayout(key, version = null, userId = null) {
+    const layout = await this.getLayout(key, version, userId);
+    if (!layout) {
+      throw NotFoundError('Layout');
+    }
+    return layout;
+  }
+
+  // ===============================================
+  // Sanitizing
+  // ===============================================
+
+  /**
+   * Saved layouts render in the same browser as every other report, so
+   * their templates and CSS may not run script or fetch other URLs
+   */
+  sanitizeLayout(layout) {
+    const template = value => (typeof value === 'string' && value !== 'builtin' ? this.sanitizeHTML(value) : value);
+
+    const sanitized = { ...layout };
+
+    ['header', 'title'].forEach(part => {
+      if (part in sanitized) sanitized[part] = template(sanitized[part]);
+    });
+    if (Array.isArray(sanitized.sections)) {
+      sanitized.sections = sanitized.sections.map(section => (typeof section === 'string'
+        ? section
+        : { ...section, template: template(section.template) }));
+    }
+    if (typeof sanitized.css === 'string') {
+      sanitized.css = this.sanitizeCSS(sanitized.css).replace(/</g, '');
+    }
+
+    return sanitized;
+  }
+
+  sanitizeHTML(html) {
+    return this.sanitizeCSS(String(html)
+      .replace(new RegExp(`<(${BLOCKED_ELEMENTS})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+      .replace(new RegExp(`<\\/?(${BLOCKED_ELEMENTS})\\b[^>]*>`, 'gi'), '')
+      .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+      .replace(new RegExp(`\\s+(${URL_ATTRIBUTES})\\s*=\\s*("[^"]*"|'[^']*'|[^\\s>]+)`, 'gi'), (match, name, value) => (
+        isExternalURL(value.replace(/^["']|["']$/g, '')) ? '' : match
+      )));
+  }
+
+  sanitizeCSS(css) {
+    return css
+      .replace(/@import[^;]*;?/gi, '')
+      .replace(/expression\s*\(/gi, '(')
+      .replace(/url\(\s*(["']?)([^)]*?)\1\s*\)/gi, (match, quote, url) => (isExternalURL(url) ? 'none' : match));
+  }
+
+  // ===============================================
+  // Template Engine
+  // ===============================================
+
+  /**
+   * Render a layout template. {{ path }} inserts an escaped value and
+   * {{{ path }}} sanitized HTML; paths start from the context (report, profile).
+   * Values pass through filters: {{ report.market_value | currency }},
+   * {{ report.lot_number | default:'[LOT_NUMBER]' }}. {{{ section:key }}}
+   * places a built-in section.
+   */
+  render(template, context, { filters = {}, sections = {} } = {}) {
+    return template.replace(/\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g, (match, raw, escaped) => {
+      const expression = raw || escaped;
+
+      if (expression.startsWith('section:')) {
+        const renderSection = sections[expression.slice('section:'.length).trim()];
+        return renderSection ? renderSection() : '';
+      }
+
+      const value = this.evaluate(expression, context, filters);
+      const text = value === null || value === undefined ? '' : String(value);
+      return raw ? this.sanitizeHTML(text) : this.escapeHTML(text);
+    });
+  }
+
+  evaluate(expression, context, filters) {
+    const [pathExpression, ...pipes] = expression.split('|').map(part => part.trim());
+    const resolve = argument => (/^'.*'$/.test(argument) ? argument.slice(1, -1) : this.resolvePath(argument, context));
+
+    return pipes.reduce((value, pipe) => {
+      const separator = pipe.indexOf(':');
+      const name = separator === -1 ? pipe : pipe.slice(0, separator).trim();
+      const argument = separator === -1 ? undefined : resolve(pipe.slice(separator + 1).trim());
+      const isEmpty = value === null || value === undefined || value === '';
+
+      switch (name) {
+        case 'default':
+          return isEmpty ? argument : value;
+        case 'prefix':
+          return isEmpty ? '' : `${argument}${value}`;
+        case 'upper':
+          return isEmpty ? value : String(value).toUpperCase();
+        default:
+          if (!filters[name]) {
+            throw ValidationError(`Unknown template filter: ${name}`, 'template');
+          }
+          return isEmpty ? null : filters[name](value);
+      }
+    }, resolve(pathExpression));
+  }
+
+  resolvePath(pathExpression, context) {
+    return pathExpression.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+  }
+
+  escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new LayoutService();
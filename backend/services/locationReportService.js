@@ -222,6 +222,8 @@ class LocationReportService {
                             type: type,
                             category: category,
                             distance: this.calculateDistance(latitude, longitude, place.geometry.location.lat, place.geometry.location.lng),
+                            latitude: place.geometry.location.lat,
+                            longitude: place.geometry.location.lng,
                             rating: place.rating || null,
                             address: place.vicinity || '',
                             place_id: place.place_id
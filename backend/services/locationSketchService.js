@@ -0,0 +1,338 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const reportLanguageService = require('./reportLanguageService');
+
+// Sketch canvas: the map on the left, the key on the right
+const MAP_SIZE = 520;
+const KEY_WIDTH = 280;
+const MARGIN = 36;
+
+// Frame radius bounds, in km
+const MIN_RADIUS_KM = 0.5;
+const MAX_RADIUS_KM = 5;
+const DEFAULT_RADIUS_KM = 2;
+
+// Towns further than this are not worth pointing to
+const MAX_TOWN_DISTANCE_KM = 50;
+const TOWN_LIMIT = 4;
+
+// report_poi_analysis categories shown on the sketch, most useful first
+const POI_CATEGORIES = ['transport', 'educational', 'medical', 'government', 'financial', 'religious', 'commercial', 'recreation'];
+const POI_LIMIT = 8;
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG = 111.32;
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class LocationSketchService {
+  // ===============================================
+  // Data
+  // ===============================================
+
+  /**
+   * Sketch for a report as an SVG string, or null when the report has no
+   * GPS coordinates. Never fails the document it is printed in.
+   */
+  async generateForReport(report, locationContext = null, options = {}) {
+    try {
+      const data = await this.getSketchData(report, locationContext);
+      if (!data) return null;
+
+      const t = reportLanguageService.translator(options.language || report.language);
+      return this.renderSVG(data, t);
+    } catch (error) {
+      logger.warn(`Location sketch unavailable for report ${report.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getSketchData(report, locationContext = null) {
+    const latitude = parseFloat(report.latitude ?? locationContext?.latitude);
+    const longitude = parseFloat(report.longitude ?? locationContext?.longitude);
+    if (isNaN(latitude) || isNaN(longitude)) {
+      return null;
+    }
+
+    const [towns, pois] = await Promise.all([
+      this.getNearestTowns(latitude, longitude),
+      this.getKeyPOIs(report.id)
+    ]);
+
+    return {
+      subject: { latitude, longitude },
+      towns,
+      pois
+    };
+  }
+
+  async getNearestTowns(latitude, longitude, limit = TOWN_LIMIT) {
+    const result = await pool.query(`
+      SELECT name, latitude, longitude, distance_km FROM (
+        SELECT name, latitude, longitude,
+          6371 * acos(LEAST(1, cos(radians($1)) * cos(radians(latitude)) * cos(radians(longitude) - radians($2))
+            + sin(radians($1)) * sin(radians(latitude)))) AS distance_km
+        FROM sri_lankan_cities
+        WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+      ) towns
+      WHERE distance_km <= $3
+      ORDER BY distance_km
+      LIMIT $4
+    `, [latitude, longitude, MAX_TOWN_DISTANCE_KM, limit]);
+
+    return result.rows.map(row => ({
+      name: row.name,
+      latitude: parseFloat(row.latitude),
+      longitude: parseFloat(row.longitude),
+      distance_km: parseFloat(row.distance_km)
+    }));
+  }
+
+  /**
+   * The nearest facility in each sketch category, then the next nearest,
+   * up to POI_LIMIT
+   */
+  async getKeyPOIs(reportId) {
+    const result = await pool.query(`
+      SELECT category, facility_name, distance_km, latitude, longitude
+      FROM report_poi_analysis
+      WHERE report_id = $1 AND latitude IS NOT NULL AND longitude IS NOT NULL
+      ORDER BY distance_km
+    `, [reportId]);
+
+    const candidates = result.rows.filter(row => POI_CATEGORIES.includes(row.category));
+    const seen = new Set();
+    const picked = [];
+
+    // One per category first, in category order
+    POI_CATEGORIES.forEach(category => {
+      const nearest = candidates.find(row => row.category === category);
+      if (nearest) picked.push(nearest);
+    });
+    candidates.forEach(row => {
+      if (!picked.includes(row)) picked.push(row);
+    });
+
+    return picked
+      .filter(row => {
+        const key = row.facility_name.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, POI_LIMIT)
+      .map(row => ({
+        name: row.facility_name,
+        category: row.category,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        distance_km: parseFloat(row.distance_km)
+      }));
+  }
+
+  // ===============================================
+  // Rendering
+  // ===============================================
+
+  /**
+   * Schematic sketch drawn to scale around the subject property. Towns
+   * outside the frame are shown as pointers at the edge.
+   */
+  renderSVG({ subject, towns = [], pois = [] }, t = reportLanguageService.translator()) {
+    const project = this.createProjection(subject);
+    const radiusKm = this.getFrameRadius(pois, project);
+    const centre = MAP_SIZE / 2;
+    const pxPerKm = (MAP_SIZE / 2 - MARGIN) / radiusKm;
+    const toCanvas = point => {
+      const { x, y } = project(point);
+      return { x: centre + x * pxPerKm, y: centre - y * pxPerKm };
+    };
+    const inFrame = ({ x, y }) => x >= MARGIN && x <= MAP_SIZE - MARGIN && y >= MARGIN && y <= MAP_SIZE - MARGIN;
+
+    const placedLabels = [];
+    const townMarks = towns.map(town => {
+      const point = toCanvas(town);
+      if (inFrame(point)) {
+        return `
+    <circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="5" fill="#555" />
+    <text x="${(point.x + 8).toFixed(1)}" y="${(point.y + 4).toFixed(1)}" class="town">${escapeXml(town.name)}</text>`;
+      }
+      return this.renderTownPointer(town, point, centre, t, placedLabels);
+    }).join('');
+
+    // Facilities are numbered on the map and named in the key
+    const plottedPois = pois.filter(poi => inFrame(toCanvas(poi)));
+    const poiMarks = plottedPois.map((poi, index) => {
+      const point = toCanvas(poi);
+      return `
+    <circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="9" fill="#fff" stroke="#1f4e79" stroke-width="1.5" />
+    <text x="${point.x.toFixed(1)}" y="${(point.y + 4).toFixed(1)}" class="poi" text-anchor="middle">${index + 1}</text>`;
+    }).join('');
+
+    const fontCSS = reportLanguageService.getFontFaceCSS(t.language);
+    const fontFamily = reportLanguageService.getFontFamily(t.language);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${MAP_SIZE + KEY_WIDTH}" height="${MAP_SIZE}" viewBox="0 0 ${MAP_SIZE + KEY_WIDTH} ${MAP_SIZE}">
+  <style>
+    ${fontCSS}
+    text { font-family: ${fontFamily}; font-size: 12px; fill: #222; }
+    .town { font-size: 13px; font-weight: bold; }
+    .poi { font-size: 10px; font-weight: bold; fill: #1f4e79; }
+    .key-title { font-size: 14px; font-weight: bold; }
+    .note { font-size: 10px; fill: #666; }
+  </style>
+  <rect x="0" y="0" width="${MAP_SIZE + KEY_WIDTH}" height="${MAP_SIZE}" fill="#fff" />
+  <rect x="${MARGIN / 2}" y="${MARGIN / 2}" width="${MAP_SIZE - MARGIN}" height="${MAP_SIZE - MARGIN}" fill="#fafaf5" stroke="#999" />
+  <g>${townMarks}${poiMarks}
+    <rect x="${centre - 8}" y="${centre - 8}" width="16" height="16" fill="#c00000" stroke="#fff" stroke-width="1.5" />
+    <text x="${centre}" y="${centre + 26}" text-anchor="middle" class="town">${escapeXml(t('sketch.subject'))}</text>
+  </g>
+  ${this.renderNorthArrow(MAP_SIZE - MARGIN - 14, MARGIN + 10)}
+  ${this.renderScaleBar(radiusKm, pxPerKm)}
+  ${this.renderKey(plottedPois, towns, t)}
+</svg>`;
+  }
+
+  /**
+   * Flat projection around the subject, in km east (x) and north (y).
+   * Good enough over the few km a sketch covers.
+   */
+  createProjection(subject) {
+    const lngScale = KM_PER_DEGREE_LNG * Math.cos(subject.latitude * Math.PI / 180);
+    return point => ({
+      x: (point.longitude - subject.longitude) * lngScale,
+      y: (point.latitude - subject.latitude) * KM_PER_DEGREE_LAT
+    });
+  }
+
+  getFrameRadius(pois, project) {
+    if (pois.length === 0) {
+      return DEFAULT_RADIUS_KM;
+    }
+
+    const furthest = Math.max(...pois.map(poi => {
+      const { x, y } = project(poi);
+      return Math.max(Math.abs(x), Math.abs(y));
+    }));
+
+    return Math.min(MAX_RADIUS_KM, Math.max(MIN_RADIUS_KM, furthest * 1.15));
+  }
+
+  // Arrow at the frame edge in the town's direction. Labels already
+  // placed are passed in so pointers to towns in the same direction stack.
+  renderTownPointer(town, point, centre, t, placed = []) {
+    const dx = point.x - centre;
+    const dy = point.y - centre;
+    const reach = (MAP_SIZE / 2 - MARGIN) / Math.max(Math.abs(dx), Math.abs(dy));
+    const x = centre + dx * reach;
+    const y = centre + dy * reach;
+    const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+    const label = t('sketch.to_town', { town: town.name, distance: town.distance_km.toFixed(1) });
+    const width = label.length * 7;
+    let labelX;
+    let labelY;
+    let anchor;
+    let step = 16;
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      anchor = dx > 0 ? 'end' : 'start';
+      labelX = dx > 0 ? x - 4 : x + 4;
+      labelY = y + 22;
+    } else {
+      anchor = 'middle';
+      labelX = Math.min(MAP_SIZE - MARGIN - width / 2, Math.max(MARGIN + width / 2, x));
+      labelY = dy > 0 ? y - 14 : y + 24;
+      step = dy > 0 ? -16 : 16;
+    }
+
+    const left = anchor === 'start' ? labelX : anchor === 'end' ? labelX - width : labelX - width / 2;
+    const overlaps = other => Math.abs(other.y - labelY) < 15 && left < other.right && left + width > other.left;
+    while (placed.some(overlaps)) {
+      labelY += step;
+    }
+    placed.push({ left, right: left + width, y: labelY });
+
+    return `
+    <g transform="translate(${x.toFixed(1)} ${y.toFixed(1)}) rotate(${angle.toFixed(1)})">
+      <path d="M -14 -6 L 0 0 L -14 6 Z" fill="#555" />
+    </g>
+    <text x="${labelX.toFixed(1)}" y="${labelY.toFixed(1)}" text-anchor="${anchor}" class="town">${escapeXml(label)}</text>`;
+  }
+
+  renderNorthArrow(x, y) {
+    return `<g transform="translate(${x} ${y})">
+    <path d="M 0 0 L 8 24 L 0 18 L -8 24 Z" fill="#222" />
+    <text x="0" y="38" text-anchor="middle" class="town">N</text>
+  </g>`;
+  }
+
+  /**
+   * Scale bar a round length long, up to about half the frame
+   */
+  renderScaleBar(radiusKm, pxPerKm) {
+    const target = radiusKm * 0.8;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+    const length = [5, 2, 1].map(step => step * magnitude).find(step => step <= target) || magnitude;
+    const width = length * pxPerKm;
+    const label = length < 1 ? `${Math.round(length * 1000)} m` : `${length} km`;
+    const x = MARGIN;
+    const y = MAP_SIZE - MARGIN - 6;
+
+    return `<g>
+    <rect x="${x}" y="${y}" width="${(width / 2).toFixed(1)}" height="6" fill="#222" />
+    <rect x="${(x + width / 2).toFixed(1)}" y="${y}" width="${(width / 2).toFixed(1)}" height="6" fill="#fff" stroke="#222" />
+    <text x="${x}" y="${y - 6}" class="note">0</text>
+    <text x="${(x + width).toFixed(1)}" y="${y - 6}" text-anchor="middle" class="note">${label}</text>
+  </g>`;
+  }
+
+  renderKey(pois, towns, t) {
+    const x = MAP_SIZE + 10;
+    let y = MARGIN;
+    const lines = [`<text x="${x}" y="${y}" class="key-title">${escapeXml(t('sketch.key'))}</text>`];
+
+    y += 24;
+    lines.push(`<rect x="${x}" y="${y - 10}" width="12" height="12" fill="#c00000" />`);
+    lines.push(`<text x="${x + 20}" y="${y}">${escapeXml(t('sketch.subject'))}</text>`);
+
+    pois.forEach((poi, index) => {
+      y += 20;
+      const name = poi.name.length > 30 ? `${poi.name.slice(0, 29)}…` : poi.name;
+      lines.push(`<text x="${x}" y="${y}" class="poi">${index + 1}</text>`);
+      lines.push(`<text x="${x + 20}" y="${y}">${escapeXml(name)} (${poi.distance_km.toFixed(1)} km)</text>`);
+    });
+
+    if (towns.length > 0) {
+      y += 30;
+      lines.push(`<text x="${x}" y="${y}" class="key-title">${escapeXml(t('sketch.towns'))}</text>`);
+      towns.forEach(town => {
+        y += 20;
+        lines.push(`<text x="${x}" y="${y}">${escapeXml(town.name)} (${town.distance_km.toFixed(1)} km)</text>`);
+      });
+    }
+
+    lines.push(`<text x="${x}" y="${MAP_SIZE - MARGIN}" class="note">${escapeXml(t('sketch.note'))}</text>`);
+
+    return `<g>${lines.join('\n    ')}</g>`;
+  }
+
+  // ===============================================
+  // Output
+  // ===============================================
+
+  toDataUri(svg) {
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  async toPNG(svg) {
+    const sharp = require('sharp');
+    return sharp(Buffer.from(svg), { density: 144 }).png().toBuffer();
+  }
+}
+
+module.exports = new LocationSketchService();
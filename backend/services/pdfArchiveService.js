@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFString
+} = require('pdf-lib');
+const logger = require('../utils/logger');
+
+const CREATOR_TOOL = 'Location Intelligence API';
+const PRODUCER = 'pdf-lib';
+const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+// Annotation flags: Invisible, Hidden and NoView must be clear, Print set
+const ANNOTATION_PRINT = 4;
+const ANNOTATION_HIDDEN = 1 | 2 | 32;
+
+// Actions PDF/A-2 does not allow a document to run
+const FORBIDDEN_ACTIONS = ['Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'JavaScript', 'Hide', 'Rendition', 'Trans'];
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// XMP dates, to the second like the PDF date strings in the Info dictionary
+const xmpDate = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Turns a rendered report into a PDF/A-2b archival copy. Chrome already
+ * embeds every font and image it prints; this adds the sRGB output intent,
+ * XMP metadata matching the document information dictionary, a document
+ * ID, and clears what PDF/A does not allow (hidden annotations,
+ * JavaScript, launch actions, embedded files).
+ */
+class PDFArchiveService {
+  constructor() {
+    this.colourProfile = null;
+  }
+
+  /**
+   * The sRGB ICC profile printed pages are described in, taken from
+   * libvips through sharp so no profile file has to ship with the app
+   */
+  async getColourProfile() {
+    if (!this.colourProfile) {
+      const image = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } })
+        .withIccProfile('srgb')
+        .png()
+        .toBuffer();
+      this.colourProfile = (await sharp(image).metadata()).icc;
+    }
+    return this.colourProfile;
+  }
+
+  /**
+   * metadata: { title, subject, reference, valuer, valuationDate, language }
+   */
+  async convert(pdfBuffer, metadata = {}) {
+    try {
+      const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+      const now = new Date();
+
+      this.setDocumentInfo(pdfDoc, metadata, now);
+      this.setMetadataStream(pdfDoc, this.buildXMP(metadata, now));
+      this.setOutputIntent(pdfDoc, await this.getColourProfile());
+      this.setDocumentId(pdfDoc, pdfBuffer);
+      this.cleanAnnotations(pdfDoc);
+      this.removeForbiddenEntries(pdfDoc);
+
+      return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    } catch (error) {
+      logger.error('Error converting PDF to PDF/A:', error);
+      throw new Error('Failed to produce PDF/A output');
+    }
+  }
+
+  // ===============================================
+  // Metadata
+  // ===============================================
+
+  setDocumentInfo(pdfDoc, metadata, now) {
+    pdfDoc.setTitle(metadata.title || metadata.reference || '');
+    pdfDoc.setAuthor(metadata.valuer || '');
+    pdfDoc.setSubject(metadata.subject || '');
+    pdfDoc.setKeywords(metadata.reference ? [metadata.reference] : []);
+    pdfDoc.setCreator(CREATOR_TOOL);
+    pdfDoc.setProducer(PRODUCER);
+    pdfDoc.setCreationDate(now);
+    pdfDoc.setModificationDate(now);
+  }
+
+  /**
+   * XMP packet declaring PDF/A-2b conformance. Every entry mirrors the
+   * Info dictionary, as PDF/A requires; the reference is also the Dublin
+   * Core identifier and the valuation date its date.
+   */
+  buildXMP(metadata, now) {
+    const date = xmpDate(now);
+    const valuationDate = metadata.valuationDate ? new Date(metadata.valuationDate) : null;
+
+    const alt = value => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdfaid:part>2</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+      <dc:format>application/pdf</dc:format>
+      <dc:title>${alt(metadata.title || metadata.reference || '')}</dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.valuer || '')}</rdf:li></rdf:Seq></dc:creator>
+      <dc:description>${alt(metadata.subject || '')}</dc:description>${metadata.reference ? `
+      <dc:identifier>${escapeXml(metadata.reference)}</dc:identifier>` : ''}${valuationDate && !isNaN(valuationDate) ? `
+      <dc:date><rdf:Seq><rdf:li>${valuationDate.toISOString().slice(0, 10)}</rdf:li></rdf:Seq></dc:date>` : ''}${metadata.language ? `
+      <dc:language><rdf:Bag><rdf:li>${escapeXml(metadata.language)}</rdf:li></rdf:Bag></dc:language>` : ''}
+      <xmp:CreatorTool>${CREATOR_TOOL}</xmp:CreatorTool>
+      <xmp:CreateDate>${date}</xmp:CreateDate>
+      <xmp:ModifyDate>${date}</xmp:ModifyDate>
+      <xmp:MetadataDate>${date}</xmp:MetadataDate>
+      <pdf:Producer>${PRODUCER}</pdf:Producer>
+      <pdf:Keywords>${escapeXml(metadata.reference || '')}</pdf:Keywords>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+
+  /**
+   * The metadata stream is left unfiltered so archive tools can read it
+   */
+  setMetadataStream(pdfDoc, xmp) {
+    const stream = pdfDoc.context.stream(Buffer.from(xmp, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+  }
+
+  setOutputIntent(pdfDoc, profile) {
+    const profileRef = pdfDoc.context.register(pdfDoc.context.flateStream(profile, { N: 3 }));
+
+    const outputIntent = pdfDoc.context.obj({
+      Type: 'OutputIntent',
+      S: 'GTS_PDFA1',
+      OutputConditionIdentifier: PDFString.of(OUTPUT_CONDITION),
+      Info: PDFString.of(OUTPUT_CONDITION),
+      DestOutputProfile: profileRef
+    });
+
+    pdfDoc.catalog.set(PDFName.of('OutputIntents'), pdfDoc.context.obj([pdfDoc.context.register(outputIntent)]));
+  }
+
+  setDocumentId(pdfDoc, pdfBuffer) {
+    const id = PDFHexString.of(crypto.createHash('md5').update(pdfBuffer).digest('hex'));
+    pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([id, id]);
+  }
+
+  // ===============================================
+  // Content PDF/A Does Not Allow
+  // ===============================================
+
+  /**
+   * Every annotation must print and may not run disallowed actions
+   */
+  cleanAnnotations(pdfDoc) {
+    pdfDoc.getPages().forEach(page => {
+      const annotations = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+      if (!annotations) return;
+
+      for (let i = 0; i < annotations.size(); i++) {
+        const annotation = annotations.lookup(i);
+        if (!(annotation instanceof PDFDict)) continue;
+
+        const flags = annotation.lookupMaybe(PDFName.of('F'), PDFNumber);
+        const value = ((flags ? flags.asNumber() : 0) | ANNOTATION_PRINT) & ~ANNOTATION_HIDDEN;
+        annotation.set(PDFName.of('F'), PDFNumber.of(value));
+
+        const action = annotation.lookupMaybe(PDFName.of('A'), PDFDict);
+        const type = action && action.lookupMaybe(PDFName.of('S'), PDFName);
+        if (type && FORBIDDEN_ACTIONS.includes(type.decodeText())) {
+          annotation.delete(PDFName.of('A'));
+        }
+        annotation.delete(PDFName.of('AA'));
+      }
+    });
+  }
+
+  removeForbiddenEntries(pdfDoc) {
+    const { catalog } = pdfDoc;
+    catalog.delete(PDFName.of('OpenAction'));
+    catalog.delete(PDFName.of('AA'));
+
+    const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    if (names) {
+      names.delete(PDFName.of('JavaScript'));
+      names.delete(PDFName.of('EmbeddedFiles'));
+    }
+  }
+}
+
+module.exports = new PDFArchiveService();
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const reportsService = require('./reportsService');
+const pdfService = require('./pdfService');
+const revisionService = require('./revisionService');
+const verificationService = require('./verificationService');
+const reportLanguageService = require('./reportLanguageService');
+const monitoringService = require('./monitoringService');
+const browserPoolService = require('./browserPoolService');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Rendered PDFs, one directory per report
+const STORAGE_DIR = process.env.PDF_STORAGE_DIR || path.join(__dirname, '../storage/pdfs');
+
+class PDFJobService {
+  constructor() {
+    // Job ids waiting to render; as many run at once as the browser pool
+    // has workers
+    this.queue = [];
+    this.running = 0;
+  }
+
+  // ===============================================
+  // Versions and Stored Files
+  // ===============================================
+
+  /**
+   * What a rendered PDF is stored against: the report's latest revision,
+   * the print language, a hash of the report data and the print options
+   */
+  async getVersion(report, { language, render } = {}) {
+    return {
+      report_id: report.id,
+      report_version: await revisionService.getLatestRevisionNumber(report.id),
+      language: reportLanguageService.resolve(language || report.language),
+      data_hash: verificationService.hashRenderData(report),
+      render_options: pdfService.getRenderOptions(render)
+    };
+  }
+
+  async findFile(version) {
+    try {
+      const result = await pool.query(`
+        SELECT * FROM report_pdf_files
+        WHERE report_id = $1 AND report_version = $2 AND language = $3 AND data_hash = $4
+          AND render_options = $5
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [version.report_id, version.report_version, version.language, version.data_hash, JSON.stringify(version.render_options)]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching stored PDF:', error);
+      throw new Error('Failed to fetch stored PDF');
+    }
+  }
+
+  async storeFile(version, pdfBuffer) {
+    try {
+      const checksum = verificationService.hash(pdfBuffer);
+      const relativePath = path.join(
+        String(version.report_id),
+        `report-${version.report_id}-v${version.report_version}-${version.language}-${checksum.slice(0, 12)}.pdf`
+      );
+
+      await fs.mkdir(path.join(STORAGE_DIR, String(version.report_id)), { recursive: true });
+      await fs.writeFile(path.join(STORAGE_DIR, relativePath), pdfBuffer);
+
+      const result = await pool.query(`
+        INSERT INTO report_pdf_files (report_id, report_version, language, data_hash, file_path, checksum, file_size, render_options)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        version.report_id,
+        version.report_version,
+        version.language,
+        version.data_hash,
+        relativePath,
+        checksum,
+        pdfBuffer.length,
+        JSON.stringify(version.render_options)
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error storing PDF:', error);
+      throw new Error('Failed to store PDF');
+    }
+  }
+
+  /**
+   * A stored file's contents, or null when it is missing or no longer
+   * matches its checksum
+   */
+  async readFile(file) {
+    try {
+      const data = await fs.readFile(path.join(STORAGE_DIR, file.file_path));
+      if (verificationService.hash(data) !== file.checksum) {
+        logger.error(`Stored PDF ${file.id} does not match its checksum`);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      logger.warn(`Stored PDF ${file.id} unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The stored PDF of the report as it is now, if one was rendered
+   */
+  async getStoredPDF(report, { language, render } = {}) {
+    const file = await this.findFile(await this.getVersion(report, { language, render }));
+    if (!file) return null;
+
+    const data = await this.readFile(file);
+    return data ? { file, data } : null;
+  }
+
+  // ===============================================
+  // Jobs
+  // ===============================================
+
+  /**
+   * Queue a render of the report, unless this version is already stored
+   * (the job is created completed) or already being rendered (that job is
+   * returned)
+   */
+  async requestPDF(report, { language, render, userId = null } = {}) {
+    const version = await this.getVersion(report, { language, render });
+
+    const file = await this.findFile(version);
+    if (file && await this.readFile(file)) {
+      return this.createJob(version, { status: 'completed', fileId: file.id, userId });
+    }
+
+    const active = await this.findActiveJob(version);
+    if (active) {
+      return active;
+    }
+
+    const job = await this.createJob(version, { userId });
+    this.enqueue(job.id);
+    return job;
+  }
+
+  async createJob(version, { status = 'queued', fileId = null, userId = null } = {}) {
+    try {
+      const result = await pool.query(`
+        INSERT INTO report_pdf_jobs (report_id, report_version, language, data_hash, status, file_id, user_id, completed_at, render_options)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $5 = 'completed' THEN NOW() END, $8)
+        RETURNING *
+      `, [
+        version.report_id,
+        version.report_version,
+        version.language,
+        version.data_hash,
+        status,
+        fileId,
+        userId,
+        JSON.stringify(version.render_options)
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating PDF job:', error);
+      throw new Error('Failed to create PDF job');
+    }
+  }
+
+  async findActiveJob(version) {
+    try {
+      const result = await pool.query(`
+        SELECT * FROM report_pdf_jobs
+        WHERE report_id = $1 AND report_version = $2 AND language = $3 AND data_hash = $4
+          AND render_options = $5 AND status IN ('queued', 'processing')
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [version.report_id, version.report_version, version.language, version.data_hash, JSON.stringify(version.render_options)]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching PDF job:', error);
+      throw new Error('Failed to fetch PDF job');
+    }
+  }
+
+  /**
+   * A report's job with its file's checksum and size once rendered
+   */
+  async getJob(reportId, jobId) {
+    try {
+      const result = await pool.query(`
+        SELECT j.*, f.checksum, f.file_size
+        FROM report_pdf_jobs j
+        LEFT JOIN report_pdf_files f ON f.id = j.file_id
+        WHERE j.id = $1 AND j.report_id = $2
+      `, [jobId, reportId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching PDF job:', error);
+      throw new Error('Failed to fetch PDF job');
+    }
+  }
+
+  async getJobFile(job) {
+    if (!job.file_id) return null;
+
+    const result = await pool.query('SELECT * FROM report_pdf_files WHERE id = $1', [job.file_id]);
+    const file = result.rows[0];
+    if (!file) return null;
+
+    const data = await this.readFile(file);
+    return data ? { file, data } : null;
+  }
+
+  // ===============================================
+  // Processing
+  // ===============================================
+
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    while (this.queue.length > 0 && this.running < browserPoolService.size) {
+      const jobId = this.queue.shift();
+      this.running++;
+
+      this.runJob(jobId)
+        .catch(error => logger.error(`PDF job ${jobId} could not be processed:`, error))
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Render a queued job and store the file. The report is read again, so
+   * the file records the version that was actually rendered.
+   */
+  async runJob(jobId) {
+    const start = Date.now();
+
+    const claimed = await pool.query(`
+      UPDATE report_pdf_jobs SET status = 'processing', started_at = NOW()
+      WHERE id = $1 AND status = 'queued'
+      RETURNING *
+    `, [jobId]);
+    const job = claimed.rows[0];
+    if (!job) return null;
+
+    try {
+      const report = await reportsService.getReport(job.report_id);
+      if (!report) {
+        throw NotFoundError('Report');
+      }
+
+      const options = { language: job.language, render: job.render_options };
+      const pdfBuffer = await reportsService.generateReportPDF(report, { isDraft: false, ...options });
+      const file = await this.storeFile(await this.getVersion(report, options), pdfBuffer);
+      const duration = Date.now() - start;
+
+      const result = await pool.query(`
+        UPDATE report_pdf_jobs
+        SET status = 'completed', file_id = $1, duration_ms = $2, completed_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [file.id, duration, jobId]);
+
+      monitoringService.trackPDFGeneration(job.report_id, job.user_id, duration, true);
+      logger.info(`PDF job ${jobId} rendered report ${job.report_id} in ${duration}ms`);
+      return result.rows[0];
+    } catch (error) {
+      const duration = Date.now() - start;
+      logger.error(`PDF job ${jobId} failed:`, error);
+      monitoringService.trackPDFGeneration(job.report_id, job.user_id, duration, false, error);
+
+      const result = await pool.query(`
+        UPDATE report_pdf_jobs
+        SET status = 'failed', error = $1, duration_ms = $2, completed_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [error.message, duration, jobId]);
+
+      return result.rows[0];
+    }
+  }
+
+  /**
+   * Requeue jobs a restart interrupted
+   */
+  async recoverJobs() {
+    try {
+      await pool.query(`
+        UPDATE report_pdf_jobs SET status = 'queued', started_at = NULL
+        WHERE status = 'processing'
+      `);
+
+      const result = await pool.query(`
+        SELECT id FROM report_pdf_jobs WHERE status = 'queued' ORDER BY created_at
+      `);
+      result.rows.forEach(row => this.enqueue(row.id));
+
+      if (result.rows.length > 0) {
+        logger.info(`Requeued ${result.rows.length} PDF job(s)`);
+      }
+    } catch (error) {
+      logger.error('Error recovering PDF jobs:', error);
+    }
+  }
+}
+
+module.exports = new PDFJobService();
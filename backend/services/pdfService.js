@@ -1,107 +1,108 @@
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { PDFDocument, PDFArray, PDFDict, PDFName, PDFNumber, rgb } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const { P12Signer } = require('@signpdf/signer-p12');
+const signpdf = require('@signpdf/signpdf').default;
 const logger = require('../utils/logger');
+const valuationService = require('./valuationService');
+const investmentService = require('./investmentService');
+const amountInWordsService = require('./amountInWordsService');
+const landExtentService = require('./landExtentService');
+const layoutService = require('./layoutService');
+const clientProfileService = require('./clientProfileService');
+const reportLanguageService = require('./reportLanguageService');
+const annexureService = require('./annexureService');
+const browserPoolService = require('./browserPoolService');
+const pdfArchiveService = require('./pdfArchiveService');
+
+// Points per millimetre, for placing drawn content on A4 pages
+const MM = 72 / 25.4;
+
+// Visible signature box (mm), drawn in the space Section 13 reserves for
+// it, against the right page margin used by generatePDF. Without that
+// space it goes at the foot of the last page.
+const SIGNATURE_BOX = { width: 80, height: 28, right: 20, bottom: 25 };
+
+// Anchor on the reserved space, whose named destination gives its page and position
+const SIGNATURE_ANCHOR = 'digital-signature';
+
+// Embedded faces for the signature box, so signed PDF/A copies carry
+// every font they use
+const SIGNATURE_FONTS = {
+  regular: 'noto-serif-sinhala-latin-400-normal.woff2',
+  bold: 'noto-serif-sinhala-latin-700-normal.woff2'
+};
+
+// Print options a PDF is rendered with, unless the request says otherwise
+const DEFAULT_RENDER_OPTIONS = {
+  running_header: true,
+  toc: false,
+  distinct_first_page: true,
+  pdfa: false
+};
 
 class PDFService {
-  constructor() {
-    this.browser = null;
-  }
-
-  async initializeBrowser() {
-    if (!this.browser) {
-      try {
-        // Railway/Docker optimized browser configuration
-        const browserOptions = {
-          headless: 'new',
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--disable-features=VizDisplayCompositor',
-            '--run-all-compositor-stages-before-draw',
-            '--disable-background-timer-throttling',
-            '--disable-renderer-backgrounding',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-ipc-flooding-protection'
-          ]
-        };
-
-        // Use system Chromium if available (Railway/Docker)
-        if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-          browserOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-        }
-
-        this.browser = await puppeteer.launch(browserOptions);
-        logger.info('PDF service browser initialized');
-      } catch (error) {
-        logger.error('Failed to initialize PDF browser:', error);
-        throw error;
-      }
-    }
-    return this.browser;
-  }
-
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      logger.info('PDF service browser closed');
-    }
-  }
-
   // ===============================================
   // Report HTML Template Generation
   // ===============================================
 
+  /**
+   * Report HTML in the given layout (options.layout), by default the
+   * standard 13-section layout, worded in the report language or
+   * options.language
+   */
   generateReportHTML(report, userProfile, options = {}) {
-    const { isDraft = true, includeImages = true } = options;
+    const { isDraft = true } = options;
+    const layout = options.layout || layoutService.getDefaultLayout();
+    const t = this.getTranslator(report, options);
+    const sections = this.getBuiltinSections(report, userProfile, options);
+
+    const body = layout.sections.map(section => (typeof section === 'string'
+      ? sections[section]()
+      : this.renderLayoutPart(section.template, null, report, userProfile, sections, t)
+    ));
+
+    // The client's extra sections go ahead of the certification
+    const clientSections = this.generateClientProfileSections(report, userProfile, options);
+    if (clientSections.length > 0) {
+      const certificationIndex = layout.sections.indexOf('certification');
+      body.splice(certificationIndex === -1 ? body.length : certificationIndex, 0, ...clientSections);
+    }
+
+    // Annexures close the report, after the certification
+    body.push(...this.generateAnnexures(report, options, t));
+
+    const render = this.getRenderOptions(options.render);
+    const contents = render.toc ? this.anchorContents(body) : null;
 
     return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${t.language}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Valuation Report - ${report.report_reference}</title>
     <style>
-        ${this.getReportCSS(isDraft)}
+        ${this.getReportCSS(isDraft, t.language)}${layout.css ? `\n        ${layout.css}` : ''}
     </style>
 </head>
 <body>
-    ${isDraft ? '<div class="draft-watermark">DRAFT</div>' : ''}
+    ${isDraft ? `<div class="draft-watermark">${t('watermark.draft')}</div>` : ''}
 
     <!-- Document Header -->
     <div class="document-header">
-        ${this.generateDocumentHeader(userProfile, report)}
+        ${this.renderLayoutPart(layout.header, () => this.generateDocumentHeader(userProfile, report, t), report, userProfile, sections, t)}
     </div>
 
     <!-- Main Title -->
-    <div class="main-title">
-        <h1>VALUATION REPORT</h1>
-        <h2>OF</h2>
-        <h3>The Property Depicted As Lot ${report.lot_number || '[LOT_NUMBER]'}
-            In Plan No ${report.plan_number || '[PLAN_NUMBER]'}
-            ${report.survey_date ? 'dated ' + this.formatDate(report.survey_date) : '[DATED]'}
-            Made By ${report.licensed_surveyor || '[LICENSED_SURVEYOR_NAME]'}, Licensed Surveyor.</h3>
-    </div>
+    ${this.renderLayoutPart(layout.title, () => this.generateMainTitle(report, t), report, userProfile, sections, t)}
+
+    ${contents ? this.generateTableOfContents(contents.entries, options.tocPages, t) : ''}
 
     <!-- Report Sections -->
-    ${this.generateSection1Preamble(report)}
-    ${this.generateSection2ScopeOfWork(report, userProfile)}
-    ${this.generateSection3PropertyIdentification(report)}
-    ${this.generateSection4AccessAndAccessibility(report, includeImages)}
-    ${this.generateSection5Boundaries(report)}
-    ${this.generateSection6LandDescription(report, includeImages)}
-    ${this.generateSection7BuildingDescription(report, includeImages)}
-    ${this.generateSection8LocalityDescription(report)}
-    ${this.generateSection9PlanningRegulations(report)}
-    ${this.generateSection10EvidenceOfValue(report)}
-    ${this.generateSection11ApproachToValuation(report)}
-    ${this.generateSection12Valuation(report)}
-    ${this.generateSection13Certification(report, userProfile)}
+    ${(contents ? contents.body : body).join('\n    ')}
 
     <!-- Page Numbers -->
     <div class="page-numbers"></div>
@@ -110,20 +111,356 @@ class PDFService {
     `.trim();
   }
 
-  getReportCSS(isDraft) {
+  /**
+   * Translation function for the report's language; options.language
+   * (the ?lang= override) takes precedence
+   */
+  getTranslator(report, options = {}) {
+    return reportLanguageService.translator(options.language || report.language);
+  }
+
+  // ===============================================
+  // Pagination
+  // ===============================================
+
+  /**
+   * Running header, table of contents, first page and PDF/A options, with
+   * the defaults filled in. Only these keys are kept, so the result can be
+   * stored against a rendered file.
+   */
+  getRenderOptions(render = {}) {
+    return Object.keys(DEFAULT_RENDER_OPTIONS).reduce((options, key) => {
+      options[key] = typeof render[key] === 'boolean' ? render[key] : DEFAULT_RENDER_OPTIONS[key];
+      return options;
+    }, {});
+  }
+
+  /**
+   * Give each part of the body with a section title an anchor the table of
+   * contents links to, and list the parts in print order
+   */
+  anchorContents(body) {
+    const entries = [];
+
+    const anchored = body.map(part => {
+      const title = part.match(/<div class="section-title">([\s\S]*?)<\/div>/);
+      if (!title) return part;
+
+      const id = `contents-${entries.length + 1}`;
+      entries.push({ id, title: title[1].trim() });
+      return part.replace('<div class="section', `<div id="${id}" class="section`);
+    });
+
+    return { body: anchored, entries };
+  }
+
+  /**
+   * Sections and annexures with their page numbers (tocPages, by anchor),
+   * which are only known once the report has been rendered once
+   */
+  generateTableOfContents(entries, tocPages = {}, t = reportLanguageService.translator()) {
+    return `
+    <div class="section toc">
+        <div class="section-title">${t('pagination.toc_title')}</div>
+        <table class="toc-table">
+          <tr>
+            <th>${t('pagination.col_section')}</th>
+            <th class="toc-page">${t('pagination.col_page')}</th>
+          </tr>
+          ${entries.map(entry => `
+          <tr>
+            <td><a href="#${entry.id}">${entry.title}</a></td>
+            <td class="toc-page">${tocPages[entry.id] || ''}</td>
+          </tr>
+          `).join('')}
+        </table>
+    </div>`;
+  }
+
+  // ===============================================
+  // Layouts
+  // ===============================================
+
+  /**
+   * Built-in section renderers a layout places by key
+   */
+  getBuiltinSections(report, userProfile, options = {}) {
+    const { includeImages = true } = options;
+    const t = this.getTranslator(report, options);
+
+    return {
+      preamble: () => this.generateSection1Preamble(report, t),
+      scope_of_work: () => this.generateSection2ScopeOfWork(report, userProfile, t),
+      property_identification: () => this.generateSection3PropertyIdentification(report, t),
+      access: () => this.generateSection4AccessAndAccessibility(report, includeImages, t, options.locationSketch),
+      boundaries: () => this.generateSection5Boundaries(report, t),
+      land: () => this.generateSection6LandDescription(report, includeImages, t),
+      building: () => this.generateSection7BuildingDescription(report, includeImages, t),
+      locality: () => this.generateSection8LocalityDescription(report, t),
+      planning: () => this.generateSection9PlanningRegulations(report, t),
+      evidence: () => this.generateSection10EvidenceOfValue(report, t),
+      approach: () => this.generateSection11ApproachToValuation(report, t),
+      valuation: () => this.generateSection12Valuation(report, t),
+      certification: () => this.generateSection13Certification(report, userProfile, options, t)
+    };
+  }
+
+  /**
+   * A layout's header, title or custom section: the built-in markup when
+   * the layout says "builtin" (or nothing), otherwise its template. The
+   * stored *_words columns are English, so templates get them regenerated
+   * in the report language.
+   */
+  renderLayoutPart(template, builtin, report, userProfile, sections, t = this.getTranslator(report)) {
+    if (builtin && (!template || template === 'builtin')) {
+      return builtin();
+    }
+
+    const words = amountInWordsService.generateValueWords(report, { language: this.getWordsLanguage(t.language) });
+
+    return layoutService.render(template || '', { report: { ...report, ...words }, profile: userProfile || {} }, {
+      filters: {
+        date: value => this.formatDate(value),
+        currency: value => this.formatCurrency(value),
+        words: value => this.amountInWords(value, { language: t.language })
+      },
+      sections
+    });
+  }
+
+  generateMainTitle(report, t = this.getTranslator(report)) {
+    const dated = report.survey_date
+      ? t('title.dated', { date: this.formatDate(report.survey_date) })
+      : '[DATED]';
+
+    return `<div class="main-title">
+        <h1>${t('title.report')}</h1>
+        ${t('title.of') ? `<h2>${t('title.of')}</h2>` : ''}
+        <h3>${t('title.property', {
+          lot: report.lot_number || '[LOT_NUMBER]',
+          plan: report.plan_number || '[PLAN_NUMBER]',
+          dated,
+          surveyor: report.licensed_surveyor || '[LICENSED_SURVEYOR_NAME]'
+        })}</h3>
+    </div>`;
+  }
+
+  // ===============================================
+  // Client Format Profiles
+  // ===============================================
+
+  /**
+   * Extra sections the report's client format profile asks for
+   * (options.clientProfile)
+   */
+  generateClientProfileSections(report, userProfile, options = {}) {
+    const { clientProfile, includeImages = true } = options;
+    if (!clientProfile) return [];
+
+    const t = this.getTranslator(report, options);
+
+    return (clientProfile.extra_sections || []).map(section => {
+      if (section === 'ltv_summary') {
+        return this.generateLTVSummary(report, clientProfile, t);
+      }
+      if (section === 'photographs') {
+        return includeImages ? this.generatePhotographsAnnex(report, clientProfile, t) : '';
+      }
+
+      return `
+      <div class="section">
+        <div class="section-title">${section.title}</div>
+        ${this.renderLayoutPart(section.template, null, report, userProfile, {}, t)}
+      </div>
+    `;
+    }).filter(Boolean);
+  }
+
+  generateLTVSummary(report, clientProfile, t = this.getTranslator(report)) {
+    const ltv = clientProfileService.calculateLTV(report, clientProfile);
+
+    return `
+      <div class="section">
+        <div class="section-title">${t('client.ltv_title')}</div>
+        <table class="valuation-table">
+          <tr>
+            <td>${t('client.market_value')}</td>
+            <td class="number-cell">Rs. ${this.formatCurrency(report.market_value) || '[MARKET_VALUE]'}/=</td>
+          </tr>
+          <tr>
+            <td>${t('client.forced_sale_value')}${report.forced_sale_percentage ? ` ${t('client.forced_sale_percentage', { percentage: parseFloat(report.forced_sale_percentage) })}` : ''}</td>
+            <td class="number-cell">Rs. ${this.formatCurrency(report.forced_sale_value) || '[FORCED_SALE_VALUE]'}/=</td>
+          </tr>
+          <tr>
+            <td>${t('client.lending_basis', { client: clientProfile.organization_name })}</td>
+            <td class="number-cell">${t(`client.basis_${ltv.basis}`)}</td>
+          </tr>
+          <tr>
+            <td>${t('client.ltv_ratio')}</td>
+            <td class="number-cell">${ltv.ltv_percentage ? `${ltv.ltv_percentage}%` : '[LTV_PERCENTAGE]'}</td>
+          </tr>
+          <tr>
+            <td><strong>${t(`client.maximum_advance_${ltv.basis}`)}</strong></td>
+            <td class="number-cell"><strong>Rs. ${this.formatCurrency(ltv.maximum_advance) || '[MAXIMUM_ADVANCE]'}/=</strong></td>
+          </tr>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * All photographs in the categories the client asks for, rather than
+   * the four per section printed in the body of the report
+   */
+  generatePhotographsAnnex(report, clientProfile, t = this.getTranslator(report)) {
+    const categories = Object.keys(clientProfile.required_images || {});
+    const images = (report.images || [])
+      .filter(img => categories.length === 0 || categories.includes(img.category));
+
+    return `
+      <div class="section">
+        <div class="section-title">${t('client.photographs_title')}</div>
+        <div class="image-grid">
+          ${images.map(img => `
+            <div>
+              <img src="${img.url || img.file_path}" alt="${img.caption}" class="property-image" />
+              <div class="image-caption">${img.caption || img.category.replace(/_/g, ' ')}</div>
+            </div>
+          `).join('') || `<div style="text-align: center; padding: 40px; border: 1px dashed #ccc; grid-column: 1 / -1;">${t('client.photographs_missing')}</div>`}
+        </div>
+      </div>
+    `;
+  }
+
+  // ===============================================
+  // Annexures
+  // ===============================================
+
+  /**
+   * Annexure index and pages printed after the certification, in the
+   * report's annexure order. Annexures with nothing to show are left out.
+   */
+  generateAnnexures(report, options = {}, t = this.getTranslator(report, options)) {
+    const annexures = annexureService.buildAnnexures(report, options.locationContext, options.locationSketch);
+    if (annexures.length === 0) return [];
+
+    return [
+      this.generateAnnexureIndex(annexures, t),
+      ...annexures.map(annexure => this.generateAnnexure(annexure, t))
+    ];
+  }
+
+  generateAnnexureIndex(annexures, t = reportLanguageService.translator()) {
+    const contents = annexure => {
+      if (annexure.route) {
+        return annexure.route.from
+          ? t('annexure.route_contents', { from: annexure.route.from })
+          : t('annexure.route_map');
+      }
+      return annexure.groups
+        ? t('annexure.photograph_count', { count: annexure.count })
+        : t('annexure.image_count', { count: annexure.count });
+    };
+
+    return `
+      <div class="section annexure">
+        <div class="section-title">${t('annexure.index_title')}</div>
+        <table>
+          <tr>
+            <th>${t('annexure.col_annexure')}</th>
+            <th>${t('annexure.col_description')}</th>
+            <th>${t('annexure.col_contents')}</th>
+          </tr>
+          ${annexures.map(annexure => `
+          <tr>
+            <td>${annexure.letter}</td>
+            <td>${t(`annexure.${annexure.key}`)}</td>
+            <td>${contents(annexure)}</td>
+          </tr>
+          `).join('')}
+        </table>
+      </div>
+    `;
+  }
+
+  generateAnnexure(annexure, t = reportLanguageService.translator()) {
+    const heading = t('annexure.heading', { letter: annexure.letter, title: t(`annexure.${annexure.key}`) });
+
+    if (annexure.route) {
+      return this.generateRouteAnnexure(annexure, heading, t);
+    }
+
+    if (annexure.groups) {
+      return annexure.groups.map((group, index) => `
+      <div class="section annexure">
+        ${index === 0 ? `<div class="section-title">${heading}</div>` : ''}
+        <div class="subsection-title">${t(`annexure.category_${group.category}`)}</div>
+        <div class="image-grid">
+          ${group.images.map(img => `
+            <div>
+              <img src="${img.url || img.file_path}" alt="${img.caption}" class="property-image annexure-photo" />
+              <div class="image-caption">${img.caption || ''}</div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+    }
+
+    // Sketches and copies of documents get a page each
+    return annexure.images.map((img, index) => `
+      <div class="section annexure">
+        ${index === 0 ? `<div class="section-title">${heading}</div>` : ''}
+        <img src="${img.url || img.file_path}" alt="${img.caption}" class="annexure-page-image" />
+        ${img.caption ? `<div class="image-caption">${img.caption}</div>` : ''}
+      </div>
+    `).join('');
+  }
+
+  generateRouteAnnexure(annexure, heading, t = reportLanguageService.translator()) {
+    const { route } = annexure;
+
+    return `
+      <div class="section annexure">
+        <div class="section-title">${heading}</div>
+        <table>
+          ${route.from ? `<tr><td>${t('annexure.route_from')}</td><td>${route.from}</td></tr>` : ''}
+          ${route.distance_km ? `<tr><td>${t('annexure.route_distance')}</td><td>${t('annexure.route_distance_value', { distance: route.distance_km })}</td></tr>` : ''}
+          ${route.duration ? `<tr><td>${t('annexure.route_duration')}</td><td>${route.duration}</td></tr>` : ''}
+          ${route.quality ? `<tr><td>${t('annexure.route_quality')}</td><td>${route.quality}</td></tr>` : ''}
+        </table>
+        ${route.steps.length > 0 ? `
+          <div class="subsection-title">${t('annexure.route_directions')}</div>
+          <ol>
+            ${route.steps.map(step => `<li>${step}</li>`).join('')}
+          </ol>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Report stylesheet. Sinhala and Tamil reports embed their script's font
+   * so the render does not depend on fonts installed on the host.
+   */
+  getReportCSS(isDraft, language = 'en') {
+    const fontFamily = reportLanguageService.getFontFamily(language);
+
     return `
+      ${reportLanguageService.getFontFaceCSS(language)}
+
       @page {
         size: A4;
         margin: 25mm 20mm 25mm 30mm;
         @bottom-center {
           content: counter(page);
-          font-family: 'Times New Roman', serif;
+          font-family: ${fontFamily};
           font-size: 10pt;
         }
       }
 
       body {
-        font-family: 'Times New Roman', serif;
+        font-family: ${fontFamily};
         font-size: 11pt;
         line-height: 1.4;
         color: #000;
@@ -271,6 +608,51 @@ class PDFService {
         font-style: italic;
       }
 
+      /* Annexures */
+      .annexure {
+        page-break-before: always;
+      }
+
+      .annexure-page-image {
+        display: block;
+        width: 100%;
+        max-height: 220mm;
+        object-fit: contain;
+        margin: 10px auto;
+      }
+
+      .annexure-photo {
+        max-height: 90mm;
+      }
+
+      /* Table of contents */
+      .toc {
+        page-break-after: always;
+      }
+
+      .toc-table {
+        table-layout: fixed;
+      }
+
+      .toc-table a {
+        color: inherit;
+        text-decoration: none;
+      }
+
+      .toc-page {
+        width: 20mm;
+        text-align: right;
+      }
+
+      /* Generated location sketch */
+      .location-sketch {
+        grid-column: 1 / -1;
+      }
+
+      .location-sketch img {
+        width: 100%;
+      }
+
       /* Boundaries Box */
       .boundaries-box {
         border: 2px solid #000;
@@ -312,6 +694,18 @@ class PDFService {
         margin: 40px 0 10px auto;
       }
 
+      /* Space on the certification page for the digital signature box */
+      .digital-signature-link {
+        display: block;
+      }
+
+      .digital-signature-space {
+        width: ${SIGNATURE_BOX.width}mm;
+        height: ${SIGNATURE_BOX.height}mm;
+        margin: 4mm 0 0 auto;
+        page-break-inside: avoid;
+      }
+
       /* Page Breaks */
       .page-break {
         page-break-before: always;
@@ -348,7 +742,7 @@ class PDFService {
   // Section Generation Methods
   // ===============================================
 
-  generateDocumentHeader(userProfile, report) {
+  generateDocumentHeader(userProfile, report, t = this.getTranslator(report)) {
     return `
       <div class="header-content">
         <div style="text-align: center; font-weight: bold;">
@@ -360,134 +754,157 @@ class PDFService {
 
         <div class="contact-info">
           <div class="left-contact">
-            <div><strong>RESIDENCE :</strong> ${userProfile?.house_number || '[HOUSE_NUMBER]'}, ${userProfile?.street_name || '[STREET_NAME]'},</div>
+            <div><strong>${t('header.residence')}</strong> ${userProfile?.house_number || '[HOUSE_NUMBER]'}, ${userProfile?.street_name || '[STREET_NAME]'},</div>
             <div style="margin-left: 75px;">${userProfile?.area_name || '[AREA_NAME]'},</div>
             <div style="margin-left: 75px;">${userProfile?.city || '[CITY]'}, ${userProfile?.district || '[DISTRICT]'}</div>
           </div>
           <div class="right-contact">
-            <div><strong>Telephone :</strong> ${userProfile?.phone_number || '[PHONE_NUMBER]'}</div>
-            <div><strong>Mobile    :</strong> ${userProfile?.mobile_number || '[MOBILE_NUMBER]'}</div>
-            <div><strong>E-mail    :</strong> ${userProfile?.email_address || '[EMAIL_ADDRESS]'}</div>
+            <div><strong>${t('header.telephone')}</strong> ${userProfile?.phone_number || '[PHONE_NUMBER]'}</div>
+            <div><strong>${t('header.mobile')}</strong> ${userProfile?.mobile_number || '[MOBILE_NUMBER]'}</div>
+            <div><strong>${t('header.email')}</strong> ${userProfile?.email_address || '[EMAIL_ADDRESS]'}</div>
           </div>
         </div>
 
         <div style="margin-top: 20px;">
           <div style="display: flex; justify-content: space-between;">
-            <div><strong>My Ref. :</strong> ${report.report_reference || '[VALUER_REFERENCE]'}</div>
-            <div><strong>Date:</strong> ${this.formatDate(report.report_date) || '[REPORT_DATE]'}</div>
+            <div><strong>${t('header.reference')}</strong> ${report.report_reference || '[VALUER_REFERENCE]'}</div>
+            <div><strong>${t('header.date')}</strong> ${this.formatDate(report.report_date) || '[REPORT_DATE]'}</div>
           </div>
         </div>
       </div>
     `;
   }
 
-  generateSection1Preamble(report) {
+  generateSection1Preamble(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">1.0 PREAMBLE</div>
+        <div class="section-title">${t('preamble.title')}</div>
         <div class="section-content">
-          <p>This valuation report is prepared on the instructions given by ${report.instruction_source || '[INSTRUCTION_SOURCE]'},
-          ${report.client_designation || '[CLIENT_DESIGNATION]'}, ${report.client_organization || '[CLIENT_ORGANIZATION]'},
-          ${report.client_address || '[CLIENT_ADDRESS]'}, ${report.instruction_method || '[INSTRUCTION_METHOD]'}
-          dated ${this.formatDate(report.instruction_date) || '[INSTRUCTION_DATE]'}, for the purpose of
-          ${report.valuation_purpose || '[VALUATION_PURPOSE]'}.</p>
-
-          <p>The property was inspected on ${this.formatDate(report.inspection_date) || '[INSPECTION_DATE]'}
-          in the presence of ${report.persons_present || '[PERSONS_PRESENT]'}.</p>
+          <p>${t('preamble.instructions', {
+            source: report.instruction_source || '[INSTRUCTION_SOURCE]',
+            designation: report.client_designation || '[CLIENT_DESIGNATION]',
+            organization: report.client_organization || '[CLIENT_ORGANIZATION]',
+            address: report.client_address || '[CLIENT_ADDRESS]',
+            method: report.instruction_method || '[INSTRUCTION_METHOD]',
+            date: this.formatDate(report.instruction_date) || '[INSTRUCTION_DATE]',
+            purpose: report.valuation_purpose || '[VALUATION_PURPOSE]'
+          })}</p>
+
+          <p>${t('preamble.inspection', {
+            date: this.formatDate(report.inspection_date) || '[INSPECTION_DATE]',
+            persons: report.persons_present || '[PERSONS_PRESENT]'
+          })}</p>
         </div>
       </div>
     `;
   }
 
-  generateSection2ScopeOfWork(report, userProfile) {
+  generateSection2ScopeOfWork(report, userProfile, t = this.getTranslator(report)) {
     const currentYear = new Date().getFullYear();
     const ricsYear = userProfile?.preferences?.default_rics_year || currentYear;
 
     return `
       <div class="section">
-        <div class="section-title">2.0 SCOPE OF WORK</div>
+        <div class="section-title">${t('scope.title')}</div>
         <div class="section-content">
-          <p>This report is prepared in compliance with the SLFRS 13, International Valuation Standards
-          incorporated in RICS Valuation – Professional Standards ${ricsYear}, commonly referred to as
-          the 'Red Book' published by the Royal Institution of Chartered Surveyors, UK.</p>
+          <p>${t('scope.standards', { year: ricsYear })}</p>
 
-          <p>I am independent in terms of the code of ethics of my profession, and there were no
-          circumstances that impair or even appear to impair the objectivity of my work.</p>
+          <p>${t('scope.independence')}</p>
 
-          <p><strong>Fair Value:</strong> Fair value is the price that would be received to sell an asset or paid to transfer a liability in an orderly transaction between market participants at the measurement date under current market conditions.</p>
+          <p><strong>${t('scope.fair_value_label')}</strong> ${t('scope.fair_value')}</p>
 
-          <p><strong>Market Value:</strong> Market Value is the estimated amount for which an asset or liability should exchange on the valuation date between a willing buyer and a willing seller in an arm's length transaction, after proper marketing and where the parties had each acted knowledgeably, prudently and without compulsion.</p>
+          <p><strong>${t('scope.market_value_label')}</strong> ${t('scope.market_value')}</p>
         </div>
       </div>
     `;
   }
 
-  generateSection3PropertyIdentification(report) {
+  generateSection3PropertyIdentification(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">3.0 PROPERTY IDENTIFICATION</div>
+        <div class="section-title">${t('identification.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">3.1 Location</div>
-          <p>The subject property is situated in the Village of ${report.village_name || '[VILLAGE_NAME]'} within the
-          ${report.pradeshiya_sabha || '[PRADESHIYA_SABHA]'} in ${report.korale || '[KORALE]'} of
-          ${report.hathpattu || '[HATHPATTU]'} in the District of ${report.district || '[DISTRICT]'},
-          ${report.province || '[PROVINCE]'}.</p>
+          <div class="subsection-title">${t('identification.location_title')}</div>
+          <p>${t('identification.location', {
+            village: report.village_name || '[VILLAGE_NAME]',
+            pradeshiya_sabha: report.pradeshiya_sabha || '[PRADESHIYA_SABHA]',
+            korale: report.korale || '[KORALE]',
+            hathpattu: report.hathpattu || '[HATHPATTU]',
+            district: report.district || '[DISTRICT]',
+            province: report.province || '[PROVINCE]'
+          })}</p>
 
           ${report.latitude && report.longitude ?
-            `<p>GPS Coordinates: Latitude ${report.latitude.toFixed(6)}, Longitude ${report.longitude.toFixed(6)}</p>`
-            : '<p>GPS Coordinates: [LATITUDE], [LONGITUDE]</p>'
+            `<p>${t('identification.gps', { latitude: report.latitude.toFixed(6), longitude: report.longitude.toFixed(6) })}</p>`
+            : `<p>${t('identification.gps_missing')}</p>`
           }
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">3.2 Legal Description</div>
-          <p>The property to be valued is identified as the land depicted as Lot ${report.lot_number || '[LOT_NUMBER]'}
-          in Plan No: ${report.plan_number || '[PLAN_NUMBER]'} dated ${this.formatDate(report.survey_date) || '[SURVEY_DATE]'}
-          made by ${report.licensed_surveyor || '[LICENSED_SURVEYOR]'}, Licensed Surveyor. This Survey Plan has been
-          approved by the ${report.approving_authority || '[APPROVING_AUTHORITY]'} on
-          ${this.formatDate(report.approval_date) || '[APPROVAL_DATE]'}.</p>
+          <div class="subsection-title">${t('identification.legal_title')}</div>
+          <p>${t('identification.legal', {
+            lot: report.lot_number || '[LOT_NUMBER]',
+            plan: report.plan_number || '[PLAN_NUMBER]',
+            survey_date: this.formatDate(report.survey_date) || '[SURVEY_DATE]',
+            surveyor: report.licensed_surveyor || '[LICENSED_SURVEYOR]',
+            authority: report.approving_authority || '[APPROVING_AUTHORITY]',
+            approval_date: this.formatDate(report.approval_date) || '[APPROVAL_DATE]'
+          })}</p>
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">3.3 Ownership</div>
-          <p>As per the documents available, by virtue of the Deed of Transfer No: ${report.deed_number || '[DEED_NUMBER]'}
-          dated ${this.formatDate(report.deed_date) || '[DEED_DATE]'} attested by ${report.notary_public || '[NOTARY_PUBLIC]'},
-          the subject property is presently owned by ${report.current_owner || '[CURRENT_OWNER]'}.</p>
+          <div class="subsection-title">${t('identification.ownership_title')}</div>
+          <p>${t('identification.ownership', {
+            deed: report.deed_number || '[DEED_NUMBER]',
+            deed_date: this.formatDate(report.deed_date) || '[DEED_DATE]',
+            notary: report.notary_public || '[NOTARY_PUBLIC]',
+            owner: report.current_owner || '[CURRENT_OWNER]'
+          })}</p>
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">3.4 Land Details</div>
-          <p><strong>Name of Land:</strong> ${report.land_name || '[LAND_NAME]'}</p>
-          <p><strong>Extent:</strong> Lot No: ${report.lot_number || '[LOT_NUMBER]'};
-          ${report.acres || 0} A - ${report.roods || 0} R - ${report.perches || 0} P
-          (${report.hectares ? report.hectares.toFixed(4) : '[HECTARES]'} Hectares)</p>
+          <div class="subsection-title">${t('identification.land_title')}</div>
+          <p><strong>${t('identification.land_name')}</strong> ${report.land_name || '[LAND_NAME]'}</p>
+          <p><strong>${t('identification.extent')}</strong> ${t('identification.extent_value', {
+            lot: report.lot_number || '[LOT_NUMBER]',
+            extent: landExtentService.formatReportExtent(report) || '[LAND_EXTENT]'
+          })}</p>
         </div>
       </div>
     `;
   }
 
-  generateSection4AccessAndAccessibility(report, includeImages) {
+  /**
+   * Uploaded location maps, or the generated location sketch (a data URI)
+   * when there are none
+   */
+  generateSection4AccessAndAccessibility(report, includeImages, t = this.getTranslator(report), locationSketch = null) {
     return `
       <div class="section">
-        <div class="section-title">4.0 ACCESS AND ACCESSIBILITY</div>
+        <div class="section-title">${t('access.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">4.1 Route Description</div>
+          <div class="subsection-title">${t('access.route_title')}</div>
           <p>${report.ai_enhanced_route_description || report.route_description || '[ROUTE_DESCRIPTION - From nearest major city, proceed along main road for approximately X km, then turn onto access road. The subject property lies on the [left/right] side of the road fronting same.]'}</p>
-          ${report.ai_enhanced_route_description ? '<p class="ai-note"><em>Route description enhanced with AI analysis</em></p>' : ''}
+          ${report.ai_enhanced_route_description ? `<p class="ai-note"><em>${t('access.route_ai_note')}</em></p>` : ''}
         </div>
 
         ${includeImages ? `
           <div class="subsection">
-            <div class="subsection-title">4.2 Location Map</div>
+            <div class="subsection-title">${t('access.map_title')}</div>
             <div class="image-grid">
               ${report.images?.filter(img => img.category === 'location_maps').map(img => `
                 <div>
                   <img src="${img.url || img.file_path}" alt="${img.caption}" class="property-image" />
-                  <div class="image-caption">${img.caption || 'Location Map'}</div>
+                  <div class="image-caption">${img.caption || t('access.map_caption')}</div>
                 </div>
-              `).join('') || '<div style="text-align: center; padding: 40px; border: 1px dashed #ccc;">Location Map to be inserted</div>'}
+              `).join('') || (locationSketch ? `
+                <div class="location-sketch">
+                  <img src="${locationSketch}" alt="${t('sketch.caption')}" />
+                  <div class="image-caption">${t('sketch.caption')}</div>
+                </div>
+              ` : `<div style="text-align: center; padding: 40px; border: 1px dashed #ccc;">${t('access.map_missing')}</div>`)}
             </div>
           </div>
         ` : ''}
@@ -495,60 +912,69 @@ class PDFService {
     `;
   }
 
-  generateSection5Boundaries(report) {
+  generateSection5Boundaries(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">5.0 BOUNDARIES</div>
+        <div class="section-title">${t('boundaries.title')}</div>
         <div class="section-content">
-          <p>As per survey plan:</p>
+          <p>${t('boundaries.as_per_plan')}</p>
           <div class="boundaries-box">
-            <div class="boundary-line"><strong>North by:</strong> ${report.north_boundary || '[NORTH_BOUNDARY]'}</div>
-            <div class="boundary-line"><strong>East by:</strong> ${report.east_boundary || '[EAST_BOUNDARY]'}</div>
-            <div class="boundary-line"><strong>South by:</strong> ${report.south_boundary || '[SOUTH_BOUNDARY]'}</div>
-            <div class="boundary-line"><strong>West by:</strong> ${report.west_boundary || '[WEST_BOUNDARY]'}</div>
+            <div class="boundary-line"><strong>${t('boundaries.north')}</strong> ${report.north_boundary || '[NORTH_BOUNDARY]'}</div>
+            <div class="boundary-line"><strong>${t('boundaries.east')}</strong> ${report.east_boundary || '[EAST_BOUNDARY]'}</div>
+            <div class="boundary-line"><strong>${t('boundaries.south')}</strong> ${report.south_boundary || '[SOUTH_BOUNDARY]'}</div>
+            <div class="boundary-line"><strong>${t('boundaries.west')}</strong> ${report.west_boundary || '[WEST_BOUNDARY]'}</div>
           </div>
-          <p>All boundaries were checked and identified by me on the ground and found correct.</p>
+          <p>${t('boundaries.checked')}</p>
         </div>
       </div>
     `;
   }
 
-  generateSection6LandDescription(report, includeImages) {
+  generateSection6LandDescription(report, includeImages, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">6.0 DESCRIPTION OF LAND</div>
+        <div class="section-title">${t('land.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">6.1 Topography</div>
-          <p>This is ${report.land_shape || '[LAND_SHAPE]'} shaped ${report.topography_type || '[TOPOGRAPHY_TYPE]'}
-          block of land with ${report.land_use_type || '[LAND_USE_TYPE]'}, having a frontage of about
-          ${report.frontage_measurement || '[FRONTAGE_MEASUREMENT]'} to the ${report.access_road_type || '[ACCESS_ROAD_TYPE]'}
-          along the ${report.boundary_direction || '[BOUNDARY_DIRECTION]'} boundary.</p>
+          <div class="subsection-title">${t('land.topography_title')}</div>
+          <p>${t('land.topography', {
+            shape: report.land_shape || '[LAND_SHAPE]',
+            topography: report.topography_type || '[TOPOGRAPHY_TYPE]',
+            land_use: report.land_use_type || '[LAND_USE_TYPE]',
+            frontage: report.frontage_measurement || '[FRONTAGE_MEASUREMENT]',
+            road: report.access_road_type || '[ACCESS_ROAD_TYPE]',
+            direction: report.boundary_direction || '[BOUNDARY_DIRECTION]'
+          })}</p>
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">6.2 Soil & Water Table</div>
-          <p>The soil is ${report.soil_type || '[SOIL_TYPE]'} and is suitable for ${report.suitable_use || '[SUITABLE_USE]'}.
-          The water table is about ${report.water_table_depth || '[WATER_TABLE_DEPTH]'} feet below the ground level
-          and the land is ${report.flood_status || '[FLOOD_STATUS]'}.</p>
+          <div class="subsection-title">${t('land.soil_title')}</div>
+          <p>${t('land.soil', {
+            soil: report.soil_type || '[SOIL_TYPE]',
+            use: report.suitable_use || '[SUITABLE_USE]',
+            depth: report.water_table_depth || '[WATER_TABLE_DEPTH]',
+            flood: report.flood_status || '[FLOOD_STATUS]'
+          })}</p>
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">6.3 Plantation</div>
-          <p>The land contains ${report.plantation_description || '[PLANTATION_DESCRIPTION]'} with
-          ${report.plantation_details || '[PLANTATION_DETAILS]'}.</p>
+          <div class="subsection-title">${t('land.plantation_title')}</div>
+          <p>${t('land.plantation', {
+            description: report.plantation_description || '[PLANTATION_DESCRIPTION]',
+            details: report.plantation_details || '[PLANTATION_DETAILS]'
+          })}</p>
         </div>
 
         ${includeImages ? `
           <div class="subsection">
-            <div class="subsection-title">6.4 Property Images</div>
+            <div class="subsection-title">${t('land.images_title')}</div>
             <div class="image-grid">
               ${report.images?.filter(img => img.category === 'land_views').slice(0, 4).map(img => `
                 <div>
                   <img src="${img.file_path}" alt="${img.caption}" class="property-image" />
-                  <div class="image-caption">${img.caption || 'Land View'}</div>
+                  <div class="image-caption">${img.caption || t('land.image_caption')}</div>
                 </div>
-              `).join('') || '<div style="text-align: center; padding: 40px; border: 1px dashed #ccc; grid-column: 1 / -1;">Property images to be inserted</div>'}
+              `).join('') || `<div style="text-align: center; padding: 40px; border: 1px dashed #ccc; grid-column: 1 / -1;">${t('land.images_missing')}</div>`}
             </div>
           </div>
         ` : ''}
@@ -556,53 +982,56 @@ class PDFService {
     `;
   }
 
-  generateSection7BuildingDescription(report, includeImages) {
+  generateSection7BuildingDescription(report, includeImages, t = this.getTranslator(report)) {
     if (!report.building_type && !report.total_floor_area) {
       return ''; // Skip if no building information
     }
 
     return `
       <div class="section">
-        <div class="section-title">7.0 DESCRIPTION OF BUILDINGS</div>
+        <div class="section-title">${t('building.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">7.1 Construction Details</div>
+          <div class="subsection-title">${t('building.construction_title')}</div>
           ${report.ai_enhanced_building_description ? `
             <p>${report.ai_enhanced_building_description}</p>
-            <p class="ai-note"><em>Building description enhanced with AI analysis</em></p>
+            <p class="ai-note"><em>${t('building.ai_note')}</em></p>
           ` : `
-            <p>${(report.building_type || '[BUILDING_TYPE]').replace('_', ' ')} type building in ${report.condition_grade || '[CONDITION_GRADE]'}
-            condition, about ${report.building_age || '[BUILDING_AGE]'} years old.</p>
-
-            <p><strong>Roof:</strong> ${report.roof_description || '[ROOF_DESCRIPTION]'}<br>
-            <strong>Walls:</strong> ${report.wall_description || '[WALL_DESCRIPTION]'}<br>
-            <strong>Floor:</strong> ${report.floor_description || '[FLOOR_DESCRIPTION]'}<br>
-            <strong>Doors & Windows:</strong> ${report.doors_windows || '[DOORS_WINDOWS_DESCRIPTION]'}</p>
+            <p>${t('building.summary', {
+              type: (report.building_type || '[BUILDING_TYPE]').replace('_', ' '),
+              condition: report.condition_grade || '[CONDITION_GRADE]',
+              age: report.building_age || '[BUILDING_AGE]'
+            })}</p>
+
+            <p><strong>${t('building.roof')}</strong> ${report.roof_description || '[ROOF_DESCRIPTION]'}<br>
+            <strong>${t('building.walls')}</strong> ${report.wall_description || '[WALL_DESCRIPTION]'}<br>
+            <strong>${t('building.floor')}</strong> ${report.floor_description || '[FLOOR_DESCRIPTION]'}<br>
+            <strong>${t('building.doors')}</strong> ${report.doors_windows || '[DOORS_WINDOWS_DESCRIPTION]'}</p>
           `}
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">7.2 Accommodation</div>
+          <div class="subsection-title">${t('building.accommodation_title')}</div>
           <p>${report.room_layout_description || '[ROOM_LAYOUT_DESCRIPTION]'}</p>
-          <p><strong>Total Floor Area:</strong> ${report.total_floor_area || '[TOTAL_FLOOR_AREA]'} square feet</p>
-          ${report.bedrooms ? `<p><strong>Bedrooms:</strong> ${report.bedrooms}</p>` : ''}
+          <p><strong>${t('building.floor_area')}</strong> ${t('building.floor_area_value', { area: report.total_floor_area || '[TOTAL_FLOOR_AREA]' })}</p>
+          ${report.bedrooms ? `<p><strong>${t('building.bedrooms')}</strong> ${report.bedrooms}</p>` : ''}
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">7.3 Conveniences</div>
+          <div class="subsection-title">${t('building.conveniences_title')}</div>
           <p>${(report.building_conveniences || report.conveniences_list || ['[CONVENIENCES_LIST]']).join(', ')}</p>
         </div>
 
         ${includeImages ? `
           <div class="subsection">
-            <div class="subsection-title">7.4 Building Images</div>
+            <div class="subsection-title">${t('building.images_title')}</div>
             <div class="image-grid">
               ${report.images?.filter(img => img.category === 'building_exterior' || img.category === 'building_interior').slice(0, 4).map(img => `
                 <div>
                   <img src="${img.url || img.file_path}" alt="${img.caption}" class="property-image" />
-                  <div class="image-caption">${img.caption || 'Building View'}</div>
+                  <div class="image-caption">${img.caption || t('building.image_caption')}</div>
                 </div>
-              `).join('') || '<div style="text-align: center; padding: 40px; border: 1px dashed #ccc; grid-column: 1 / -1;">Building images to be inserted</div>'}
+              `).join('') || `<div style="text-align: center; padding: 40px; border: 1px dashed #ccc; grid-column: 1 / -1;">${t('building.images_missing')}</div>`}
             </div>
           </div>
         ` : ''}
@@ -610,21 +1039,24 @@ class PDFService {
     `;
   }
 
-  generateSection8LocalityDescription(report) {
+  generateSection8LocalityDescription(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">8.0 LOCALITY DESCRIPTION</div>
+        <div class="section-title">${t('locality.title')}</div>
         <div class="section-content">
           ${report.ai_enhanced_locality_analysis ? `
             <p>${report.ai_enhanced_locality_analysis}</p>
-            <p class="ai-note"><em>Locality analysis enhanced with AI analysis</em></p>
+            <p class="ai-note"><em>${t('locality.ai_note')}</em></p>
           ` : `
-            <p>This is a ${report.locality_type || '[LOCALITY_TYPE]'} locality about
-            ${report.distance_to_town || '[DISTANCE_TO_TOWN]'} away from ${report.nearest_town || '[NEAREST_TOWN]'}.
-            The area is ${report.development_level || '[DEVELOPMENT_LEVEL]'} with
-            ${report.infrastructure_description || '[INFRASTRUCTURE_DESCRIPTION]'}.</p>
-
-            <p><strong>Nearby facilities include:</strong></p>
+            <p>${t('locality.description', {
+              type: report.locality_type || '[LOCALITY_TYPE]',
+              distance: report.distance_to_town || '[DISTANCE_TO_TOWN]',
+              town: report.nearest_town || '[NEAREST_TOWN]',
+              development: report.development_level || '[DEVELOPMENT_LEVEL]',
+              infrastructure: report.infrastructure_description || '[INFRASTRUCTURE_DESCRIPTION]'
+            })}</p>
+
+            <p><strong>${t('locality.facilities')}</strong></p>
             <ul>
               ${(report.nearby_facilities_list || ['[NEARBY_FACILITIES_LIST]']).map(facility =>
                 `<li>${facility}</li>`
@@ -634,9 +1066,9 @@ class PDFService {
 
           ${report.ai_enhanced_market_analysis ? `
             <div class="subsection">
-              <div class="subsection-title">8.1 Market Analysis</div>
+              <div class="subsection-title">${t('locality.market_title')}</div>
               <p>${report.ai_enhanced_market_analysis}</p>
-              <p class="ai-note"><em>Market analysis enhanced with AI analysis</em></p>
+              <p class="ai-note"><em>${t('locality.market_ai_note')}</em></p>
             </div>
           ` : `
             <p>${report.market_demand_analysis || '[MARKET_DEMAND_ANALYSIS]'}</p>
@@ -646,158 +1078,373 @@ class PDFService {
     `;
   }
 
-  generateSection9PlanningRegulations(report) {
+  generateSection9PlanningRegulations(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">9.0 PLANNING REGULATIONS</div>
+        <div class="section-title">${t('planning.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">9.1 Street Line & Building Limits</div>
-          <p>The subject property is located within the ${report.local_authority || '[LOCAL_AUTHORITY]'} area and
-          ${report.street_line_status || '[STREET_LINE_STATUS]'}.</p>
+          <div class="subsection-title">${t('planning.street_line_title')}</div>
+          <p>${t('planning.street_line', {
+            authority: report.local_authority || '[LOCAL_AUTHORITY]',
+            status: report.street_line_status || '[STREET_LINE_STATUS]'
+          })}</p>
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">9.2 Other Regulatory Matters</div>
+          <div class="subsection-title">${t('planning.other_title')}</div>
           <p>${report.regulatory_compliance_status || '[REGULATORY_COMPLIANCE_STATUS]'}</p>
         </div>
       </div>
     `;
   }
 
-  generateSection10EvidenceOfValue(report) {
+  generateSection10EvidenceOfValue(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">10.0 EVIDENCE OF VALUE</div>
+        <div class="section-title">${t('evidence.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">10.1 Land Value Evidence</div>
+          <div class="subsection-title">${t('evidence.land_title')}</div>
           <p>${report.market_evidence_analysis || '[MARKET_EVIDENCE_ANALYSIS]'}</p>
 
-          <p>Recent transactions in the locality indicate land values ranging from
-          Rs. ${this.formatCurrency(report.min_rate) || '[MIN_RATE]'}/= to Rs. ${this.formatCurrency(report.max_rate) || '[MAX_RATE]'}/= per perch,
-          depending on ${report.rate_factors || '[RATE_FACTORS]'}.</p>
+          <p>${t('evidence.rate_range', {
+            min: this.formatCurrency(report.min_rate) || '[MIN_RATE]',
+            max: this.formatCurrency(report.max_rate) || '[MAX_RATE]',
+            factors: report.rate_factors || '[RATE_FACTORS]'
+          })}</p>
         </div>
+
+        ${this.generateComparablesTable(report.comparables, t)}
       </div>
     `;
   }
 
-  generateSection11ApproachToValuation(report) {
+  generateComparablesTable(comparables = [], t = reportLanguageService.translator()) {
+    const selected = (comparables || []).filter(comparable => comparable.is_selected !== false);
+    if (selected.length === 0) return '';
+
+    const rows = selected.map((comparable, index) => `
+            <tr>
+              <td>${index + 1}</td>
+              <td>${this.formatDate(comparable.transaction_date) || '-'}</td>
+              <td>${comparable.address || comparable.description || '-'}${comparable.transaction_type === 'listing' ? ` ${t('evidence.listing')}` : ''}</td>
+              <td class="number-cell">${parseFloat(comparable.extent_perches) || '-'}</td>
+              <td class="number-cell">${this.formatCurrency(comparable.price) || '-'}</td>
+              <td class="number-cell">${this.formatCurrency(comparable.rate_per_perch) || '-'}</td>
+              <td class="number-cell">${parseFloat(comparable.adjustment_percentage) ? `${parseFloat(comparable.adjustment_percentage)}%` : '-'}</td>
+              <td class="number-cell">${this.formatCurrency(comparable.adjusted_rate || comparable.rate_per_perch) || '-'}</td>
+            </tr>
+    `).join('');
+
+    return `
+        <div class="subsection">
+          <div class="subsection-title">${t('evidence.comparables_title')}</div>
+          <table>
+            <tr>
+              <th>${t('evidence.col_no')}</th>
+              <th>${t('evidence.col_date')}</th>
+              <th>${t('evidence.col_location')}</th>
+              <th>${t('evidence.col_extent')}</th>
+              <th>${t('evidence.col_price')}</th>
+              <th>${t('evidence.col_rate')}</th>
+              <th>${t('evidence.col_adjustment')}</th>
+              <th>${t('evidence.col_adjusted')}</th>
+            </tr>
+            ${rows}
+          </table>
+        </div>
+    `;
+  }
+
+  generateSection11ApproachToValuation(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">11.0 APPROACH TO VALUATION</div>
+        <div class="section-title">${t('approach.title')}</div>
 
         <div class="subsection">
-          <div class="subsection-title">11.1 Valuation Methodology</div>
-          <p>${report.methodology_explanation || 'The valuation has been carried out using the Contractor\'s Method (Cost Approach), which determines value by calculating the current replacement cost of improvements, less depreciation, plus land value.'}</p>
+          <div class="subsection-title">${t('approach.methodology_title')}</div>
+          <p>${report.methodology_explanation || (report.report_type === 'investment'
+            ? t('approach.investment_method')
+            : t('approach.contractors_method'))}</p>
         </div>
 
         <div class="subsection">
-          <div class="subsection-title">11.2 Approach Selection</div>
+          <div class="subsection-title">${t('approach.selection_title')}</div>
           <p>${report.approach_justification || '[APPROACH_JUSTIFICATION]'}</p>
 
-          <p>Taking into consideration the above facts and having regard to ${report.valuation_factors || '[VALUATION_FACTORS]'},
-          I adopt a rate of Rs. ${this.formatCurrency(report.adopted_rate) || '[ADOPTED_RATE]'}/= per perch for the land.</p>
+          <p>${t('approach.conclusion', {
+            factors: report.valuation_factors || '[VALUATION_FACTORS]',
+            adoption: report.report_type === 'investment' && report.investment
+              ? t('approach.adopt_yield', { yield: parseFloat(report.investment.yield_rate) })
+              : t('approach.adopt_rate', { rate: this.formatCurrency(report.adopted_rate) || '[ADOPTED_RATE]' })
+          })}</p>
         </div>
       </div>
     `;
   }
 
-  generateSection12Valuation(report) {
+  generateSection12Valuation(report, t = this.getTranslator(report)) {
     return `
       <div class="section">
-        <div class="section-title">12.0 VALUATION</div>
+        <div class="section-title">${t('valuation.title')}</div>
+
+        ${report.report_type === 'investment' && report.investment
+          ? this.generateInvestmentTable(report, t)
+          : this.generateContractorsMethodTable(report, t)}
 
         <div class="subsection">
-          <div class="subsection-title">12.1 Contractor's Method</div>
+          <div class="subsection-title">${t('valuation.summary_title')}</div>
           <table class="valuation-table">
             <tr>
-              <td><strong>LAND:</strong> Extent: ${report.land_extent || '[LAND_EXTENT]'} @ Rs. ${this.formatCurrency(report.land_rate) || '[LAND_RATE]'}/= per perch</td>
-              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.land_value) || '[LAND_VALUE]'}/=</strong></td>
+              <td>${t('valuation.market_value')}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.market_value) || '[MARKET_VALUE]'}/=</strong></td>
             </tr>
-            ${report.building_value ? `
             <tr>
-              <td><strong>BUILDING VALUE:</strong><br>
-              ${report.building_type || '[BUILDING_DESCRIPTION]'} building<br>
-              F.A. ${report.floor_area || '[FLOOR_AREA]'} sq. ft @ Rs. ${this.formatCurrency(report.building_rate) || '[BUILDING_RATE]'}/= per sq. ft.<br>
-              Less ${report.depreciation_rate || '[DEPRECIATION_RATE]'}% for Depreciation</td>
-              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.building_value) || '[BUILDING_VALUE]'}/=</strong></td>
+              <td colspan="2" style="text-align: center; font-style: italic;">
+                (${this.amountInWords(report.market_value, { language: t.language }) || '[MARKET_VALUE_WORDS]'})
+              </td>
             </tr>
-            ` : ''}
-            ${report.additional_components ? `
             <tr>
-              <td>${report.additional_components}</td>
-              <td class="number-cell"><strong>[ADDITIONAL_VALUE]</strong></td>
+              <td>${t('valuation.forced_sale_value')}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.forced_sale_value) || '[FORCED_SALE_VALUE]'}/=</strong></td>
+            </tr>
+            <tr>
+              <td colspan="2" style="text-align: center; font-style: italic;">
+                (${this.amountInWords(report.forced_sale_value, { language: t.language }) || '[FORCED_SALE_VALUE_WORDS]'})
+              </td>
+            </tr>
+            ${report.insurance_value ? `
+            <tr>
+              <td>${t('valuation.insurance_value')}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.insurance_value)}/=</strong></td>
+            </tr>
+            <tr>
+              <td colspan="2" style="text-align: center; font-style: italic;">
+                (${this.amountInWords(report.insurance_value, { language: t.language }) || '[INSURANCE_VALUE_WORDS]'})
+              </td>
             </tr>
             ` : ''}
+          </table>
+        </div>
+
+        ${report.report_type === 'insurance' ? this.generateReinstatementSchedule(report, t) : ''}
+      </div>
+    `;
+  }
+
+  generateReinstatementSchedule(report, t = this.getTranslator(report)) {
+    const schedule = typeof report.reinstatement_breakdown === 'string'
+      ? JSON.parse(report.reinstatement_breakdown)
+      : report.reinstatement_breakdown;
+    if (!schedule) return '';
+
+    const elementRows = schedule.elements.map(element => `
+            <tr>
+              <td>${element.description}</td>
+              <td class="number-cell">${element.floor_area}</td>
+              <td class="number-cell">${this.formatCurrency(element.rate_per_sqft) || '0'}</td>
+              <td class="number-cell">${this.formatCurrency(element.cost) || '0'}</td>
+            </tr>
+    `).join('');
+
+    return `
+        <div class="subsection">
+          <div class="subsection-title">${t('reinstatement.title')}</div>
+          <p>${schedule.building_type || t('reinstatement.building')}${schedule.condition_grade ? ` ${t('reinstatement.condition', { condition: schedule.condition_grade })}` : ''}</p>
+          <table>
+            <tr>
+              <th>${t('reinstatement.col_element')}</th>
+              <th>${t('reinstatement.col_area')}</th>
+              <th>${t('reinstatement.col_rate')}</th>
+              <th>${t('reinstatement.col_cost')}</th>
+            </tr>
+            ${elementRows}
+            <tr>
+              <td colspan="3"><strong>${t('reinstatement.construction_cost')}</strong></td>
+              <td class="number-cell"><strong>${this.formatCurrency(schedule.construction_cost) || '0'}</strong></td>
+            </tr>
+            <tr>
+              <td colspan="3">${t('reinstatement.professional_fees', { percentage: schedule.professional_fees_percentage })}</td>
+              <td class="number-cell">${this.formatCurrency(schedule.professional_fees) || '0'}</td>
+            </tr>
+            <tr>
+              <td colspan="3">${t('reinstatement.debris_removal', { percentage: schedule.debris_removal_percentage })}</td>
+              <td class="number-cell">${this.formatCurrency(schedule.debris_removal) || '0'}</td>
+            </tr>
             <tr class="valuation-total">
-              <td><strong>Total Market Value</strong></td>
-              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.total_market_value || report.market_value) || '[TOTAL_MARKET_VALUE]'}/=</strong></td>
+              <td colspan="3"><strong>${t('reinstatement.total')}</strong></td>
+              <td class="number-cell"><strong>${this.formatCurrency(schedule.insurance_value) || '0'}</strong></td>
             </tr>
           </table>
         </div>
+    `;
+  }
 
+  /**
+   * Depreciation line for Section 12.1: the saved model working when the
+   * report's rate came from the depreciation library, otherwise the rate alone
+   */
+  generateDepreciationWorking(report, t = this.getTranslator(report)) {
+    const working = typeof report.depreciation_working === 'string'
+      ? JSON.parse(report.depreciation_working)
+      : report.depreciation_working;
+
+    // A rate typed in after the model was applied replaces the working
+    if (!working || !Array.isArray(working.working) ||
+        parseFloat(working.depreciation_rate) !== parseFloat(report.depreciation_rate)) {
+      return t('depreciation.less', { rate: report.depreciation_rate || '[DEPRECIATION_RATE]' });
+    }
+
+    return `
+              ${t('depreciation.less_model', { rate: working.depreciation_rate, model: working.model_label })}<br>
+              ${working.working.map(line => `&nbsp;&nbsp;${line}`).join('<br>')}`;
+  }
+
+  generateContractorsMethodTable(report, t = this.getTranslator(report)) {
+    // An adopted comparison method values the land at the evidence rate, so
+    // the contractor's rows would not add up to the market value
+    const comparisonTable = this.generateComparisonMethodTable(report, t);
+    if (comparisonTable) return comparisonTable;
+
+    return `
         <div class="subsection">
-          <div class="subsection-title">12.2 Valuation Summary</div>
+          <div class="subsection-title">${t('contractors.title')}</div>
           <table class="valuation-table">
             <tr>
-              <td>Market Value of the property</td>
-              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.market_value) || '[MARKET_VALUE]'}/=</strong></td>
+              <td><strong>${t('contractors.land')}</strong> ${t('contractors.land_extent', {
+                extent: landExtentService.formatReportExtent(report) || '[LAND_EXTENT]',
+                rate: this.formatCurrency(report.land_rate) || '[LAND_RATE]'
+              })}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.land_value) || '[LAND_VALUE]'}/=</strong></td>
             </tr>
+            ${report.building_value ? `
             <tr>
-              <td colspan="2" style="text-align: center; font-style: italic;">
-                (${report.market_value_words || '[MARKET_VALUE_WORDS]'})
-              </td>
+              <td><strong>${t('contractors.building')}</strong><br>
+              ${t('contractors.building_type', { type: report.building_type || '[BUILDING_DESCRIPTION]' })}<br>
+              ${t('contractors.floor_area', {
+                area: report.floor_area || '[FLOOR_AREA]',
+                rate: this.formatCurrency(report.building_rate) || '[BUILDING_RATE]'
+              })}<br>
+              ${this.generateDepreciationWorking(report, t)}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.building_value) || '[BUILDING_VALUE]'}/=</strong></td>
             </tr>
+            ` : ''}
+            ${valuationService.parseAdditionalComponents(report.additional_components).map(component => `
             <tr>
-              <td>Forced Sale Value of the property</td>
-              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.forced_sale_value) || '[FORCED_SALE_VALUE]'}/=</strong></td>
+              <td>${component.description}</td>
+              <td class="number-cell"><strong>${component.value ? `Rs. ${this.formatCurrency(component.value)}/=` : '[ADDITIONAL_VALUE]'}</strong></td>
             </tr>
-            <tr>
-              <td colspan="2" style="text-align: center; font-style: italic;">
-                (${report.forced_sale_value_words || '[FORCED_SALE_VALUE_WORDS]'})
-              </td>
+            `).join('')}
+            <tr class="valuation-total">
+              <td><strong>${t('contractors.total')}</strong></td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.total_market_value || report.market_value) || '[TOTAL_MARKET_VALUE]'}/=</strong></td>
             </tr>
-            ${report.insurance_value ? `
+          </table>
+        </div>
+    `;
+  }
+
+  generateInvestmentTable(report, t = this.getTranslator(report)) {
+    let calculation;
+    try {
+      calculation = investmentService.calculate(report.investment);
+    } catch (error) {
+      logger.warn(`Investment table skipped for report ${report.id}: ${error.message}`);
+      return this.generateContractorsMethodTable(report, t);
+    }
+
+    const rows = calculation.rows.map(row => `
+            <tr${row.total ? ' class="valuation-total"' : ''}>
+              <td>${row.total || row.subtotal ? `<strong>${row.label}</strong>` : row.label}</td>
+              <td class="number-cell">${row.factor !== undefined
+                ? row.factor.toFixed(4)
+                : `${row.amount < 0 ? '(' : ''}Rs. ${this.formatCurrency(Math.abs(row.amount)) || '0'}/=${row.amount < 0 ? ')' : ''}`}</td>
+            </tr>
+    `).join('');
+
+    return `
+        <div class="subsection">
+          <div class="subsection-title">${t('investment.title', {
+            interest: calculation.interest_type === 'leasehold' ? t('investment.leasehold') : t('investment.freehold')
+          })}</div>
+          <table class="valuation-table">
+            ${rows}
+            <tr class="valuation-total">
+              <td><strong>${t('investment.market_value')}</strong></td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(calculation.market_value) || '0'}/=</strong></td>
+            </tr>
+          </table>
+          ${report.investment.outgoings_notes ? `<p>${t('investment.outgoings', { notes: report.investment.outgoings_notes })}</p>` : ''}
+        </div>
+    `;
+  }
+
+  generateComparisonMethodTable(report, t = this.getTranslator(report)) {
+    const breakdown = typeof report.valuation_breakdown === 'string'
+      ? JSON.parse(report.valuation_breakdown)
+      : report.valuation_breakdown;
+    const comparison = breakdown?.comparison_method;
+    if (!comparison || report.valuation_method !== 'comparison_method') return '';
+
+    return `
+        <div class="subsection">
+          <div class="subsection-title">${t('comparison.title')}</div>
+          <table class="valuation-table">
             <tr>
-              <td>Insurance Value of building</td>
-              <td class="number-cell"><strong>Rs. ${this.formatCurrency(report.insurance_value)}/=</strong></td>
+              <td><strong>${t('contractors.land')}</strong> ${t('comparison.land', {
+                extent: comparison.extent_perches,
+                rate: this.formatCurrency(comparison.rate),
+                min: this.formatCurrency(comparison.rate_range.min_rate) || '-',
+                max: this.formatCurrency(comparison.rate_range.max_rate) || '-'
+              })}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(comparison.land_value) || '0'}/=</strong></td>
             </tr>
+            ${comparison.improvements_value ? `
             <tr>
-              <td colspan="2" style="text-align: center; font-style: italic;">
-                (${report.insurance_value_words || '[INSURANCE_VALUE_WORDS]'})
-              </td>
+              <td>${t('comparison.improvements')}</td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(comparison.improvements_value)}/=</strong></td>
             </tr>
             ` : ''}
+            <tr class="valuation-total">
+              <td><strong>${t('comparison.total')}</strong></td>
+              <td class="number-cell"><strong>Rs. ${this.formatCurrency(comparison.total) || '0'}/=</strong></td>
+            </tr>
           </table>
         </div>
-      </div>
     `;
   }
 
-  generateSection13Certification(report, userProfile) {
+  generateSection13Certification(report, userProfile, options = {}, t = this.getTranslator(report, options)) {
     return `
       <div class="section">
-        <div class="section-title">13.0 CERTIFICATION AND DISCLAIMER</div>
+        <div class="section-title">${t('certification.title')}</div>
         <div class="section-content">
-          <p>I do hereby certify that the property depicted as Lot ${report.lot_number || '[LOT_NUMBER]'}
-          in Plan No. ${report.plan_number || '[PLAN_NUMBER]'}, surveyed and partitioned on
-          ${this.formatDate(report.survey_date) || '[SURVEY_DATE]'}, made by ${report.licensed_surveyor || '[LICENSED_SURVEYOR]'},
-          Licensed Surveyor is valued at <strong>Rs. ${this.formatCurrency(report.final_value || report.market_value) || '[FINAL_VALUE]'}/=</strong>
-          as at ${this.formatDate(report.valuation_date || report.report_date) || '[VALUATION_DATE]'}.</p>
+          <p>${t('certification.value', {
+            lot: report.lot_number || '[LOT_NUMBER]',
+            plan: report.plan_number || '[PLAN_NUMBER]',
+            survey_date: this.formatDate(report.survey_date) || '[SURVEY_DATE]',
+            surveyor: report.licensed_surveyor || '[LICENSED_SURVEYOR]',
+            value: this.formatCurrency(report.final_value || report.market_value) || '[FINAL_VALUE]',
+            date: this.formatDate(report.valuation_date || report.report_date) || '[VALUATION_DATE]'
+          })}</p>
 
-          <p>I also certify that it is provided with ${report.access_certification || '[ACCESS_CERTIFICATION]'}.</p>
+          <p>${t('certification.access', { access: report.access_certification || '[ACCESS_CERTIFICATION]' })}</p>
 
-          <p>${report.standard_disclaimers || 'This valuation is based on the information provided and our inspection of the property. The valuation is subject to the assumptions and limiting conditions contained herein and is valid only for the stated purpose and date.'}</p>
+          <p>${report.standard_disclaimers || t('certification.disclaimer')}</p>
 
           <div class="signature-section">
-            <div class="signature-line"></div>
+            ${options.signature ? `<p><em>${t('certification.digitally_signed')}</em></p>` : '<div class="signature-line"></div>'}
             <div style="margin-top: 10px;">
               <strong>${userProfile?.full_name || '[VALUER_NAME]'}</strong><br>
               ${userProfile?.professional_title || '[PROFESSIONAL_TITLE]'}<br>
-              IVSL Reg. No: ${userProfile?.ivsl_registration || '[IVSL_REGISTRATION]'}
+              ${t('certification.ivsl', { registration: userProfile?.ivsl_registration || '[IVSL_REGISTRATION]' })}
             </div>
           </div>
+          ${options.signature ? `
+          <a href="#${SIGNATURE_ANCHOR}" class="digital-signature-link">
+            <div id="${SIGNATURE_ANCHOR}" class="digital-signature-space"></div>
+          </a>` : ''}
         </div>
       </div>
     `;
@@ -809,20 +1456,9 @@ class PDFService {
 
   async generatePDF(report, userProfile, options = {}) {
     try {
-      await this.initializeBrowser();
-      const page = await this.browser.newPage();
-
-      // Set page format to A4
-      await page.setViewport({ width: 794, height: 1123 }); // A4 dimensions in pixels at 96 DPI
-
-      const html = this.generateReportHTML(report, userProfile, options);
-
-      await page.setContent(html, {
-        waitUntil: 'networkidle0',
-        timeout: 30000
-      });
-
-      const pdfBuffer = await page.pdf({
+      const t = this.getTranslator(report, options);
+      const render = this.getRenderOptions(options.render);
+      const pdfOptions = {
         format: 'A4',
         margin: {
           top: '25mm',
@@ -832,25 +1468,402 @@ class PDFService {
         },
         printBackground: true,
         displayHeaderFooter: true,
-        headerTemplate: '<div></div>', // Empty header
-        footerTemplate: `
-          <div style="width: 100%; text-align: center; font-size: 10pt; font-family: 'Times New Roman', serif;">
-            <span class="pageNumber"></span>
-          </div>
-        `,
+        headerTemplate: render.running_header ? this.generateHeaderTemplate(report, t) : '<div></div>',
+        footerTemplate: this.generateFooterTemplate(options, t),
         preferCSSPageSize: true
+      };
+
+      let pdfBuffer = await browserPoolService.run(async page => {
+        // Set page format to A4
+        await page.setViewport({ width: 794, height: 1123 }); // A4 dimensions in pixels at 96 DPI
+
+        const print = async (html, overrides = {}) => {
+          await page.setContent(html, {
+            waitUntil: 'networkidle0',
+            timeout: 30000
+          });
+          return Buffer.from(await page.pdf({ ...pdfOptions, ...overrides }));
+        };
+
+        let html = this.generateReportHTML(report, userProfile, options);
+        let pdf = await print(html);
+
+        // Page numbers for the contents come from the first render; the
+        // contents take the same space either way, so pages do not move
+        if (render.toc) {
+          html = this.generateReportHTML(report, userProfile, { ...options, tocPages: await this.getDestinationPages(pdf) });
+          pdf = await print(html);
+        }
+
+        if (render.distinct_first_page) {
+          const firstPage = await print(html, {
+            headerTemplate: '<div></div>',
+            footerTemplate: this.generateFooterTemplate(options, t, { pageNumbers: false }),
+            pageRanges: '1'
+          });
+          pdf = await this.replaceFirstPage(pdf, firstPage);
+        }
+
+        return pdf;
       });
 
-      await page.close();
+      // Archival copies are converted before signing, so the signature
+      // covers the PDF/A file
+      if (render.pdfa) {
+        pdfBuffer = await pdfArchiveService.convert(pdfBuffer, this.getArchiveMetadata(report, userProfile, t));
+      }
+
+      // Finalized reports are signed with the valuer's certificate
+      if (options.signature) {
+        pdfBuffer = await this.signPDF(pdfBuffer, options.signature, userProfile);
+      }
 
       logger.info(`PDF generated for report ${report.id}: ${pdfBuffer.length} bytes`);
       return pdfBuffer;
     } catch (error) {
       logger.error('PDF generation error:', error);
+      // A full queue or missed deadline keeps its 503/504
+      if (error.isOperational) throw error;
       throw new Error('Failed to generate PDF: ' + error.message);
     }
   }
 
+  // ===============================================
+  // Digital Signature
+  // ===============================================
+
+  /**
+   * Sign a rendered PDF with the valuer's PKCS#12 certificate
+   * (credentials: { p12, passphrase }). The visible box with the valuer's
+   * name and IVSL registration is drawn in the space Section 13 reserves
+   * under the certification, and carries the signature field readers check.
+   */
+  async signPDF(pdfBuffer, credentials, userProfile) {
+    const reserved = (await this.getDestinations(pdfBuffer))[SIGNATURE_ANCHOR];
+
+    // Document metadata is left as it was, so a PDF/A copy stays consistent
+    const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+    const page = pdfDoc.getPage(reserved ? reserved.page - 1 : pdfDoc.getPageCount() - 1);
+
+    const width = SIGNATURE_BOX.width * MM;
+    const height = SIGNATURE_BOX.height * MM;
+    const x = page.getWidth() - SIGNATURE_BOX.right * MM - width;
+    const y = reserved && reserved.top !== null ? reserved.top - height : SIGNATURE_BOX.bottom * MM;
+
+    const { font, boldFont } = await this.embedSignatureFonts(pdfDoc);
+    const signedAt = new Date();
+
+    page.drawRectangle({ x, y, width, height, borderColor: rgb(0, 0, 0), borderWidth: 0.75 });
+    [
+      { text: 'Digitally signed by', font, size: 8 },
+      { text: userProfile?.full_name || credentials.subject_name || '', font: boldFont, size: 10 },
+      { text: `IVSL Reg. No: ${userProfile?.ivsl_registration || '-'}`, font, size: 9 },
+      { text: `Date: ${this.formatDate(signedAt)}`, font, size: 9 }
+    ].forEach((line, index) => {
+      page.drawText(line.text, { x: x + 6, y: y + height - 14 - index * 15, size: line.size, font: line.font });
+    });
+
+    pdflibAddPlaceholder({
+      pdfPage: page,
+      reason: 'Valuation report certification',
+      contactInfo: userProfile?.email_address || '',
+      name: userProfile?.full_name || credentials.subject_name || '',
+      location: userProfile?.city || 'Sri Lanka',
+      signingTime: signedAt,
+      widgetRect: [x, y, x + width, y + height]
+    });
+
+    // Signing needs a classic cross-reference table to fill the byte range
+    const prepared = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    const signer = new P12Signer(credentials.p12, { passphrase: credentials.passphrase });
+
+    return signpdf.sign(prepared, signer);
+  }
+
+  async embedSignatureFonts(pdfDoc) {
+    const filesDir = path.join(path.dirname(require.resolve('@fontsource/noto-serif-sinhala/package.json')), 'files');
+    pdfDoc.registerFontkit(fontkit);
+
+    const [font, boldFont] = await Promise.all([SIGNATURE_FONTS.regular, SIGNATURE_FONTS.bold].map(async file => (
+      pdfDoc.embedFont(await fs.readFile(path.join(filesDir, file)), { subset: true })
+    )));
+
+    return { font, boldFont };
+  }
+
+  /**
+   * Title, valuer and valuation date recorded in a PDF/A copy's metadata
+   */
+  getArchiveMetadata(report, userProfile, t = this.getTranslator(report)) {
+    return {
+      title: `${t('title.report')} – ${report.report_reference}`,
+      subject: t('pagination.header_property', {
+        lot: report.lot_number || '-',
+        plan: report.plan_number || '-',
+        village: report.village_name || '-'
+      }),
+      reference: report.report_reference,
+      valuer: userProfile?.full_name || '',
+      valuationDate: report.valuation_date || report.inspection_date || null,
+      language: t.language
+    };
+  }
+
+  /**
+   * Running header with the valuer's reference and the property
+   */
+  generateHeaderTemplate(report, t = this.getTranslator(report)) {
+    const property = t('pagination.header_property', {
+      lot: report.lot_number || '[LOT_NUMBER]',
+      plan: report.plan_number || '[PLAN_NUMBER]',
+      village: report.village_name || '[VILLAGE_NAME]'
+    });
+
+    return `
+          ${this.getTemplateFontFace(t)}<div style="width: 100%; box-sizing: border-box; padding: 0 20mm 0 30mm; font-size: 8pt; color: #555; font-family: ${reportLanguageService.getFontFamily(t.language)};">
+            <div style="display: flex; justify-content: space-between; padding-bottom: 1mm; border-bottom: 0.5pt solid #999;">
+              <span>${layoutService.escapeHTML(report.report_reference || '')}</span>
+              <span>${layoutService.escapeHTML(property)}</span>
+            </div>
+          </div>
+        `;
+  }
+
+  /**
+   * "Page X of Y" footer; the first page of a report printed with a
+   * distinct first page leaves the numbers out (pageNumbers: false).
+   * Finalized reports also carry their verification code and the public
+   * URL where a copy can be checked.
+   */
+  generateFooterTemplate(options = {}, t = reportLanguageService.translator(options.language), { pageNumbers = true } = {}) {
+    const { verification } = options;
+
+    const verificationLine = verification ? `
+            <div style="font-size: 7pt; color: #555; margin-top: 2mm;">
+              ${t('footer.verification_code')} <strong>${verification.code}</strong>
+              &nbsp;&middot;&nbsp; ${t('footer.verify_at', { url: verification.url })}
+            </div>` : '';
+
+    const pageLine = pageNumbers
+      ? t('pagination.page_of', { page: '<span class="pageNumber"></span>', total: '<span class="totalPages"></span>' })
+      : '';
+
+    return `
+          ${this.getTemplateFontFace(t)}<div style="width: 100%; text-align: center; font-size: 10pt; font-family: ${reportLanguageService.getFontFamily(t.language)};">
+            ${pageLine}${verificationLine}
+          </div>
+        `;
+  }
+
+  /**
+   * Headers and footers are rendered apart from the page, so they embed
+   * their own font
+   */
+  getTemplateFontFace(t) {
+    return reportLanguageService.requiresFont(t.language)
+      ? `<style>${reportLanguageService.getFontFaceCSS(t.language)}</style>`
+      : '';
+  }
+
+  /**
+   * Page number of each named destination in a rendered PDF. Chrome writes
+   * one for every element a link in the document points to, which is how
+   * the table of contents finds the pages its sections start on.
+   */
+  async getDestinationPages(pdfBuffer) {
+    const destinations = await this.getDestinations(pdfBuffer);
+    return Object.fromEntries(Object.entries(destinations).map(([name, destination]) => [name, destination.page]));
+  }
+
+  /**
+   * Page number and top edge (points from the foot of the page, null when
+   * not given) of each named destination in a rendered PDF
+   */
+  async getDestinations(pdfBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
+    const destinations = {};
+
+    const record = (name, destination) => {
+      let target = pdfDoc.context.lookup(destination);
+      if (target instanceof PDFDict) {
+        target = target.lookup(PDFName.of('D'));
+      }
+      if (target instanceof PDFArray) {
+        const index = pageRefs.indexOf(target.get(0));
+        if (index !== -1) {
+          // [page /XYZ left top zoom]
+          const top = target.size() > 3 ? target.lookup(3) : null;
+          destinations[name] = { page: index + 1, top: top instanceof PDFNumber ? top.asNumber() : null };
+        }
+      }
+    };
+
+    // Destinations in the catalog's /Dests dictionary...
+    const dests = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (dests) {
+      dests.entries().forEach(([name, destination]) => record(name.decodeText(), destination));
+    }
+
+    // ...or in its /Names tree
+    const walk = node => {
+      if (!(node instanceof PDFDict)) return;
+
+      const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+      for (let i = 0; names && i + 1 < names.size(); i += 2) {
+        record(names.lookup(i).decodeText(), names.get(i + 1));
+      }
+
+      const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+      for (let i = 0; kids && i < kids.size(); i++) {
+        walk(kids.lookup(i));
+      }
+    };
+    const nameTree = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    walk(nameTree && nameTree.lookup(PDFName.of('Dests')));
+
+    return destinations;
+  }
+
+  /**
+   * Swap the content of the first page for the first page of another
+   * render of the same report. The page keeps its links, so a table of
+   * contents on it still works.
+   */
+  async replaceFirstPage(pdfBuffer, firstPageBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const [firstPage] = await pdfDoc.embedPdf(firstPageBuffer, [0]);
+    const page = pdfDoc.getPage(0);
+
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.obj([]));
+    page.drawPage(firstPage);
+
+    return Buffer.from(await pdfDoc.save());
+  }
+
+  // ===============================================
+  // Invoices
+  // ===============================================
+
+  /**
+   * A one-page invoice on the valuer's letterhead: bill-to from the
+   * report's preamble, the fee lines and totals, and a PAID stamp once
+   * the invoice is settled
+   */
+  generateInvoiceHTML(invoice, userProfile) {
+    const escape = value => layoutService.escapeHTML(value === null || value === undefined ? '' : String(value));
+    const money = amount => new Intl.NumberFormat('en-LK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(Number(amount) || 0);
+    const currency = escape(invoice.currency);
+    const valuerAddress = [userProfile?.house_number, userProfile?.street_name, userProfile?.area_name, userProfile?.city]
+      .filter(Boolean).join(', ');
+
+    const rows = (invoice.line_items || []).map((item, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escape(item.description)}</td>
+        <td class="amount">${money(item.amount)}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <title>Invoice ${escape(invoice.invoice_number)}</title>
+        <style>
+          @page { size: A4; margin: 20mm; }
+          body { font-family: ${reportLanguageService.getFontFamily('en')}; font-size: 11pt; color: #000; margin: 0; }
+          .valuer { text-align: center; font-weight: bold; }
+          .valuer .contact { font-weight: normal; font-size: 10pt; }
+          h1 { text-align: center; font-size: 16pt; letter-spacing: 2px; margin: 24px 0; }
+          .parties { display: flex; justify-content: space-between; margin-bottom: 20px; }
+          .parties div { width: 48%; }
+          table.details { width: 100%; border-collapse: collapse; }
+          table.details th, table.details td { border: 1px solid #000; padding: 6px 8px; vertical-align: top; }
+          table.details th { background: #f0f0f0; text-align: left; }
+          .amount { text-align: right; white-space: nowrap; }
+          .totals td { font-weight: bold; }
+          .paid-stamp {
+            position: fixed; top: 40%; left: 50%;
+            transform: translate(-50%, -50%) rotate(-20deg);
+            border: 4px solid rgba(0, 128, 0, 0.5); color: rgba(0, 128, 0, 0.5);
+            font-size: 48pt; font-weight: bold; padding: 8px 24px;
+          }
+          .notes { margin-top: 24px; font-size: 10pt; }
+        </style>
+      </head>
+      <body>
+        ${invoice.status === 'paid' ? '<div class="paid-stamp">PAID</div>' : ''}
+
+        <div class="valuer">
+          <div>${escape(userProfile?.honorable)} ${escape(userProfile?.full_name)}</div>
+          <div>${escape(userProfile?.professional_title)}</div>
+          <div class="contact">${escape(valuerAddress)}</div>
+          <div class="contact">${escape([userProfile?.phone_number, userProfile?.email_address].filter(Boolean).join(' · '))}</div>
+        </div>
+
+        <h1>INVOICE</h1>
+
+        <div class="parties">
+          <div>
+            <strong>Bill to:</strong><br>
+            ${invoice.bill_to_attention ? `${escape(invoice.bill_to_attention)}<br>` : ''}
+            ${escape(invoice.bill_to_name)}<br>
+            ${escape(invoice.bill_to_address)}
+          </div>
+          <div>
+            <strong>Invoice No:</strong> ${escape(invoice.invoice_number)}<br>
+            <strong>Date:</strong> ${this.formatDate(invoice.invoice_date) || ''}<br>
+            ${invoice.due_date ? `<strong>Due:</strong> ${this.formatDate(invoice.due_date)}<br>` : ''}
+            <strong>Report Ref:</strong> ${escape(invoice.report_reference)}
+            ${invoice.status === 'paid' && invoice.paid_at ? `<br><strong>Paid:</strong> ${this.formatDate(invoice.paid_at)}${invoice.payment_reference ? ` (${escape(invoice.payment_reference)})` : ''}` : ''}
+          </div>
+        </div>
+
+        <table class="details">
+          <thead>
+            <tr><th style="width: 8%;">No</th><th>Description</th><th class="amount" style="width: 25%;">Amount (${currency})</th></tr>
+          </thead>
+          <tbody>
+            ${rows}
+            <tr class="totals"><td></td><td>Subtotal</td><td class="amount">${money(invoice.subtotal)}</td></tr>
+            ${Number(invoice.tax_amount) > 0 ? `
+            <tr class="totals"><td></td><td>Tax (${Number(invoice.tax_percentage)}%)</td><td class="amount">${money(invoice.tax_amount)}</td></tr>` : ''}
+            <tr class="totals"><td></td><td>Total</td><td class="amount">${currency} ${money(invoice.total)}</td></tr>
+          </tbody>
+        </table>
+
+        <div class="notes">
+          ${invoice.currency === 'LKR' && this.amountInWords(Number(invoice.total)) ? `<p>${escape(this.amountInWords(Number(invoice.total)))}</p>` : ''}
+          ${userProfile?.ivsl_registration ? `<p>IVSL Registration No: ${escape(userProfile.ivsl_registration)}</p>` : ''}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  async generateInvoicePDF(invoice, userProfile) {
+    try {
+      const html = this.generateInvoiceHTML(invoice, userProfile);
+
+      const pdfBuffer = await browserPoolService.run(async page => {
+        await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+        return Buffer.from(await page.pdf({ format: 'A4', printBackground: true, preferCSSPageSize: true }));
+      });
+
+      logger.info(`Invoice PDF generated for ${invoice.invoice_number}: ${pdfBuffer.length} bytes`);
+      return pdfBuffer;
+    } catch (error) {
+      logger.error('Invoice PDF generation error:', error);
+      if (error.isOperational) throw error;
+      throw new Error('Failed to generate invoice PDF: ' + error.message);
+    }
+  }
+
   // ===============================================
   // Utility Methods
   // ===============================================
@@ -868,31 +1881,36 @@ class PDFService {
     });
   }
 
-  formatCurrency(amount) {
+  /**
+   * Format an amount with thousands separators. grouping: 'lakh' uses the
+   * lakh/crore grouping (1,50,00,000) instead of millions (15,000,000).
+   */
+  formatCurrency(amount, options = {}) {
     if (!amount || isNaN(amount)) return null;
 
-    return new Intl.NumberFormat('en-LK', {
+    return new Intl.NumberFormat(options.grouping === 'lakh' ? 'en-IN' : 'en-LK', {
       minimumFractionDigits: 0,
       maximumFractionDigits: 0,
     }).format(amount);
   }
 
-  // Clean up resources
-  async cleanup() {
-    await this.closeBrowser();
-  }
-}
+  // Amount in words generated from the figure, so the two always match
+  amountInWords(amount, options = {}) {
+    if (!amount || isNaN(amount)) return null;
 
-// Create singleton instance
-const pdfService = new PDFService();
+    return amountInWordsService.toWords(amount, { ...options, language: this.getWordsLanguage(options.language) });
+  }
 
-// Cleanup on process termination
-process.on('SIGTERM', async () => {
-  await pdfService.cleanup();
-});
+  // Report languages without a words generator fall back to English
+  getWordsLanguage(language) {
+    return amountInWordsService.getLanguages().includes(language) ? language : 'en';
+  }
 
-process.on('SIGINT', async () => {
-  await pdfService.cleanup();
-});
+  // Clean up resources. The browser pool owns the browsers and is shut
+  // down by server.js on SIGTERM/SIGINT.
+  async cleanup() {
+    await browserPoolService.shutdown();
+  }
+}
 
-module.exports = pdfService;
\ No newline at end of file
+module.exports = new PDFService();
\ No newline at end of file
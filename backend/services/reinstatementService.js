@@ -0,0 +1,276 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const valuationService = require('./valuationService');
+const amountInWordsService = require('./amountInWordsService');
+const workflowService = require('./workflowService');
+const revisionService = require('./revisionService');
+
+const BUILDING_ELEMENTS = ['structure', 'roof', 'finishes', 'services'];
+
+const ELEMENT_LABELS = {
+  structure: 'Structure (foundations, walls, columns, slabs)',
+  roof: 'Roof (timber/steel frame, covering, ceiling)',
+  finishes: 'Finishes (floors, plaster, joinery, painting)',
+  services: 'Services (electrical, plumbing, sanitary fittings)'
+};
+
+const DEFAULT_SETTINGS = {
+  professional_fees_percentage: 10,
+  debris_removal_percentage: 5
+};
+
+class ReinstatementService {
+  // ===============================================
+  // Rate Tables
+  // ===============================================
+
+  /**
+   * System rates with the user's own rates layered on top
+   */
+  async getRateTable(userId) {
+    try {
+      const ratesResult = await pool.query(`
+        SELECT * FROM reinstatement_rates
+        WHERE user_id IS NULL OR user_id = $1
+        ORDER BY LOWER(building_type), condition_grade NULLS FIRST, element, user_id NULLS FIRST
+      `, [userId]);
+
+      const settingsResult = await pool.query(
+        'SELECT * FROM reinstatement_settings WHERE user_id = $1',
+        [userId]
+      );
+
+      const settings = settingsResult.rows[0] || {};
+
+      return {
+        rates: ratesResult.rows,
+        professional_fees_percentage: parseFloat(settings.professional_fees_percentage ?? DEFAULT_SETTINGS.professional_fees_percentage),
+        debris_removal_percentage: parseFloat(settings.debris_removal_percentage ?? DEFAULT_SETTINGS.debris_removal_percentage)
+      };
+    } catch (error) {
+      logger.error('Error fetching reinstatement rates:', error);
+      throw new Error('Failed to fetch reinstatement rates');
+    }
+  }
+
+  async saveUserRates(userId, data) {
+    try {
+      // The rates and settings are saved together or not at all
+      await pool.withTransaction(async (client) => {
+        for (const rate of data.rates || []) {
+          await client.query(`
+            INSERT INTO reinstatement_rates (user_id, building_type, condition_grade, element, rate_per_sqft)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (COALESCE(user_id, ''), LOWER(building_type), COALESCE(LOWER(condition_grade), ''), element)
+            DO UPDATE SET rate_per_sqft = EXCLUDED.rate_per_sqft
+          `, [userId, rate.building_type, rate.condition_grade || null, rate.element, rate.rate_per_sqft]);
+        }
+
+        if (data.professional_fees_percentage !== undefined || data.debris_removal_percentage !== undefined) {
+          await client.query(`
+            INSERT INTO reinstatement_settings (user_id, professional_fees_percentage, debris_removal_percentage)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (user_id) DO UPDATE SET
+              professional_fees_percentage = COALESCE($4::numeric, reinstatement_settings.professional_fees_percentage),
+              debris_removal_percentage = COALESCE($5::numeric, reinstatement_settings.debris_removal_percentage),
+              updated_at = NOW()
+          `, [
+            userId,
+            data.professional_fees_percentage ?? DEFAULT_SETTINGS.professional_fees_percentage,
+            data.debris_removal_percentage ?? DEFAULT_SETTINGS.debris_removal_percentage,
+            data.professional_fees_percentage ?? null,
+            data.debris_removal_percentage ?? null
+          ]);
+        }
+      });
+
+      logger.info(`Reinstatement rates updated for user ${userId}`);
+      return this.getRateTable(userId);
+    } catch (error) {
+      logger.error('Error saving reinstatement rates:', error);
+      throw new Error('Failed to save reinstatement rates');
+    }
+  }
+
+  /**
+   * Delete one of the user's own rates. System rates cannot be deleted.
+   */
+  async deleteUserRate(userId, rateId) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM reinstatement_rates WHERE id = $1 AND user_id = $2 RETURNING id',
+        [rateId, userId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error deleting reinstatement rate:', error);
+      throw new Error('Failed to delete reinstatement rate');
+    }
+  }
+
+  /**
+   * Pick the rate for each element. Matching order: the building type
+   * itself, then the longest rate-table type contained in it (so
+   * "Two storey residential house" uses 'residential'), then 'default'.
+   * Each element then takes the user's rate for that type, the user's
+   * default rate, the system rate for the type and finally the system
+   * default; within each, a condition-specific rate beats the
+   * any-condition rate.
+   */
+  resolveRates(rates, buildingType, conditionGrade) {
+    const type = (buildingType || '').toLowerCase().trim();
+    const condition = (conditionGrade || '').toLowerCase().trim();
+    const tableTypes = [...new Set(rates.map(rate => rate.building_type.toLowerCase()))];
+
+    let matchedType = tableTypes.find(tableType => tableType === type);
+    if (!matchedType) {
+      matchedType = tableTypes
+        .filter(tableType => tableType !== 'default' && type.includes(tableType))
+        .sort((a, b) => b.length - a.length)[0];
+    }
+    matchedType = matchedType || 'default';
+
+    // Condition-specific rates first; rates for another condition do not apply
+    const score = (rate) => {
+      const rateCondition = (rate.condition_grade || '').toLowerCase();
+      if (rateCondition && rateCondition !== condition) return -1;
+      return rateCondition ? 1 : 0;
+    };
+
+    // Each element falls back on its own, so a single user rate does not
+    // leave the type's other elements at 0
+    const tiers = [
+      { buildingType: matchedType, own: true },
+      { buildingType: 'default', own: true },
+      { buildingType: matchedType, own: false },
+      { buildingType: 'default', own: false }
+    ];
+
+    const resolved = {};
+    BUILDING_ELEMENTS.forEach(element => {
+      const best = tiers
+        .map(({ buildingType, own }) => rates
+          .filter(rate => rate.building_type.toLowerCase() === buildingType && Boolean(rate.user_id) === own)
+          .filter(rate => rate.element === element && score(rate) >= 0)
+          .sort((a, b) => score(b) - score(a))[0])
+        .find(Boolean);
+
+      resolved[element] = best ? parseFloat(best.rate_per_sqft) : 0;
+    });
+
+    return { building_type: matchedType, rates: resolved };
+  }
+
+  // ===============================================
+  // Calculation
+  // ===============================================
+
+  /**
+   * Reinstatement cost schedule: each element at floor area x rate, plus
+   * professional fees and debris removal on the construction cost
+   */
+  calculate({ floorArea, rates, professionalFeesPercentage, debrisRemovalPercentage, roundTo = 10000 }) {
+    const area = parseFloat(floorArea) || 0;
+    if (area <= 0) {
+      throw ValidationError('Floor area is required to calculate reinstatement cost', 'floor_area');
+    }
+
+    const elements = BUILDING_ELEMENTS.map(element => ({
+      element,
+      description: ELEMENT_LABELS[element],
+      floor_area: area,
+      rate_per_sqft: rates[element] || 0,
+      cost: area * (rates[element] || 0)
+    }));
+
+    const constructionCost = elements.reduce((sum, element) => sum + element.cost, 0);
+    const professionalFees = constructionCost * (parseFloat(professionalFeesPercentage) || 0) / 100;
+    const debrisRemoval = constructionCost * (parseFloat(debrisRemovalPercentage) || 0) / 100;
+    const totalReinstatementCost = constructionCost + professionalFees + debrisRemoval;
+
+    return {
+      elements,
+      construction_cost: constructionCost,
+      professional_fees_percentage: parseFloat(professionalFeesPercentage) || 0,
+      professional_fees: professionalFees,
+      debris_removal_percentage: parseFloat(debrisRemovalPercentage) || 0,
+      debris_removal: debrisRemoval,
+      total_reinstatement_cost: totalReinstatementCost,
+      insurance_value: valuationService.roundValue(totalReinstatementCost, roundTo)
+    };
+  }
+
+  /**
+   * Calculate the report's reinstatement cost from the valuer's rate table
+   * and, unless persist is false, save it as the insurance value
+   */
+  async calculateReportReinstatement(reportId, options = {}) {
+    try {
+      const reportResult = await pool.query('SELECT * FROM valuation_reports WHERE id = $1', [reportId]);
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      const report = reportResult.rows[0];
+      if (options.persist !== false) {
+        workflowService.assertEditable(report);
+      }
+      const rateTable = await this.getRateTable(report.user_id);
+      const resolved = this.resolveRates(rateTable.rates, report.building_type, report.condition_grade);
+
+      // Rates supplied with the request override the table for this calculation
+      const rates = { ...resolved.rates, ...(options.rates || {}) };
+
+      const schedule = this.calculate({
+        floorArea: options.floor_area ?? report.floor_area ?? report.total_floor_area,
+        rates,
+        professionalFeesPercentage: options.professional_fees_percentage ?? rateTable.professional_fees_percentage,
+        debrisRemovalPercentage: options.debris_removal_percentage ?? rateTable.debris_removal_percentage,
+        roundTo: options.round_to ?? 10000
+      });
+
+      const breakdown = {
+        building_type: report.building_type,
+        matched_rate_type: resolved.building_type,
+        condition_grade: report.condition_grade,
+        ...schedule
+      };
+
+      if (options.persist === false) {
+        return { breakdown, report };
+      }
+
+      // The schedule JSON is regenerated on every calculation; log the figures only
+      const updated = await revisionService.updateReport(reportId, async (client) => {
+        const result = await client.query(`
+          UPDATE valuation_reports
+          SET insurance_value = $1, insurance_value_words = $2, reinstatement_breakdown = $3,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $4
+          RETURNING *
+        `, [
+          schedule.insurance_value,
+          amountInWordsService.toWords(schedule.insurance_value),
+          JSON.stringify(breakdown),
+          reportId
+        ]);
+        return result.rows[0];
+      }, ['insurance_value', 'insurance_value_words'], {
+        changeType: 'calculation',
+        section: 'valuation',
+        userId: options.user_id
+      });
+
+      logger.info(`Reinstatement cost calculated for report ${reportId}: Rs. ${schedule.insurance_value}`);
+
+      return { breakdown, report: updated };
+    } catch (error) {
+      logger.error('Error calculating reinstatement cost:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReinstatementService();
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGES_DIR = path.join(__dirname, '..', 'templates', 'languages');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Sinhala and Tamil are not installed on the render hosts, so their fonts
+// are embedded into the HTML from the bundled @fontsource packages
+const FONTS = {
+  si: {
+    family: 'Noto Serif Sinhala',
+    package: '@fontsource/noto-serif-sinhala',
+    files: {
+      400: 'noto-serif-sinhala-sinhala-400-normal.woff2',
+      700: 'noto-serif-sinhala-sinhala-700-normal.woff2'
+    }
+  },
+  ta: {
+    family: 'Noto Serif Tamil',
+    package: '@fontsource/noto-serif-tamil',
+    files: {
+      400: 'noto-serif-tamil-tamil-400-normal.woff2',
+      700: 'noto-serif-tamil-tamil-700-normal.woff2'
+    }
+  }
+};
+
+/**
+ * Report wording shipped on disk as templates/languages/<code>.json
+ */
+const loadLanguages = () => fs.readdirSync(LANGUAGES_DIR)
+  .filter(file => /^[a-z]{2}\.json$/.test(file))
+  .reduce((languages, file) => {
+    const language = JSON.parse(fs.readFileSync(path.join(LANGUAGES_DIR, file), 'utf8'));
+    languages[language.code] = language;
+    return languages;
+  }, {});
+
+const lookup = (strings, key) => key.split('.')
+  .reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), strings);
+
+class ReportLanguageService {
+  constructor() {
+    this.languages = loadLanguages();
+    this.fontCSS = {};
+  }
+
+  getLanguages() {
+    return Object.values(this.languages).map(({ code, name }) => ({ code, name }));
+  }
+
+  getLanguageCodes() {
+    return Object.keys(this.languages);
+  }
+
+  /**
+   * Supported language code, falling back to English
+   */
+  resolve(language) {
+    return this.languages[language] ? language : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Translation function for a report language. Keys missing from the
+   * language file fall back to the English wording.
+   */
+  translator(language) {
+    const strings = this.languages[this.resolve(language)];
+    const fallback = this.languages[DEFAULT_LANGUAGE];
+
+    const t = (key, params = {}) => {
+      let text = lookup(strings, key);
+      if (typeof text !== 'string') {
+        text = lookup(fallback, key);
+      }
+      if (typeof text !== 'string') {
+        return key;
+      }
+
+      return text.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+      ));
+    };
+    t.language = this.resolve(language);
+
+    return t;
+  }
+
+  // ===============================================
+  // Fonts
+  // ===============================================
+
+  requiresFont(language) {
+    return Boolean(FONTS[this.resolve(language)]);
+  }
+
+  /**
+   * Font stack keeping Latin text in the report face and falling back to
+   * the embedded font for the script
+   */
+  getFontFamily(language) {
+    const font = FONTS[this.resolve(language)];
+    return font
+      ? `'Times New Roman', '${font.family}', serif`
+      : "'Times New Roman', serif";
+  }
+
+  /**
+   * @font-face rules with the font inlined as a data URI, so the Puppeteer
+   * render and the header/footer templates need no network or system fonts
+   */
+  getFontFaceCSS(language) {
+    const code = this.resolve(language);
+    const font = FONTS[code];
+    if (!font) {
+      return '';
+    }
+
+    if (!this.fontCSS[code]) {
+      const packageDir = path.dirname(require.resolve(`${font.package}/package.json`));
+
+      this.fontCSS[code] = Object.entries(font.files).map(([weight, file]) => {
+        const data = fs.readFileSync(path.join(packageDir, 'files', file)).toString('base64');
+        return `@font-face {
+            font-family: '${font.family}';
+            font-style: normal;
+            font-weight: ${weight};
+            src: url(data:font/woff2;base64,${data}) format('woff2');
+        }`;
+      }).join('\n        ');
+    }
+
+    return this.fontCSS[code];
+  }
+}
+
+module.exports = new ReportLanguageService();
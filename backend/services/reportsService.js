@@ -2,6 +2,26 @@ const { Pool } = require('pg');
 const pool = require('../config/database');
 const logger = require('../utils/logger');
 const locationReportService = require('./locationReportService');
+const comparablesService = require('./comparablesService');
+const valuationService = require('./valuationService');
+const investmentService = require('./investmentService');
+const amountInWordsService = require('./amountInWordsService');
+const landExtentService = require('./landExtentService');
+const sectionSchemaService = require('./sectionSchemaService');
+const revisionService = require('./revisionService');
+const workflowService = require('./workflowService');
+const commentService = require('./commentService');
+const certificateService = require('./certificateService');
+const layoutService = require('./layoutService');
+const clientProfileService = require('./clientProfileService');
+const clientService = require('./clientService');
+const invoiceService = require('./invoiceService');
+const annexureService = require('./annexureService');
+const locationSketchService = require('./locationSketchService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Section 1.0 fields filled in from the client address book
+const PREAMBLE_FIELDS = ['instruction_source', 'client_designation', 'client_organization', 'client_address'];
 
 class ReportsService {
   // ===============================================
@@ -115,6 +135,9 @@ class ReportsService {
 
   async createReport(reportData) {
     try {
+      // The address book entry the report is for, checked before anything is saved
+      const clientLink = await this.getClientLink(reportData);
+
       // Generate report reference
       const reportRef = await this.generateReportReference(
         reportData.user_id,
@@ -154,7 +177,30 @@ class ReportsService {
       const finalValues = coordinates ? values : values.filter((_, i) => i !== 5);
 
       const result = await pool.query(finalQuery, finalValues);
-      const report = result.rows[0];
+      let report = result.rows[0];
+
+      // Pin the chosen layout at its current version
+      const layout = (reportData.layout_key && await layoutService.getLayout(reportData.layout_key, null, reportData.user_id)) ||
+        layoutService.getDefaultLayout();
+      const layoutResult = await pool.query(`
+        UPDATE valuation_reports SET layout_key = $1, layout_version = $2
+        WHERE id = $3
+        RETURNING *
+      `, [layout.key, layout.version, report.id]);
+      report = layoutResult.rows[0];
+
+      // Section 1.0 from the client, with anything typed on the form kept
+      const clientDetails = this.getClientDetails(clientLink, reportData.client_information);
+      const clientFields = Object.keys(clientDetails);
+      if (clientFields.length > 0) {
+        const clientResult = await pool.query(`
+          UPDATE valuation_reports
+          SET ${clientFields.map((field, index) => `${field} = $${index + 1}`).join(', ')}
+          WHERE id = $${clientFields.length + 1}
+          RETURNING *
+        `, [...clientFields.map(field => clientDetails[field]), report.id]);
+        report = clientResult.rows[0];
+      }
 
       // If coordinates provided, automatically trigger location intelligence analysis
       if (reportData.coordinates) {
@@ -190,10 +236,57 @@ class ReportsService {
       return report;
     } catch (error) {
       logger.error('Error creating report:', error);
+      // An unknown client or invalid preamble keeps its 400
+      if (error.isOperational) throw error;
       throw new Error('Failed to create report');
     }
   }
 
+  /**
+   * The client, branch and contact person a new report is linked to:
+   * the ones picked on the form, or with save_client the typed preamble
+   * added to the address book
+   */
+  async getClientLink(reportData) {
+    if (reportData.client_id) {
+      return clientService.resolveLink(reportData.user_id, reportData);
+    }
+
+    const typed = reportData.client_information || {};
+    if (reportData.save_client && typed.client_organization?.trim()) {
+      return clientService.addFromPreamble(reportData.user_id, typed);
+    }
+
+    return null;
+  }
+
+  /**
+   * Link columns and preamble fields for a client link, overridden by the
+   * non-empty preamble fields in typed (validated against the schema)
+   */
+  getClientDetails(clientLink, typed = {}) {
+    const details = {};
+
+    if (clientLink) {
+      const { client, branch, contact } = clientLink;
+      Object.assign(details, {
+        client_id: client.id,
+        client_branch_id: branch?.id || null,
+        client_contact_id: contact?.id || null,
+        ...clientService.getPreamble(client, branch, contact)
+      });
+    }
+
+    const entered = {};
+    PREAMBLE_FIELDS.forEach(field => {
+      if (typeof typed?.[field] === 'string' && typed[field].trim()) {
+        entered[field] = typed[field].trim();
+      }
+    });
+
+    return { ...details, ...sectionSchemaService.validateSectionData('basic_info', entered) };
+  }
+
   async generateReportReference(userId, reportDate) {
     try {
       // Get user's default reference prefix or use user_id
@@ -242,6 +335,12 @@ class ReportsService {
       const report = result.rows[0];
       report.images = imagesResult.rows;
 
+      // Comparable sales evidence for Section 10.0
+      report.comparables = await comparablesService.getReportComparables(reportId);
+
+      // Income capitalisation inputs for investment reports
+      report.investment = await investmentService.getInvestmentInputs(reportId);
+
       return report;
     } catch (error) {
       logger.error('Error fetching report:', error);
@@ -290,70 +389,81 @@ class ReportsService {
     }
   }
 
-  async updateReportSection(reportId, section, data) {
+  /**
+   * Update the fields of one section, validated and coerced against the
+   * section schema (config/reportSections.js). Fields of other sections
+   * in data are ignored. The changed fields are recorded in the report's
+   * revision history; options.changeType marks AI-generated text.
+   */
+  async updateReportSection(reportId, section, data, options = {}) {
     try {
-      // Map section names to database fields
-      const sectionFieldMap = {
-        'basic_info': ['instruction_source', 'client_designation', 'client_organization', 'client_address'],
-        'property_location': ['village_name', 'pradeshiya_sabha', 'district', 'province', 'coordinates'],
-        'legal_details': ['lot_number', 'plan_number', 'survey_date', 'licensed_surveyor'],
-        'boundaries': ['north_boundary', 'east_boundary', 'south_boundary', 'west_boundary'],
-        'land_description': ['land_shape', 'topography_type', 'soil_type', 'plantation_description'],
-        'building_details': ['building_type', 'condition_grade', 'building_age', 'total_floor_area'],
-        'valuation': ['land_rate', 'building_rate', 'market_value', 'forced_sale_value']
-      };
+      const updates = sectionSchemaService.validateSectionData(section, data);
 
-      const fieldsToUpdate = sectionFieldMap[section];
-      if (!fieldsToUpdate) {
-        throw new Error(`Invalid section: ${section}`);
+      const beforeResult = await pool.query('SELECT * FROM valuation_reports WHERE id = $1', [reportId]);
+      if (beforeResult.rows.length === 0) {
+        throw NotFoundError('Report');
       }
+      workflowService.assertEditable(beforeResult.rows[0]);
 
-      // Build update query
-      const setFields = [];
-      const values = [];
-      let paramCount = 1;
+      // Entering the extent in any one unit fills in the others
+      Object.assign(updates, landExtentService.normalise(
+        { ...updates, extent_unit: data.extent_unit },
+        beforeResult.rows[0]
+      ));
 
-      for (const field of fieldsToUpdate) {
-        if (data[field] !== undefined) {
-          setFields.push(`${field} = $${paramCount}`);
-          values.push(data[field]);
-          paramCount++;
-        }
-      }
+      // Value words are generated from the figures rather than typed in
+      Object.assign(updates, amountInWordsService.generateValueWords(updates));
 
-      if (setFields.length === 0) {
-        throw new Error('No valid fields to update');
+      const fields = Object.keys(updates).filter(field => sectionSchemaService.isStored(field));
+      if (fields.length === 0) {
+        throw ValidationError('No valid fields to update');
       }
 
+      const setFields = fields.map((field, index) => `${field} = $${index + 1}`);
+      const values = fields.map(field => updates[field]);
+      values.push(reportId);
+
       const query = `
         UPDATE valuation_reports
         SET ${setFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $${paramCount}
+        WHERE id = $${values.length}
         RETURNING *
       `;
-      values.push(reportId);
-
-      const result = await pool.query(query, values);
-
-      if (result.rows.length === 0) {
-        throw new Error('Report not found');
-      }
 
-      return result.rows[0];
+      return revisionService.updateReport(reportId, async (client) => {
+        const result = await client.query(query, values);
+        return result.rows[0];
+      }, fields, {
+        changeType: options.changeType || 'section_update',
+        section,
+        userId: options.userId
+      });
     } catch (error) {
       logger.error('Error updating report section:', error);
       throw error;
     }
   }
 
-  async updateReportStatus(reportId, status) {
+  /**
+   * Move a report through the workflow (see workflowService). The guards
+   * of the transition are checked, the approver is recorded on approval
+   * and every transition is logged with the user and comments.
+   * options.onTransition(client, updated) runs in the same transaction,
+   * so work that must not outlive a failed transition rolls back with it.
+   */
+  async updateReportStatus(reportId, status, options = {}) {
     try {
-      let additionalFields = '';
       const values = [status, reportId];
+      let additionalFields = '';
 
-      // Set completed_at timestamp when status changes to completed or finalized
-      if (status === 'completed' || status === 'finalized') {
+      if (status === 'approved') {
+        values.push(options.userId);
+        additionalFields = `, approved_by = $${values.length}, approved_at = CURRENT_TIMESTAMP`;
+      } else if (status === 'finalized') {
         additionalFields = ', completed_at = CURRENT_TIMESTAMP';
+      } else if (status === 'in_progress' || status === 'amended') {
+        // Changes after approval need a fresh sign-off
+        additionalFields = ', approved_by = NULL, approved_at = NULL';
       }
 
       const query = `
@@ -363,19 +473,188 @@ class ReportsService {
         RETURNING *
       `;
 
-      const result = await pool.query(query, values);
+      // The transition is checked against the locked row, so concurrent
+      // transitions take turns and the log always matches the report
+      let report;
+      const updated = await revisionService.updateReport(reportId, async (client, before) => {
+        report = { ...(await this.getReport(reportId)), ...before };
+
+        const transition = workflowService.getTransition(report.status, status);
+        workflowService.checkGuards(transition, {
+          comments: options.comments,
+          isReviewer: transition.requiresReviewer ? await workflowService.isReviewer(options.userId) : false,
+          isAuthor: workflowService.isAuthor(report, options.userId),
+          validation: transition.requiresValidation ? await this.validateReport(report) : null,
+          unresolvedComments: transition.requiresResolvedComments ? await commentService.countUnresolved(reportId) : 0
+        });
 
-      if (result.rows.length === 0) {
-        throw new Error('Report not found');
+        const result = await client.query(query, values);
+        await workflowService.recordTransition(reportId, {
+          fromStatus: report.status,
+          toStatus: status,
+          userId: options.userId,
+          comments: options.comments
+        }, client);
+
+        if (options.onTransition) {
+          await options.onTransition(client, result.rows[0]);
+        }
+        return result.rows[0];
+      }, ['status'], {
+        changeType: 'status_change',
+        userId: options.userId
+      });
+
+      logger.info(`Report ${reportId} moved from ${report.status} to ${status}`);
+
+      // Bill the client for the issued report
+      if (status === 'finalized') {
+        try {
+          await invoiceService.createForReport({ ...report, ...updated });
+        } catch (invoiceError) {
+          logger.warn(`Invoice not raised for report ${reportId}:`, invoiceError);
+          // Continue - the invoice can be raised again from the report
+        }
       }
 
-      return result.rows[0];
+      return updated;
     } catch (error) {
       logger.error('Error updating report status:', error);
       throw error;
     }
   }
 
+  /**
+   * Move a report to another layout, pinned at the given or latest version
+   */
+  async updateReportLayout(reportId, layoutKey, version = null, options = {}) {
+    try {
+      const report = await this.getReport(reportId);
+      if (!report) {
+        throw NotFoundError('Report');
+      }
+      workflowService.assertEditable(report);
+
+      const layout = await layoutService.requireLayout(layoutKey, version, report.user_id);
+
+      return revisionService.updateReport(reportId, async (client) => {
+        const result = await client.query(`
+          UPDATE valuation_reports
+          SET layout_key = $1, layout_version = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3
+          RETURNING *
+        `, [layout.key, layout.version, reportId]);
+        return result.rows[0];
+      }, ['layout_key', 'layout_version'], {
+        changeType: 'section_update',
+        userId: options.userId
+      });
+    } catch (error) {
+      logger.error('Error updating report layout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set which annexures are printed after the certification, and in what order
+   */
+  async updateAnnexureOrder(reportId, order, options = {}) {
+    try {
+      const report = await this.getReport(reportId);
+      if (!report) {
+        throw NotFoundError('Report');
+      }
+      workflowService.assertEditable(report);
+
+      const annexureOrder = annexureService.normalizeOrder(order);
+
+      return revisionService.updateReport(reportId, async (client) => {
+        const result = await client.query(`
+          UPDATE valuation_reports
+          SET annexure_order = $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING *
+        `, [JSON.stringify(annexureOrder), reportId]);
+        return result.rows[0];
+      }, ['annexure_order'], {
+        changeType: 'section_update',
+        userId: options.userId
+      });
+    } catch (error) {
+      logger.error('Error updating annexure order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link the report to an address book client, refilling the preamble
+   * from the client, branch and contact person
+   */
+  async updateReportClient(reportId, link, options = {}) {
+    try {
+      const report = await this.getReport(reportId);
+      if (!report) {
+        throw NotFoundError('Report');
+      }
+      workflowService.assertEditable(report);
+
+      const details = this.getClientDetails(await clientService.resolveLink(report.user_id, link));
+      const fields = Object.keys(details);
+
+      return revisionService.updateReport(reportId, async (client) => {
+        const result = await client.query(`
+          UPDATE valuation_reports
+          SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${fields.length + 1}
+          RETURNING *
+        `, [...fields.map(field => details[field]), reportId]);
+        return result.rows[0];
+      }, fields, {
+        changeType: 'section_update',
+        section: 'basic_info',
+        userId: options.userId
+      });
+    } catch (error) {
+      logger.error('Error linking report to client:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Annexures the report would print, for the annexure index
+   */
+  async getReportAnnexures(report) {
+    const { locationContext, locationSketch } = await this.getDocumentLocation(report);
+    return annexureService.buildAnnexures(report, locationContext, locationSketch);
+  }
+
+  /**
+   * Route data and the generated location sketch (as a data URI) for the
+   * printed report, so documents never depend on a map tile service
+   */
+  async getDocumentLocation(report, options = {}) {
+    const locationContext = await this.getAnnexureLocationContext(report);
+    const sketch = await locationSketchService.generateForReport(report, locationContext, options);
+
+    return {
+      locationContext,
+      locationSketch: sketch ? locationSketchService.toDataUri(sketch) : null
+    };
+  }
+
+  /**
+   * Route data for the access route annexure. A report without location
+   * analysis still prints its other annexures.
+   */
+  async getAnnexureLocationContext(report) {
+    try {
+      return await this.getLocationContext(report.id);
+    } catch (error) {
+      logger.warn(`Route data unavailable for report ${report.id} annexures: ${error.message}`);
+      return null;
+    }
+  }
+
   // ===============================================
   // Location Integration
   // ===============================================
@@ -420,12 +699,9 @@ class ReportsService {
 
       // Generate locality description from POI data
       if (locationContext.points_of_interest && locationContext.points_of_interest.length > 0) {
-        const facilities = locationContext.points_of_interest
+        updateData.nearby_facilities_list = locationContext.points_of_interest
           .slice(0, 5)
-          .map(poi => `${poi.name} (${poi.distance}km)`)
-          .join(', ');
-
-        updateData.nearby_facilities_list = `{${facilities}}`;
+          .map(poi => `${poi.name} (${poi.distance}km)`);
         updateData.market_demand_analysis = this.generateMarketAnalysisFromPOI(locationContext.points_of_interest);
       }
 
@@ -511,14 +787,19 @@ class ReportsService {
   // PDF Generation (Placeholder - will implement with puppeteer)
   // ===============================================
 
-  async generateReportHTML(report) {
+  async generateReportHTML(report, options = {}) {
     try {
       const pdfService = require('./pdfService');
 
       // Get user profile for header information
       const userProfile = await this.getUserProfile(report.user_id);
+      const layout = options.layout || await layoutService.getReportLayout(report);
+      const clientProfile = await clientProfileService.findForReport(report);
+      const location = await this.getDocumentLocation(report, options);
 
-      return pdfService.generateReportHTML(report, userProfile, { isDraft: true, includeImages: true });
+      return pdfService.generateReportHTML(report, userProfile, {
+        isDraft: true, includeImages: true, layout, clientProfile, ...location, language: options.language
+      });
     } catch (error) {
       logger.error('Error generating report HTML:', error);
       throw new Error('Failed to generate report HTML');
@@ -532,27 +813,57 @@ class ReportsService {
       // Get user profile for header information
       const userProfile = await this.getUserProfile(report.user_id);
 
-      return await pdfService.generatePDF(report, userProfile, options);
+      // Finalized reports are signed when the valuer has uploaded a certificate
+      const signature = options.sign ? await certificateService.getSigningCredentials(report.user_id) : null;
+      if (options.sign && !signature) {
+        logger.warn(`No signing certificate for user ${report.user_id}; report ${report.id} issued unsigned`);
+      }
+
+      const layout = options.layout || await layoutService.getReportLayout(report);
+      const clientProfile = await clientProfileService.findForReport(report);
+      const location = await this.getDocumentLocation(report, options);
+
+      return await pdfService.generatePDF(report, userProfile, {
+        ...options, signature, layout, clientProfile, ...location
+      });
     } catch (error) {
       logger.error('Error generating PDF:', error);
+      // A busy or timed out renderer keeps its 503/504
+      if (error.isOperational) throw error;
       throw new Error('Failed to generate PDF');
     }
   }
 
+  async generateInvoicePDF(invoice) {
+    const pdfService = require('./pdfService');
+    const userProfile = await this.getUserProfile(invoice.user_id);
+
+    return pdfService.generateInvoicePDF(invoice, userProfile);
+  }
+
+  async generateReportDOCX(report, options = {}) {
+    try {
+      const docxService = require('./docxService');
+
+      // Same profile header data, layout, client sections and annexures as the PDF
+      const userProfile = await this.getUserProfile(report.user_id);
+      const layout = options.layout || await layoutService.getReportLayout(report);
+      const clientProfile = await clientProfileService.findForReport(report);
+      const location = await this.getDocumentLocation(report, options);
+
+      return await docxService.generateDOCX(report, userProfile, { ...options, layout, clientProfile, ...location });
+    } catch (error) {
+      logger.error('Error generating DOCX:', error);
+      throw new Error('Failed to generate DOCX');
+    }
+  }
+
   async validateReport(report) {
     const errors = [];
     const warnings = [];
 
-    // Required fields validation based on report-structure.md
-    const requiredFields = [
-      { field: 'instruction_source', section: 'Basic Information' },
-      { field: 'valuation_purpose', section: 'Basic Information' },
-      { field: 'lot_number', section: 'Property Identification' },
-      { field: 'plan_number', section: 'Property Identification' },
-      { field: 'current_owner', section: 'Ownership' },
-      { field: 'land_rate', section: 'Valuation' },
-      { field: 'market_value', section: 'Valuation' }
-    ];
+    // Required fields come from the section schema
+    const requiredFields = sectionSchemaService.getRequiredFields();
 
     requiredFields.forEach(({ field, section }) => {
       if (!report[field] || report[field].toString().trim() === '') {
@@ -560,15 +871,31 @@ class ReportsService {
       }
     });
 
+    // Bank-specific fields, photographs and percentages
+    const clientProfile = await clientProfileService.findForReport(report);
+    if (clientProfile) {
+      const clientChecks = clientProfileService.validateReport(report, clientProfile);
+      errors.push(...clientChecks.errors);
+      warnings.push(...clientChecks.warnings);
+    }
+
+    if (report.report_type === 'investment' && !report.investment) {
+      warnings.push('Investment report has no rent or yield inputs; the contractor\'s method will be printed instead');
+    }
+
+    landExtentService.reconcile(report).issues.forEach(issue => {
+      warnings.push(`Land extent: ${issue.message}`);
+    });
+
     // Business logic validations
     if (report.building_age && report.building_age > 200) {
       warnings.push('Building age seems unusually high');
     }
 
-    if (report.land_rate && report.market_value) {
-      const calculatedLandValue = report.land_rate * (report.perches || 0);
-      if (Math.abs(calculatedLandValue - report.market_value) > report.market_value * 0.1) {
-        warnings.push('Land value calculation may be inconsistent with market value');
+    if (report.land_rate && report.market_value && report.valuation_method !== 'investment_method') {
+      const calculation = valuationService.calculate(report, report.comparables || []);
+      if (Math.abs(calculation.market_value - report.market_value) > report.market_value * 0.1) {
+        warnings.push('Market value is inconsistent with the calculated valuation; recalculate before finalizing');
       }
     }
 
@@ -809,8 +1136,8 @@ class ReportsService {
           const poiQuery = `
             INSERT INTO report_poi_analysis (
               report_id, category, facility_name, facility_type,
-              distance_km, address, rating, place_id
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+              distance_km, address, rating, place_id, latitude, longitude
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
           `;
 
           const poiValues = [
@@ -821,7 +1148,9 @@ class ReportsService {
             facility.distance,
             facility.address,
             facility.rating,
-            facility.place_id
+            facility.place_id,
+            facility.latitude,
+            facility.longitude
           ];
 
           poiInsertPromises.push(pool.query(poiQuery, poiValues));
@@ -846,17 +1175,17 @@ class ReportsService {
       if (locationIntelligence.section31_location) {
         const section31Data = locationIntelligence.section31_location;
         updates.push({
-          section: 'property_identification',
+          section: 'property_location',
           field: 'village_name',
           value: section31Data.village_name
         });
         updates.push({
-          section: 'property_identification',
+          section: 'property_location',
           field: 'district',
           value: section31Data.district
         });
         updates.push({
-          section: 'property_identification',
+          section: 'property_location',
           field: 'province',
           value: section31Data.province
         });
@@ -866,17 +1195,17 @@ class ReportsService {
       if (locationIntelligence.section80_locality_data) {
         const section80Data = locationIntelligence.section80_locality_data;
         updates.push({
-          section: 'locality_description',
+          section: 'locality',
           field: 'locality_type',
           value: section80Data.locality_type
         });
         updates.push({
-          section: 'locality_description',
+          section: 'locality',
           field: 'development_level',
           value: section80Data.development_level
         });
         updates.push({
-          section: 'locality_description',
+          section: 'locality',
           field: 'infrastructure_description',
           value: section80Data.infrastructure_description
         });
@@ -1010,11 +1339,13 @@ class ReportsService {
       const [
         reportsData,
         aiUsageData,
+        incomeData,
         activityData,
         recentReports
       ] = await Promise.all([
         this.getReportsSummary(userId),
         this.getAIUsageSummary(userId),
+        invoiceService.getIncomeSummary(userId),
         this.getActivitySummary(userId),
         this.getRecentReports(userId)
       ]);
@@ -1022,6 +1353,7 @@ class ReportsService {
       return {
         reports: reportsData,
         ai_usage: aiUsageData,
+        income: incomeData,
         activity: activityData,
         recent_reports: recentReports
       };
@@ -1037,7 +1369,7 @@ class ReportsService {
         SELECT
           COUNT(*) as total,
           COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft,
-          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
+          COUNT(CASE WHEN status = 'finalized' THEN 1 END) as completed,
           COUNT(CASE WHEN created_at >= date_trunc('month', CURRENT_DATE) THEN 1 END) as this_month
         FROM valuation_reports
         WHERE user_id = $1
@@ -0,0 +1,263 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const sectionSchemaService = require('./sectionSchemaService');
+const workflowService = require('./workflowService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const CHANGE_TYPES = ['section_update', 'ai_enhancement', 'status_change', 'calculation', 'restore'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+class RevisionService {
+  // ===============================================
+  // Diffing
+  // ===============================================
+
+  /**
+   * Value as stored in the change log. pg returns DATE columns as local
+   * midnight Dates, so they are kept as YYYY-MM-DD.
+   */
+  toLogValue(value) {
+    if (value === undefined || value === '') return null;
+    if (value instanceof Date) {
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return value;
+  }
+
+  /**
+   * Compare two column values, treating DECIMAL strings from pg as equal
+   * to the numbers they were written from ("125000.00" and 125000)
+   */
+  isEqual(a, b) {
+    const left = this.toLogValue(a);
+    const right = this.toLogValue(b);
+
+    if (left === null || right === null) return left === right;
+    if (typeof left === 'object' || typeof right === 'object') {
+      return JSON.stringify(left) === JSON.stringify(right);
+    }
+    if (typeof left === 'number' || typeof right === 'number') {
+      return Number(left) === Number(right);
+    }
+    return String(left) === String(right);
+  }
+
+  /**
+   * Fields whose value differs between two report rows, as
+   * [{ field, old_value, new_value }]
+   */
+  diff(before, after, fields) {
+    return fields
+      .filter(field => !this.isEqual(before[field], after[field]))
+      .map(field => ({
+        field,
+        old_value: this.toLogValue(before[field]),
+        new_value: this.toLogValue(after[field])
+      }));
+  }
+
+  /**
+   * Values that return a report to its state after a revision: for every
+   * field changed later, the old value of the first later change.
+   * Only section fields are restored; calculated figures are refreshed
+   * by recalculating.
+   */
+  getRestoreValues(laterRevisions) {
+    const values = {};
+
+    [...laterRevisions]
+      .sort((a, b) => a.revision_number - b.revision_number)
+      .forEach(revision => {
+        (revision.changes || []).forEach(change => {
+          if (!(change.field in values) && sectionSchemaService.isStored(change.field)) {
+            values[change.field] = change.old_value;
+          }
+        });
+      });
+
+    return values;
+  }
+
+  // ===============================================
+  // Revision Log
+  // ===============================================
+
+  /**
+   * Append a revision to a report's log. Nothing is written when there
+   * are no changes. Pass the client of the transaction that made the
+   * change and locked the report (see lockReport), so the revision number
+   * is taken in turn and the change is never kept without its revision.
+   */
+  async recordRevision(reportId, { changeType, section = null, changes, userId = null, restoredFrom = null }, client = pool) {
+    if (!CHANGE_TYPES.includes(changeType)) {
+      throw ValidationError(`Invalid change type: ${changeType}`, 'change_type');
+    }
+    if (!changes || changes.length === 0) {
+      return null;
+    }
+
+    try {
+      const result = await client.query(`
+        INSERT INTO report_revisions (report_id, revision_number, change_type, section, changes, user_id, restored_from)
+        SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6
+        FROM report_revisions
+        WHERE report_id = $1
+        RETURNING *
+      `, [reportId, changeType, section, JSON.stringify(changes), userId, restoredFrom]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording report revision:', error);
+      throw new Error('Failed to record report revision');
+    }
+  }
+
+  /**
+   * Diff two report rows and record the changed fields
+   */
+  async recordChanges(reportId, before, after, fields, options, client = pool) {
+    return this.recordRevision(reportId, {
+      ...options,
+      changes: this.diff(before, after, fields)
+    }, client);
+  }
+
+  /**
+   * Lock a report's row for the rest of the transaction and return it as
+   * it stands, so changes to the report and its revisions go one at a time
+   */
+  async lockReport(client, reportId) {
+    const result = await client.query('SELECT * FROM valuation_reports WHERE id = $1 FOR UPDATE', [reportId]);
+    if (result.rows.length === 0) {
+      throw NotFoundError('Report');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Change a report and record the changed fields as one revision, in a
+   * single transaction holding the report's lock. edit(client, before)
+   * writes the change and returns the updated row; the options are
+   * recordRevision's. Returns the updated row.
+   */
+  async updateReport(reportId, edit, fields, options) {
+    return pool.withTransaction(async (client) => {
+      const before = await this.lockReport(client, reportId);
+      const after = await edit(client, before);
+
+      await this.recordChanges(reportId, before, after, fields, options, client);
+      return after;
+    });
+  }
+
+  /**
+   * The report's latest revision number, 0 before its first change
+   */
+  async getLatestRevisionNumber(reportId) {
+    try {
+      const result = await pool.query(`
+        SELECT COALESCE(MAX(revision_number), 0) AS revision_number
+        FROM report_revisions
+        WHERE report_id = $1
+      `, [reportId]);
+
+      return parseInt(result.rows[0].revision_number);
+    } catch (error) {
+      logger.error('Error fetching latest revision:', error);
+      throw new Error('Failed to fetch report revision');
+    }
+  }
+
+  async getHistory(reportId) {
+    try {
+      const reportResult = await pool.query('SELECT id FROM valuation_reports WHERE id = $1', [reportId]);
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      const result = await pool.query(`
+        SELECT * FROM report_revisions
+        WHERE report_id = $1
+        ORDER BY revision_number DESC
+      `, [reportId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error fetching report history:', error);
+      throw new Error('Failed to fetch report history');
+    }
+  }
+
+  // ===============================================
+  // Restore
+  // ===============================================
+
+  /**
+   * Return a report's section fields to their values after the given
+   * revision. The restore is itself recorded, so it can be undone. The
+   * values are diffed against the report as locked, so a change saved
+   * meanwhile is neither missed nor overwritten unrecorded.
+   */
+  async restoreRevision(reportId, revisionNumber, userId = null) {
+    try {
+      const { report, fields, revision } = await pool.withTransaction(async (client) => {
+        const before = await this.lockReport(client, reportId);
+        workflowService.assertEditable(before);
+
+        const revisionResult = await client.query(`
+          SELECT revision_number FROM report_revisions
+          WHERE report_id = $1 AND revision_number = $2
+        `, [reportId, revisionNumber]);
+        if (revisionResult.rows.length === 0) {
+          throw NotFoundError('Revision');
+        }
+
+        const laterResult = await client.query(`
+          SELECT revision_number, changes FROM report_revisions
+          WHERE report_id = $1 AND revision_number > $2
+          ORDER BY revision_number ASC
+        `, [reportId, revisionNumber]);
+
+        const values = this.getRestoreValues(laterResult.rows);
+        const changed = Object.keys(values).filter(field => !this.isEqual(before[field], values[field]));
+
+        if (changed.length === 0) {
+          return { report: before, fields: changed, revision: null };
+        }
+
+        const setFields = changed.map((field, index) => `${field} = $${index + 1}`);
+        const params = changed.map(field => values[field]);
+        params.push(reportId);
+
+        const updated = await client.query(`
+          UPDATE valuation_reports
+          SET ${setFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${params.length}
+          RETURNING *
+        `, params);
+
+        return {
+          report: updated.rows[0],
+          fields: changed,
+          revision: await this.recordChanges(reportId, before, updated.rows[0], changed, {
+            changeType: 'restore',
+            userId,
+            restoredFrom: revisionNumber
+          }, client)
+        };
+      });
+
+      if (revision) {
+        logger.info(`Report ${reportId} restored to revision ${revisionNumber} (${fields.length} fields)`);
+      }
+
+      return { report, revision };
+    } catch (error) {
+      logger.error('Error restoring report revision:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RevisionService();
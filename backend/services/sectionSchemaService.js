@@ -0,0 +1,144 @@
+const { SECTIONS, FIELDS } = require('../config/reportSections');
+const { AppError, ErrorTypes, ValidationError } = require('../middleware/errorHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+class SectionSchemaService {
+  /**
+   * Sections in form order with their field definitions, as served to the
+   * frontend ReportBuilder
+   */
+  getSchema() {
+    return SECTIONS.map(section => ({
+      ...section,
+      fields: this.getSectionFields(section.id).map(name => ({ name, ...FIELDS[name] }))
+    }));
+  }
+
+  getSection(sectionId) {
+    return SECTIONS.find(section => section.id === sectionId) || null;
+  }
+
+  getSectionFields(sectionId) {
+    const section = this.getSection(sectionId);
+    if (!section) return [];
+
+    return section.fields || Object.keys(FIELDS).filter(name => FIELDS[name].section === sectionId);
+  }
+
+  getField(name) {
+    return FIELDS[name] ? { name, ...FIELDS[name] } : null;
+  }
+
+  isStored(name) {
+    return Boolean(FIELDS[name]) && !FIELDS[name].virtual;
+  }
+
+  /**
+   * Fields a report needs before it can be finalized, with the title of
+   * the section they are entered in
+   */
+  getRequiredFields() {
+    return Object.keys(FIELDS)
+      .filter(name => FIELDS[name].required)
+      .map(name => ({ field: name, section: this.getSection(FIELDS[name].section).title }));
+  }
+
+  /**
+   * Coerce one value to its field type. Empty strings clear the field.
+   */
+  coerceField(name, value) {
+    const field = FIELDS[name];
+    if (value === null || value === '') return null;
+
+    const allowed = field.options && !field.allowOther
+      ? field.options.map(option => option.value)
+      : null;
+
+    switch (field.type) {
+      case 'integer':
+      case 'decimal': {
+        const number = Number(value);
+        if (typeof value === 'boolean' || isNaN(number)) {
+          throw ValidationError(`${field.label} must be a number`, name);
+        }
+        if (field.type === 'integer' && !Number.isInteger(number)) {
+          throw ValidationError(`${field.label} must be a whole number`, name);
+        }
+        if (field.min !== undefined && number < field.min) {
+          throw ValidationError(`${field.label} must be at least ${field.min}`, name);
+        }
+        if (field.max !== undefined && number > field.max) {
+          throw ValidationError(`${field.label} must be at most ${field.max}`, name);
+        }
+        return number;
+      }
+
+      case 'date': {
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        if (!DATE_PATTERN.test(text) || isNaN(new Date(text.slice(0, 10)).getTime())) {
+          throw ValidationError(`${field.label} must be a date (YYYY-MM-DD)`, name);
+        }
+        return text.slice(0, 10);
+      }
+
+      case 'array': {
+        const items = (Array.isArray(value) ? value : String(value).split(/\r?\n/))
+          .map(item => String(item).trim())
+          .filter(item => item !== '');
+        const invalid = allowed && items.find(item => !allowed.includes(item));
+        if (invalid) {
+          throw ValidationError(`${field.label}: "${invalid}" is not an allowed value`, name);
+        }
+        return items;
+      }
+
+      default: {
+        if (typeof value === 'object') {
+          throw ValidationError(`${field.label} must be text`, name);
+        }
+        const text = String(value);
+        if (field.maxLength && text.length > field.maxLength) {
+          throw ValidationError(`${field.label} must be at most ${field.maxLength} characters`, name);
+        }
+        if (allowed && !allowed.includes(text)) {
+          throw ValidationError(`${field.label}: "${text}" is not an allowed value`, name);
+        }
+        return text;
+      }
+    }
+  }
+
+  /**
+   * Validate and coerce the fields of one section. Fields belonging to
+   * other sections are ignored, so a whole report form can be posted, as
+   * are generated fields, which are only ever filled from their source.
+   * Throws a 400 listing every invalid field.
+   */
+  validateSectionData(sectionId, data) {
+    if (!this.getSection(sectionId)) {
+      throw ValidationError(`Invalid section: ${sectionId}`, 'section');
+    }
+
+    const values = {};
+    const errors = [];
+
+    this.getSectionFields(sectionId).forEach(name => {
+      if (data[name] === undefined || FIELDS[name].generated) return;
+
+      try {
+        values[name] = this.coerceField(name, data[name]);
+      } catch (error) {
+        errors.push({ field: name, message: error.message, value: data[name] });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new AppError('Validation failed', 400, ErrorTypes.VALIDATION_ERROR, { errors });
+    }
+
+    return values;
+  }
+}
+
+module.exports = new SectionSchemaService();
@@ -416,7 +416,7 @@ class ValidationService {
         .withMessage('Report ID must be a positive integer'),
 
       body('status')
-        .isIn(['draft', 'in_progress', 'review', 'completed', 'finalized'])
+        .isIn(['draft', 'in_progress', 'under_review', 'approved', 'finalized', 'amended'])
         .withMessage('Status must be valid option'),
     ];
   }
@@ -433,7 +433,7 @@ class ValidationService {
 
       body('category')
         .optional()
-        .isIn(['land_views', 'building_exterior', 'building_interior', 'boundaries', 'location_maps'])
+        .isIn(['land_views', 'building_exterior', 'building_interior', 'boundaries', 'location_maps', 'survey_plan', 'deed'])
         .withMessage('Image category must be valid option'),
 
       body('caption')
@@ -0,0 +1,313 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const comparablesService = require('./comparablesService');
+const amountInWordsService = require('./amountInWordsService');
+const landExtentService = require('./landExtentService');
+const revisionService = require('./revisionService');
+const workflowService = require('./workflowService');
+const clientProfileService = require('./clientProfileService');
+
+const DEFAULT_FORCED_SALE_PERCENTAGE = 80;
+const DEFAULT_ROUND_TO = 10000;
+
+// Report columns written by a calculation
+const VALUATION_FIELDS = [
+  'land_value', 'building_value', 'depreciation_amount', 'additional_components_value', 'total_market_value',
+  'market_value', 'forced_sale_value', 'final_value', 'valuation_method', 'forced_sale_percentage',
+  'market_value_words', 'forced_sale_value_words'
+];
+
+// Inputs that may be supplied with a calculation and are kept on the report
+const VALUATION_INPUTS = ['land_rate', 'building_rate', 'depreciation_rate'];
+
+class ValuationService {
+  // ===============================================
+  // Input Helpers
+  // ===============================================
+
+  /**
+   * Land extent in perches from the A-R-P columns, falling back to
+   * hectares or the free-text land_extent
+   */
+  getExtentInPerches(report) {
+    return landExtentService.getReportPerches(report);
+  }
+
+  /**
+   * Additional components (boundary wall, well, etc.) are stored as a JSON
+   * array of { description, value }. Free text from older reports is kept
+   * as a single unvalued component.
+   */
+  parseAdditionalComponents(additionalComponents) {
+    if (!additionalComponents) return [];
+
+    let components = additionalComponents;
+    if (typeof components === 'string') {
+      try {
+        components = JSON.parse(components);
+      } catch (error) {
+        return [{ description: additionalComponents, value: 0 }];
+      }
+    }
+
+    if (!Array.isArray(components)) return [];
+
+    return components
+      .filter(component => component && component.description)
+      .map(component => ({
+        description: component.description,
+        value: parseFloat(component.value) || 0
+      }));
+  }
+
+  roundValue(value, roundTo = DEFAULT_ROUND_TO) {
+    if (!roundTo) return Math.round(value);
+    return Math.round(value / roundTo) * roundTo;
+  }
+
+  // ===============================================
+  // Valuation Methods
+  // ===============================================
+
+  /**
+   * Contractor's method: land value + depreciated building value +
+   * additional components
+   */
+  calculateContractorsMethod(report, options = {}) {
+    const extentPerches = this.getExtentInPerches(report);
+    const landRate = parseFloat(options.land_rate ?? report.land_rate ?? report.adopted_rate) || 0;
+    const landValue = extentPerches * landRate;
+
+    const floorArea = parseFloat(report.floor_area || report.total_floor_area) || 0;
+    const buildingRate = parseFloat(options.building_rate ?? report.building_rate) || 0;
+    const depreciationRate = parseFloat(options.depreciation_rate ?? report.depreciation_rate) || 0;
+    const replacementCost = floorArea * buildingRate;
+    const depreciation = replacementCost * depreciationRate / 100;
+    const buildingValue = replacementCost - depreciation;
+
+    const components = this.parseAdditionalComponents(options.additional_components ?? report.additional_components);
+    const additionalTotal = components.reduce((sum, component) => sum + component.value, 0);
+
+    return {
+      land: {
+        extent_perches: extentPerches,
+        rate: landRate,
+        value: landValue
+      },
+      building: {
+        floor_area: floorArea,
+        rate: buildingRate,
+        replacement_cost: replacementCost,
+        depreciation_rate: depreciationRate,
+        depreciation,
+        value: buildingValue
+      },
+      additional_components: components,
+      additional_total: additionalTotal,
+      total: landValue + buildingValue + additionalTotal
+    };
+  }
+
+  /**
+   * Comparison method: the land extent at the rate indicated by market
+   * evidence (the average adjusted rate of the selected comparables unless
+   * a rate is given), plus improvements as in the contractor's method
+   */
+  calculateComparisonMethod(report, comparables = [], contractors = null, options = {}) {
+    const rateRange = comparablesService.calculateRateRange(comparables);
+    const evidenceRate = parseFloat(options.comparison_rate) || rateRange.average_rate;
+
+    if (!evidenceRate) {
+      return null;
+    }
+
+    const contractorsMethod = contractors || this.calculateContractorsMethod(report, options);
+    const extentPerches = contractorsMethod.land.extent_perches;
+    const landValue = extentPerches * evidenceRate;
+
+    return {
+      rate: evidenceRate,
+      rate_range: rateRange,
+      extent_perches: extentPerches,
+      land_value: landValue,
+      improvements_value: contractorsMethod.building.value + contractorsMethod.additional_total,
+      total: landValue + contractorsMethod.building.value + contractorsMethod.additional_total
+    };
+  }
+
+  /**
+   * Run both methods and derive the adopted market, forced sale and final values
+   */
+  calculate(report, comparables = [], options = {}) {
+    const method = options.valuation_method || report.valuation_method || 'contractor_method';
+    const forcedSalePercentage = parseFloat(options.forced_sale_percentage ?? report.forced_sale_percentage) ||
+                                 DEFAULT_FORCED_SALE_PERCENTAGE;
+    const roundTo = options.round_to ?? DEFAULT_ROUND_TO;
+    const warnings = [];
+
+    const contractorsMethod = this.calculateContractorsMethod(report, options);
+    const comparisonMethod = this.calculateComparisonMethod(report, comparables, contractorsMethod, options);
+
+    if (contractorsMethod.land.extent_perches === 0) {
+      warnings.push('Land extent is not set; land value is zero');
+    }
+    if (contractorsMethod.land.rate === 0) {
+      warnings.push('Land rate is not set; land value is zero');
+    }
+    if (contractorsMethod.building.floor_area > 0 && contractorsMethod.building.rate === 0) {
+      warnings.push('Floor area is set but building rate is missing');
+    }
+    if (method === 'comparison_method' && !comparisonMethod) {
+      warnings.push('No comparable evidence selected; falling back to the contractor\'s method');
+    }
+
+    const adoptedMethod = method === 'comparison_method' && comparisonMethod ? 'comparison_method' : 'contractor_method';
+    const isComparison = adoptedMethod === 'comparison_method';
+    const landValue = isComparison ? comparisonMethod.land_value : contractorsMethod.land.value;
+    const totalMarketValue = isComparison ? comparisonMethod.total : contractorsMethod.total;
+    const marketValue = this.roundValue(totalMarketValue, roundTo);
+    const forcedSaleValue = this.roundValue(marketValue * forcedSalePercentage / 100, roundTo);
+
+    if (comparisonMethod && contractorsMethod.total > 0) {
+      const variance = Math.abs(comparisonMethod.total - contractorsMethod.total) / contractorsMethod.total;
+      if (variance > 0.2) {
+        warnings.push(`Comparison and contractor's method differ by ${Math.round(variance * 100)}%`);
+      }
+    }
+
+    return {
+      valuation_method: adoptedMethod,
+      contractors_method: contractorsMethod,
+      comparison_method: comparisonMethod,
+      land_value: landValue,
+      total_market_value: totalMarketValue,
+      market_value: marketValue,
+      forced_sale_percentage: forcedSalePercentage,
+      forced_sale_value: forcedSaleValue,
+      final_value: marketValue,
+      round_to: roundTo,
+      warnings
+    };
+  }
+
+  // ===============================================
+  // Report Integration
+  // ===============================================
+
+  /**
+   * Forced sale percentage from the client's format profile, used until the
+   * report has its own
+   */
+  async getDefaultForcedSalePercentage(report) {
+    if (report.forced_sale_percentage) {
+      return undefined;
+    }
+
+    const clientProfile = await clientProfileService.findForReport(report);
+    return clientProfile?.forced_sale_percentage ? parseFloat(clientProfile.forced_sale_percentage) : undefined;
+  }
+
+  /**
+   * The columns a calculation writes to the report, with the breakdown
+   * they come from. Inputs supplied in options are kept on the report.
+   */
+  async getValuationUpdates(report, options = {}) {
+    const comparables = await comparablesService.getReportComparables(report.id);
+    const breakdown = this.calculate(report, comparables, {
+      ...options,
+      forced_sale_percentage: options.forced_sale_percentage ?? await this.getDefaultForcedSalePercentage(report)
+    });
+
+    const contractors = breakdown.contractors_method;
+    const updates = {
+      land_value: breakdown.land_value,
+      building_value: contractors.building.value,
+      depreciation_amount: contractors.building.depreciation,
+      additional_components_value: contractors.additional_total,
+      total_market_value: breakdown.total_market_value,
+      market_value: breakdown.market_value,
+      forced_sale_value: breakdown.forced_sale_value,
+      final_value: breakdown.final_value,
+      valuation_method: breakdown.valuation_method,
+      forced_sale_percentage: breakdown.forced_sale_percentage,
+      valuation_breakdown: JSON.stringify(breakdown)
+    };
+
+    Object.assign(updates, amountInWordsService.generateValueWords(updates));
+
+    VALUATION_INPUTS.forEach(field => {
+      if (options[field] !== undefined) updates[field] = options[field];
+    });
+    if (options.additional_components !== undefined) {
+      updates.additional_components = JSON.stringify(contractors.additional_components);
+    }
+
+    return { breakdown, updates };
+  }
+
+  /**
+   * Columns a calculation may change that are logged in the revision
+   * history. The breakdown JSON is regenerated on every calculation, so
+   * only the figures are logged.
+   */
+  getValuationFields() {
+    return [...VALUATION_FIELDS, ...VALUATION_INPUTS];
+  }
+
+  /**
+   * Write getValuationUpdates' columns (and any others given) to a report
+   * inside the caller's transaction
+   */
+  async saveValuation(client, reportId, updates) {
+    const fields = Object.keys(updates);
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const values = fields.map(field => updates[field]);
+    values.push(reportId);
+
+    const result = await client.query(`
+      UPDATE valuation_reports
+      SET ${setClause}, valuation_calculated_at = NOW(), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING *
+    `, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Calculate a report's values and, unless persist is false, write them
+   * back so Sections 11.0 and 12.0 always print consistent figures
+   */
+  async calculateReportValuation(reportId, options = {}) {
+    try {
+      const reportResult = await pool.query('SELECT * FROM valuation_reports WHERE id = $1', [reportId]);
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      const report = reportResult.rows[0];
+      const { breakdown, updates } = await this.getValuationUpdates(report, options);
+
+      if (options.persist === false) {
+        return { breakdown, report };
+      }
+      workflowService.assertEditable(report);
+
+      const updated = await revisionService.updateReport(reportId, client => (
+        this.saveValuation(client, reportId, updates)
+      ), this.getValuationFields(), {
+        changeType: 'calculation',
+        section: 'valuation',
+        userId: options.user_id
+      });
+
+      logger.info(`Valuation calculated for report ${reportId}: Rs. ${breakdown.market_value} (${breakdown.valuation_method})`);
+
+      return { breakdown, report: updated };
+    } catch (error) {
+      logger.error('Error calculating report valuation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ValuationService();
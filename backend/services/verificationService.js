@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const reportsService = require('./reportsService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Unambiguous characters for codes read off a printed page (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Workflow bookkeeping that changes on finalization, not report content
+const VOLATILE_FIELDS = ['status', 'updated_at', 'completed_at'];
+
+// The report content an issue's data_hash covers, by hash format. Fields are
+// listed rather than taken from the row, so profile edits, edits to shared
+// comparables and new columns do not make an issued report look altered.
+// Changing what is hashed needs a new format; issues keep the format they
+// were hashed with.
+const DATA_HASH_FORMATS = {
+  1: {
+    report: [
+      'report_reference', 'report_date', 'valuation_date', 'report_type',
+      'instruction_source', 'client_designation', 'client_organization', 'client_address',
+      'instruction_method', 'instruction_date', 'valuation_purpose', 'inspection_date', 'persons_present',
+      'village_name', 'pradeshiya_sabha', 'korale', 'hathpattu', 'district', 'province', 'latitude', 'longitude',
+      'lot_number', 'plan_number', 'survey_date', 'licensed_surveyor', 'approving_authority', 'approval_date',
+      'deed_number', 'deed_date', 'notary_public', 'current_owner',
+      'land_name', 'acres', 'roods', 'perches', 'hectares', 'land_extent',
+      'route_description', 'access_certification',
+      'north_boundary', 'east_boundary', 'south_boundary', 'west_boundary',
+      'land_shape', 'topography_type', 'land_use_type', 'frontage_measurement', 'access_road_type', 'boundary_direction',
+      'soil_type', 'suitable_use', 'water_table_depth', 'flood_status', 'plantation_description', 'plantation_details',
+      'building_type', 'condition_grade', 'building_age', 'roof_description', 'wall_description', 'floor_description',
+      'doors_windows_description', 'room_layout_description', 'total_floor_area', 'conveniences_list',
+      'locality_type', 'distance_to_town', 'nearest_town', 'development_level', 'infrastructure_description',
+      'nearby_facilities_list', 'market_demand_analysis',
+      'local_authority', 'street_line_status', 'regulatory_compliance_status',
+      'market_evidence_analysis', 'min_rate', 'max_rate', 'rate_factors',
+      'methodology_explanation', 'approach_justification', 'valuation_factors', 'adopted_rate', 'valuation_method',
+      'land_rate', 'land_value', 'floor_area', 'building_rate', 'depreciation_rate', 'depreciation_amount',
+      'depreciation_model', 'economic_life', 'depreciation_working', 'building_value',
+      'additional_components', 'additional_components_value', 'valuation_breakdown', 'reinstatement_breakdown',
+      'total_market_value', 'market_value', 'market_value_words', 'forced_sale_percentage', 'forced_sale_value',
+      'forced_sale_value_words', 'insurance_value', 'insurance_value_words', 'final_value', 'standard_disclaimers'
+    ],
+    images: ['id', 'category', 'filename', 'caption', 'display_order'],
+    // The report's own use of each comparable, not the shared register entry
+    comparables: ['id', 'adjustment_percentage', 'adjustment_notes', 'adjusted_rate', 'is_selected', 'display_order'],
+    investment: [
+      'interest_type', 'gross_monthly_rent', 'gross_annual_rent', 'outgoings_percentage', 'outgoings_amount',
+      'outgoings_notes', 'yield_rate', 'term_years', 'reversion_annual_rent', 'reversion_yield_rate',
+      'unexpired_term_years', 'ground_rent', 'use_dual_rate', 'sinking_fund_rate', 'tax_rate'
+    ]
+  }
+};
+
+const DATA_HASH_VERSION = 1;
+
+const pick = (row, fields) => (row ? Object.fromEntries(fields.map(field => [field, row[field] ?? null])) : null);
+
+const VERIFY_URL = process.env.PUBLIC_VERIFY_URL || 'http://localhost:3001/api/verify';
+
+class VerificationService {
+  // ===============================================
+  // Hashes and Codes
+  // ===============================================
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Serialise a value with object keys sorted, so the same report data
+   * always hashes the same regardless of column order
+   */
+  canonicalize(value) {
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Buffer.isBuffer(value)) return JSON.stringify(value.toString('base64'));
+    if (Array.isArray(value)) return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Hash of the report content an issue certifies, in the given hash
+   * format. Returns null for a format this version does not know.
+   */
+  hashReportData(report, version = DATA_HASH_VERSION) {
+    const format = DATA_HASH_FORMATS[version];
+    if (!format) return null;
+
+    return this.hash(this.canonicalize({
+      report: pick(report, format.report),
+      images: (report.images || []).map(image => pick(image, format.images)),
+      comparables: (report.comparables || []).map(comparable => pick(comparable, format.comparables)),
+      investment: pick(report.investment, format.investment)
+    }));
+  }
+
+  /**
+   * Hash of everything a rendered PDF is made from, including the valuer's
+   * profile and shared comparables, so stored PDFs go stale when any of it
+   * changes
+   */
+  hashRenderData(report) {
+    const data = { ...report };
+    VOLATILE_FIELDS.forEach(field => delete data[field]);
+    return this.hash(this.canonicalize(data));
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return chars.match(/.{4}/g).join('-');
+  }
+
+  getVerificationUrl(reference, code) {
+    return `${VERIFY_URL}/${encodeURIComponent(reference)}?code=${code}`;
+  }
+
+  /**
+   * Verification details to print on the PDF before it is rendered
+   */
+  prepare(report) {
+    const code = this.generateCode();
+    return {
+      code,
+      url: this.getVerificationUrl(report.report_reference, code),
+      data_hash: this.hashReportData(report),
+      data_hash_version: DATA_HASH_VERSION
+    };
+  }
+
+  // ===============================================
+  // Issued Reports
+  // ===============================================
+
+  /**
+   * Store the hash of a finalized PDF, superseding earlier issues of the
+   * report. Runs in its own transaction unless given the client of one.
+   */
+  async recordIssue(report, verification, pdfBuffer, userId = null, client = null) {
+    if (!client) {
+      return pool.withTransaction(tx => this.recordIssue(report, verification, pdfBuffer, userId, tx));
+    }
+
+    try {
+      await client.query(`
+        UPDATE report_verifications SET superseded_at = NOW()
+        WHERE report_id = $1 AND superseded_at IS NULL
+      `, [report.id]);
+
+      const result = await client.query(`
+        INSERT INTO report_verifications (
+          report_id, report_reference, verification_code, pdf_hash, data_hash, data_hash_version,
+          report_date, valuer_name, pdf_data, issued_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, report_id, report_reference, verification_code, pdf_hash, data_hash, data_hash_version,
+                  report_date, valuer_name, issued_by, issued_at
+      `, [
+        report.id,
+        report.report_reference,
+        verification.code,
+        this.hash(pdfBuffer),
+        verification.data_hash,
+        verification.data_hash_version,
+        report.report_date,
+        report.valuer_name,
+        pdfBuffer,
+        userId
+      ]);
+
+      logger.info(`Report ${report.id} issued with verification code ${verification.code}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording report issue:', error);
+      throw new Error('Failed to record report verification');
+    }
+  }
+
+  /**
+   * The current issue of a finalized report, including the stored PDF
+   */
+  async getCurrentIssue(reportId) {
+    try {
+      const result = await pool.query(`
+        SELECT * FROM report_verifications
+        WHERE report_id = $1 AND superseded_at IS NULL
+        ORDER BY issued_at DESC
+        LIMIT 1
+      `, [reportId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching report issue:', error);
+      throw new Error('Failed to fetch report verification');
+    }
+  }
+
+  /**
+   * Public check of an issued report. The code is required as references
+   * are only unique per valuer, and hash is compared with the issued
+   * PDF's SHA-256. data_unchanged compares the report as stored now with
+   * the data it was issued from.
+   */
+  async verify(reference, { code, hash } = {}) {
+    if (!code) {
+      throw ValidationError('Verification code is required', 'code');
+    }
+
+    try {
+      const result = await pool.query(`
+        SELECT id, report_id, report_reference, verification_code, pdf_hash, data_hash, data_hash_version,
+               report_date, valuer_name, issued_at, superseded_at
+        FROM report_verifications
+        WHERE report_reference = $1 AND verification_code = $2
+        ORDER BY issued_at DESC
+      `, [reference, code.toUpperCase()]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const suppliedHash = hash ? hash.toLowerCase() : null;
+      const issue = (suppliedHash && result.rows.find(row => row.pdf_hash === suppliedHash)) || result.rows[0];
+
+      const currentReport = await reportsService.getReport(issue.report_id);
+
+      return {
+        reference: issue.report_reference,
+        report_date: issue.report_date,
+        valuer_name: issue.valuer_name,
+        issued_at: issue.issued_at,
+        pdf_hash: issue.pdf_hash,
+        data_hash: issue.data_hash,
+        current: !issue.superseded_at,
+        superseded_at: issue.superseded_at,
+        hash_matches: suppliedHash ? issue.pdf_hash === suppliedHash : undefined,
+        data_unchanged: Boolean(currentReport) &&
+          this.hashReportData(currentReport, issue.data_hash_version) === issue.data_hash
+      };
+    } catch (error) {
+      logger.error('Error verifying report:', error);
+      throw new Error('Failed to verify report');
+    }
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,212 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const {
+  AppError,
+  ErrorTypes,
+  ValidationError,
+  AuthorizationError,
+  NotFoundError
+} = require('../middleware/errorHandler');
+
+const REPORT_STATUSES = ['draft', 'in_progress', 'under_review', 'approved', 'finalized', 'amended'];
+
+// Statuses in which sections, calculations and restores may change the report
+const EDITABLE_STATUSES = ['draft', 'in_progress', 'amended'];
+
+/**
+ * Allowed status transitions and their guards:
+ *   requiresValidation  validateReport must pass
+ *   requiresReviewer    the acting user's profile must have can_review
+ *   forbidsAuthor       the acting user must not be the report's author
+ *   requiresComments    the reason must be given
+ *   requiresResolvedComments  every review comment thread must be resolved
+ */
+const TRANSITIONS = [
+  { from: 'draft', to: 'in_progress', action: 'Start report' },
+  { from: 'in_progress', to: 'draft', action: 'Return to draft' },
+  { from: 'in_progress', to: 'under_review', action: 'Submit for review', requiresValidation: true },
+  { from: 'under_review', to: 'approved', action: 'Approve', requiresReviewer: true, forbidsAuthor: true },
+  { from: 'under_review', to: 'in_progress', action: 'Return for changes', requiresReviewer: true, requiresComments: true },
+  { from: 'approved', to: 'finalized', action: 'Finalize', requiresValidation: true, requiresResolvedComments: true },
+  { from: 'approved', to: 'in_progress', action: 'Reopen', requiresComments: true },
+  { from: 'finalized', to: 'amended', action: 'Amend', requiresComments: true },
+  { from: 'amended', to: 'under_review', action: 'Submit amendment for review', requiresValidation: true }
+];
+
+class WorkflowService {
+  // ===============================================
+  // State Machine
+  // ===============================================
+
+  getStatuses() {
+    return REPORT_STATUSES;
+  }
+
+  getTransitions(fromStatus) {
+    return TRANSITIONS.filter(transition => transition.from === fromStatus);
+  }
+
+  getTransition(fromStatus, toStatus) {
+    const transition = TRANSITIONS.find(item => item.from === fromStatus && item.to === toStatus);
+    if (!transition) {
+      throw ValidationError(`A ${fromStatus} report cannot be moved to ${toStatus}`, 'status');
+    }
+    return transition;
+  }
+
+  isEditable(status) {
+    return EDITABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Reject changes to a report that is under review, approved or finalized
+   */
+  assertEditable(report) {
+    if (!this.isEditable(report.status)) {
+      throw new AppError(
+        `Report is ${report.status.replace('_', ' ')} and cannot be edited`,
+        409,
+        ErrorTypes.VALIDATION_ERROR,
+        { status: report.status }
+      );
+    }
+  }
+
+  /**
+   * Check a transition's guards. validation is the validateReport result
+   * and unresolvedComments the count of open review threads, each needed
+   * only when the transition requires it.
+   */
+  checkGuards(transition, { comments, isReviewer = false, isAuthor = false, validation = null, unresolvedComments = 0 } = {}) {
+    if (transition.requiresComments && !(comments && comments.trim())) {
+      throw ValidationError(`Comments are required to ${transition.action.toLowerCase()}`, 'comments');
+    }
+
+    if (transition.requiresReviewer && !isReviewer) {
+      throw AuthorizationError(`Only a reviewer can ${transition.action.toLowerCase()}`);
+    }
+
+    if (transition.forbidsAuthor && isAuthor) {
+      throw AuthorizationError(`The report's author cannot ${transition.action.toLowerCase()} it`);
+    }
+
+    if (transition.requiresValidation && validation && !validation.isValid) {
+      throw new AppError('Report is incomplete', 400, ErrorTypes.VALIDATION_ERROR, {
+        errors: validation.errors
+      });
+    }
+
+    if (transition.requiresResolvedComments && unresolvedComments > 0) {
+      throw new AppError(
+        `Report has ${unresolvedComments} unresolved review comment${unresolvedComments === 1 ? '' : 's'}`,
+        400,
+        ErrorTypes.VALIDATION_ERROR,
+        { unresolved_comments: unresolvedComments }
+      );
+    }
+  }
+
+  // ===============================================
+  // Reviewers and Transition Log
+  // ===============================================
+
+  isAuthor(report, userId) {
+    return userId !== null && userId !== undefined && String(report.user_id) === String(userId);
+  }
+
+  async isReviewer(userId) {
+    if (!userId) return false;
+
+    try {
+      const result = await pool.query('SELECT can_review FROM user_profiles WHERE user_id = $1', [String(userId)]);
+      return Boolean(result.rows[0]?.can_review);
+    } catch (error) {
+      logger.error('Error checking reviewer:', error);
+      throw new Error('Failed to check reviewer');
+    }
+  }
+
+  /**
+   * Grant or withdraw a valuer's reviewer rights. Only the firm grants
+   * them (see PUT /profile/:user_id/reviewer); they are not part of the
+   * self-service profile.
+   */
+  async setReviewer(userId, canReview, grantedBy = null) {
+    try {
+      const result = await pool.query(`
+        UPDATE user_profiles
+        SET can_review = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $2
+        RETURNING user_id, can_review
+      `, [canReview, String(userId)]);
+
+      if (result.rows.length === 0) {
+        throw NotFoundError('User profile');
+      }
+
+      logger.info(`Reviewer rights ${canReview ? 'granted to' : 'withdrawn from'} ${userId} by ${grantedBy || 'admin'}`);
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.isOperational) throw error;
+      logger.error('Error setting reviewer:', error);
+      throw new Error('Failed to set reviewer');
+    }
+  }
+
+  async recordTransition(reportId, { fromStatus, toStatus, userId = null, comments = null }, client = pool) {
+    try {
+      const result = await client.query(`
+        INSERT INTO report_status_transitions (report_id, from_status, to_status, user_id, comments)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [reportId, fromStatus, toStatus, userId, comments]);
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording status transition:', error);
+      throw new Error('Failed to record status transition');
+    }
+  }
+
+  /**
+   * Current status, whether the report can be edited, the transitions
+   * open to the user and the transition log
+   */
+  async getWorkflow(reportId, userId = null) {
+    try {
+      const reportResult = await pool.query('SELECT user_id, status, approved_by, approved_at FROM valuation_reports WHERE id = $1', [reportId]);
+      if (reportResult.rows.length === 0) {
+        return null;
+      }
+
+      const report = reportResult.rows[0];
+      const isReviewer = await this.isReviewer(userId);
+      const isAuthor = this.isAuthor(report, userId);
+
+      const logResult = await pool.query(`
+        SELECT * FROM report_status_transitions
+        WHERE report_id = $1
+        ORDER BY created_at ASC, id ASC
+      `, [reportId]);
+
+      return {
+        status: report.status,
+        editable: this.isEditable(report.status),
+        approved_by: report.approved_by,
+        approved_at: report.approved_at,
+        is_reviewer: isReviewer,
+        transitions: this.getTransitions(report.status).map(transition => ({
+          ...transition,
+          allowed: (!transition.requiresReviewer || isReviewer) && !(transition.forbidsAuthor && isAuthor)
+        })),
+        history: logResult.rows
+      };
+    } catch (error) {
+      logger.error('Error fetching report workflow:', error);
+      throw new Error('Failed to fetch report workflow');
+    }
+  }
+}
+
+module.exports = new WorkflowService();
@@ -0,0 +1,60 @@
+const AmountInWordsService = require('../services/amountInWordsService');
+
+describe('AmountInWordsService Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = AmountInWordsService;
+  });
+
+  describe('English', () => {
+    test('should write millions by default', () => {
+      expect(service.toWords(15500000)).toBe('Rupees Fifteen Million Five Hundred Thousand Only/=');
+      expect(service.toWords(2345678)).toBe(
+        'Rupees Two Million Three Hundred and Forty Five Thousand Six Hundred and Seventy Eight Only/='
+      );
+    });
+
+    test('should write lakhs and crores when requested', () => {
+      expect(service.toWords(15500000, { grouping: 'lakh' })).toBe('Rupees One Crore Fifty Five Lakhs Only/=');
+      expect(service.toWords(100000, { grouping: 'lakh' })).toBe('Rupees One Lakh Only/=');
+    });
+
+    test('should put "and" after the hundreds', () => {
+      expect(service.toWords(1250000.5)).toBe('Rupees One Million Two Hundred and Fifty Thousand and Cents Fifty Only/=');
+      expect(service.toWords(300)).toBe('Rupees Three Hundred Only/=');
+    });
+
+    test('should add cents', () => {
+      expect(service.toWords(25000.5)).toBe('Rupees Twenty Five Thousand and Cents Fifty Only/=');
+    });
+  });
+
+  describe('Sinhala', () => {
+    test('should compound numbers with lakhs and thousands', () => {
+      expect(service.toWords(125000, { language: 'si' })).toBe('රුපියල් එක්ලක්ෂ විසිපන්දහස පමණි');
+      expect(service.toWords(15500000, { language: 'si' })).toBe('රුපියල් එක්කෝටි පනස්පන්ලක්ෂය පමණි');
+      expect(service.toWords(550, { language: 'si' })).toBe('රුපියල් පන්සිය පනහ පමණි');
+    });
+  });
+
+  describe('Tamil', () => {
+    test('should link lakhs and thousands', () => {
+      expect(service.toWords(125000, { language: 'ta' })).toBe('ரூபாய் ஒரு இலட்சத்து இருபத்து ஐந்து ஆயிரம் மட்டும்');
+      expect(service.toWords(1000, { language: 'ta' })).toBe('ரூபாய் ஆயிரம் மட்டும்');
+    });
+  });
+
+  describe('Report Values', () => {
+    test('should generate words only for the values supplied', () => {
+      const words = service.generateValueWords({ market_value: '15000000.00', land_rate: 450000 });
+
+      expect(words).toEqual({ market_value_words: 'Rupees Fifteen Million Only/=' });
+    });
+
+    test('should reject unsupported languages and negative amounts', () => {
+      expect(() => service.toWords(1000, { language: 'fr' })).toThrow('Unsupported language: fr');
+      expect(() => service.toWords(-1)).toThrow('Amount must be a positive number');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const annexureService = require('../services/annexureService');
+const pdfService = require('../services/pdfService');
+
+describe('AnnexureService Assembly Tests', () => {
+  const report = {
+    id: 7,
+    report_reference: 'VAL001/2026/031',
+    images: [
+      { category: 'survey_plan', file_path: 'uploads/reports/survey_plan/plan.jpg', caption: 'Plan No 4521' },
+      { category: 'deed', file_path: 'uploads/reports/deed/deed-1.jpg', caption: 'Deed page 1' },
+      { category: 'deed', file_path: 'uploads/reports/deed/deed-2.jpg', caption: 'Deed page 2' },
+      { category: 'building_interior', file_path: 'uploads/reports/building_interior/hall.jpg', caption: 'Hall' },
+      { category: 'land_views', file_path: 'uploads/reports/land_views/front.jpg', caption: 'Frontage' }
+    ],
+    comparables: []
+  };
+
+  const locationContext = {
+    nearest_major_city: 'Kandy',
+    route_instructions: 'Head south on Peradeniya Rd. Turn left onto Temple Rd. The property is on the right.',
+    route_distance_km: '12.40',
+    route_duration: '3900s',
+    route_quality: 'Good'
+  };
+
+  describe('Order', () => {
+    test('should use the default order when the report has none', () => {
+      expect(annexureService.getOrder({})).toEqual(annexureService.getTypes());
+    });
+
+    test('should read a stored order and ignore retired keys', () => {
+      expect(annexureService.getOrder({ annexure_order: '["deed","old_annexure","survey_plan"]' }))
+        .toEqual(['deed', 'survey_plan']);
+    });
+
+    test('should reject unknown and repeated annexures', () => {
+      expect(() => annexureService.normalizeOrder(['deed', 'valuation'])).toThrow('Unknown annexure: valuation');
+      expect(() => annexureService.normalizeOrder(['deed', 'deed'])).toThrow('Each annexure can only be listed once');
+      expect(() => annexureService.normalizeOrder('deed')).toThrow('Annexure order must be a list');
+    });
+  });
+
+  describe('Assembly', () => {
+    test('should letter annexures in order and skip empty ones', () => {
+      const annexures = annexureService.buildAnnexures(report, locationContext);
+
+      expect(annexures.map(annexure => `${annexure.letter}:${annexure.key}`))
+        .toEqual(['A:route_map', 'B:survey_plan', 'C:deed', 'D:photographs']);
+      expect(annexures[2].count).toBe(2);
+      expect(annexures[3].groups.map(group => group.category)).toEqual(['land_views', 'building_interior']);
+    });
+
+    test('should follow the report order', () => {
+      const annexures = annexureService.buildAnnexures({ ...report, annexure_order: ['deed', 'survey_plan'] });
+
+      expect(annexures.map(annexure => annexure.key)).toEqual(['deed', 'survey_plan']);
+    });
+
+    test('should split the route into steps', () => {
+      const route = annexureService.getRoute(locationContext);
+
+      expect(route.steps).toEqual(['Head south on Peradeniya Rd', 'Turn left onto Temple Rd', 'The property is on the right']);
+      expect(route.distance_km).toBe(12.4);
+      expect(route.duration).toBe('1 h 5 min');
+    });
+
+    test('should leave out the route map when the route lookup failed', () => {
+      expect(annexureService.getRoute({ route_instructions: 'Route information unavailable' })).toBeNull();
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should print the index and annexures after the certification', () => {
+      const html = pdfService.generateReportHTML(report, { full_name: 'A. Perera' }, { locationContext });
+
+      expect(html).toContain('ANNEXURE C – Copy of Title Deed');
+      expect(html).toContain('Route from Kandy');
+      expect(html).toContain('uploads/reports/deed/deed-2.jpg');
+      expect(html.indexOf('13.0')).toBeLessThan(html.indexOf('ANNEXURES'));
+      expect(html.indexOf('ANNEXURES')).toBeLessThan(html.indexOf('ANNEXURE A – Access Route Map'));
+    });
+
+    test('should leave reports without annexures unchanged', () => {
+      const html = pdfService.generateReportHTML({ ...report, images: [] }, { full_name: 'A. Perera' });
+
+      expect(html).not.toContain('ANNEXURES');
+    });
+  });
+});
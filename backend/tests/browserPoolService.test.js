@@ -0,0 +1,122 @@
+const EventEmitter = require('events');
+const browserPoolService = require('../services/browserPoolService');
+
+describe('BrowserPoolService Worker Pool Tests', () => {
+  let browsers;
+
+  const fakeBrowser = () => {
+    const browser = new EventEmitter();
+    browser.newPage = jest.fn(async () => ({ close: jest.fn(async () => {}) }));
+    browser.version = jest.fn(async () => 'HeadlessChrome/120');
+    browser.close = jest.fn(async () => browser.emit('disconnected'));
+    browsers.push(browser);
+    return browser;
+  };
+
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+  };
+
+  beforeEach(async () => {
+    await browserPoolService.shutdown();
+    browsers = [];
+    browserPoolService.size = 2;
+    browserPoolService.queueLimit = 2;
+    browserPoolService.jobTimeout = 1000;
+    browserPoolService.launcher = jest.fn(async () => fakeBrowser());
+  });
+
+  afterAll(async () => {
+    await browserPoolService.shutdown();
+  });
+
+  describe('Scheduling', () => {
+    test('should queue renders beyond the worker count', async () => {
+      const gates = [deferred(), deferred(), deferred()];
+      const jobs = gates.map((gate, index) => browserPoolService.run(() => gate.promise.then(() => index)));
+
+      await new Promise(setImmediate);
+      expect(browserPoolService.getStats()).toMatchObject({ busy: 2, queue_depth: 1 });
+
+      gates.forEach(gate => gate.resolve());
+      expect(await Promise.all(jobs)).toEqual([0, 1, 2]);
+      expect(browserPoolService.launcher).toHaveBeenCalledTimes(2);
+      expect(browserPoolService.getStats()).toMatchObject({ busy: 0, queue_depth: 0, completed: 3 });
+    });
+
+    test('should turn renders away when the queue is full', async () => {
+      const gate = deferred();
+      const jobs = [1, 2, 3, 4].map(() => browserPoolService.run(() => gate.promise));
+
+      await expect(browserPoolService.run(async () => 'late')).rejects.toMatchObject({ statusCode: 503 });
+
+      gate.resolve();
+      await Promise.all(jobs);
+    });
+
+    test('should close the page after each render', async () => {
+      let page;
+      await browserPoolService.run(async renderPage => { page = renderPage; });
+
+      expect(page.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('Timeouts', () => {
+    test('should fail an overrunning render and relaunch its browser', async () => {
+      const job = browserPoolService.run(() => new Promise(() => {}), { timeout: 20 });
+
+      await expect(job).rejects.toMatchObject({ statusCode: 504 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(browsers[0].close).toHaveBeenCalled();
+      expect(browserPoolService.getStats()).toMatchObject({ timed_out: 1, relaunches: 1, running: 1 });
+    });
+
+    test('should drop a render whose deadline passes in the queue', async () => {
+      browserPoolService.size = 1;
+      const gate = deferred();
+      const first = browserPoolService.run(() => gate.promise);
+      const waiting = browserPoolService.run(async () => 'never', { timeout: 20 });
+
+      await expect(waiting).rejects.toMatchObject({ statusCode: 504 });
+      expect(browserPoolService.getStats().queue_depth).toBe(0);
+
+      gate.resolve();
+      await first;
+    });
+  });
+
+  describe('Recovery', () => {
+    test('should relaunch a browser that crashes', async () => {
+      await browserPoolService.run(async () => {});
+
+      browsers[0].emit('disconnected');
+      await new Promise(setImmediate);
+
+      expect(browserPoolService.launcher).toHaveBeenCalledTimes(2);
+      expect(await browserPoolService.run(async () => 'ok')).toBe('ok');
+    });
+
+    test('should relaunch a browser that fails its health check', async () => {
+      await browserPoolService.run(async () => {});
+      browsers[0].version.mockRejectedValue(new Error('Target closed'));
+
+      await browserPoolService.checkWorkers();
+
+      expect(browsers[0].close).toHaveBeenCalled();
+      expect(browserPoolService.getStats()).toMatchObject({ relaunches: 1, running: 1 });
+    });
+
+    test('should keep serving when a launch fails', async () => {
+      browserPoolService.launcher
+        .mockRejectedValueOnce(new Error('Failed to launch the browser process'))
+        .mockImplementation(async () => fakeBrowser());
+
+      await expect(browserPoolService.run(async () => {})).rejects.toThrow('Failed to launch');
+      expect(await browserPoolService.run(async () => 'ok')).toBe('ok');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const forge = require('node-forge');
+const CertificateService = require('../services/certificateService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+// Self-signed PKCS#12 file for a valuer, valid for the given number of days
+const createP12 = (keys, passphrase, days = 365, options = { algorithm: '3des' }) => {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(Date.now() - 2 * 86400000);
+  cert.validity.notAfter = new Date(Date.now() + days * 86400000);
+  const attrs = [{ name: 'commonName', value: 'A. Perera' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, options);
+  return Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+};
+
+describe('CertificateService Signing Certificate Tests', () => {
+  let service;
+  let keys;
+
+  beforeAll(() => {
+    keys = forge.pki.rsa.generateKeyPair(1024);
+  });
+
+  beforeEach(() => {
+    service = CertificateService;
+    process.env.CERTIFICATE_ENCRYPTION_KEY = 'test-certificate-key';
+    jest.clearAllMocks();
+  });
+
+  describe('Certificates', () => {
+    test('should read the certificate details', () => {
+      const info = service.parseCertificate(createP12(keys, 'secret'), 'secret');
+
+      expect(info.subject_name).toBe('A. Perera');
+      expect(info.serial_number).toBe('01');
+      expect(info.valid_to > new Date()).toBe(true);
+    });
+
+    test('should accept a private key in a plain key bag', () => {
+      // Without a passphrase the key is left unshrouded and the file unsealed
+      const p12 = createP12(keys, null, 365, { useMac: false });
+
+      expect(service.parseCertificate(p12, '').subject_name).toBe('A. Perera');
+    });
+
+    test('should reject a wrong passphrase', () => {
+      expect(() => service.parseCertificate(createP12(keys, 'secret'), 'wrong')).toThrow('check the file and passphrase');
+    });
+
+    test('should reject an expired certificate', () => {
+      expect(() => service.parseCertificate(createP12(keys, 'secret', -1), 'secret')).toThrow('Certificate has expired');
+    });
+  });
+
+  describe('Encryption', () => {
+    test('should round-trip and detect tampering', () => {
+      const sealed = service.encrypt(Buffer.from('pkcs12'));
+
+      expect(service.decrypt(sealed).toString()).toBe('pkcs12');
+      sealed.encrypted[0] ^= 1;
+      expect(() => service.decrypt(sealed)).toThrow();
+    });
+
+    test('should refuse to store certificates without an encryption key', () => {
+      delete process.env.CERTIFICATE_ENCRYPTION_KEY;
+
+      expect(() => service.encrypt(Buffer.from('pkcs12'))).toThrow('Certificate storage is not configured');
+    });
+
+    test('should store the certificate encrypted and sign with it later', async () => {
+      const p12 = createP12(keys, 'secret');
+      pool.query.mockResolvedValueOnce({ rows: [{ user_id: 'u1', subject_name: 'A. Perera' }] });
+
+      await service.saveCertificate('u1', p12, 'secret');
+
+      const [, values] = pool.query.mock.calls[0];
+      expect(values[1].includes(p12.subarray(0, 32))).toBe(false);
+
+      pool.query.mockResolvedValueOnce({
+        rows: [{ encrypted_data: values[1], iv: values[2], auth_tag: values[3], valid_to: values[8] }]
+      });
+      const credentials = await service.getSigningCredentials('u1');
+
+      expect(credentials.p12.equals(p12)).toBe(true);
+      expect(credentials.passphrase).toBe('secret');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const pool = require('../config/database');
+const ClientProfileService = require('../services/clientProfileService');
+const pdfService = require('../services/pdfService');
+
+describe('ClientProfileService Bank Format Tests', () => {
+  let service;
+
+  const profile = {
+    id: 1,
+    user_id: 'user-1',
+    organization_name: 'Commercial Bank of Ceylon PLC',
+    aliases: ['Commercial Bank'],
+    required_fields: ['deed_number', 'notary_public'],
+    required_images: { building_interior: 2 },
+    extra_sections: ['ltv_summary', { key: 'bank_note', title: 'BANK NOTE', template: '<p>Ref {{ report.report_reference }}</p>' }],
+    forced_sale_percentage: '75.00',
+    ltv_percentage: '70.00',
+    ltv_basis: 'forced_sale_value'
+  };
+
+  const report = {
+    id: 5,
+    user_id: 'user-1',
+    report_reference: 'VAL001/2026/020',
+    client_organization: 'commercial bank',
+    deed_number: '4521',
+    market_value: 20000000,
+    forced_sale_value: 15000000,
+    forced_sale_percentage: '75.00',
+    images: [{ category: 'building_interior', file_path: 'uploads/a.jpg', caption: 'Hall' }],
+    comparables: []
+  };
+
+  beforeEach(() => {
+    service = ClientProfileService;
+    pool.query.mockReset();
+  });
+
+  describe('Profiles', () => {
+    test('should reject unknown report fields and image categories', () => {
+      expect(() => service.normalizeProfile({ organization_name: 'HNB', required_fields: ['loan_officer'] }))
+        .toThrow('Unknown report field: loan_officer');
+      expect(() => service.normalizeProfile({ organization_name: 'HNB', required_images: { drone: 2 } }))
+        .toThrow('Unknown image category: drone');
+    });
+
+    test('should tidy aliases and default the LTV basis', () => {
+      const normalized = service.normalizeProfile({ organization_name: ' HNB ', aliases: ['Hatton National Bank', ' '] });
+
+      expect(normalized.organization_name).toBe('HNB');
+      expect(normalized.aliases).toEqual(['Hatton National Bank']);
+      expect(normalized.ltv_basis).toBe('forced_sale_value');
+      expect(normalized.forced_sale_percentage).toBeNull();
+    });
+
+    test('should not look up a profile for reports without a client organization', async () => {
+      const found = await service.findForReport({ user_id: 'user-1', client_organization: '  ' });
+
+      expect(found).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Report Checks', () => {
+    test('should require the bank fields and photographs', () => {
+      const { errors } = service.validateReport(report, profile);
+
+      expect(errors).toContain('Commercial Bank of Ceylon PLC: Notary Public is required');
+      expect(errors).toContain('Commercial Bank of Ceylon PLC: at least 2 building interior photograph(s) required (1 uploaded)');
+      expect(errors.some(error => error.includes('Deed'))).toBe(false);
+    });
+
+    test('should require the bank forced sale percentage', () => {
+      const { errors } = service.validateReport({ ...report, forced_sale_percentage: '80.00' }, profile);
+
+      expect(errors).toContain('Commercial Bank of Ceylon PLC: forced sale value must be 75% of market value (report uses 80%)');
+    });
+
+    test('should calculate the maximum advance on the lending basis', () => {
+      expect(service.calculateLTV(report, profile).maximum_advance).toBe(10500000);
+      expect(service.calculateLTV(report, { ...profile, ltv_basis: 'market_value' }).maximum_advance).toBe(14000000);
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should print the extra sections ahead of the certification', () => {
+      const html = pdfService.generateReportHTML(report, { full_name: 'A. Perera' }, { clientProfile: profile });
+
+      expect(html).toContain('LOAN TO VALUE SUMMARY');
+      expect(html).toContain('Rs. 10,500,000/=');
+      expect(html).toContain('<p>Ref VAL001/2026/020</p>');
+      expect(html.indexOf('LOAN TO VALUE SUMMARY')).toBeLessThan(html.indexOf('13.0'));
+    });
+
+    test('should leave reports without a profile unchanged', () => {
+      const html = pdfService.generateReportHTML(report, { full_name: 'A. Perera' });
+
+      expect(html).not.toContain('LOAN TO VALUE SUMMARY');
+    });
+  });
+});
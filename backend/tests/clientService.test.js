@@ -0,0 +1,140 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const pool = require('../config/database');
+const clientService = require('../services/clientService');
+const reportsService = require('../services/reportsService');
+
+describe('ClientService Address Book Tests', () => {
+  const client = {
+    id: 4,
+    user_id: 'user-1',
+    organization_name: 'Bank of Ceylon',
+    address: 'No 1, Bank of Ceylon Mawatha, Colombo 01',
+    branches: [
+      { id: 7, client_id: 4, branch_name: 'Kandy Branch', address: 'No 12, Dalada Veediya, Kandy' },
+      { id: 8, client_id: 4, branch_name: 'Matale Branch', address: 'No 3, King Street, Matale' }
+    ],
+    contacts: [
+      { id: 11, client_id: 4, branch_id: 7, full_name: 'Mr. S. Jayasinghe', designation: 'Branch Manager' },
+      { id: 12, client_id: 4, branch_id: null, full_name: 'Mrs. R. Fernando', designation: 'Chief Credit Officer' }
+    ]
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Preamble', () => {
+    test('should fill the preamble from a contact person at a branch', () => {
+      expect(clientService.getPreamble(client, client.branches[0], client.contacts[0])).toEqual({
+        instruction_source: 'Mr. S. Jayasinghe',
+        client_designation: 'Branch Manager',
+        client_organization: 'Bank of Ceylon',
+        client_address: 'Kandy Branch, No 12, Dalada Veediya, Kandy'
+      });
+    });
+
+    test('should use the head office address without a branch', () => {
+      const preamble = clientService.getPreamble(client, null, client.contacts[1]);
+
+      expect(preamble.client_address).toBe('No 1, Bank of Ceylon Mawatha, Colombo 01');
+      expect(preamble.client_designation).toBe('Chief Credit Officer');
+    });
+  });
+
+  describe('Autocomplete', () => {
+    test('should suggest each contact person and each branch without one', () => {
+      const suggestions = clientService.buildSuggestions([client], 'ceylon');
+
+      expect(suggestions.map(s => s.label)).toEqual([
+        'Mr. S. Jayasinghe – Bank of Ceylon – Kandy Branch',
+        'Mrs. R. Fernando – Bank of Ceylon',
+        'Bank of Ceylon – Matale Branch'
+      ]);
+      expect(suggestions[0]).toMatchObject({ client_id: 4, client_branch_id: 7, client_contact_id: 11 });
+    });
+
+    test('should only suggest the entries a branch or contact search matched', () => {
+      const suggestions = clientService.buildSuggestions([client], 'matale');
+
+      expect(suggestions).toHaveLength(1);
+      expect(suggestions[0].preamble.client_address).toBe('Matale Branch, No 3, King Street, Matale');
+    });
+
+    test('should suggest a client with no branches or contacts on its own', () => {
+      const suggestions = clientService.buildSuggestions([{ id: 5, organization_name: 'Seylan Bank PLC', branches: [], contacts: [] }]);
+
+      expect(suggestions).toEqual([expect.objectContaining({ client_id: 5, label: 'Seylan Bank PLC' })]);
+    });
+  });
+
+  describe('Report Links', () => {
+    test('should reject a branch of another client', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [client] });
+
+      await expect(clientService.resolveLink('user-1', { client_id: 4, client_branch_id: 99 }))
+        .rejects.toThrow('Branch does not belong to this client');
+    });
+
+    test('should reject clients outside the valuer\'s address book', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(clientService.resolveLink('user-2', { client_id: 4 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should keep preamble fields typed on the form over the address book', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [client] });
+      const link = await clientService.resolveLink('user-1', { client_id: 4, client_branch_id: 7, client_contact_id: 11 });
+
+      const details = reportsService.getClientDetails(link, { client_designation: ' Senior Manager ', client_address: '' });
+
+      expect(details).toMatchObject({
+        client_id: 4,
+        client_branch_id: 7,
+        client_contact_id: 11,
+        instruction_source: 'Mr. S. Jayasinghe',
+        client_designation: 'Senior Manager',
+        client_address: 'Kandy Branch, No 12, Dalada Veediya, Kandy'
+      });
+    });
+
+    test('should reuse a client already in the address book when saving a preamble', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [client] });
+
+      const link = await clientService.addFromPreamble('user-1', {
+        client_organization: 'bank of ceylon',
+        instruction_source: 'Mrs. R. Fernando'
+      });
+
+      expect(link.client.id).toBe(4);
+      expect(link.contact.id).toBe(12);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require the organization name and blank empty fields', () => {
+      expect(() => clientService.normalizeEntry({ organization_name: ' ' }, ['organization_name'], 'organization_name', 'Organization name'))
+        .toThrow('Organization name is required');
+
+      const entry = clientService.normalizeEntry(
+        { full_name: ' Mr. A. Silva ', email: '', branch_id: '7' },
+        ['full_name', 'email', 'branch_id'],
+        'full_name',
+        'Contact name'
+      );
+      expect(entry).toEqual({ full_name: 'Mr. A. Silva', email: null, branch_id: 7 });
+    });
+
+    test('should report a duplicate organization as a validation error', async () => {
+      pool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(clientService.createClient('user-1', { organization_name: 'Bank of Ceylon' }))
+        .rejects.toThrow('A client with this organization name already exists');
+    });
+  });
+});
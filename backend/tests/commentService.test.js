@@ -0,0 +1,97 @@
+const CommentService = require('../services/commentService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('CommentService Review Comment Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = CommentService;
+    jest.clearAllMocks();
+  });
+
+  describe('Anchors', () => {
+    test('should accept a section, a section field or a section anchor', () => {
+      expect(() => service.validateAnchor('valuation')).not.toThrow();
+      expect(() => service.validateAnchor('legal_details', 'lot_number')).not.toThrow();
+      expect(() => service.validateAnchor('valuation', 'valuation_table')).not.toThrow();
+    });
+
+    test('should reject unknown sections and fields from other sections', () => {
+      expect(() => service.validateAnchor('appendix')).toThrow('Invalid section: appendix');
+      expect(() => service.validateAnchor('legal_details', 'valuation_table')).toThrow('valuation_table is not part of');
+    });
+  });
+
+  describe('Threads', () => {
+    const rows = [
+      { id: 1, parent_id: null, section: 'legal_details', is_resolved: false },
+      { id: 2, parent_id: null, section: 'valuation', is_resolved: true },
+      { id: 3, parent_id: 1, section: 'legal_details', is_resolved: false },
+      { id: 4, parent_id: null, section: 'legal_details', is_resolved: true }
+    ];
+
+    test('should nest replies under the first comment of their thread', () => {
+      const threads = service.buildThreads(rows);
+
+      expect(threads.map(thread => thread.id)).toEqual([1, 2, 4]);
+      expect(threads[0].replies.map(reply => reply.id)).toEqual([3]);
+      expect(threads[1].replies).toEqual([]);
+    });
+
+    test('should count threads per section for the badges', () => {
+      const summary = service.summarise(service.buildThreads(rows));
+
+      expect(summary).toEqual({
+        legal_details: { total: 2, unresolved: 1 },
+        valuation: { total: 1, unresolved: 0 }
+      });
+    });
+  });
+
+  describe('Resolution', () => {
+    test('should count unresolved threads', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ unresolved: '3' }] });
+
+      await expect(service.countUnresolved(7)).resolves.toBe(3);
+      expect(pool.query.mock.calls[0][0]).toContain('parent_id IS NULL');
+    });
+
+    test('should not resolve a reply on its own', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 3, parent_id: 1 }] });
+
+      await expect(service.setResolved(7, 3, true)).rejects.toThrow('Replies belong to a thread');
+    });
+
+    test('should reply on the anchor of the thread', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, parent_id: null, section: 'legal_details', field: 'lot_number' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+      await service.addComment(7, { parent_id: 1, body: ' Agreed ', user_id: 'someone-else' }, 'u1');
+
+      expect(pool.query.mock.calls[2][1]).toEqual([7, 1, 'legal_details', 'lot_number', 'Agreed', 'u1']);
+    });
+
+    test('should let only the thread author or a reviewer resolve it', async () => {
+      const thread = { id: 1, parent_id: null, user_id: 'reviewer-1' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [thread] })
+        .mockResolvedValueOnce({ rows: [{ can_review: false }] });
+
+      await expect(service.setResolved(7, 1, true, 'author-1')).rejects.toMatchObject({ statusCode: 403 });
+
+      pool.query
+        .mockResolvedValueOnce({ rows: [thread] })
+        .mockResolvedValueOnce({ rows: [{ ...thread, is_resolved: true, resolved_by: 'reviewer-1' }] });
+
+      const resolved = await service.setResolved(7, 1, true, 'reviewer-1');
+      expect(resolved.resolved_by).toBe('reviewer-1');
+    });
+  });
+});
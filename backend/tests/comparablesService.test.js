@@ -0,0 +1,138 @@
+const ComparablesService = require('../services/comparablesService');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  // Run transactions on the mocked query
+  withTransaction: jest.fn(callback => callback({ query: require('../config/database').query }))
+}));
+
+const pool = require('../config/database');
+
+describe('ComparablesService Evidence of Value Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = ComparablesService;
+    jest.clearAllMocks();
+  });
+
+  describe('Rate Calculations', () => {
+    test('should derive rate per perch from price and extent', () => {
+      expect(service.calculateRatePerPerch(5000000, 20)).toBe(250000);
+      expect(service.calculateRatePerPerch(1000000, 0)).toBeNull();
+    });
+
+    test('should apply percentage adjustments to the rate', () => {
+      expect(service.calculateAdjustedRate(200000, 10)).toBe(220000);
+      expect(service.calculateAdjustedRate(200000, -15)).toBe(170000);
+      expect(service.calculateAdjustedRate('250000.00')).toBe(250000);
+      expect(service.calculateAdjustedRate(null, 10)).toBeNull();
+    });
+
+    test('should compute the adjusted range from selected comparables only', () => {
+      const comparables = [
+        { rate_per_perch: '200000.00', adjustment_percentage: '10.00', adjusted_rate: '220000.00', is_selected: true },
+        { rate_per_perch: '300000.00', adjustment_percentage: '-20.00', adjusted_rate: null, is_selected: true },
+        { rate_per_perch: '500000.00', adjustment_percentage: '0.00', adjusted_rate: '500000.00', is_selected: false }
+      ];
+
+      const range = service.calculateRateRange(comparables);
+
+      expect(range.min_rate).toBe(220000);
+      expect(range.max_rate).toBe(240000);
+      expect(range.average_rate).toBe(230000);
+      expect(range.count).toBe(2);
+    });
+
+    test('should return an empty range when nothing is selected', () => {
+      expect(service.calculateRateRange([])).toEqual({
+        min_rate: null,
+        max_rate: null,
+        average_rate: null,
+        count: 0
+      });
+    });
+  });
+
+  describe('Rate Range Persistence', () => {
+    test('should write min and max rate back to the report', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, rate_per_perch: '180000.00', adjusted_rate: '198000.00', is_selected: true },
+            { id: 2, rate_per_perch: '210000.00', adjusted_rate: '210000.00', is_selected: true }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 7, min_rate: null, max_rate: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, min_rate: '198000.00', max_rate: '210000.00' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 4 }] });
+
+      const range = await service.applyRateRange(7, { userId: 'user-1' });
+
+      expect(range.min_rate).toBe(198000);
+      expect(range.max_rate).toBe(210000);
+      expect(pool.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(pool.query.mock.calls[2]).toEqual([
+        expect.stringContaining('UPDATE valuation_reports SET min_rate'),
+        [198000, 210000, 7]
+      ]);
+      // Logged as a revision of Section 10
+      const revision = pool.query.mock.calls[3][1];
+      expect(revision.slice(1, 3)).toEqual(['calculation', 'evidence']);
+      expect(revision[4]).toBe('user-1');
+    });
+
+    test('should not touch the report when no comparables are selected', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const range = await service.applyRateRange(7);
+
+      expect(range.count).toBe(0);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Report Evidence', () => {
+    test('should not link a comparable from another valuer\'s register', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(service.addComparable(7, 'user-1', { comparable_id: 42 })).resolves.toBeNull();
+      expect(pool.query.mock.calls[0][1]).toEqual([42, 'user-1']);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report a missing report as not found', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(service.findNearbyComparables(7)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should reject a search around a report without coordinates', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ user_id: 'user-1', latitude: null, longitude: null }] });
+
+      await expect(service.findNearbyComparables(7)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Report does not have coordinates'
+      });
+    });
+
+    test('should re-derive the adjusted rate of every report linked to an edited entry', async () => {
+      const existing = { id: 42, price: '30000000', extent_perches: '20', rate_per_perch: '1500000', adjustment_percentage: '10' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ report_id: 9, adjustment_percentage: '-5' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...existing, price: '24000000' }] });
+
+      await service.updateComparable(7, 42, { price: 24000000 });
+
+      expect(pool.withTransaction).toHaveBeenCalledTimes(1);
+      expect(pool.query.mock.calls[1][1]).toEqual([24000000, 1200000, 42]);
+      expect(pool.query.mock.calls[3][1]).toEqual([1140000, 9, 42]);
+      expect(pool.query.mock.calls[4][1]).toEqual([1320000, 7, 42]);
+    });
+  });
+});
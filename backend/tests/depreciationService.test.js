@@ -0,0 +1,162 @@
+const DepreciationService = require('../services/depreciationService');
+const valuationService = require('../services/valuationService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  // Run transactions on the mocked query
+  withTransaction: jest.fn(callback => callback({ query: require('../config/database').query }))
+}));
+
+jest.mock('../services/valuationService', () => ({
+  getValuationUpdates: jest.fn(),
+  saveValuation: jest.fn(),
+  getValuationFields: jest.fn(() => ['building_value', 'market_value'])
+}));
+
+describe('DepreciationService Model Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = DepreciationService;
+    jest.clearAllMocks();
+  });
+
+  describe('Economic Life', () => {
+    test('should match the building type keyword', () => {
+      expect(service.getEconomicLife('Two storey residential house')).toBe(60);
+      expect(service.getEconomicLife('Industrial warehouse')).toBe(40);
+      expect(service.getEconomicLife('Commercial')).toBe(50);
+    });
+
+    test('should fall back to the default life', () => {
+      expect(service.getEconomicLife('Temple')).toBe(60);
+      expect(service.getEconomicLife(null)).toBe(60);
+    });
+  });
+
+  describe('Depreciation Models', () => {
+    test('should calculate straight-line depreciation', () => {
+      const result = service.calculate({ model: 'straight_line', building_age: 15, building_type: 'residential' });
+
+      expect(result.economic_life).toBe(60);
+      expect(result.remaining_life).toBe(45);
+      expect(result.depreciation_rate).toBe(25);
+      expect(result.working.length).toBeGreaterThan(1);
+    });
+
+    test('should write down to the residual over the life with reducing balance', () => {
+      const atEndOfLife = service.calculate({ model: 'reducing_balance', building_age: 40, economic_life: 40 });
+      const midLife = service.calculate({ model: 'reducing_balance', building_age: 10, economic_life: 40 });
+
+      expect(atEndOfLife.depreciation_rate).toBeCloseTo(90, 1);
+      expect(midLife.annual_rate).toBeCloseTo(5.59, 2);
+      expect(midLife.depreciation_rate).toBeCloseTo(43.77, 1);
+    });
+
+    test('should adjust straight-line depreciation for condition', () => {
+      const good = service.calculate({ model: 'condition_adjusted', building_age: 20, condition_grade: 'good', economic_life: 50 });
+      const poor = service.calculate({ model: 'condition_adjusted', building_age: 20, condition_grade: 'Poor', economic_life: 50 });
+
+      expect(good.depreciation_rate).toBe(34);
+      expect(poor.depreciation_rate).toBe(50);
+      expect(poor.condition_factor).toBe(1.25);
+    });
+
+    test('should adjust for very good condition', () => {
+      const result = service.calculate({ model: 'condition_adjusted', building_age: 20, condition_grade: 'Very Good', economic_life: 50 });
+
+      expect(result.condition_factor).toBe(0.8);
+      expect(result.depreciation_rate).toBe(32);
+    });
+
+    test('should adjust for dilapidated condition', () => {
+      const result = service.calculate({ model: 'condition_adjusted', building_age: 20, condition_grade: 'dilapidated', economic_life: 50 });
+
+      expect(result.condition_factor).toBe(1.5);
+      expect(result.depreciation_rate).toBe(60);
+    });
+
+    test('should cap depreciation at the minimum residual value', () => {
+      const result = service.calculate({ model: 'straight_line', building_age: 80, economic_life: 40 });
+
+      expect(result.depreciation_rate).toBe(90);
+      expect(result.remaining_life).toBe(0);
+      expect(result.working[result.working.length - 1]).toContain('Limited to 90%');
+    });
+
+    test('should require building age and a known model', () => {
+      expect(() => service.calculate({ model: 'straight_line' }))
+        .toThrow('Building age is required to calculate depreciation');
+      expect(() => service.calculate({ model: 'sum_of_digits', building_age: 10 }))
+        .toThrow('Unknown depreciation model: sum_of_digits');
+    });
+
+    test('should require a whole-year economic life', () => {
+      expect(() => service.calculate({ building_age: 10, economic_life: 45.5 }))
+        .toThrow('Economic life must be a whole number of years');
+      expect(service.calculate({ building_age: 10, economic_life: '40' }).economic_life).toBe(40);
+    });
+  });
+
+  describe('Applying to a Report', () => {
+    const report = {
+      id: 3,
+      status: 'in_progress',
+      building_age: 20,
+      condition_grade: 'good',
+      building_type: 'Residential house',
+      depreciation_model: null,
+      economic_life: 50
+    };
+
+    test('should recalculate the valuation in the same revision', async () => {
+      const before = { ...report, valuation_method: 'contractor_method', depreciation_rate: null, building_value: '8000000.00' };
+      const after = { ...before, depreciation_rate: '40.00', depreciation_model: 'straight_line', building_value: '6000000.00' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [report] })
+        .mockResolvedValueOnce({ rows: [before] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 6 }] });
+      valuationService.getValuationUpdates.mockResolvedValue({
+        breakdown: { market_value: 9000000 },
+        updates: { building_value: 6000000, market_value: 9000000 }
+      });
+      valuationService.saveValuation.mockResolvedValue(after);
+
+      const result = await service.getReportDepreciation(3, { model: 'straight_line', apply: true, userId: 'user-1' });
+
+      expect(result.applied).toBe(true);
+      expect(result.report.building_value).toBe('6000000.00');
+      expect(pool.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(valuationService.getValuationUpdates).toHaveBeenCalledWith(before, { depreciation_rate: 40 });
+      expect(valuationService.saveValuation.mock.calls[0][2]).toMatchObject({
+        building_value: 6000000,
+        depreciation_rate: 40,
+        depreciation_model: 'straight_line',
+        economic_life: 50
+      });
+
+      expect(pool.query).toHaveBeenCalledTimes(3);
+      const values = pool.query.mock.calls[2][1];
+      expect(values.slice(1, 3)).toEqual(['calculation', 'valuation']);
+      expect(JSON.parse(values[3]).map(change => change.field))
+        .toEqual(['depreciation_rate', 'depreciation_model', 'building_value']);
+    });
+
+    test('should leave an investment valuation\'s figures alone', async () => {
+      const before = { ...report, report_type: 'investment', valuation_method: 'investment_method' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [report] })
+        .mockResolvedValueOnce({ rows: [before] })
+        .mockResolvedValueOnce({ rows: [{ ...before, depreciation_rate: '40.00' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 7 }] });
+
+      const result = await service.getReportDepreciation(3, { model: 'straight_line', apply: true });
+
+      expect(result.breakdown).toBeNull();
+      expect(valuationService.getValuationUpdates).not.toHaveBeenCalled();
+      expect(pool.query.mock.calls[2][0]).toContain('SET depreciation_rate = $1');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DOCXService = require('../services/docxService');
+
+describe('DOCXService Word Export Tests', () => {
+  let service;
+
+  const report = {
+    id: 7,
+    report_reference: 'VAL001/2026/004',
+    lot_number: '15',
+    plan_number: '1234',
+    market_value: 12500000,
+    images: [],
+    comparables: []
+  };
+  const userProfile = { full_name: 'A. Perera', ivsl_registration: 'IVSL/123' };
+
+  beforeEach(() => {
+    service = DOCXService;
+  });
+
+  describe('Images', () => {
+    test('should inline images from disk and drop missing ones', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docx-'));
+      const imagePath = path.join(dir, 'land.png');
+      fs.writeFileSync(imagePath, Buffer.from('89504e47', 'hex'));
+
+      const html = await service.embedImages(
+        `<img src="${imagePath}" alt="Land" /><img src="uploads/reports/missing.jpg" alt="Missing" />`
+      );
+
+      expect(html).toContain('src="data:image/png;base64,iVBORw=="');
+      expect(html).toContain('alt="Land"');
+      expect(html).not.toContain('Missing');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('Documents', () => {
+    test('should produce a Word document from the report HTML', async () => {
+      const docx = await service.generateDOCX(report, userProfile, { isDraft: false });
+
+      // DOCX files are ZIP packages
+      expect(docx.subarray(0, 2).toString()).toBe('PK');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const pool = require('../config/database');
+const feeService = require('../services/feeService');
+
+describe('FeeService Fee Scale Tests', () => {
+  const scale = {
+    id: 3,
+    user_id: 'user-1',
+    client_id: null,
+    name: 'Standard scale',
+    currency: 'LKR',
+    bands: [
+      { up_to: 1000000, rate: 1 },
+      { up_to: 5000000, rate: 0.5 },
+      { up_to: null, rate: 0.25 }
+    ],
+    minimum_fee: '7500.00',
+    travel_rate_per_km: '50.00',
+    travel_free_km: '10.00',
+    travel_round_trip: true,
+    office_latitude: null,
+    office_longitude: null,
+    extras: [{ label: 'Certified copy of survey plan', amount: 1500 }],
+    tax_percentage: '18.00',
+    payment_terms_days: 30
+  };
+
+  const report = {
+    id: 21,
+    user_id: 'user-1',
+    report_reference: 'VAL/2026/021',
+    market_value: '10000000.00',
+    latitude: 7.2906,
+    longitude: 80.6337
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  describe('Professional Fee', () => {
+    test('should charge each slice of the market value at its band rate', () => {
+      // 1% of the first 1M, 0.5% of the next 4M and 0.25% of the remaining 5M
+      expect(feeService.calculateProfessionalFee(10000000, scale)).toBe(42500);
+    });
+
+    test('should not charge less than the minimum fee', () => {
+      expect(feeService.calculateProfessionalFee(500000, scale)).toBe(7500);
+    });
+  });
+
+  describe('Travel', () => {
+    test('should use the route distance when the scale has no office location', () => {
+      expect(feeService.getTravelDistance(report, scale, '40.5')).toBe(40.5);
+    });
+
+    test('should measure from the office when the scale gives its coordinates', () => {
+      const distance = feeService.getTravelDistance(report, {
+        ...scale,
+        office_latitude: '6.92710000',
+        office_longitude: '79.86120000'
+      }, 40);
+
+      // Colombo Fort to Kandy in a straight line
+      expect(distance).toBeGreaterThan(90);
+      expect(distance).toBeLessThan(100);
+    });
+
+    test('should leave out travel within the free distance', () => {
+      const fee = feeService.calculateFee(report, scale, { routeDistanceKm: 8 });
+
+      expect(fee.line_items.map(item => item.type)).toEqual(['professional', 'extra']);
+    });
+  });
+
+  describe('Fee Calculation', () => {
+    test('should add travel both ways, extras and tax', () => {
+      const fee = feeService.calculateFee(report, scale, { routeDistanceKm: 40 });
+
+      expect(fee.line_items).toEqual([
+        expect.objectContaining({ type: 'professional', amount: 42500 }),
+        expect.objectContaining({ type: 'travel', amount: 3000, description: 'Travelling: 30 km each way at LKR 50 per km' }),
+        { type: 'extra', description: 'Certified copy of survey plan', amount: 1500 }
+      ]);
+      expect(fee).toMatchObject({
+        currency: 'LKR',
+        market_value: 10000000,
+        distance_km: 40,
+        subtotal: 47000,
+        tax_percentage: 18,
+        tax_amount: 8460,
+        total: 55460
+      });
+    });
+
+    test('should charge one way when the scale is not round trip', () => {
+      const fee = feeService.calculateFee(report, { ...scale, travel_round_trip: false }, { routeDistanceKm: 40 });
+
+      expect(fee.line_items[1].amount).toBe(1500);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should tidy a posted scale', () => {
+      const normalized = feeService.normalizeScale({
+        name: '  Bank panel scale ',
+        client_id: '4',
+        currency: 'lkr',
+        bands: [{ up_to: '1000000', rate: '1' }, { up_to: '', rate: '0.5' }],
+        travel_rate_per_km: '40'
+      });
+
+      expect(normalized).toMatchObject({
+        client_id: 4,
+        name: 'Bank panel scale',
+        currency: 'LKR',
+        bands: [{ up_to: 1000000, rate: 1 }, { up_to: null, rate: 0.5 }],
+        travel_rate_per_km: 40,
+        travel_round_trip: true,
+        extras: [],
+        payment_terms_days: 30
+      });
+    });
+
+    test('should reject band limits that do not rise', () => {
+      expect(() => feeService.normalizeScale({
+        name: 'Scale',
+        bands: [{ up_to: 5000000, rate: 1 }, { up_to: 1000000, rate: 0.5 }, { up_to: null, rate: 0.25 }]
+      })).toThrow('Band limits must be given and rise from one band to the next');
+    });
+
+    test('should reject an office location with only one coordinate', () => {
+      expect(() => feeService.normalizeScale({
+        name: 'Scale',
+        bands: [{ rate: 1 }],
+        office_latitude: 6.9
+      })).toThrow('Give both the office latitude and longitude, or neither');
+    });
+
+    test('should reject a client outside the address book', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(feeService.createScale('user-1', { name: 'Scale', client_id: 99, bands: [{ rate: 1 }] }))
+        .rejects.toThrow('Client not found in your address book');
+    });
+  });
+});
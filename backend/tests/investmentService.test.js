@@ -0,0 +1,115 @@
+const InvestmentService = require('../services/investmentService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  // Run transactions on the mocked query
+  withTransaction: jest.fn(callback => callback({ query: require('../config/database').query }))
+}));
+
+describe('InvestmentService Income Capitalisation Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = InvestmentService;
+    jest.clearAllMocks();
+  });
+
+  describe('Valuation Table Factors', () => {
+    test('should match published single-rate YP values', () => {
+      expect(service.yearsPurchaseSingleRate(10, 10)).toBe(6.1446);
+      expect(service.yearsPurchaseSingleRate(8)).toBe(12.5);
+    });
+
+    test('should match published PV values', () => {
+      expect(service.presentValue(10, 5)).toBe(0.6209);
+    });
+
+    test('should calculate dual-rate YP with and without tax', () => {
+      expect(service.yearsPurchaseDualRate(10, 3, 20)).toBe(7.2878);
+      expect(service.yearsPurchaseDualRate(10, 3, 20, 40)).toBeLessThan(7.2878);
+    });
+
+    test('should reject a zero yield', () => {
+      expect(() => service.yearsPurchaseSingleRate(0, 10)).toThrow('Yield rate must be greater than zero');
+    });
+  });
+
+  describe('Capitalisation', () => {
+    test('should capitalise a freehold rack rent in perpetuity', () => {
+      const result = service.calculate({
+        interest_type: 'freehold',
+        gross_monthly_rent: 100000,
+        outgoings_percentage: 20,
+        yield_rate: 8
+      });
+
+      expect(result.gross_annual_rent).toBe(1200000);
+      expect(result.net_income).toBe(960000);
+      expect(result.capital_value).toBe(12000000);
+      expect(result.rows[result.rows.length - 1]).toEqual({ label: 'Capital value', amount: 12000000, total: true });
+    });
+
+    test('should value a freehold term and reversion', () => {
+      const result = service.calculate({
+        gross_annual_rent: 1000000,
+        yield_rate: 10,
+        term_years: 5,
+        reversion_annual_rent: 1500000
+      });
+
+      // Term: 1,000,000 x 3.7908; reversion: 1,500,000 x 10 x 0.6209
+      expect(result.capital_value).toBeCloseTo(3790800 + 9313500, 0);
+    });
+
+    test('should value a leasehold profit rent at dual rate', () => {
+      const result = service.calculate({
+        interest_type: 'leasehold',
+        gross_annual_rent: 600000,
+        ground_rent: 100000,
+        yield_rate: 10,
+        sinking_fund_rate: 3,
+        unexpired_term_years: 20
+      });
+
+      expect(result.capital_value).toBeCloseTo(500000 * 7.2878, 0);
+      expect(result.rows.find(row => row.label === 'Profit rent').amount).toBe(500000);
+    });
+
+    test('should require the unexpired term for leaseholds', () => {
+      expect(() => service.calculate({ interest_type: 'leasehold', gross_annual_rent: 1, yield_rate: 10 }))
+        .toThrow('Unexpired term is required for a leasehold interest');
+    });
+  });
+
+  describe('Report Integration', () => {
+    test('should save the inputs and values as one revision under the report lock', async () => {
+      const before = { id: 4, status: 'in_progress', forced_sale_percentage: '80.00', market_value: null };
+      const after = { ...before, market_value: '12000000.00', forced_sale_value: '9600000.00' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [before] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [before] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ report_id: 4, gross_monthly_rent: '100000.00', yield_rate: '8.00' }] })
+        .mockResolvedValueOnce({ rows: [after] })
+        .mockResolvedValueOnce({ rows: [{ ...after, forced_sale_value_words: 'Nine Million Six Hundred Thousand' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 2 }] });
+
+      const result = await service.saveAndCalculate(4, { gross_monthly_rent: 100000, yield_rate: 8 }, { userId: 'user-1' });
+
+      expect(result.report.market_value).toBe('12000000.00');
+      expect(pool.withTransaction).toHaveBeenCalledTimes(1);
+      expect(pool.query.mock.calls[2][0]).toContain('FOR UPDATE');
+
+      const [sql, values] = pool.query.mock.calls[7];
+      expect(sql).toContain('INSERT INTO report_revisions');
+      expect(values.slice(1, 3)).toEqual(['calculation', 'investment']);
+      expect(JSON.parse(values[3]).map(change => change.field)).toEqual([
+        'gross_monthly_rent', 'yield_rate', 'market_value', 'forced_sale_value', 'forced_sale_value_words'
+      ]);
+      expect(values[4]).toBe('user-1');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  withTransaction: jest.fn()
+}));
+
+const pool = require('../config/database');
+const feeService = require('../services/feeService');
+const invoiceService = require('../services/invoiceService');
+
+describe('InvoiceService Invoice Tests', () => {
+  const scale = {
+    id: 3,
+    currency: 'LKR',
+    bands: [{ up_to: null, rate: 0.5 }],
+    minimum_fee: 0,
+    travel_rate_per_km: 50,
+    travel_free_km: 0,
+    travel_round_trip: true,
+    extras: [],
+    tax_percentage: 0,
+    payment_terms_days: 14
+  };
+
+  const report = {
+    id: 21,
+    user_id: 'user-1',
+    client_id: 4,
+    report_reference: 'VAL/2026/021',
+    market_value: '20000000.00',
+    instruction_source: 'Mr. S. Jayasinghe',
+    client_designation: 'Branch Manager',
+    client_organization: 'Bank of Ceylon',
+    client_address: 'Kandy Branch, No 12, Dalada Veediya, Kandy'
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.withTransaction.mockReset();
+    // Run transactions on the mocked query
+    pool.withTransaction.mockImplementation(callback => callback({ query: pool.query }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Raising Invoices', () => {
+    test('should keep the invoice already raised for the report', async () => {
+      const existing = { id: 9, report_id: 21, invoice_number: 'INV/2026/001' };
+      pool.query.mockResolvedValueOnce({ rows: [existing] });
+      const findSpy = jest.spyOn(feeService, 'findForReport');
+
+      await expect(invoiceService.createForReport(report)).resolves.toBe(existing);
+      expect(findSpy).not.toHaveBeenCalled();
+    });
+
+    test('should not invoice without a fee scale', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      jest.spyOn(feeService, 'findForReport').mockResolvedValue(null);
+
+      await expect(invoiceService.createForReport(report)).resolves.toBeNull();
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should bill the client named in the preamble on the next invoice number', async () => {
+      jest.spyOn(feeService, 'findForReport').mockResolvedValue(scale);
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ route_distance_km: '12.00' }] })
+        .mockResolvedValueOnce({ rows: [{}] })
+        .mockResolvedValueOnce({ rows: [{ last_number: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, invoice_number: 'INV/2026/005' }] });
+
+      const invoice = await invoiceService.createForReport(report);
+
+      expect(invoice.id).toBe(10);
+      expect(pool.query.mock.calls[2][0]).toContain('pg_advisory_xact_lock');
+      expect(pool.query.mock.calls[2][1]).toEqual(['invoices:user-1']);
+      const [sql, values] = pool.query.mock.calls[4];
+      expect(sql).toContain('ON CONFLICT (report_id) DO NOTHING');
+      expect(values[4]).toBe(`INV/${new Date().getFullYear()}/005`);
+      expect(values.slice(7, 10)).toEqual([
+        'Bank of Ceylon',
+        'Mr. S. Jayasinghe, Branch Manager',
+        'Kandy Branch, No 12, Dalada Veediya, Kandy'
+      ]);
+      // 0.5% of 20M plus 12 km each way at LKR 50
+      expect(values[17]).toBe(101200);
+      expect(values[18]).toBe('VAL/2026/021');
+
+      const dueDays = Math.round((values[6] - values[5]) / (24 * 60 * 60 * 1000));
+      expect(dueDays).toBe(14);
+    });
+  });
+
+  describe('Invoice Numbers', () => {
+    test('should continue from the highest number issued this year', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ last_number: 12 }] });
+
+      await expect(invoiceService.generateInvoiceNumber('user-1', new Date('2026-10-19')))
+        .resolves.toBe('INV/2026/013');
+      expect(pool.query.mock.calls[0][0]).toContain('MAX(');
+      expect(pool.query.mock.calls[0][1]).toEqual(['user-1', 'INV/2026/%']);
+    });
+
+    test('should start the year at 001', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ last_number: null }] });
+
+      await expect(invoiceService.generateInvoiceNumber('user-1', new Date('2027-01-02')))
+        .resolves.toBe('INV/2027/001');
+    });
+  });
+
+  describe('Payment Status', () => {
+    test('should reject an unknown status', async () => {
+      await expect(invoiceService.updateStatus('user-1', 10, { status: 'void' }))
+        .rejects.toThrow('Invoice status must be one of: unpaid, paid');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should record the payment date and reference when paid', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 10, invoice_number: 'INV/2026/005', status: 'paid' }] });
+
+      await invoiceService.updateStatus('user-1', 10, {
+        status: 'paid',
+        paid_at: '2026-10-15',
+        payment_reference: 'Cheque 004512'
+      });
+
+      const values = pool.query.mock.calls[0][1];
+      expect(values[0]).toBe('paid');
+      expect(values[1]).toEqual(new Date('2026-10-15'));
+      expect(values[2]).toBe('Cheque 004512');
+    });
+
+    test('should clear the payment when marked unpaid again', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 10, invoice_number: 'INV/2026/005', status: 'unpaid' }] });
+
+      await invoiceService.updateStatus('user-1', 10, { status: 'unpaid', payment_reference: 'Cheque 004512' });
+
+      expect(pool.query.mock.calls[0][1].slice(0, 3)).toEqual(['unpaid', null, null]);
+    });
+  });
+
+  describe('Income Analytics', () => {
+    test('should convert the income totals to numbers', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          invoice_count: '3',
+          unpaid_count: '1',
+          total_invoiced: '150000.00',
+          total_received: '100000.00',
+          outstanding: '50000.00',
+          overdue: '0',
+          invoiced_this_month: '50000.00',
+          received_this_month: '0'
+        }]
+      });
+
+      await expect(invoiceService.getIncomeSummary('user-1')).resolves.toEqual({
+        invoice_count: 3,
+        unpaid_count: 1,
+        total_invoiced: 150000,
+        total_received: 100000,
+        outstanding: 50000,
+        overdue: 0,
+        invoiced_this_month: 50000,
+        received_this_month: 0
+      });
+    });
+
+    test('should show no income when the totals cannot be read', async () => {
+      pool.query.mockRejectedValueOnce(new Error('relation "invoices" does not exist'));
+
+      const summary = await invoiceService.getIncomeSummary('user-1');
+
+      expect(summary.total_invoiced).toBe(0);
+      expect(summary.invoice_count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const LandExtentService = require('../services/landExtentService');
+
+describe('LandExtentService Conversion Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = LandExtentService;
+  });
+
+  describe('Conversion', () => {
+    test('should format the canonical A-R-P string with hectares', () => {
+      expect(service.formatExtent(52.5)).toBe('0A-1R-12.5P (0.1328 Ha)');
+      expect(service.formatExtent(255)).toBe('1A-2R-15P (0.6450 Ha)');
+    });
+
+    test('should convert perches to every unit', () => {
+      const extent = service.fromPerches(160);
+
+      expect(extent.acres).toBe(1);
+      expect(extent.hectares).toBe(0.4047);
+      expect(extent.square_feet).toBe(43560);
+      expect(extent.square_metres).toBeCloseTo(4046.86, 2);
+    });
+  });
+
+  describe('Parsing', () => {
+    test('should parse A-R-P strings and ignore the bracketed hectares', () => {
+      expect(service.parseExtent('0A-1R-12.5P (0.1328 Ha)')).toBe(52.5);
+      expect(service.parseExtent('1 A 2 R 10 P')).toBe(250);
+    });
+
+    test('should parse single units and bare numbers as perches', () => {
+      expect(service.parseExtent('35.5 perches')).toBe(35.5);
+      expect(service.parseExtent('18')).toBe(18);
+      expect(service.parseExtent('10000 sq ft')).toBeCloseTo(36.73, 2);
+      expect(service.parseExtent('0.4047 ha')).toBeCloseTo(160, 0);
+    });
+
+    test('should return null for unreadable text', () => {
+      expect(service.parseExtent('about a quarter acre')).toBeNull();
+    });
+  });
+
+  describe('Reports', () => {
+    test('should fill every unit from hectares', () => {
+      expect(service.normalise({ hectares: 0.1328, extent_unit: 'hectares', acres: 3 })).toEqual({
+        acres: 0,
+        roods: 1,
+        perches: 12.5,
+        hectares: 0.1328,
+        land_extent: '0A-1R-12.5P (0.1328 Ha)'
+      });
+    });
+
+    test('should prefer A-R-P when no unit is named', () => {
+      const extent = service.normalise({ acres: 1, roods: 0, perches: 0, hectares: 9 });
+
+      expect(extent.hectares).toBe(0.4047);
+      expect(extent.land_extent).toBe('1A-0R-0P (0.4047 Ha)');
+    });
+
+    test('should read land_extent text when no unit has a value', () => {
+      const extent = service.normalise({ acres: 0, roods: 0, perches: 0, hectares: null, land_extent: '20 perches' });
+
+      expect(extent.perches).toBe(20);
+      expect(extent.land_extent).toBe('0A-0R-20P (0.0506 Ha)');
+    });
+
+    test('should keep the stored parts of a partial A-R-P entry', () => {
+      const extent = service.normalise({ perches: 10 }, { acres: 1, roods: 2, perches: '5.00' });
+
+      expect(extent).toMatchObject({ acres: 1, roods: 2, perches: 10 });
+      expect(extent.land_extent).toBe('1A-2R-10P (0.6323 Ha)');
+    });
+
+    test('should not mix stored A-R-P into another unit', () => {
+      const extent = service.normalise({ hectares: 0.1328 }, { acres: 1, roods: 2, perches: 5 });
+
+      expect(extent).toMatchObject({ acres: 0, roods: 1, perches: 12.5 });
+    });
+
+    test('should leave data without an extent alone', () => {
+      expect(service.normalise({ lot_number: '15', acres: 0 })).toEqual({});
+    });
+
+    test('should flag stored values that disagree', () => {
+      const result = service.reconcile({
+        acres: 0, roods: 1, perches: '12.50', hectares: '0.2000', land_extent: '20 perches'
+      });
+
+      expect(result.consistent).toBe(false);
+      expect(result.issues.map(issue => issue.field)).toEqual(['hectares', 'land_extent']);
+    });
+
+    test('should accept consistent values', () => {
+      const result = service.reconcile({
+        acres: 0, roods: 1, perches: '12.50', hectares: '0.1328', land_extent: '0A-1R-12.5P (0.1328 Ha)'
+      });
+
+      expect(result.consistent).toBe(true);
+      expect(result.extent).toBe('0A-1R-12.5P (0.1328 Ha)');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const pool = require('../config/database');
+const LayoutService = require('../services/layoutService');
+const pdfService = require('../services/pdfService');
+
+describe('LayoutService Report Layout Tests', () => {
+  let service;
+
+  const report = {
+    id: 3,
+    report_reference: 'VAL001/2026/010',
+    report_date: '2026-10-01',
+    lot_number: '15',
+    plan_number: '1234',
+    district: 'Kandy',
+    village_name: 'Peradeniya',
+    market_value: 12500000,
+    images: [],
+    comparables: []
+  };
+  const userProfile = { full_name: 'A. Perera', ivsl_registration: 'IVSL/123' };
+
+  beforeEach(() => {
+    service = LayoutService;
+    pool.query.mockReset();
+  });
+
+  describe('Registry', () => {
+    test('should default to the standard layout with every built-in section in order', () => {
+      const layout = service.getDefaultLayout();
+
+      expect(layout.key).toBe('standard');
+      expect(layout.version).toBe(1);
+      expect(layout.sections).toEqual(service.getBuiltinSections());
+    });
+
+    test('should have a PDF renderer for every built-in section', () => {
+      const renderers = pdfService.getBuiltinSections(report, userProfile);
+
+      expect(Object.keys(renderers).sort()).toEqual([...service.getBuiltinSections()].sort());
+    });
+
+    test('should only look up the valuer\'s own or shared layouts', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await service.getReportLayout({ ...report, user_id: 'user-2', layout_key: 'bank_short', layout_version: 1 });
+
+      const [sql, values] = pool.query.mock.calls[0];
+      expect(sql).toContain('user_id IS NULL OR user_id = $4');
+      expect(values).toEqual(['report_layout', 'bank_short', 1, 'user-2']);
+    });
+
+    test('should fall back to the default layout when a report layout is missing', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const layout = await service.getReportLayout({ ...report, layout_key: 'retired', layout_version: 2 });
+
+      expect(layout.key).toBe('standard');
+    });
+  });
+
+  describe('Templates', () => {
+    test('should escape values unless rendered raw', () => {
+      const context = { report: { note: '<b>Bank</b>' } };
+
+      expect(service.render('{{ report.note }}', context)).toBe('&lt;b&gt;Bank&lt;/b&gt;');
+      expect(service.render('{{{ report.note }}}', context)).toBe('<b>Bank</b>');
+    });
+
+    test('should apply default, prefix and supplied filters', () => {
+      const context = { report: { district: 'Kandy', amount: 1500 } };
+      const filters = { double: value => value * 2 };
+
+      expect(service.render("{{ report.lot_number | default:'[LOT]' }}", context)).toBe('[LOT]');
+      expect(service.render("{{ report.district | prefix:', ' }}{{ report.city | prefix:', ' }}", context)).toBe(', Kandy');
+      expect(service.render('{{ report.amount | double }}', context, { filters })).toBe('3000');
+      expect(() => service.render('{{ report.amount | unknown }}', context)).toThrow('Unknown template filter');
+    });
+
+    test('should strip script from raw values', () => {
+      const context = { report: { note: '<b onmouseover="steal()">Bank</b><script>fetch("http://10.0.0.1")</script>' } };
+
+      expect(service.render('{{{ report.note }}}', context)).toBe('<b>Bank</b>');
+    });
+
+    test('should place built-in sections by key', () => {
+      const html = service.render('<div>{{{ section:preamble }}}</div>', {}, {
+        sections: { preamble: () => '<p>Preamble</p>' }
+      });
+
+      expect(html).toBe('<div><p>Preamble</p></div>');
+    });
+  });
+
+  describe('Saving Layouts', () => {
+    const layout = {
+      key: 'bank_short',
+      name: 'Bank short form',
+      header: 'builtin',
+      sections: ['preamble', 'valuation', 'certification']
+    };
+
+    test('should reject unknown sections', () => {
+      expect(() => service.validateLayout({ ...layout, sections: ['preamble', 'appendix'] }))
+        .toThrow('Unknown section: appendix');
+    });
+
+    test('should not replace a built-in layout', async () => {
+      await expect(service.saveLayout({ ...layout, key: 'standard' })).rejects.toThrow('built-in layout');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should strip script, event handlers and external URLs before saving', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ version: 1 }] });
+
+      const saved = await service.saveLayout({
+        ...layout,
+        header: '<div onload="x()">Firm<img src="http://169.254.169.254/latest"><img src="{{ report.photo }}"></div><script>fetch("/")</script>',
+        css: '@import url(https://example.com/a.css); .logo { background: url(//example.com/logo.png); } </style><script>'
+      }, 'user-1');
+
+      expect(saved.header).toBe('<div>Firm<img><img></div>');
+      expect(saved.css).toBe(' .logo { background: none; } /style>script>');
+      expect(pool.query.mock.calls[0][0]).toContain('user_id IS NOT DISTINCT FROM $4');
+    });
+
+    test('should save the next version of the layout', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ version: 3 }] });
+
+      const saved = await service.saveLayout(layout, 'user-1');
+
+      expect(saved.version).toBe(3);
+      expect(pool.query.mock.calls[0][1]).toEqual([
+        'bank_short',
+        'report_layout',
+        JSON.stringify({ name: 'Bank short form', header: 'builtin', sections: ['preamble', 'valuation', 'certification'] }),
+        'user-1'
+      ]);
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should render the letterhead layout with its header and summary of value', () => {
+      const html = pdfService.generateReportHTML(report, userProfile, { layout: service.getDiskLayout('letterhead') });
+
+      expect(html).toContain('A. Perera</div>');
+      expect(html).toContain('SUMMARY OF VALUE');
+      expect(html).toContain('Peradeniya, Kandy');
+      expect(html).toContain('.letterhead {');
+      expect(html.indexOf('SUMMARY OF VALUE')).toBeLessThan(html.indexOf('PREAMBLE'));
+    });
+  });
+});
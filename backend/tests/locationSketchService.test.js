@@ -0,0 +1,105 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const pool = require('../config/database');
+const locationSketchService = require('../services/locationSketchService');
+const annexureService = require('../services/annexureService');
+const pdfService = require('../services/pdfService');
+
+describe('LocationSketchService Offline Map Tests', () => {
+  const subject = { latitude: 7.2906, longitude: 80.6337 };
+
+  const towns = [
+    { name: 'Kandy', latitude: 7.2955, longitude: 80.6356, distance_km: 0.6 },
+    { name: 'Matale', latitude: 7.4675, longitude: 80.6234, distance_km: 19.7 }
+  ];
+
+  const pois = [
+    { name: 'Kandy Railway Station', category: 'transport', latitude: 7.2890, longitude: 80.6300, distance_km: 0.4 },
+    { name: 'Temple of the Tooth & Museum', category: 'religious', latitude: 7.2936, longitude: 80.6413, distance_km: 0.9 }
+  ];
+
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  describe('Data', () => {
+    test('should take the nearest facility per category before the next nearest', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { category: 'recreation', facility_name: 'Lake Park', distance_km: '0.20', latitude: '7.29', longitude: '80.63' },
+          { category: 'recreation', facility_name: 'City Gym', distance_km: '0.30', latitude: '7.29', longitude: '80.63' },
+          { category: 'medical', facility_name: 'Kandy General Hospital', distance_km: '0.70', latitude: '7.28', longitude: '80.62' },
+          { category: 'lodging', facility_name: 'Queens Hotel', distance_km: '0.75', latitude: '7.29', longitude: '80.63' }
+        ]
+      });
+
+      const picked = await locationSketchService.getKeyPOIs(5);
+
+      expect(picked.map(poi => poi.name)).toEqual(['Kandy General Hospital', 'Lake Park', 'City Gym']);
+      expect(picked[0].distance_km).toBe(0.7);
+    });
+
+    test('should not draw a sketch without GPS coordinates', async () => {
+      const sketch = await locationSketchService.generateForReport({ id: 5 });
+
+      expect(sketch).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should draw the subject, facilities, north arrow and scale bar', () => {
+      const svg = locationSketchService.renderSVG({ subject, towns, pois });
+
+      expect(svg).toContain('Subject property');
+      expect(svg).toContain('Temple of the Tooth &amp; Museum (0.9 km)');
+      expect(svg).toContain('>N</text>');
+      expect(svg).toMatch(/>\d+ (m|km)<\/text>/);
+    });
+
+    test('should point to towns outside the frame', () => {
+      const svg = locationSketchService.renderSVG({ subject, towns, pois });
+
+      expect(svg).toContain('Matale 19.7 km');
+      expect(svg).toContain('>Kandy</text>');
+    });
+
+    test('should not use a map tile service', () => {
+      const svg = locationSketchService.renderSVG({ subject, towns, pois });
+
+      expect(svg).not.toMatch(/https?:\/\/(?!www\.w3\.org)/);
+    });
+  });
+
+  describe('Documents', () => {
+    const report = { id: 5, report_reference: 'VAL001/2026/040', images: [], comparables: [] };
+    const locationSketch = locationSketchService.toDataUri(locationSketchService.renderSVG({ subject, towns, pois }));
+
+    test('should print the sketch when no location map was uploaded', () => {
+      const html = pdfService.generateReportHTML(report, { full_name: 'A. Perera' }, { locationSketch });
+
+      expect(html).toContain(`<img src="${locationSketch}" alt="Location Sketch" />`);
+      expect(html).toContain('ANNEXURE A – Location Sketch');
+    });
+
+    test('should prefer uploaded location maps', () => {
+      const withMap = { ...report, images: [{ category: 'location_maps', file_path: 'uploads/map.jpg', caption: 'Map' }] };
+      const annexures = annexureService.buildAnnexures(withMap, null, locationSketch);
+
+      expect(annexures[0].images).toEqual([withMap.images[0]]);
+    });
+
+    test('should keep the Maps API key out of the route annexure', () => {
+      const html = pdfService.generateReportHTML(report, { full_name: 'A. Perera' }, {
+        locationContext: {
+          nearest_major_city: 'Kandy',
+          route_instructions: 'Head south on Peradeniya Rd. Turn left onto Temple Rd.',
+          hybrid_image_url: 'https://maps.googleapis.com/maps/api/staticmap?key=SECRET'
+        }
+      });
+
+      expect(html).toContain('ANNEXURE A – Access Route Map');
+      expect(html).not.toContain('SECRET');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const forge = require('node-forge');
+const { PDFDocument, PDFName, PDFNumber } = require('pdf-lib');
+const pdfArchiveService = require('../services/pdfArchiveService');
+const pdfService = require('../services/pdfService');
+
+// Self-signed PKCS#12 file for a valuer
+const createP12 = (keys, passphrase) => {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(Date.now() - 86400000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 86400000);
+  const attrs = [{ name: 'commonName', value: 'A. Perera' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+};
+
+describe('PDFArchiveService PDF/A Output Tests', () => {
+  const metadata = {
+    title: 'VALUATION REPORT – VAL001/2026/070',
+    subject: 'Lot 3, Plan No 1234, Gannoruwa',
+    reference: 'VAL001/2026/070',
+    valuer: 'A. Perera & Co',
+    valuationDate: '2026-09-14',
+    language: 'en'
+  };
+
+  // A rendered report with a link hidden from print and a script action
+  const renderedPDF = async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([595, 842]);
+    page.drawText('Valuation report', { x: 50, y: 800 });
+
+    const link = pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [50, 790, 200, 810],
+      F: 2,
+      A: { S: 'JavaScript', JS: pdfDoc.context.obj([]) }
+    });
+    page.node.set(PDFName.of('Annots'), pdfDoc.context.obj([pdfDoc.context.register(link)]));
+
+    return Buffer.from(await pdfDoc.save());
+  };
+
+  const readMetadata = pdfDoc => Buffer.from(pdfDoc.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+
+  test('should declare PDF/A-2b with the report details in XMP', async () => {
+    const pdfDoc = await PDFDocument.load(await pdfArchiveService.convert(await renderedPDF(), metadata), { updateMetadata: false });
+    const xmp = readMetadata(pdfDoc);
+
+    expect(xmp).toContain('<pdfaid:part>2</pdfaid:part>');
+    expect(xmp).toContain('<pdfaid:conformance>B</pdfaid:conformance>');
+    expect(xmp).toContain('<dc:identifier>VAL001/2026/070</dc:identifier>');
+    expect(xmp).toContain('<rdf:li>A. Perera &amp; Co</rdf:li>');
+    expect(xmp).toContain('<rdf:li>2026-09-14</rdf:li>');
+  });
+
+  test('should keep the information dictionary in step with the XMP', async () => {
+    const pdfDoc = await PDFDocument.load(await pdfArchiveService.convert(await renderedPDF(), metadata), { updateMetadata: false });
+    const xmp = readMetadata(pdfDoc);
+    const created = xmp.match(/<xmp:CreateDate>(.+)<\/xmp:CreateDate>/)[1];
+
+    expect(pdfDoc.getTitle()).toBe(metadata.title);
+    expect(pdfDoc.getAuthor()).toBe(metadata.valuer);
+    expect(pdfDoc.getProducer()).toBe(xmp.match(/<pdf:Producer>(.+)<\/pdf:Producer>/)[1]);
+    expect(pdfDoc.getCreationDate().toISOString().replace('.000Z', 'Z')).toBe(created);
+  });
+
+  test('should embed the sRGB output intent and a document ID', async () => {
+    const pdfDoc = await PDFDocument.load(await pdfArchiveService.convert(await renderedPDF(), metadata));
+
+    const intent = pdfDoc.catalog.lookup(PDFName.of('OutputIntents')).lookup(0);
+    expect(intent.lookup(PDFName.of('S'))).toBe(PDFName.of('GTS_PDFA1'));
+    expect(intent.lookup(PDFName.of('DestOutputProfile')).dict.lookup(PDFName.of('N'))).toEqual(PDFNumber.of(3));
+    expect(pdfDoc.context.trailerInfo.ID).toBeDefined();
+  });
+
+  test('should print every annotation and drop script actions', async () => {
+    const pdfDoc = await PDFDocument.load(await pdfArchiveService.convert(await renderedPDF(), metadata));
+    const link = pdfDoc.getPage(0).node.lookup(PDFName.of('Annots')).lookup(0);
+
+    expect(link.lookup(PDFName.of('F')).asNumber()).toBe(4);
+    expect(link.has(PDFName.of('A'))).toBe(false);
+  });
+
+  test('should keep the archive metadata when the copy is signed', async () => {
+    const keys = forge.pki.rsa.generateKeyPair(1024);
+    const archived = await pdfArchiveService.convert(await renderedPDF(), metadata);
+
+    const signed = await pdfService.signPDF(archived, { p12: createP12(keys, 'secret'), passphrase: 'secret' }, {
+      full_name: 'A. Perera',
+      ivsl_registration: 'IVSL/123'
+    });
+    const pdfDoc = await PDFDocument.load(signed, { updateMetadata: false });
+
+    expect(pdfDoc.getProducer()).toBe('pdf-lib');
+    expect(readMetadata(pdfDoc)).toContain('<pdfaid:part>2</pdfaid:part>');
+    // The signature box uses embedded fonts, not the standard 14
+    expect(signed.includes('/BaseFont /Times-Roman')).toBe(false);
+    expect(signed.includes('/FontFile2')).toBe(true);
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../services/monitoringService', () => ({ trackPDFGeneration: jest.fn() }));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = path.join(os.tmpdir(), `pdf-jobs-test-${process.pid}`);
+process.env.PDF_STORAGE_DIR = storageDir;
+
+const pool = require('../config/database');
+const monitoringService = require('../services/monitoringService');
+const pdfJobService = require('../services/pdfJobService');
+const reportsService = require('../services/reportsService');
+const revisionService = require('../services/revisionService');
+
+describe('PDFJobService Background Rendering Tests', () => {
+  const report = { id: 5, report_reference: 'VAL001/2026/050', status: 'approved', language: 'en', images: [] };
+  const pdf = Buffer.from('%PDF-1.4 test report');
+  const checksum = crypto.createHash('sha256').update(pdf).digest('hex');
+
+  // Answer each query by the first pattern its SQL contains
+  const respond = handlers => pool.query.mockImplementation(sql => {
+    const match = handlers.find(([pattern]) => sql.includes(pattern));
+    return Promise.resolve({ rows: match ? match[1] : [] });
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    monitoringService.trackPDFGeneration.mockReset();
+    jest.spyOn(revisionService, 'getLatestRevisionNumber').mockResolvedValue(4);
+    jest.spyOn(pdfJobService, 'enqueue').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  describe('Requests', () => {
+    test('should queue a render of a version not stored yet', async () => {
+      respond([['INSERT INTO report_pdf_jobs', [{ id: 3, status: 'queued' }]]]);
+
+      const job = await pdfJobService.requestPDF(report, { userId: 'user-1' });
+
+      expect(job.status).toBe('queued');
+      expect(pdfJobService.enqueue).toHaveBeenCalledWith(3);
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO report_pdf_jobs'));
+      expect(insert[1].slice(0, 3)).toEqual([5, 4, 'en']);
+    });
+
+    test('should render each set of print options separately', async () => {
+      respond([['INSERT INTO report_pdf_jobs', [{ id: 6, status: 'queued' }]]]);
+
+      await pdfJobService.requestPDF(report, { render: { toc: true, layout: 'ignored' } });
+
+      const lookup = pool.query.mock.calls.find(([sql]) => sql.includes('FROM report_pdf_files'));
+      expect(JSON.parse(lookup[1][4])).toEqual({ running_header: true, toc: true, distinct_first_page: true, pdfa: false });
+    });
+
+    test('should return the job already rendering the same version', async () => {
+      respond([["status IN ('queued', 'processing')", [{ id: 2, status: 'processing' }]]]);
+
+      const job = await pdfJobService.requestPDF(report);
+
+      expect(job.id).toBe(2);
+      expect(pdfJobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('should complete straight away from a stored file', async () => {
+      fs.mkdirSync(path.join(storageDir, '5'), { recursive: true });
+      fs.writeFileSync(path.join(storageDir, '5', 'stored.pdf'), pdf);
+      respond([
+        ['FROM report_pdf_files', [{ id: 9, file_path: path.join('5', 'stored.pdf'), checksum }]],
+        ['INSERT INTO report_pdf_jobs', [{ id: 4, status: 'completed', file_id: 9 }]]
+      ]);
+
+      const job = await pdfJobService.requestPDF(report);
+
+      expect(job.status).toBe('completed');
+      expect(pdfJobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('should not serve a stored file that fails its checksum', async () => {
+      fs.mkdirSync(path.join(storageDir, '5'), { recursive: true });
+      fs.writeFileSync(path.join(storageDir, '5', 'tampered.pdf'), Buffer.from('%PDF-1.4 edited'));
+
+      const data = await pdfJobService.readFile({ id: 10, file_path: path.join('5', 'tampered.pdf'), checksum });
+
+      expect(data).toBeNull();
+    });
+  });
+
+  describe('Processing', () => {
+    test('should store the rendered file with its checksum and record the job', async () => {
+      jest.spyOn(reportsService, 'getReport').mockResolvedValue(report);
+      jest.spyOn(reportsService, 'generateReportPDF').mockResolvedValue(pdf);
+      respond([
+        ["SET status = 'processing'", [{ id: 3, report_id: 5, language: 'en', user_id: 'user-1' }]],
+        ['INSERT INTO report_pdf_files', [{ id: 11 }]],
+        ["SET status = 'completed'", [{ id: 3, status: 'completed', file_id: 11 }]]
+      ]);
+
+      const job = await pdfJobService.runJob(3);
+
+      expect(job.status).toBe('completed');
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO report_pdf_files'));
+      const [reportId, version, language, , filePath, storedChecksum, size] = insert[1];
+      expect([reportId, version, language]).toEqual([5, 4, 'en']);
+      expect(storedChecksum).toBe(checksum);
+      expect(size).toBe(pdf.length);
+      expect(fs.readFileSync(path.join(storageDir, filePath))).toEqual(pdf);
+      expect(monitoringService.trackPDFGeneration).toHaveBeenCalledWith(5, 'user-1', expect.any(Number), true);
+    });
+
+    test('should mark failed renders and record the error', async () => {
+      jest.spyOn(reportsService, 'getReport').mockResolvedValue(report);
+      jest.spyOn(reportsService, 'generateReportPDF').mockRejectedValue(new Error('Failed to generate PDF'));
+      respond([
+        ["SET status = 'processing'", [{ id: 3, report_id: 5, language: 'en', user_id: 'user-1' }]],
+        ["SET status = 'failed'", [{ id: 3, status: 'failed', error: 'Failed to generate PDF' }]]
+      ]);
+
+      const job = await pdfJobService.runJob(3);
+
+      expect(job.status).toBe('failed');
+      expect(monitoringService.trackPDFGeneration)
+        .toHaveBeenCalledWith(5, 'user-1', expect.any(Number), false, expect.any(Error));
+    });
+
+    test('should skip jobs another worker already claimed', async () => {
+      respond([]);
+      const generate = jest.spyOn(reportsService, 'generateReportPDF');
+
+      expect(await pdfJobService.runJob(3)).toBeNull();
+      expect(generate).not.toHaveBeenCalled();
+    });
+  });
+});
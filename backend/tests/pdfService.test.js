@@ -0,0 +1,306 @@
+const forge = require('node-forge');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const pdfService = require('../services/pdfService');
+const browserPoolService = require('../services/browserPoolService');
+
+// Self-signed PKCS#12 file for a valuer
+const createP12 = (keys, passphrase) => {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(Date.now() - 86400000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 86400000);
+  const attrs = [{ name: 'commonName', value: 'A. Perera' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+};
+
+describe('PDFService Pagination Tests', () => {
+  const report = {
+    id: 5,
+    report_reference: 'VAL001/2026/060',
+    lot_number: '3',
+    plan_number: '1234',
+    village_name: 'Gannoruwa & Peradeniya',
+    images: [],
+    comparables: []
+  };
+  const profile = { full_name: 'A. Perera' };
+
+  // A PDF whose named destinations point at the given page indexes
+  const renderedPDF = async (pageCount, destinations = {}) => {
+    const pdfDoc = await PDFDocument.create();
+    const pages = Array.from({ length: pageCount }, (value, index) => {
+      const page = pdfDoc.addPage([595, 842]);
+      page.drawText(`Page ${index + 1}`, { x: 50, y: 50 });
+      return page;
+    });
+
+    const dests = {};
+    Object.entries(destinations).forEach(([name, index]) => {
+      dests[name] = [pages[index].ref, PDFName.of('XYZ'), 0, 842, 0];
+    });
+    pdfDoc.catalog.set(PDFName.of('Dests'), pdfDoc.context.obj(dests));
+
+    return Buffer.from(await pdfDoc.save());
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Options', () => {
+    test('should fill in defaults and drop unknown options', () => {
+      expect(pdfService.getRenderOptions({ toc: true, layout: 'other' })).toEqual({
+        running_header: true,
+        toc: true,
+        distinct_first_page: true,
+        pdfa: false
+      });
+    });
+  });
+
+  describe('Table of Contents', () => {
+    test('should only print contents when asked', () => {
+      const html = pdfService.generateReportHTML(report, profile);
+
+      expect(html).not.toContain('TABLE OF CONTENTS');
+      expect(html).not.toContain('id="contents-');
+    });
+
+    test('should list the sections and the annexures with their pages', () => {
+      const withPlan = { ...report, images: [{ category: 'survey_plan', file_path: 'uploads/plan.jpg', caption: 'Plan' }] };
+      const html = pdfService.generateReportHTML(withPlan, profile, {
+        render: { toc: true },
+        tocPages: { 'contents-1': 2, 'contents-14': 31 }
+      });
+
+      // Twelve sections (no buildings to describe), the index and annexure A
+      expect(html.match(/href="#contents-\d+"/g)).toHaveLength(14);
+      expect(html).toContain('<a href="#contents-1">1.0 PREAMBLE</a>');
+      expect(html).toContain('<div id="contents-1" class="section">');
+      expect(html).toContain('<td class="toc-page">2</td>');
+      expect(html).toContain('<a href="#contents-14">ANNEXURE A – Copy of Survey Plan</a>');
+      expect(html).toContain('<td class="toc-page">31</td>');
+    });
+
+    test('should read the page each destination starts on', async () => {
+      const pdf = await renderedPDF(4, { 'contents-1': 1, 'contents-2': 3 });
+
+      expect(await pdfService.getDestinationPages(pdf)).toEqual({ 'contents-1': 2, 'contents-2': 4 });
+    });
+  });
+
+  describe('Headers and Footers', () => {
+    test('should run the reference and property in the header', () => {
+      const header = pdfService.generateHeaderTemplate(report);
+
+      expect(header).toContain('VAL001/2026/060');
+      expect(header).toContain('Lot 3, Plan No 1234, Gannoruwa &amp; Peradeniya');
+    });
+
+    test('should number pages as Page X of Y except on the first page', () => {
+      const footer = pdfService.generateFooterTemplate();
+      const firstPage = pdfService.generateFooterTemplate({}, undefined, { pageNumbers: false });
+
+      expect(footer).toContain('Page <span class="pageNumber"></span> of <span class="totalPages"></span>');
+      expect(firstPage).not.toContain('pageNumber');
+    });
+
+    test('should swap in the first page and keep the page count', async () => {
+      const pdf = await renderedPDF(3);
+      const firstPage = await renderedPDF(1);
+
+      const merged = await PDFDocument.load(await pdfService.replaceFirstPage(pdf, firstPage));
+
+      expect(merged.getPageCount()).toBe(3);
+      expect(merged.getPage(0).node.Resources().lookup(PDFName.of('XObject'))).toBeDefined();
+    });
+  });
+
+  describe('Digital Signature', () => {
+    test('should reserve space for the signature under the certification', () => {
+      const html = pdfService.generateSection13Certification(report, profile, { signature: {} });
+
+      expect(html).toContain('<a href="#digital-signature" class="digital-signature-link">');
+      expect(html).toContain('<div id="digital-signature" class="digital-signature-space"></div>');
+    });
+
+    test('should sign in the reserved space, not on the last page', async () => {
+      const keys = forge.pki.rsa.generateKeyPair(1024);
+      // The certification on page 2 of 3, followed by an annexure
+      const pdf = await renderedPDF(3, { 'digital-signature': 1 });
+
+      const signed = await pdfService.signPDF(pdf, { p12: createP12(keys, 'secret'), passphrase: 'secret' }, profile);
+      const pages = (await PDFDocument.load(signed)).getPages();
+      const widget = pages[1].node.lookup(PDFName.of('Annots')).lookup(0);
+      const rect = widget.lookup(PDFName.of('Rect')).asArray().map(value => value.asNumber());
+
+      expect(pages[2].node.lookup(PDFName.of('Annots')).size()).toBe(0);
+      // The destination's top edge is the top of the box
+      expect(rect[3]).toBeCloseTo(842);
+    });
+  });
+
+  describe('Valuation Tables', () => {
+    const breakdown = {
+      comparison_method: {
+        rate: 600000,
+        rate_range: { min_rate: 550000, max_rate: 650000 },
+        extent_perches: 50,
+        land_value: 30000000,
+        improvements_value: 9600000,
+        total: 39600000
+      }
+    };
+
+    test('should print only the comparison breakdown when it is adopted', () => {
+      const t = pdfService.getTranslator(report);
+      const html = pdfService.generateContractorsMethodTable({
+        ...report,
+        valuation_method: 'comparison_method',
+        valuation_breakdown: JSON.stringify(breakdown),
+        land_rate: '500000.00'
+      }, t);
+
+      expect(html).toContain(t('comparison.title'));
+      expect(html).not.toContain(t('contractors.title'));
+      expect(html).toContain('30,000,000');
+    });
+
+    test('should print the contractor\'s breakdown when it is adopted', () => {
+      const t = pdfService.getTranslator(report);
+      const html = pdfService.generateContractorsMethodTable({
+        ...report,
+        valuation_method: 'contractor_method',
+        valuation_breakdown: JSON.stringify(breakdown)
+      }, t);
+
+      expect(html).toContain(t('contractors.title'));
+      expect(html).not.toContain(t('comparison.title'));
+    });
+
+    test('should write the values in words in the report language', () => {
+      const sinhala = {
+        ...report,
+        language: 'si',
+        market_value: '15500000.00',
+        market_value_words: 'Rupees Fifteen Million Five Hundred Thousand Only/=',
+        forced_sale_value: '12400000.00'
+      };
+      const html = pdfService.generateSection12Valuation(sinhala);
+
+      expect(html).toContain('රුපියල් එක්කෝටි පනස්පන්ලක්ෂය පමණි');
+      expect(html).not.toContain('Rupees');
+    });
+
+    test('should give layout templates words in the report language', () => {
+      const html = pdfService.renderLayoutPart(
+        '{{ report.market_value_words }} | {{ report.market_value | words }}',
+        null,
+        { ...report, language: 'si', market_value: '15500000.00', market_value_words: 'Rupees Fifteen Million Only/=' },
+        profile,
+        {}
+      );
+
+      expect(html).toBe('රුපියල් එක්කෝටි පනස්පන්ලක්ෂය පමණි | රුපියල් එක්කෝටි පනස්පන්ලක්ෂය පමණි');
+    });
+  });
+
+  describe('Rendering', () => {
+    const fakePage = renders => ({
+      setViewport: jest.fn(),
+      setContent: jest.fn(async html => renders.push({ html })),
+      pdf: jest.fn(async options => {
+        renders[renders.length - 1].options = options;
+        return options.pageRanges ? renderedPDF(1) : renderedPDF(3, { 'contents-1': 1 });
+      })
+    });
+
+    test('should render again with page numbers and a distinct first page', async () => {
+      const renders = [];
+      jest.spyOn(browserPoolService, 'run').mockImplementation(task => task(fakePage(renders)));
+
+      const pdf = await pdfService.generatePDF(report, profile, { isDraft: false, render: { toc: true } });
+
+      expect(renders).toHaveLength(3);
+      expect(renders[0].html).toContain('<td class="toc-page"></td>');
+      expect(renders[1].html).toContain('<td class="toc-page">2</td>');
+      expect(renders[1].options.headerTemplate).toContain('VAL001/2026/060');
+      expect(renders[2].options).toMatchObject({ pageRanges: '1', headerTemplate: '<div></div>' });
+      expect((await PDFDocument.load(pdf)).getPageCount()).toBe(3);
+    });
+
+    test('should render once without contents or a distinct first page', async () => {
+      const renders = [];
+      jest.spyOn(browserPoolService, 'run').mockImplementation(task => task(fakePage(renders)));
+
+      await pdfService.generatePDF(report, profile, {
+        isDraft: false,
+        render: { running_header: false, distinct_first_page: false }
+      });
+
+      expect(renders).toHaveLength(1);
+      expect(renders[0].options.headerTemplate).toBe('<div></div>');
+    });
+
+    test('should convert archival copies to PDF/A', async () => {
+      const renders = [];
+      jest.spyOn(browserPoolService, 'run').mockImplementation(task => task(fakePage(renders)));
+
+      const pdf = await pdfService.generatePDF({ ...report, valuation_date: '2026-09-14' }, profile, {
+        isDraft: false,
+        render: { pdfa: true }
+      });
+      const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+
+      expect(pdfDoc.getTitle()).toBe('VALUATION REPORT – VAL001/2026/060');
+      expect(pdfDoc.getAuthor()).toBe('A. Perera');
+      expect(pdfDoc.catalog.has(PDFName.of('OutputIntents'))).toBe(true);
+    });
+  });
+
+  describe('Invoices', () => {
+    const invoice = {
+      invoice_number: 'INV/2026/005',
+      invoice_date: '2026-10-19',
+      due_date: '2026-11-18',
+      report_reference: 'VAL001/2026/060',
+      bill_to_name: 'Hatton <National> Bank',
+      bill_to_attention: 'Mr. S. Jayasinghe, Branch Manager',
+      currency: 'LKR',
+      line_items: [{ type: 'professional', description: 'Professional fee', amount: 42500 }],
+      subtotal: '42500.00',
+      tax_percentage: '0.00',
+      tax_amount: '0.00',
+      total: '42500.00',
+      status: 'unpaid'
+    };
+
+    test('should escape the bill-to details and leave out tax when there is none', () => {
+      const html = pdfService.generateInvoiceHTML(invoice, profile);
+
+      expect(html).toContain('Hatton &lt;National&gt; Bank');
+      expect(html).toContain('INV/2026/005');
+      expect(html).toContain('42,500.00');
+      expect(html).not.toContain('Tax (');
+      expect(html).not.toContain('class="paid-stamp"');
+    });
+
+    test('should stamp paid invoices with the payment reference', () => {
+      const html = pdfService.generateInvoiceHTML({
+        ...invoice,
+        status: 'paid',
+        paid_at: '2026-10-25',
+        payment_reference: 'Cheque 004512'
+      }, profile);
+
+      expect(html).toContain('<div class="paid-stamp">PAID</div>');
+      expect(html).toContain('(Cheque 004512)');
+    });
+  });
+});
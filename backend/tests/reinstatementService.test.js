@@ -0,0 +1,113 @@
+const ReinstatementService = require('../services/reinstatementService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  // Run transactions on the mocked query
+  withTransaction: jest.fn(callback => callback({ query: require('../config/database').query }))
+}));
+
+describe('ReinstatementService Insurance Value Tests', () => {
+  let service;
+
+  const rate = (building_type, element, rate_per_sqft, extra = {}) => ({
+    user_id: null,
+    condition_grade: null,
+    building_type,
+    element,
+    rate_per_sqft: String(rate_per_sqft),
+    ...extra
+  });
+
+  const rates = [
+    rate('default', 'structure', 4000),
+    rate('default', 'roof', 1500),
+    rate('default', 'finishes', 2000),
+    rate('default', 'services', 1000),
+    rate('residential', 'structure', 4500),
+    rate('residential', 'roof', 1800),
+    rate('residential', 'finishes', 2500),
+    rate('residential', 'services', 1200),
+    rate('residential', 'finishes', 3200, { condition_grade: 'Excellent' }),
+    rate('residential', 'roof', 1900, { user_id: 'valuer-1' })
+  ];
+
+  beforeEach(() => {
+    service = ReinstatementService;
+    jest.clearAllMocks();
+  });
+
+  describe('Rate Resolution', () => {
+    test('should match a building type contained in the description', () => {
+      const resolved = service.resolveRates(rates, 'Two storey residential house', 'good');
+
+      expect(resolved.building_type).toBe('residential');
+      expect(resolved.rates.structure).toBe(4500);
+    });
+
+    test('should prefer user and condition-specific rates', () => {
+      const resolved = service.resolveRates(rates, 'Residential', 'excellent');
+
+      expect(resolved.rates.roof).toBe(1900);
+      expect(resolved.rates.finishes).toBe(3200);
+    });
+
+    test('should fall back per element when the user has rates for only some', () => {
+      const withHouse = [
+        ...rates,
+        rate('house', 'structure', 5000, { user_id: 'valuer-1' }),
+        rate('default', 'services', 1100, { user_id: 'valuer-1' })
+      ];
+      const resolved = service.resolveRates(withHouse, 'House', 'good');
+
+      expect(resolved.building_type).toBe('house');
+      expect(resolved.rates).toEqual({ structure: 5000, roof: 1500, finishes: 2000, services: 1100 });
+    });
+
+    test('should fall back to default rates for unknown types', () => {
+      const resolved = service.resolveRates(rates, 'Temple', null);
+
+      expect(resolved.building_type).toBe('default');
+      expect(resolved.rates.services).toBe(1000);
+    });
+  });
+
+  describe('User Rates', () => {
+    test('should save the rates and settings in one transaction', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await service.saveUserRates('valuer-1', {
+        rates: [{ building_type: 'house', element: 'structure', rate_per_sqft: 5000 }],
+        professional_fees_percentage: 8
+      });
+
+      expect(pool.withTransaction).toHaveBeenCalledTimes(1);
+      expect(pool.query.mock.calls[0][0]).toContain('INSERT INTO reinstatement_rates');
+      expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO reinstatement_settings');
+      pool.query.mockReset();
+    });
+  });
+
+  describe('Schedule Calculation', () => {
+    test('should add professional fees and debris removal to construction cost', () => {
+      const schedule = service.calculate({
+        floorArea: 1000,
+        rates: { structure: 4500, roof: 1800, finishes: 2500, services: 1200 },
+        professionalFeesPercentage: 10,
+        debrisRemovalPercentage: 5
+      });
+
+      expect(schedule.construction_cost).toBe(10000000);
+      expect(schedule.professional_fees).toBe(1000000);
+      expect(schedule.debris_removal).toBe(500000);
+      expect(schedule.insurance_value).toBe(11500000);
+      expect(schedule.elements).toHaveLength(4);
+    });
+
+    test('should require a floor area', () => {
+      expect(() => service.calculate({ floorArea: 0, rates: {} }))
+        .toThrow('Floor area is required to calculate reinstatement cost');
+    });
+  });
+});
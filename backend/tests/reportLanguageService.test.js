@@ -0,0 +1,75 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const reportLanguageService = require('../services/reportLanguageService');
+const pdfService = require('../services/pdfService');
+
+describe('ReportLanguageService Tests', () => {
+  const keys = (strings, prefix = '') => Object.entries(strings).flatMap(([key, value]) => (
+    value && typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  ));
+  const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+  const report = {
+    id: 1,
+    report_reference: 'VAL001/2026/030',
+    lot_number: '15',
+    plan_number: '1234',
+    market_value: 25000000,
+    images: [],
+    comparables: []
+  };
+
+  describe('Language Files', () => {
+    test.each(['si', 'ta'])('should translate every English key with the same placeholders (%s)', (code) => {
+      const english = reportLanguageService.translator('en');
+      const translated = reportLanguageService.translator(code);
+      const englishKeys = keys(reportLanguageService.languages.en).filter(key => key !== 'code' && key !== 'name');
+
+      expect(keys(reportLanguageService.languages[code]).sort()).toEqual(keys(reportLanguageService.languages.en).sort());
+      englishKeys.forEach(key => {
+        expect(placeholders(translated(key))).toEqual(placeholders(english(key)));
+      });
+    });
+
+    test('should fall back to English for unknown languages', () => {
+      const t = reportLanguageService.translator('fr');
+
+      expect(t.language).toBe('en');
+      expect(t('preamble.title')).toBe('1.0 PREAMBLE');
+      expect(t('title.dated', { date: '02/01/2020' })).toBe('dated 02/01/2020');
+    });
+
+    test('should only embed fonts for Sinhala and Tamil', () => {
+      expect(reportLanguageService.getFontFaceCSS('en')).toBe('');
+      expect(reportLanguageService.getFontFaceCSS('si')).toContain("font-family: 'Noto Serif Sinhala'");
+      expect(reportLanguageService.getFontFaceCSS('ta')).toContain('data:font/woff2;base64,');
+    });
+  });
+
+  describe('Rendering', () => {
+    test('should print Sinhala section titles with the embedded font', () => {
+      const html = pdfService.generateReportHTML({ ...report, language: 'si' }, { full_name: 'A. Perera' });
+
+      expect(html).toContain('<html lang="si">');
+      expect(html).toContain('තක්සේරු වාර්තාව');
+      expect(html).toContain('1.0 හැඳින්වීම');
+      expect(html).toContain("'Noto Serif Sinhala'");
+      expect(html).not.toContain('1.0 PREAMBLE');
+    });
+
+    test('should let options.language override the report language', () => {
+      const html = pdfService.generateReportHTML({ ...report, language: 'si' }, null, { language: 'ta' });
+
+      expect(html).toContain('13.0 சான்றுரைப்பும் பொறுப்புத் துறப்பும்');
+      expect(html).toContain('வரைவு');
+    });
+
+    test('should leave English reports without embedded fonts', () => {
+      const html = pdfService.generateReportHTML(report, null);
+
+      expect(html).toContain('1.0 PREAMBLE');
+      expect(html).toContain('<div class="draft-watermark">DRAFT</div>');
+      expect(html).not.toContain('@font-face');
+    });
+  });
+});
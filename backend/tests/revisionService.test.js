@@ -0,0 +1,126 @@
+const RevisionService = require('../services/revisionService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  // Run transactions on the mocked query
+  withTransaction: jest.fn(callback => callback({ query: require('../config/database').query }))
+}));
+
+describe('RevisionService History Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = RevisionService;
+    jest.clearAllMocks();
+  });
+
+  describe('Diffing', () => {
+    test('should treat DECIMAL strings as equal to their numbers', () => {
+      expect(service.isEqual('125000.00', 125000)).toBe(true);
+      expect(service.isEqual('0123', '123')).toBe(false);
+      expect(service.isEqual(null, '')).toBe(true);
+      expect(service.isEqual(['School'], ['School', 'Hospital'])).toBe(false);
+    });
+
+    test('should list only the changed fields with old and new values', () => {
+      const changes = service.diff(
+        { land_rate: '400000.00', lot_number: '15', inspection_date: new Date(2026, 2, 14) },
+        { land_rate: '450000.00', lot_number: '15', inspection_date: new Date(2026, 2, 14) },
+        ['land_rate', 'lot_number', 'inspection_date']
+      );
+
+      expect(changes).toEqual([{ field: 'land_rate', old_value: '400000.00', new_value: '450000.00' }]);
+    });
+
+    test('should log dates as YYYY-MM-DD', () => {
+      expect(service.toLogValue(new Date(2026, 2, 14))).toBe('2026-03-14');
+    });
+  });
+
+  describe('Revision Log', () => {
+    test('should change the report and record the revision under its lock', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, min_rate: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, min_rate: '198000.00' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 2 }] });
+      const edit = jest.fn(async (client) => (await client.query('UPDATE valuation_reports ...')).rows[0]);
+
+      const report = await service.updateReport(1, edit, ['min_rate'], { changeType: 'calculation', section: 'evidence' });
+
+      expect(report.min_rate).toBe('198000.00');
+      expect(pool.withTransaction).toHaveBeenCalledTimes(1);
+      expect(pool.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(edit).toHaveBeenCalledWith(expect.anything(), { id: 1, min_rate: null });
+      expect(JSON.parse(pool.query.mock.calls[2][1][3])).toEqual([
+        { field: 'min_rate', old_value: null, new_value: '198000.00' }
+      ]);
+    });
+
+    test('should not write a revision without changes', async () => {
+      const revision = await service.recordRevision(1, { changeType: 'section_update', changes: [] });
+
+      expect(revision).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown change types', async () => {
+      await expect(service.recordRevision(1, { changeType: 'edit', changes: [{ field: 'lot_number' }] }))
+        .rejects.toThrow('Invalid change type');
+    });
+  });
+
+  describe('Restore', () => {
+    test('should take the old value of the first later change of each field', () => {
+      const values = service.getRestoreValues([
+        { revision_number: 5, changes: [{ field: 'land_rate', old_value: '450000.00', new_value: '500000.00' }] },
+        { revision_number: 4, changes: [{ field: 'land_rate', old_value: '400000.00', new_value: '450000.00' }] },
+        { revision_number: 6, changes: [{ field: 'status', old_value: 'draft', new_value: 'in_progress' }] }
+      ]);
+
+      expect(values).toEqual({ land_rate: '400000.00' });
+    });
+
+    test('should restore changed fields and record the restore', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'in_progress', land_rate: '500000.00' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3 }] })
+        .mockResolvedValueOnce({ rows: [
+          { revision_number: 4, changes: [{ field: 'land_rate', old_value: '400000.00', new_value: '500000.00' }] }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'in_progress', land_rate: '400000.00' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 5, change_type: 'restore', restored_from: 3 }] });
+
+      const result = await service.restoreRevision(1, 3, 'user-1');
+
+      expect(result.report.land_rate).toBe('400000.00');
+      expect(result.revision.restored_from).toBe(3);
+      expect(pool.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(pool.query.mock.calls[3][1]).toEqual(['400000.00', 1]);
+    });
+
+    test('should diff against the report as locked', async () => {
+      // The field was already put back by a change saved before the lock
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, status: 'in_progress', land_rate: '400000.00' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3 }] })
+        .mockResolvedValueOnce({ rows: [
+          { revision_number: 4, changes: [{ field: 'land_rate', old_value: '400000.00', new_value: '500000.00' }] },
+          { revision_number: 5, changes: [{ field: 'land_rate', old_value: '500000.00', new_value: '400000.00' }] }
+        ] });
+
+      const result = await service.restoreRevision(1, 3, 'user-1');
+
+      expect(result.revision).toBeNull();
+      expect(result.report.land_rate).toBe('400000.00');
+      expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not restore a finalized report', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'finalized' }] });
+
+      await expect(service.restoreRevision(1, 3)).rejects.toThrow('Report is finalized and cannot be edited');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const SectionSchemaService = require('../services/sectionSchemaService');
+
+describe('SectionSchemaService Validation Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = SectionSchemaService;
+  });
+
+  describe('Schema', () => {
+    test('should list sections in form order with their fields', () => {
+      const schema = service.getSchema();
+
+      expect(schema[0].id).toBe('basic_info');
+      expect(schema.find(section => section.id === 'legal_details').fields.map(field => field.name))
+        .toEqual(expect.arrayContaining(['lot_number', 'plan_number', 'acres', 'hectares']));
+    });
+
+    test('should use the explicit field list for location context', () => {
+      expect(service.getSectionFields('location_context')).toEqual([
+        'district', 'province', 'nearest_town', 'distance_to_town', 'nearby_facilities_list', 'market_demand_analysis'
+      ]);
+    });
+
+    test('should report required fields with their section title', () => {
+      expect(service.getRequiredFields()).toContainEqual({ field: 'lot_number', section: 'Legal Description' });
+    });
+
+    test('should not store virtual fields', () => {
+      expect(service.isStored('square_metres')).toBe(false);
+      expect(service.isStored('lot_number')).toBe(true);
+      expect(service.isStored('not_a_field')).toBe(false);
+    });
+  });
+
+  describe('Coercion', () => {
+    test('should coerce numbers and clear empty strings', () => {
+      expect(service.coerceField('land_rate', '125000')).toBe(125000);
+      expect(service.coerceField('land_rate', '')).toBeNull();
+    });
+
+    test('should reject numbers outside their range', () => {
+      expect(() => service.coerceField('depreciation_rate', 120)).toThrow('at most');
+      expect(() => service.coerceField('roods', 1.5)).toThrow('whole number');
+    });
+
+    test('should normalise dates', () => {
+      expect(service.coerceField('inspection_date', '2026-03-14T00:00:00.000Z')).toBe('2026-03-14');
+      expect(() => service.coerceField('inspection_date', '14/03/2026')).toThrow('YYYY-MM-DD');
+    });
+
+    test('should check select options unless other values are allowed', () => {
+      expect(() => service.coerceField('condition_grade', 'superb')).toThrow('not an allowed value');
+      expect(() => service.coerceField('conveniences_list', ['Electricity', 'Lift'])).toThrow('"Lift"');
+      expect(service.coerceField('building_type', 'Boutique hotel')).toBe('Boutique hotel');
+    });
+
+    test('should split newline text into array items', () => {
+      expect(service.coerceField('nearby_facilities_list', 'School\n\nHospital ')).toEqual(['School', 'Hospital']);
+    });
+  });
+
+  describe('Section Data', () => {
+    test('should ignore fields of other sections', () => {
+      const values = service.validateSectionData('legal_details', { lot_number: '15', land_rate: '100000' });
+
+      expect(values).toEqual({ lot_number: '15' });
+    });
+
+    test('should ignore typed words for generated fields', () => {
+      const values = service.validateSectionData('valuation', {
+        market_value_words: 'One Rupee Only',
+        insurance_value_words: 'Two Rupees Only'
+      });
+
+      expect(values).toEqual({});
+    });
+
+    test('should list every invalid field', () => {
+      expect.assertions(2);
+      try {
+        service.validateSectionData('valuation', { land_rate: 'abc', depreciation_rate: -5 });
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details.errors.map(item => item.field)).toEqual(['land_rate', 'depreciation_rate']);
+      }
+    });
+
+    test('should reject an unknown section', () => {
+      expect(() => service.validateSectionData('nonsense', {})).toThrow('Invalid section');
+    });
+  });
+});
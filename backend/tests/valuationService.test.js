@@ -0,0 +1,104 @@
+const ValuationService = require('../services/valuationService');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('ValuationService Calculation Tests', () => {
+  let service;
+
+  const report = {
+    acres: 0,
+    roods: 1,
+    perches: 10,
+    land_rate: '500000.00',
+    floor_area: 1500,
+    building_rate: '8000.00',
+    depreciation_rate: '20.00',
+    additional_components: JSON.stringify([
+      { description: 'Boundary wall', value: 350000 },
+      { description: 'Well', value: 150000 }
+    ])
+  };
+
+  beforeEach(() => {
+    service = ValuationService;
+    jest.clearAllMocks();
+  });
+
+  describe('Inputs', () => {
+    test('should convert A-R-P extent to perches', () => {
+      expect(service.getExtentInPerches({ acres: 1, roods: 2, perches: 15 })).toBe(255);
+    });
+
+    test('should fall back to a numeric land extent', () => {
+      expect(service.getExtentInPerches({ land_extent: '25.5 Perches' })).toBe(25.5);
+      expect(service.getExtentInPerches({ land_extent: '18' })).toBe(18);
+      expect(service.getExtentInPerches({})).toBe(0);
+    });
+
+    test('should keep free-text additional components as unvalued', () => {
+      expect(service.parseAdditionalComponents('Boundary wall and gate')).toEqual([
+        { description: 'Boundary wall and gate', value: 0 }
+      ]);
+    });
+  });
+
+  describe('Contractor\'s Method', () => {
+    test('should add land, depreciated building and additional components', () => {
+      const result = service.calculateContractorsMethod(report);
+
+      expect(result.land.value).toBe(25000000); // 50 P @ 500,000
+      expect(result.building.replacement_cost).toBe(12000000);
+      expect(result.building.depreciation).toBe(2400000);
+      expect(result.building.value).toBe(9600000);
+      expect(result.additional_total).toBe(500000);
+      expect(result.total).toBe(35100000);
+    });
+  });
+
+  describe('Adopted Values', () => {
+    test('should derive rounded market and forced sale values', () => {
+      const result = service.calculate(report, [], { forced_sale_percentage: 75 });
+
+      expect(result.valuation_method).toBe('contractor_method');
+      expect(result.market_value).toBe(35100000);
+      expect(result.forced_sale_value).toBe(26330000);
+      expect(result.final_value).toBe(result.market_value);
+      expect(result.comparison_method).toBeNull();
+    });
+
+    test('should use comparable evidence for the comparison method', () => {
+      const comparables = [
+        { adjusted_rate: '480000.00', is_selected: true },
+        { adjusted_rate: '520000.00', is_selected: true }
+      ];
+
+      const result = service.calculate({ perches: 20 }, comparables, { valuation_method: 'comparison_method' });
+
+      expect(result.valuation_method).toBe('comparison_method');
+      expect(result.comparison_method.rate).toBe(500000);
+      expect(result.market_value).toBe(10000000);
+    });
+
+    test('should take the land value from the adopted method', () => {
+      const comparables = [{ adjusted_rate: '600000.00', is_selected: true }];
+
+      const contractors = service.calculate(report, comparables);
+      const comparison = service.calculate(report, comparables, { valuation_method: 'comparison_method' });
+
+      expect(contractors.land_value).toBe(50 * 500000);
+      expect(comparison.land_value).toBe(50 * 600000);
+      expect(comparison.total_market_value - comparison.land_value)
+        .toBe(comparison.contractors_method.building.value + comparison.contractors_method.additional_total);
+    });
+
+    test('should fall back to the contractor\'s method without evidence', () => {
+      const result = service.calculate(report, [], { valuation_method: 'comparison_method' });
+
+      expect(result.valuation_method).toBe('contractor_method');
+      expect(result.warnings).toContain('No comparable evidence selected; falling back to the contractor\'s method');
+    });
+  });
+});
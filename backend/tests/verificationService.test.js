@@ -0,0 +1,145 @@
+const VerificationService = require('../services/verificationService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  // Run transactions on the mocked query
+  withTransaction: jest.fn(callback => callback({ query: require('../config/database').query }))
+}));
+
+describe('VerificationService Tamper Evidence Tests', () => {
+  let service;
+
+  const report = {
+    id: 7,
+    report_reference: 'VAL001/2026/004',
+    report_date: new Date('2026-10-01T00:00:00Z'),
+    valuer_name: 'A. Perera',
+    market_value: '12500000',
+    status: 'approved',
+    updated_at: new Date('2026-10-18T09:00:00Z')
+  };
+
+  beforeEach(() => {
+    service = VerificationService;
+    jest.clearAllMocks();
+  });
+
+  describe('Hashes', () => {
+    test('should hash report data independently of key order', () => {
+      const reordered = Object.fromEntries(Object.entries(report).reverse());
+
+      expect(service.hashReportData(reordered)).toBe(service.hashReportData(report));
+    });
+
+    test('should ignore the status change made by finalizing', () => {
+      const finalized = { ...report, status: 'finalized', updated_at: new Date(), completed_at: new Date() };
+
+      expect(service.hashReportData(finalized)).toBe(service.hashReportData(report));
+    });
+
+    test('should detect an edited value', () => {
+      expect(service.hashReportData({ ...report, market_value: '13500000' })).not.toBe(service.hashReportData(report));
+    });
+
+    test('should ignore profile fields and columns outside the hash format', () => {
+      const changed = { ...report, valuer_name: 'A. B. Perera', layout_key: 'bank_short', new_column: 'x' };
+
+      expect(service.hashReportData(changed)).toBe(service.hashReportData(report));
+    });
+
+    test('should hash the report\'s use of comparables but not the shared register entry', () => {
+      const linked = { ...report, comparables: [{ id: 3, link_id: 9, adjusted_rate: '250000', price_per_perch: '240000' }] };
+      const registerEdited = { ...linked, comparables: [{ ...linked.comparables[0], price_per_perch: '260000' }] };
+      const adjusted = { ...linked, comparables: [{ ...linked.comparables[0], adjusted_rate: '255000' }] };
+
+      expect(service.hashReportData(registerEdited)).toBe(service.hashReportData(linked));
+      expect(service.hashReportData(adjusted)).not.toBe(service.hashReportData(linked));
+    });
+
+    test('should return null for an unknown hash format', () => {
+      expect(service.hashReportData(report, 99)).toBeNull();
+    });
+  });
+
+  describe('Codes', () => {
+    test('should generate readable grouped codes', () => {
+      expect(service.generateCode()).toMatch(/^[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}$/);
+    });
+
+    test('should link to the verification endpoint for the reference', () => {
+      const verification = service.prepare(report);
+
+      expect(verification.url).toContain(`/VAL001%2F2026%2F004?code=${verification.code}`);
+      expect(verification.data_hash).toHaveLength(64);
+      expect(verification.data_hash_version).toBe(1);
+    });
+  });
+
+  describe('Issue', () => {
+    test('should supersede the earlier issue and record the new one in one transaction', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 3, report_id: 7 }] });
+
+      const verification = { code: 'ABCD-EFGH-JKMN', data_hash: 'abc', data_hash_version: 1 };
+      const issue = await service.recordIssue(report, verification, Buffer.from('%PDF-1.4 issued'), '1');
+
+      expect(issue.id).toBe(3);
+      expect(pool.withTransaction).toHaveBeenCalledTimes(1);
+      expect(pool.query.mock.calls[0][0]).toContain('superseded_at = NOW()');
+      expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO report_verifications');
+    });
+
+    test('should use the client of an open transaction', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 4 }] }) };
+
+      const verification = { code: 'ABCD-EFGH-JKMN', data_hash: 'abc', data_hash_version: 1 };
+      await service.recordIssue(report, verification, Buffer.from('%PDF-1.4 issued'), '1', client);
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(pool.withTransaction).not.toHaveBeenCalled();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Verification', () => {
+    test('should return null for an unknown reference', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(service.verify('NOPE/2026/001', { code: 'abcd-efgh-jkmn' })).resolves.toBeNull();
+      expect(pool.query.mock.calls[0][1]).toEqual(['NOPE/2026/001', 'ABCD-EFGH-JKMN']);
+    });
+
+    test('should require the verification code', async () => {
+      await expect(service.verify(report.report_reference, {})).rejects.toThrow('Verification code is required');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should compare a supplied hash with the issued PDF', async () => {
+      const pdfHash = service.hash(Buffer.from('%PDF-1.4 issued'));
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          report_id: 7,
+          report_reference: report.report_reference,
+          pdf_hash: pdfHash,
+          data_hash: service.hashReportData(report),
+          data_hash_version: 1,
+          superseded_at: null
+        }]
+      });
+      // Report as stored now, with its images, comparables and investment inputs
+      pool.query.mockResolvedValueOnce({ rows: [{ ...report }] });
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const result = await service.verify(report.report_reference, {
+        code: 'ABCD-EFGH-JKMN',
+        hash: service.hash(Buffer.from('%PDF-1.4 edited'))
+      });
+
+      expect(result.hash_matches).toBe(false);
+      expect(result.current).toBe(true);
+      expect(result.data_unchanged).toBe(true);
+    });
+  });
+});
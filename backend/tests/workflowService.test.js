@@ -0,0 +1,132 @@
+const WorkflowService = require('../services/workflowService');
+const pool = require('../config/database');
+
+// Mock the database
+jest.mock('../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('WorkflowService State Machine Tests', () => {
+  let service;
+
+  beforeEach(() => {
+    service = WorkflowService;
+    jest.clearAllMocks();
+  });
+
+  describe('Transitions', () => {
+    test('should follow the report lifecycle', () => {
+      expect(service.getTransition('draft', 'in_progress').action).toBe('Start report');
+      expect(service.getTransition('under_review', 'approved').requiresReviewer).toBe(true);
+      expect(service.getTransition('finalized', 'amended').requiresComments).toBe(true);
+      expect(service.getTransition('amended', 'under_review').requiresValidation).toBe(true);
+    });
+
+    test('should reject skipping review', () => {
+      expect(() => service.getTransition('in_progress', 'finalized')).toThrow('cannot be moved to finalized');
+      expect(() => service.getTransition('draft', 'approved')).toThrow('cannot be moved to approved');
+    });
+
+    test('should only offer transitions from the current status', () => {
+      expect(service.getTransitions('under_review').map(transition => transition.to)).toEqual(['approved', 'in_progress']);
+      expect(service.getTransitions('finalized').map(transition => transition.to)).toEqual(['amended']);
+    });
+  });
+
+  describe('Guards', () => {
+    test('should require a reviewer to approve', () => {
+      const transition = service.getTransition('under_review', 'approved');
+
+      expect(() => service.checkGuards(transition, { isReviewer: false })).toThrow('Only a reviewer can approve');
+      expect(() => service.checkGuards(transition, { isReviewer: true })).not.toThrow();
+    });
+
+    test('should stop the author approving their own report', () => {
+      const transition = service.getTransition('under_review', 'approved');
+
+      expect(() => service.checkGuards(transition, { isReviewer: true, isAuthor: true }))
+        .toThrow('The report\'s author cannot approve it');
+    });
+
+    test('should require comments when returning a report', () => {
+      const transition = service.getTransition('under_review', 'in_progress');
+
+      expect(() => service.checkGuards(transition, { isReviewer: true, comments: '  ' })).toThrow('Comments are required');
+    });
+
+    test('should require validation to pass before review', () => {
+      const transition = service.getTransition('in_progress', 'under_review');
+      const validation = { isValid: false, errors: ['Legal Description: lot_number is required'] };
+
+      expect.assertions(2);
+      try {
+        service.checkGuards(transition, { validation });
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details.errors).toEqual(validation.errors);
+      }
+    });
+
+    test('should block finalizing with unresolved review comments', () => {
+      const transition = service.getTransition('approved', 'finalized');
+
+      expect(() => service.checkGuards(transition, { unresolvedComments: 2 })).toThrow('Report has 2 unresolved review comments');
+      expect(() => service.checkGuards(transition, { unresolvedComments: 0 })).not.toThrow();
+    });
+
+    test('should lock reports outside draft, in progress and amended', () => {
+      expect(() => service.assertEditable({ status: 'amended' })).not.toThrow();
+      expect(() => service.assertEditable({ status: 'under_review' })).toThrow('Report is under review and cannot be edited');
+      expect(() => service.assertEditable({ status: 'finalized' })).toThrow('cannot be edited');
+    });
+  });
+
+  describe('Reviewers', () => {
+    test('should read can_review from the user profile', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ can_review: true }] });
+
+      expect(await service.isReviewer('senior-1')).toBe(true);
+      expect(await service.isReviewer(null)).toBe(false);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should grant reviewer rights to an existing profile only', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: '12', can_review: true }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await service.setReviewer(12, true, '3')).toEqual({ user_id: '12', can_review: true });
+      expect(pool.query.mock.calls[0][1]).toEqual([true, '12']);
+      await expect(service.setReviewer(99, true)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should compare authors with the signed-in user id as a string', () => {
+      expect(service.isAuthor({ user_id: '12' }, 12)).toBe(true);
+      expect(service.isAuthor({ user_id: '12' }, 13)).toBe(false);
+      expect(service.isAuthor({ user_id: '12' }, null)).toBe(false);
+    });
+
+    test('should not offer approval to the author', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: '12', status: 'under_review', approved_by: null, approved_at: null }] })
+        .mockResolvedValueOnce({ rows: [{ can_review: true }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const workflow = await service.getWorkflow(7, 12);
+
+      expect(workflow.transitions.find(transition => transition.to === 'approved').allowed).toBe(false);
+      expect(workflow.transitions.find(transition => transition.to === 'in_progress').allowed).toBe(true);
+    });
+  });
+
+  describe('Transition Log', () => {
+    test('should log the transition on the client of the status change', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1, to_status: 'approved' }] }) };
+
+      await service.recordTransition(7, { fromStatus: 'under_review', toStatus: 'approved', userId: '12' }, client);
+
+      expect(client.query.mock.calls[0][1]).toEqual([7, 'under_review', 'approved', '12', null]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
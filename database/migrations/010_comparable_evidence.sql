@@ -0,0 +1,74 @@
+-- Migration 010: Comparable Sales Evidence Register
+-- Phase 13.1: Evidence of Value (Section 10.0)
+-- Date: 2026-10-19
+
+-- Comparable sales/listings register (shared across a valuer's reports)
+CREATE TABLE IF NOT EXISTS comparable_sales (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+
+    -- Transaction details
+    transaction_type VARCHAR(20) DEFAULT 'sale', -- sale, listing
+    transaction_date DATE NOT NULL,
+    address TEXT,
+    description TEXT,
+
+    -- Location
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    location GEOGRAPHY(POINT, 4326),
+
+    -- Extent and price
+    extent_perches DECIMAL(12, 4) NOT NULL,
+    price DECIMAL(15, 2) NOT NULL,
+    rate_per_perch DECIMAL(12, 2) NOT NULL,
+
+    -- Provenance
+    source VARCHAR(255), -- deed, broker, newspaper, valuer's records
+    source_reference VARCHAR(255),
+    notes TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Comparables chosen as evidence for a report
+CREATE TABLE IF NOT EXISTS report_comparables (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    comparable_id INTEGER REFERENCES comparable_sales(id) ON DELETE CASCADE,
+
+    -- Valuer's adjustment for location, size, time, shape etc.
+    adjustment_percentage DECIMAL(6, 2) DEFAULT 0,
+    adjustment_notes TEXT,
+    adjusted_rate DECIMAL(12, 2),
+    is_selected BOOLEAN DEFAULT TRUE,
+    display_order INTEGER DEFAULT 0,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    -- A comparable is linked to a report once
+    UNIQUE(report_id, comparable_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_comparable_sales_user_id ON comparable_sales(user_id);
+CREATE INDEX IF NOT EXISTS idx_comparable_sales_date ON comparable_sales(transaction_date);
+CREATE INDEX IF NOT EXISTS idx_comparable_sales_location ON comparable_sales USING GIST(location);
+
+CREATE INDEX IF NOT EXISTS idx_report_comparables_report_id ON report_comparables(report_id);
+CREATE INDEX IF NOT EXISTS idx_report_comparables_comparable_id ON report_comparables(comparable_id);
+
+-- Update triggers
+DROP TRIGGER IF EXISTS update_comparable_sales_updated_at ON comparable_sales;
+CREATE TRIGGER update_comparable_sales_updated_at
+    BEFORE UPDATE ON comparable_sales
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_report_comparables_updated_at ON report_comparables;
+CREATE TRIGGER update_report_comparables_updated_at
+    BEFORE UPDATE ON report_comparables
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,11 @@
+-- Migration 011: Valuation Calculation Engine
+-- Phase 13.2: Contractor's and comparison method calculations (Section 11.0 & 12.0)
+-- Date: 2026-10-19
+
+ALTER TABLE valuation_reports
+    ADD COLUMN IF NOT EXISTS valuation_method VARCHAR(50) DEFAULT 'contractor_method', -- contractor_method, comparison_method
+    ADD COLUMN IF NOT EXISTS forced_sale_percentage DECIMAL(5, 2) DEFAULT 80.00,
+    ADD COLUMN IF NOT EXISTS depreciation_amount DECIMAL(15, 2),
+    ADD COLUMN IF NOT EXISTS additional_components_value DECIMAL(15, 2),
+    ADD COLUMN IF NOT EXISTS valuation_breakdown JSONB, -- Last calculation working for Section 12.0
+    ADD COLUMN IF NOT EXISTS valuation_calculated_at TIMESTAMP;
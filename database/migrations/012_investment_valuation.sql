@@ -0,0 +1,45 @@
+-- Migration 012: Investment Method and Leasehold Valuation
+-- Phase 13.3: Income capitalisation inputs for investment reports (Section 11.0 & 12.0)
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS report_investment_inputs (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER REFERENCES valuation_reports(id) ON DELETE CASCADE,
+
+    -- Interest being valued
+    interest_type VARCHAR(20) DEFAULT 'freehold', -- freehold, leasehold
+
+    -- Income
+    gross_monthly_rent DECIMAL(15, 2),
+    gross_annual_rent DECIMAL(15, 2),
+    outgoings_percentage DECIMAL(5, 2), -- rates, repairs, insurance, management as % of gross rent
+    outgoings_amount DECIMAL(15, 2), -- or as a fixed annual amount
+    outgoings_notes TEXT,
+
+    -- Capitalisation
+    yield_rate DECIMAL(6, 3) NOT NULL, -- remunerative rate %
+    term_years DECIMAL(6, 2), -- years until rent review / lease expiry (freehold term & reversion)
+    reversion_annual_rent DECIMAL(15, 2), -- full rental value on reversion
+    reversion_yield_rate DECIMAL(6, 3),
+
+    -- Leasehold interest
+    unexpired_term_years DECIMAL(6, 2),
+    ground_rent DECIMAL(15, 2), -- annual rent paid to the freeholder
+    use_dual_rate BOOLEAN DEFAULT TRUE,
+    sinking_fund_rate DECIMAL(6, 3), -- accumulative rate %
+    tax_rate DECIMAL(5, 2) DEFAULT 0, -- % for grossing up the sinking fund
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    -- One set of investment inputs per report
+    UNIQUE(report_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_investment_inputs_report_id ON report_investment_inputs(report_id);
+
+DROP TRIGGER IF EXISTS update_report_investment_inputs_updated_at ON report_investment_inputs;
+CREATE TRIGGER update_report_investment_inputs_updated_at
+    BEFORE UPDATE ON report_investment_inputs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
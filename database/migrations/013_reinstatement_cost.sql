@@ -0,0 +1,60 @@
+-- Migration 013: Reinstatement Cost Calculator
+-- Phase 13.4: Insurance value from per-element building cost rates
+-- Date: 2026-10-19
+
+-- Per sq. ft. reinstatement cost rates by building element
+CREATE TABLE IF NOT EXISTS reinstatement_rates (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255), -- NULL for system default rates
+    building_type VARCHAR(255) NOT NULL, -- 'default' applies when no type matches
+    condition_grade VARCHAR(100), -- NULL applies to any condition
+    element VARCHAR(50) NOT NULL, -- structure, roof, finishes, services
+    rate_per_sqft DECIMAL(12, 2) NOT NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One rate per user/type/condition/element (NULLs compared as empty)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reinstatement_rates_unique ON reinstatement_rates (
+    COALESCE(user_id, ''), LOWER(building_type), COALESCE(LOWER(condition_grade), ''), element
+);
+CREATE INDEX IF NOT EXISTS idx_reinstatement_rates_user_id ON reinstatement_rates(user_id);
+
+-- Per-user professional fees and debris removal allowances
+CREATE TABLE IF NOT EXISTS reinstatement_settings (
+    user_id VARCHAR(255) PRIMARY KEY,
+    professional_fees_percentage DECIMAL(5, 2) DEFAULT 10.00,
+    debris_removal_percentage DECIMAL(5, 2) DEFAULT 5.00,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Last reinstatement schedule for insurance reports
+ALTER TABLE valuation_reports
+    ADD COLUMN IF NOT EXISTS reinstatement_breakdown JSONB;
+
+DROP TRIGGER IF EXISTS update_reinstatement_rates_updated_at ON reinstatement_rates;
+CREATE TRIGGER update_reinstatement_rates_updated_at
+    BEFORE UPDATE ON reinstatement_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- System default rates (Rs. per sq. ft.)
+INSERT INTO reinstatement_rates (user_id, building_type, condition_grade, element, rate_per_sqft) VALUES
+(NULL, 'default', NULL, 'structure', 4500.00),
+(NULL, 'default', NULL, 'roof', 1800.00),
+(NULL, 'default', NULL, 'finishes', 2500.00),
+(NULL, 'default', NULL, 'services', 1200.00),
+(NULL, 'residential', NULL, 'structure', 4500.00),
+(NULL, 'residential', NULL, 'roof', 1800.00),
+(NULL, 'residential', NULL, 'finishes', 2500.00),
+(NULL, 'residential', NULL, 'services', 1200.00),
+(NULL, 'commercial', NULL, 'structure', 5500.00),
+(NULL, 'commercial', NULL, 'roof', 2000.00),
+(NULL, 'commercial', NULL, 'finishes', 3000.00),
+(NULL, 'commercial', NULL, 'services', 1800.00),
+(NULL, 'industrial', NULL, 'structure', 3500.00),
+(NULL, 'industrial', NULL, 'roof', 2200.00),
+(NULL, 'industrial', NULL, 'finishes', 1000.00),
+(NULL, 'industrial', NULL, 'services', 800.00)
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,8 @@
+-- Migration 014: Depreciation Model Library
+-- Phase 13.5: Straight-line, reducing balance and condition-adjusted depreciation
+-- Date: 2026-10-19
+
+ALTER TABLE valuation_reports
+    ADD COLUMN IF NOT EXISTS depreciation_model VARCHAR(50), -- straight_line, reducing_balance, condition_adjusted
+    ADD COLUMN IF NOT EXISTS economic_life INTEGER, -- years; defaults by building_type when NULL
+    ADD COLUMN IF NOT EXISTS depreciation_working JSONB; -- Working printed in Section 12.1
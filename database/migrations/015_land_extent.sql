@@ -0,0 +1,6 @@
+-- Migration 015: Land Extent Reconciliation
+-- Phase 13.7: Fractional perches so A-R-P matches survey plans (e.g. 0A-1R-12.5P)
+-- Date: 2026-10-19
+
+ALTER TABLE valuation_reports
+    ALTER COLUMN perches TYPE DECIMAL(6, 2);
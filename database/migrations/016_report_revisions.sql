@@ -0,0 +1,25 @@
+-- Migration 016: Report Revision History
+-- Phase 13.8: Field-level change log for section updates, status changes and AI enhancement
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS report_revisions (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+
+    -- section_update, ai_enhancement, status_change, calculation, restore
+    change_type VARCHAR(30) NOT NULL,
+    section VARCHAR(50),
+
+    -- [{ field, old_value, new_value }]
+    changes JSONB NOT NULL DEFAULT '[]',
+
+    user_id VARCHAR(255),
+    restored_from INTEGER, -- revision_number a restore returned the report to
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (report_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_revisions_report_id ON report_revisions(report_id, revision_number DESC);
@@ -0,0 +1,27 @@
+-- Migration 017: Report Workflow
+-- Phase 13.9: draft → in_progress → under_review → approved → finalized → amended with reviewer sign-off
+-- Date: 2026-10-19
+
+-- Senior valuers who may approve (countersign) reports
+ALTER TABLE user_profiles
+    ADD COLUMN IF NOT EXISTS can_review BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE valuation_reports
+    ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+
+-- 'completed' meant ready to finalize; it now needs a reviewer's approval
+UPDATE valuation_reports SET status = 'under_review' WHERE status = 'completed';
+
+-- Who moved a report between statuses and why
+CREATE TABLE IF NOT EXISTS report_status_transitions (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    user_id VARCHAR(255),
+    comments TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_status_transitions_report_id ON report_status_transitions(report_id, created_at);
@@ -0,0 +1,27 @@
+-- Migration 018: Review Comments
+-- Phase 13.10: Threaded reviewer comments anchored to report sections and fields
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS report_comments (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    parent_id INTEGER REFERENCES report_comments(id) ON DELETE CASCADE, -- NULL for the first comment of a thread
+
+    -- Anchor: section id from the section schema, optionally a field or table in it
+    section VARCHAR(50) NOT NULL,
+    field VARCHAR(100),
+
+    body TEXT NOT NULL,
+    user_id VARCHAR(255),
+
+    -- Resolution applies to the whole thread and is kept on its first comment
+    is_resolved BOOLEAN DEFAULT FALSE,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_comments_report_id ON report_comments(report_id, section);
+CREATE INDEX IF NOT EXISTS idx_report_comments_parent_id ON report_comments(parent_id);
@@ -0,0 +1,32 @@
+-- Migration 019: Report Verification
+-- Phase 13.11: Content hashes and verification codes for finalized reports
+-- Date: 2026-10-19
+
+-- One row per issued (finalized) PDF. An amended report that is finalized
+-- again is issued afresh and its earlier issue is marked superseded.
+CREATE TABLE IF NOT EXISTS report_verifications (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    report_reference VARCHAR(100),
+    verification_code VARCHAR(20) NOT NULL UNIQUE,
+
+    -- SHA-256 of the issued PDF and of the report data it was rendered
+    -- from; data_hash_version is the list of fields that data was taken from
+    pdf_hash CHAR(64) NOT NULL,
+    data_hash CHAR(64) NOT NULL,
+    data_hash_version INTEGER NOT NULL DEFAULT 1,
+
+    -- Public details confirmed by GET /api/verify/:reference
+    report_date DATE,
+    valuer_name VARCHAR(255),
+
+    -- The issued PDF, so later downloads are byte-identical to the hashed copy
+    pdf_data BYTEA NOT NULL,
+
+    issued_by VARCHAR(255),
+    issued_at TIMESTAMP DEFAULT NOW(),
+    superseded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_verifications_reference ON report_verifications(report_reference);
+CREATE INDEX IF NOT EXISTS idx_report_verifications_report_id ON report_verifications(report_id);
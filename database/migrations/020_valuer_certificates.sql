@@ -0,0 +1,24 @@
+-- Migration 020: Valuer Signing Certificates
+-- Phase 13.12: PKCS#12 certificates for digitally signing finalized reports
+-- Date: 2026-10-19
+
+-- One signing certificate per valuer. The PKCS#12 file and its passphrase
+-- are stored AES-256-GCM encrypted (CERTIFICATE_ENCRYPTION_KEY); the
+-- certificate details are kept in clear for display.
+CREATE TABLE IF NOT EXISTS valuer_certificates (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) UNIQUE NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+
+    encrypted_data BYTEA NOT NULL,
+    iv BYTEA NOT NULL,
+    auth_tag BYTEA NOT NULL,
+
+    subject_name VARCHAR(255),
+    issuer_name VARCHAR(255),
+    serial_number VARCHAR(100),
+    valid_from TIMESTAMP,
+    valid_to TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- Migration 021: Report Layouts
+-- Phase 13.13: Versioned report layouts chosen per report
+-- Date: 2026-10-19
+
+-- Layouts saved through the API are report_templates rows with
+-- template_category 'report_layout', template_name the layout key and the
+-- JSON definition in template_content. Each save is a new version of the
+-- valuer's own key; layouts with no user_id are shared with every valuer.
+ALTER TABLE report_templates
+    ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+
+DROP INDEX IF EXISTS idx_report_templates_layout_version;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_templates_layout_owner_version
+    ON report_templates(COALESCE(user_id, ''), template_name, version)
+    WHERE template_category = 'report_layout';
+
+-- Reports are pinned to a layout version so they keep rendering the same
+-- when the layout changes; existing reports use the standard layout
+ALTER TABLE valuation_reports
+    ADD COLUMN IF NOT EXISTS layout_key VARCHAR(100) DEFAULT 'standard',
+    ADD COLUMN IF NOT EXISTS layout_version INTEGER DEFAULT 1;
@@ -0,0 +1,35 @@
+-- Migration 022: Client Format Profiles
+-- Phase 13.14: Bank-specific mandatory fields, extra sections and default percentages
+-- Date: 2026-10-19
+
+-- A valuer's format profile for one lending bank. Reports whose
+-- client_organization matches organization_name or one of its aliases
+-- (case-insensitive) are validated and rendered with the profile.
+--   required_fields   report fields the bank requires, on top of the schema
+--   required_images   minimum photographs per image category
+--   extra_sections    'ltv_summary', 'photographs' or { key, title, template }
+CREATE TABLE IF NOT EXISTS client_format_profiles (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+
+    organization_name VARCHAR(255) NOT NULL,
+    aliases TEXT[] DEFAULT '{}',
+
+    required_fields JSONB DEFAULT '[]',
+    required_images JSONB DEFAULT '{}',
+    extra_sections JSONB DEFAULT '[]',
+
+    forced_sale_percentage DECIMAL(5, 2) CHECK (forced_sale_percentage > 0 AND forced_sale_percentage <= 100),
+    ltv_percentage DECIMAL(5, 2) CHECK (ltv_percentage > 0 AND ltv_percentage <= 100),
+    ltv_basis VARCHAR(20) DEFAULT 'forced_sale_value'
+        CHECK (ltv_basis IN ('market_value', 'forced_sale_value')),
+
+    notes TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (user_id, organization_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_format_profiles_user ON client_format_profiles(user_id);
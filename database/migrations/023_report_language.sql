@@ -0,0 +1,11 @@
+-- Migration 023: Report Language
+-- Phase 13.15: Sinhala and Tamil report output
+-- Date: 2026-10-19
+
+-- Language the report is printed in. Section titles and fixed wording come
+-- from backend/templates/languages/<language>.json; the values the valuer
+-- types are printed as entered. GET /:id/pdf and /:id/preview accept
+-- ?lang= to print a copy in another language.
+ALTER TABLE valuation_reports
+  ADD COLUMN IF NOT EXISTS language VARCHAR(2) NOT NULL DEFAULT 'en'
+    CHECK (language IN ('en', 'si', 'ta'));
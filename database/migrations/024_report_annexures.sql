@@ -0,0 +1,12 @@
+-- Migration 024: Report Annexures
+-- Phase 13.16: Annexure pages after the certification
+-- Date: 2026-10-19
+
+-- Order the annexures are printed in, as a JSON list of annexure keys
+-- (location_sketch, route_map, survey_plan, deed, photographs). Keys left
+-- out are not printed. NULL uses the default order in annexureService.
+ALTER TABLE valuation_reports
+  ADD COLUMN IF NOT EXISTS annexure_order JSONB;
+
+-- Copies of the survey plan and title deed are uploaded to report_images
+-- under the 'survey_plan' and 'deed' categories.
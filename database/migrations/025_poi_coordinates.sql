@@ -0,0 +1,10 @@
+-- Migration 025: POI Coordinates
+-- Phase 13.17: Offline location sketch
+-- Date: 2026-10-19
+
+-- Where each facility is, so the location sketch can plot it without a
+-- map tile service. Facilities saved before this migration have no
+-- coordinates and are left off the sketch until the location is analysed again.
+ALTER TABLE report_poi_analysis
+  ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8);
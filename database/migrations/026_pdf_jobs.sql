@@ -0,0 +1,47 @@
+-- Migration 026: PDF Generation Jobs
+-- Phase 13.18: Background PDF rendering with stored, versioned output
+-- Date: 2026-10-19
+
+-- Rendered PDFs, one per report version and language. report_version is
+-- the report's latest revision_number when it was rendered; data_hash
+-- catches changes that are not revisions (image uploads). The file itself
+-- lives under PDF_STORAGE_DIR and checksum is its SHA-256.
+CREATE TABLE IF NOT EXISTS report_pdf_files (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    report_version INTEGER NOT NULL,
+    language VARCHAR(2) NOT NULL DEFAULT 'en',
+    data_hash VARCHAR(64) NOT NULL,
+
+    file_path VARCHAR(500) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    file_size INTEGER NOT NULL,
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_pdf_files_version
+    ON report_pdf_files(report_id, report_version, language);
+
+-- queued -> processing -> completed | failed
+CREATE TABLE IF NOT EXISTS report_pdf_jobs (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES valuation_reports(id) ON DELETE CASCADE,
+    report_version INTEGER NOT NULL,
+    language VARCHAR(2) NOT NULL DEFAULT 'en',
+    data_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+
+    file_id INTEGER REFERENCES report_pdf_files(id) ON DELETE SET NULL,
+    error TEXT,
+    duration_ms INTEGER,
+
+    user_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_pdf_jobs_report ON report_pdf_jobs(report_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_report_pdf_jobs_status ON report_pdf_jobs(status);
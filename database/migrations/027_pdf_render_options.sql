@@ -0,0 +1,13 @@
+-- Migration 027: PDF Render Options
+-- Phase 13.19: Running headers, "Page X of Y" footers and table of contents
+-- Date: 2026-10-19
+
+-- Print options a file was rendered with (running_header, toc,
+-- distinct_first_page), stored with every option filled in. Files rendered
+-- before these options existed keep '{}', so they are never served for a
+-- request and are rendered again with headers.
+ALTER TABLE report_pdf_files
+    ADD COLUMN IF NOT EXISTS render_options JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE report_pdf_jobs
+    ADD COLUMN IF NOT EXISTS render_options JSONB NOT NULL DEFAULT '{}';
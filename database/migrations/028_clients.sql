@@ -0,0 +1,68 @@
+-- Migration 028: Clients
+-- Phase 13.20: Address book of instructing organisations, branches and contact persons
+-- Date: 2026-10-19
+
+-- An organisation a valuer takes instructions from, usually a lending bank
+CREATE TABLE IF NOT EXISTS clients (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+
+    organization_name VARCHAR(255) NOT NULL,
+    address TEXT,
+    telephone VARCHAR(50),
+    email VARCHAR(255),
+    notes TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (user_id, organization_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_clients_user ON clients(user_id);
+
+-- Branches of an organisation; a branch address replaces the head office
+-- address in the preamble
+CREATE TABLE IF NOT EXISTS client_branches (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+
+    branch_name VARCHAR(255) NOT NULL,
+    address TEXT,
+    telephone VARCHAR(50),
+    email VARCHAR(255),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (client_id, branch_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_branches_client ON client_branches(client_id);
+
+-- People who send instructions, at a branch or (branch_id NULL) the head office
+CREATE TABLE IF NOT EXISTS client_contacts (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    branch_id INTEGER REFERENCES client_branches(id) ON DELETE SET NULL,
+
+    full_name VARCHAR(255) NOT NULL,
+    designation VARCHAR(255),
+    telephone VARCHAR(50),
+    email VARCHAR(255),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_contacts_client ON client_contacts(client_id);
+
+-- The client a report was prepared for. The preamble fields are copied
+-- from the address book when the report is linked, so later edits to the
+-- address book do not change reports already written.
+ALTER TABLE valuation_reports
+    ADD COLUMN IF NOT EXISTS client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS client_branch_id INTEGER REFERENCES client_branches(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS client_contact_id INTEGER REFERENCES client_contacts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_valuation_reports_client ON valuation_reports(client_id);
@@ -0,0 +1,81 @@
+-- Migration 029: Fee Scales and Invoices
+-- Phase 13.21: Valuation fees from sliding scales, invoices on finalization
+-- Date: 2026-10-19
+
+-- How a valuer charges, either by default (client_id NULL) or for one client.
+--   bands          sliding scale on the market value, each slice of the value
+--                  charged at its own rate: [{ up_to, rate }], rate in percent
+--                  and the last band open-ended (up_to NULL)
+--   travel_*       charge per km beyond the free distance, measured from the
+--                  office coordinates when set, otherwise along the route
+--                  from the nearest major city
+--   extras         fixed charges added to every invoice: [{ label, amount }]
+CREATE TABLE IF NOT EXISTS fee_scales (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+
+    name VARCHAR(255) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'LKR',
+
+    bands JSONB NOT NULL DEFAULT '[]',
+    minimum_fee DECIMAL(12, 2) NOT NULL DEFAULT 0,
+
+    travel_rate_per_km DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    travel_free_km DECIMAL(8, 2) NOT NULL DEFAULT 0,
+    travel_round_trip BOOLEAN NOT NULL DEFAULT TRUE,
+    office_latitude DECIMAL(10, 8),
+    office_longitude DECIMAL(11, 8),
+
+    extras JSONB NOT NULL DEFAULT '[]',
+    tax_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0 CHECK (tax_percentage >= 0 AND tax_percentage <= 100),
+    payment_terms_days INTEGER NOT NULL DEFAULT 30 CHECK (payment_terms_days >= 0),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One default scale per valuer and one scale per client
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_scales_default ON fee_scales(user_id) WHERE client_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_scales_client ON fee_scales(user_id, client_id) WHERE client_id IS NOT NULL;
+
+-- The invoice raised when a report is finalized. The fee is worked out
+-- once and kept in line_items, so later changes to the scale or the
+-- report do not change invoices already sent. Invoices outlive their
+-- report, keeping its reference, so invoice numbers are never reused.
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    report_id INTEGER UNIQUE REFERENCES valuation_reports(id) ON DELETE SET NULL,
+    report_reference VARCHAR(100),
+    client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+    fee_scale_id INTEGER REFERENCES fee_scales(id) ON DELETE SET NULL,
+
+    invoice_number VARCHAR(100) NOT NULL,
+    invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE,
+
+    bill_to_name VARCHAR(255),
+    bill_to_attention VARCHAR(255),
+    bill_to_address TEXT,
+
+    currency VARCHAR(3) NOT NULL DEFAULT 'LKR',
+    market_value DECIMAL(15, 2),
+    distance_km DECIMAL(8, 2),
+    line_items JSONB NOT NULL DEFAULT '[]',
+    subtotal DECIMAL(15, 2) NOT NULL,
+    tax_percentage DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    total DECIMAL(15, 2) NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'unpaid' CHECK (status IN ('unpaid', 'paid')),
+    paid_at TIMESTAMP,
+    payment_reference VARCHAR(255),
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (user_id, invoice_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user_status ON invoices(user_id, status);
@@ -4,13 +4,15 @@ import axios from 'axios';
 import ReportMetrics from './ReportMetrics';
 import ReportAnalytics from './ReportAnalytics';
 import ReportList from './ReportList';
+import { IncomeSummary } from '../../types/reports';
 import {
   ChartBarIcon,
   DocumentTextIcon,
   CogIcon,
   CalendarIcon,
   UserGroupIcon,
-  CurrencyDollarIcon
+  CurrencyDollarIcon,
+  BanknotesIcon
 } from '@heroicons/react/24/outline';
 
 interface DashboardData {
@@ -25,6 +27,7 @@ interface DashboardData {
     total_cost: number;
     cost_this_month: number;
   };
+  income?: IncomeSummary;
   activity: {
     last_login: string;
     reports_created_today: number;
@@ -145,7 +148,7 @@ export default function ReportDashboard() {
         {activeTab === 'overview' && (
           <div className="space-y-8">
             {/* Key Metrics */}
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
               <div className="bg-white rounded-lg shadow p-6">
                 <div className="flex items-center">
                   <div className="flex-shrink-0">
@@ -188,6 +191,23 @@ export default function ReportDashboard() {
                 </div>
               </div>
 
+              <div className="bg-white rounded-lg shadow p-6">
+                <div className="flex items-center">
+                  <div className="flex-shrink-0">
+                    <BanknotesIcon className="h-8 w-8 text-emerald-600" />
+                  </div>
+                  <div className="ml-4">
+                    <p className="text-sm font-medium text-gray-500">Fees Invoiced (Month)</p>
+                    <p className="text-2xl font-semibold text-gray-900">
+                      LKR {(dashboardData?.income?.invoiced_this_month || 0).toLocaleString('en-LK')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      LKR {(dashboardData?.income?.received_this_month || 0).toLocaleString('en-LK')} received
+                    </p>
+                  </div>
+                </div>
+              </div>
+
               <div className="bg-white rounded-lg shadow p-6">
                 <div className="flex items-center">
                   <div className="flex-shrink-0">
@@ -27,6 +27,15 @@ interface Report {
   completion_percentage: number;
 }
 
+interface PdfJob {
+  id: number;
+  status: 'queued' | 'processing' | 'completed' | 'failed';
+  error?: string | null;
+}
+
+// How often a queued PDF is checked on
+const PDF_JOB_POLL_MS = 2000;
+
 interface ReportListState {
   reports: Report[];
   loading: boolean;
@@ -131,7 +140,18 @@ export default function ReportList() {
 
   const handleDownloadPDF = async (reportId: number) => {
     try {
-      const response = await axios.get(`/reports/${reportId}/pdf`, {
+      // PDFs render in the background; versions already rendered complete at once
+      let job: PdfJob = (await axios.post(`/reports/${reportId}/pdf-jobs`)).data.data;
+      while (job.status === 'queued' || job.status === 'processing') {
+        await new Promise(resolve => setTimeout(resolve, PDF_JOB_POLL_MS));
+        job = (await axios.get(`/reports/${reportId}/pdf-jobs/${job.id}`)).data.data;
+      }
+
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'PDF generation failed');
+      }
+
+      const response = await axios.get(`/reports/${reportId}/pdf-jobs/${job.id}/download`, {
         responseType: 'blob'
       });
 
@@ -143,7 +163,7 @@ export default function ReportList() {
       link.click();
       window.URL.revokeObjectURL(url);
     } catch (error: any) {
-      alert(error.response?.data?.message || 'Failed to download PDF');
+      alert(error.response?.data?.message || error.message || 'Failed to download PDF');
     }
   };
 
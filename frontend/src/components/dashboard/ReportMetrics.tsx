@@ -7,6 +7,7 @@ import {
   DocumentDuplicateIcon,
   CpuChipIcon
 } from '@heroicons/react/24/outline';
+import { IncomeSummary } from '../../types/reports';
 
 interface ReportMetricsProps {
   data: {
@@ -21,6 +22,7 @@ interface ReportMetricsProps {
       total_cost: number;
       cost_this_month: number;
     };
+    income?: IncomeSummary;
     activity: {
       last_login: string;
       reports_created_today: number;
@@ -115,7 +117,7 @@ export default function ReportMetrics({ data }: ReportMetricsProps) {
         </div>
 
         {/* Quick Insights */}
-        <div className="mt-8 grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className={`mt-8 grid grid-cols-1 gap-6 ${data.income ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
           <div className="bg-blue-50 rounded-lg p-6">
             <h4 className="text-lg font-medium text-blue-900 mb-2">Productivity Insights</h4>
             <div className="space-y-2 text-sm text-blue-800">
@@ -133,6 +135,20 @@ export default function ReportMetrics({ data }: ReportMetricsProps) {
               <p>• This month: ${data.ai_usage.cost_this_month.toFixed(2)}</p>
             </div>
           </div>
+
+          {data.income && (
+            <div className="bg-emerald-50 rounded-lg p-6">
+              <h4 className="text-lg font-medium text-emerald-900 mb-2">Income Summary</h4>
+              <div className="space-y-2 text-sm text-emerald-800">
+                <p>• Invoiced this month: LKR {data.income.invoiced_this_month.toLocaleString('en-LK')}</p>
+                <p>• Received this month: LKR {data.income.received_this_month.toLocaleString('en-LK')}</p>
+                <p>
+                  • Outstanding: LKR {data.income.outstanding.toLocaleString('en-LK')} on {data.income.unpaid_count} invoice(s)
+                  {data.income.overdue > 0 && `, LKR ${data.income.overdue.toLocaleString('en-LK')} overdue`}
+                </p>
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Progress Bars */}
@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { Client, ClientBranch, ClientContact, ClientReport } from '../../types/reports';
+
+interface ClientAddressBookSectionProps {
+  userId: string;
+}
+
+const EMPTY_CLIENT: Partial<Client> = {
+  organization_name: '',
+  address: '',
+  telephone: '',
+  email: '',
+  notes: ''
+};
+
+const EMPTY_BRANCH: Partial<ClientBranch> = { branch_name: '', address: '' };
+const EMPTY_CONTACT: Partial<ClientContact> = { full_name: '', designation: '', branch_id: null };
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const ClientAddressBookSection: React.FC<ClientAddressBookSectionProps> = ({ userId }) => {
+  const [clients, setClients] = useState<Client[]>([]);
+  const [editing, setEditing] = useState<Partial<Client> | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [branch, setBranch] = useState<Partial<ClientBranch>>(EMPTY_BRANCH);
+  const [contact, setContact] = useState<Partial<ClientContact>>(EMPTY_CONTACT);
+  const [reports, setReports] = useState<ClientReport[]>([]);
+
+  useEffect(() => {
+    reportsApi.getClients(userId)
+      .then(setClients)
+      .catch(error => console.error('Error loading clients:', error));
+  }, [userId]);
+
+  useEffect(() => {
+    setReports([]);
+    if (expandedId === null) return;
+
+    reportsApi.getClientReports(userId, expandedId)
+      .then(setReports)
+      .catch(error => console.error('Error loading client reports:', error));
+  }, [userId, expandedId]);
+
+  const expanded = clients.find(client => client.id === expandedId) || null;
+
+  const replaceClient = (saved: Client) => {
+    setClients(prev => [...prev.filter(client => client.id !== saved.id), saved]
+      .sort((a, b) => a.organization_name.localeCompare(b.organization_name)));
+  };
+
+  // Branches and contacts change on the server; reload the client to show them
+  const reloadClient = async (clientId: number) => {
+    replaceClient(await reportsApi.getClient(userId, clientId));
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await reportsApi.saveClient(userId, editing);
+      replaceClient({ ...saved, branches: editing.branches || [], contacts: editing.contacts || [] });
+      setEditing(null);
+      toast.success('Client saved');
+    } catch (error: any) {
+      console.error('Error saving client:', error);
+      toast.error(error.message || 'Failed to save client');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (client: Client) => {
+    if (!window.confirm(`Remove ${client.organization_name} from the address book? Its reports keep their preamble.`)) {
+      return;
+    }
+
+    try {
+      await reportsApi.deleteClient(userId, client.id);
+      setClients(prev => prev.filter(item => item.id !== client.id));
+      if (expandedId === client.id) setExpandedId(null);
+      toast.success('Client deleted');
+    } catch (error: any) {
+      console.error('Error deleting client:', error);
+      toast.error('Failed to delete client');
+    }
+  };
+
+  const handleAddBranch = async (client: Client) => {
+    try {
+      await reportsApi.saveClientBranch(userId, client.id, branch);
+      await reloadClient(client.id);
+      setBranch(EMPTY_BRANCH);
+    } catch (error: any) {
+      console.error('Error saving branch:', error);
+      toast.error(error.message || 'Failed to save branch');
+    }
+  };
+
+  const handleDeleteBranch = async (client: Client, branchId: number) => {
+    try {
+      await reportsApi.deleteClientBranch(userId, client.id, branchId);
+      await reloadClient(client.id);
+    } catch (error: any) {
+      console.error('Error deleting branch:', error);
+      toast.error('Failed to delete branch');
+    }
+  };
+
+  const handleAddContact = async (client: Client) => {
+    try {
+      await reportsApi.saveClientContact(userId, client.id, contact);
+      await reloadClient(client.id);
+      setContact(EMPTY_CONTACT);
+    } catch (error: any) {
+      console.error('Error saving contact person:', error);
+      toast.error(error.message || 'Failed to save contact person');
+    }
+  };
+
+  const handleDeleteContact = async (client: Client, contactId: number) => {
+    try {
+      await reportsApi.deleteClientContact(userId, client.id, contactId);
+      await reloadClient(client.id);
+    } catch (error: any) {
+      console.error('Error deleting contact person:', error);
+      toast.error('Failed to delete contact person');
+    }
+  };
+
+  return (
+    <div className="mt-8 border-l-4 border-indigo-500 pl-4">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Client Address Book</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Banks, branches and contact persons you take instructions from. Pick one when creating a report to fill
+        in the preamble.
+      </p>
+
+      {clients.map(client => (
+        <div key={client.id} className="bg-gray-50 rounded-md p-3 mb-2 text-sm">
+          <div className="flex justify-between items-start">
+            <div>
+              <div className="font-medium text-gray-900">{client.organization_name}</div>
+              <div className="text-gray-600">
+                {client.branches.length} branch(es) · {client.contacts.length} contact person(s)
+              </div>
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setExpandedId(expandedId === client.id ? null : client.id)}
+                className="text-gray-600 hover:text-gray-800"
+              >
+                {expandedId === client.id ? 'Close' : 'Branches & Reports'}
+              </button>
+              <button onClick={() => setEditing(client)} className="text-blue-600 hover:text-blue-800">
+                Edit
+              </button>
+              <button onClick={() => handleDelete(client)} className="text-red-600 hover:text-red-800">
+                Delete
+              </button>
+            </div>
+          </div>
+
+          {expanded && expanded.id === client.id && (
+            <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <div className="font-medium text-gray-700 mb-1">Branches</div>
+                {client.branches.map(item => (
+                  <div key={item.id} className="flex justify-between py-1">
+                    <span>{item.branch_name}{item.address ? ` – ${item.address}` : ''}</span>
+                    <button onClick={() => handleDeleteBranch(client, item.id)} className="text-red-600 hover:text-red-800">
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <div className="mt-2 space-y-2">
+                  <input
+                    type="text"
+                    value={branch.branch_name || ''}
+                    onChange={(e) => setBranch(prev => ({ ...prev, branch_name: e.target.value }))}
+                    className={inputClassName}
+                    placeholder="Branch, e.g. Kandy Branch"
+                  />
+                  <input
+                    type="text"
+                    value={branch.address || ''}
+                    onChange={(e) => setBranch(prev => ({ ...prev, address: e.target.value }))}
+                    className={inputClassName}
+                    placeholder="Branch address"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleAddBranch(client)}
+                    disabled={!branch.branch_name}
+                    className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                  >
+                    + Add branch
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <div className="font-medium text-gray-700 mb-1">Contact persons</div>
+                {client.contacts.map(item => (
+                  <div key={item.id} className="flex justify-between py-1">
+                    <span>
+                      {item.full_name}{item.designation ? `, ${item.designation}` : ''}
+                      {' '}({client.branches.find(b => b.id === item.branch_id)?.branch_name || 'Head office'})
+                    </span>
+                    <button onClick={() => handleDeleteContact(client, item.id)} className="text-red-600 hover:text-red-800">
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <div className="mt-2 space-y-2">
+                  <input
+                    type="text"
+                    value={contact.full_name || ''}
+                    onChange={(e) => setContact(prev => ({ ...prev, full_name: e.target.value }))}
+                    className={inputClassName}
+                    placeholder="Name, e.g. Mr. S. Jayasinghe"
+                  />
+                  <input
+                    type="text"
+                    value={contact.designation || ''}
+                    onChange={(e) => setContact(prev => ({ ...prev, designation: e.target.value }))}
+                    className={inputClassName}
+                    placeholder="Designation, e.g. Branch Manager"
+                  />
+                  <select
+                    value={contact.branch_id ?? ''}
+                    onChange={(e) => setContact(prev => ({ ...prev, branch_id: e.target.value ? Number(e.target.value) : null }))}
+                    className={inputClassName}
+                  >
+                    <option value="">Head office</option>
+                    {client.branches.map(item => (
+                      <option key={item.id} value={item.id}>{item.branch_name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => handleAddContact(client)}
+                    disabled={!contact.full_name}
+                    className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                  >
+                    + Add contact person
+                  </button>
+                </div>
+              </div>
+
+              <div className="md:col-span-2">
+                <div className="font-medium text-gray-700 mb-1">Reports ({reports.length})</div>
+                {reports.length === 0 && <div className="text-gray-500">No reports linked to this client yet.</div>}
+                {reports.map(report => (
+                  <Link
+                    key={report.id}
+                    to={`/reports/builder/${report.id}`}
+                    className="flex justify-between py-1 text-blue-600 hover:text-blue-800"
+                  >
+                    <span>{report.report_reference} · {report.location_summary}</span>
+                    <span className="text-gray-600">
+                      {report.branch_name || 'Head office'} · {report.status.replace(/_/g, ' ')}
+                    </span>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {!editing && (
+        <button
+          onClick={() => setEditing(EMPTY_CLIENT)}
+          className="mt-2 px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 transition-colors"
+        >
+          Add Client
+        </button>
+      )}
+
+      {editing && (
+        <div className="mt-4 space-y-4 bg-white border border-gray-200 rounded-md p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Organization *</label>
+              <input
+                type="text"
+                value={editing.organization_name || ''}
+                onChange={(e) => setEditing(prev => ({ ...prev, organization_name: e.target.value }))}
+                className={inputClassName}
+                placeholder="e.g., Bank of Ceylon"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Head office address</label>
+              <input
+                type="text"
+                value={editing.address || ''}
+                onChange={(e) => setEditing(prev => ({ ...prev, address: e.target.value }))}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Telephone</label>
+              <input
+                type="text"
+                value={editing.telephone || ''}
+                onChange={(e) => setEditing(prev => ({ ...prev, telephone: e.target.value }))}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={editing.email || ''}
+                onChange={(e) => setEditing(prev => ({ ...prev, email: e.target.value }))}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              rows={2}
+              value={editing.notes || ''}
+              onChange={(e) => setEditing(prev => ({ ...prev, notes: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!editing.organization_name || isSaving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-gray-400 transition-colors"
+            >
+              {isSaving ? 'Saving...' : 'Save Client'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClientAddressBookSection;
@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { ClientExtraSection, ClientFormatProfile, ReportSectionSchema } from '../../types/reports';
+
+interface ClientFormatProfilesSectionProps {
+  userId: string;
+}
+
+type CustomSection = { key: string; title: string; template: string };
+
+const IMAGE_CATEGORIES: { value: string; label: string }[] = [
+  { value: 'land_views', label: 'Land views' },
+  { value: 'building_exterior', label: 'Building exterior' },
+  { value: 'building_interior', label: 'Building interior' },
+  { value: 'boundaries', label: 'Boundaries' },
+  { value: 'location_maps', label: 'Location maps' }
+];
+
+const EMPTY_PROFILE: Partial<ClientFormatProfile> = {
+  organization_name: '',
+  aliases: [],
+  required_fields: [],
+  required_images: {},
+  extra_sections: [],
+  forced_sale_percentage: '',
+  ltv_percentage: '',
+  ltv_basis: 'forced_sale_value',
+  notes: ''
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const ClientFormatProfilesSection: React.FC<ClientFormatProfilesSectionProps> = ({ userId }) => {
+  const [profiles, setProfiles] = useState<ClientFormatProfile[]>([]);
+  const [sectionSchema, setSectionSchema] = useState<ReportSectionSchema[]>([]);
+  const [editing, setEditing] = useState<Partial<ClientFormatProfile> | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    reportsApi.getClientProfiles(userId)
+      .then(setProfiles)
+      .catch(error => console.error('Error loading client format profiles:', error));
+  }, [userId]);
+
+  useEffect(() => {
+    reportsApi.getSectionSchema()
+      .then(setSectionSchema)
+      .catch(error => console.error('Error loading section schema:', error));
+  }, []);
+
+  const fields = sectionSchema.flatMap(section => section.fields
+    .filter(field => !field.virtual && !field.generated)
+    .map(field => ({ name: field.name, label: `${section.title}: ${field.label}` })));
+
+  const customSections = (editing?.extra_sections || [])
+    .filter((section): section is CustomSection => typeof section !== 'string');
+
+  const update = (changes: Partial<ClientFormatProfile>) => {
+    setEditing(prev => ({ ...prev, ...changes }));
+  };
+
+  const toggleExtraSection = (key: 'ltv_summary' | 'photographs', checked: boolean) => {
+    const sections = (editing?.extra_sections || []).filter(section => section !== key);
+    update({ extra_sections: checked ? [key, ...sections] : sections });
+  };
+
+  const updateCustomSections = (sections: CustomSection[]) => {
+    const builtin = (editing?.extra_sections || []).filter(section => typeof section === 'string');
+    update({ extra_sections: [...builtin, ...sections] as ClientExtraSection[] });
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await reportsApi.saveClientProfile(userId, {
+        ...editing,
+        forced_sale_percentage: editing.forced_sale_percentage === '' ? null : editing.forced_sale_percentage,
+        ltv_percentage: editing.ltv_percentage === '' ? null : editing.ltv_percentage
+      });
+      setProfiles(prev => [...prev.filter(profile => profile.id !== saved.id), saved]
+        .sort((a, b) => a.organization_name.localeCompare(b.organization_name)));
+      setEditing(null);
+      toast.success('Client format profile saved');
+    } catch (error: any) {
+      console.error('Error saving client format profile:', error);
+      toast.error(error.message || 'Failed to save client format profile');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile: ClientFormatProfile) => {
+    if (!window.confirm(`Delete the format profile for ${profile.organization_name}?`)) {
+      return;
+    }
+
+    try {
+      await reportsApi.deleteClientProfile(userId, profile.id);
+      setProfiles(prev => prev.filter(item => item.id !== profile.id));
+      toast.success('Client format profile deleted');
+    } catch (error: any) {
+      console.error('Error deleting client format profile:', error);
+      toast.error('Failed to delete client format profile');
+    }
+  };
+
+  return (
+    <div className="mt-8 border-l-4 border-teal-500 pl-4">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Bank Format Profiles</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Reports whose client organization matches a profile must have the bank's mandatory fields and photographs
+        before finalization, and print the bank's extra sections.
+      </p>
+
+      {profiles.map(profile => (
+        <div key={profile.id} className="flex justify-between items-start bg-gray-50 rounded-md p-3 mb-2 text-sm">
+          <div>
+            <div className="font-medium text-gray-900">{profile.organization_name}</div>
+            <div className="text-gray-600">
+              {profile.required_fields.length} required field(s)
+              {profile.forced_sale_percentage ? ` · FSV ${Number(profile.forced_sale_percentage)}%` : ''}
+              {profile.ltv_percentage ? ` · LTV ${Number(profile.ltv_percentage)}%` : ''}
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => setEditing(profile)} className="text-blue-600 hover:text-blue-800">
+              Edit
+            </button>
+            <button onClick={() => handleDelete(profile)} className="text-red-600 hover:text-red-800">
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {!editing && (
+        <button
+          onClick={() => setEditing(EMPTY_PROFILE)}
+          className="mt-2 px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 transition-colors"
+        >
+          Add Bank Profile
+        </button>
+      )}
+
+      {editing && (
+        <div className="mt-4 space-y-4 bg-white border border-gray-200 rounded-md p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Organization *</label>
+              <input
+                type="text"
+                value={editing.organization_name || ''}
+                onChange={(e) => update({ organization_name: e.target.value })}
+                className={inputClassName}
+                placeholder="e.g., Commercial Bank of Ceylon PLC"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Also known as (comma separated)</label>
+              <input
+                type="text"
+                value={(editing.aliases || []).join(',')}
+                onChange={(e) => update({ aliases: e.target.value.split(',') })}
+                className={inputClassName}
+                placeholder="e.g., Commercial Bank, ComBank"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Forced sale value (% of market value)</label>
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={editing.forced_sale_percentage ?? ''}
+                onChange={(e) => update({ forced_sale_percentage: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">LTV %</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  value={editing.ltv_percentage ?? ''}
+                  onChange={(e) => update({ ltv_percentage: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">LTV basis</label>
+                <select
+                  value={editing.ltv_basis || 'forced_sale_value'}
+                  onChange={(e) => update({ ltv_basis: e.target.value as ClientFormatProfile['ltv_basis'] })}
+                  className={inputClassName}
+                >
+                  <option value="forced_sale_value">Forced sale value</option>
+                  <option value="market_value">Market value</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Mandatory fields</label>
+            <select
+              multiple
+              value={editing.required_fields || []}
+              onChange={(e) => update({ required_fields: Array.from(e.target.selectedOptions, option => option.value) })}
+              className={`${inputClassName} h-40`}
+            >
+              {fields.map(field => (
+                <option key={field.name} value={field.name}>{field.label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Hold Ctrl (Cmd on Mac) to select several fields.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Minimum photographs</label>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              {IMAGE_CATEGORIES.map(category => (
+                <div key={category.value}>
+                  <div className="text-xs text-gray-600 mb-1">{category.label}</div>
+                  <input
+                    type="number"
+                    min={0}
+                    value={editing.required_images?.[category.value] ?? ''}
+                    onChange={(e) => {
+                      const { [category.value]: _removed, ...others } = editing.required_images || {};
+                      const count = parseInt(e.target.value);
+                      update({ required_images: count > 0 ? { ...others, [category.value]: count } : others });
+                    }}
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Extra sections</label>
+            <div className="flex gap-6 text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={(editing.extra_sections || []).includes('ltv_summary')}
+                  onChange={(e) => toggleExtraSection('ltv_summary', e.target.checked)}
+                />
+                Loan to value summary
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={(editing.extra_sections || []).includes('photographs')}
+                  onChange={(e) => toggleExtraSection('photographs', e.target.checked)}
+                />
+                Photograph annex
+              </label>
+            </div>
+
+            {customSections.map((section, index) => (
+              <div key={index} className="mt-3 space-y-2 border border-gray-200 rounded-md p-3">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={section.title}
+                    onChange={(e) => updateCustomSections(customSections.map((item, i) => (
+                      i === index ? { ...item, title: e.target.value } : item
+                    )))}
+                    className={inputClassName}
+                    placeholder="Section title, e.g. BANK DECLARATION"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateCustomSections(customSections.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:text-red-800 text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+                <textarea
+                  rows={3}
+                  value={section.template}
+                  onChange={(e) => updateCustomSections(customSections.map((item, i) => (
+                    i === index ? { ...item, template: e.target.value } : item
+                  )))}
+                  className={`${inputClassName} font-mono text-xs`}
+                  placeholder="<p>Wording required by the bank. {{ report.market_value | currency }} inserts report values.</p>"
+                />
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => updateCustomSections([...customSections, { key: `custom_${customSections.length + 1}`, title: '', template: '' }])}
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+            >
+              + Add section with the bank's wording
+            </button>
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!editing.organization_name || isSaving}
+              className="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 disabled:bg-gray-400 transition-colors"
+            >
+              {isSaving ? 'Saving...' : 'Save Profile'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClientFormatProfilesSection;
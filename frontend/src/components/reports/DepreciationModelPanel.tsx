@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { DepreciationModel, DepreciationSuggestion, ValuationReport } from '../../types/reports';
+
+interface DepreciationModelPanelProps {
+  reportId: number;
+  initialModel?: DepreciationModel;
+  initialEconomicLife?: number;
+  initialWorking?: DepreciationSuggestion;
+  onCalculated?: (report: ValuationReport) => void;
+}
+
+const MODEL_OPTIONS: Array<{ value: DepreciationModel; label: string }> = [
+  { value: 'straight_line', label: 'Straight-line (age/life)' },
+  { value: 'reducing_balance', label: 'Reducing balance' },
+  { value: 'condition_adjusted', label: 'Condition-adjusted straight-line' }
+];
+
+const DepreciationModelPanel: React.FC<DepreciationModelPanelProps> = ({
+  reportId,
+  initialModel,
+  initialEconomicLife,
+  initialWorking,
+  onCalculated
+}) => {
+  const [model, setModel] = useState<DepreciationModel>(initialModel || 'straight_line');
+  const [economicLife, setEconomicLife] = useState<number | undefined>(initialEconomicLife);
+  const [suggestion, setSuggestion] = useState<DepreciationSuggestion | undefined>(initialWorking);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSuggest = async () => {
+    try {
+      setIsLoading(true);
+      const result = await reportsApi.getDepreciationSuggestion(reportId, { model, economic_life: economicLife });
+      setSuggestion(result.suggestion);
+    } catch (error: any) {
+      console.error('Error calculating depreciation:', error);
+      toast.error(error.message || 'Failed to calculate depreciation');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setIsLoading(true);
+      const result = await reportsApi.applyDepreciation(reportId, { model, economic_life: economicLife });
+      setSuggestion(result.suggestion);
+      onCalculated?.(result.report);
+      toast.success(`Depreciation rate set to ${result.suggestion.depreciation_rate}%`);
+    } catch (error: any) {
+      console.error('Error applying depreciation:', error);
+      toast.error(error.message || 'Failed to apply depreciation');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 border border-gray-200 rounded-lg p-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Building Depreciation</h3>
+        <p className="text-sm text-gray-600">
+          Suggests a depreciation rate from the building age, condition and economic life
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Model</label>
+          <select
+            value={model}
+            onChange={(e) => setModel(e.target.value as DepreciationModel)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {MODEL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Economic Life (years)</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={economicLife || ''}
+            onChange={(e) => setEconomicLife(e.target.value ? parseInt(e.target.value, 10) : undefined)}
+            placeholder="By building type"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleSuggest}
+            disabled={isLoading}
+            className="px-4 py-2 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50 transition-colors"
+          >
+            Suggest
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            {isLoading ? 'Working...' : 'Apply Rate'}
+          </button>
+        </div>
+      </div>
+
+      {suggestion && (
+        <div className="mt-4 bg-gray-50 rounded-md p-4 text-sm">
+          <p className="font-medium text-gray-900 mb-2">
+            {suggestion.model_label}: {suggestion.depreciation_rate}%
+            <span className="text-gray-500 font-normal"> (remaining life {suggestion.remaining_life} years)</span>
+          </p>
+          <ul className="space-y-1 text-gray-700">
+            {suggestion.working.map((line, index) => (
+              <li key={index}>{line}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DepreciationModelPanel;
@@ -0,0 +1,395 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { Client, FeeBand, FeeExtra, FeeScale } from '../../types/reports';
+
+interface FeeScalesSectionProps {
+  userId: string;
+}
+
+// Partial<FeeScale> with the band and extra fields still being typed in
+interface FeeScaleDraft extends Omit<Partial<FeeScale>, 'bands' | 'extras'> {
+  bands: Array<{ up_to: string; rate: string }>;
+  extras: Array<{ label: string; amount: string }>;
+}
+
+const EMPTY_SCALE: FeeScaleDraft = {
+  name: '',
+  client_id: null,
+  currency: 'LKR',
+  bands: [
+    { up_to: '1000000', rate: '1' },
+    { up_to: '', rate: '0.5' }
+  ],
+  minimum_fee: '',
+  travel_rate_per_km: '',
+  travel_free_km: '',
+  travel_round_trip: true,
+  office_latitude: '',
+  office_longitude: '',
+  extras: [],
+  tax_percentage: '',
+  payment_terms_days: 30
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const toDraft = (scale: FeeScale): FeeScaleDraft => ({
+  ...scale,
+  bands: scale.bands.map(band => ({ up_to: band.up_to === null ? '' : String(band.up_to), rate: String(band.rate) })),
+  extras: scale.extras.map(extra => ({ label: extra.label, amount: String(extra.amount) })),
+  office_latitude: scale.office_latitude ?? '',
+  office_longitude: scale.office_longitude ?? ''
+});
+
+const describeBands = (bands: FeeBand[]) => {
+  let lower = 0;
+  return bands.map(band => {
+    const slice = band.up_to === null
+      ? `over ${lower.toLocaleString('en-LK')}`
+      : `${lower.toLocaleString('en-LK')}–${Number(band.up_to).toLocaleString('en-LK')}`;
+    lower = Number(band.up_to);
+    return `${band.rate}% ${slice}`;
+  }).join(', ');
+};
+
+const FeeScalesSection: React.FC<FeeScalesSectionProps> = ({ userId }) => {
+  const [scales, setScales] = useState<FeeScale[]>([]);
+  const [clients, setClients] = useState<Client[]>([]);
+  const [editing, setEditing] = useState<FeeScaleDraft | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    reportsApi.getFeeScales(userId)
+      .then(setScales)
+      .catch(error => console.error('Error loading fee scales:', error));
+
+    reportsApi.getClients(userId)
+      .then(setClients)
+      .catch(error => console.error('Error loading clients:', error));
+  }, [userId]);
+
+  const updateBand = (index: number, field: 'up_to' | 'rate', value: string) => {
+    setEditing(prev => prev && {
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, [field]: value } : band))
+    });
+  };
+
+  const updateExtra = (index: number, field: 'label' | 'amount', value: string) => {
+    setEditing(prev => prev && {
+      ...prev,
+      extras: prev.extras.map((extra, i) => (i === index ? { ...extra, [field]: value } : extra))
+    });
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await reportsApi.saveFeeScale(userId, {
+        ...editing,
+        bands: editing.bands.map((band): FeeBand => ({
+          up_to: band.up_to === '' ? null : Number(band.up_to),
+          rate: Number(band.rate)
+        })),
+        extras: editing.extras.map((extra): FeeExtra => ({ label: extra.label, amount: Number(extra.amount) }))
+      });
+      const organization = clients.find(client => client.id === saved.client_id)?.organization_name || null;
+      setScales(prev => [...prev.filter(scale => scale.id !== saved.id), { ...saved, organization_name: organization }]);
+      setEditing(null);
+      toast.success('Fee scale saved');
+    } catch (error: any) {
+      console.error('Error saving fee scale:', error);
+      toast.error(error.message || 'Failed to save fee scale');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (scale: FeeScale) => {
+    if (!window.confirm(`Delete the fee scale "${scale.name}"? Invoices already raised are not changed.`)) {
+      return;
+    }
+
+    try {
+      await reportsApi.deleteFeeScale(userId, scale.id);
+      setScales(prev => prev.filter(item => item.id !== scale.id));
+      toast.success('Fee scale deleted');
+    } catch (error: any) {
+      console.error('Error deleting fee scale:', error);
+      toast.error('Failed to delete fee scale');
+    }
+  };
+
+  return (
+    <div className="mt-8 border-l-4 border-emerald-500 pl-4">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Fee Scales</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        How you charge for a valuation. A report is invoiced on its client's scale when it is finalized, or on
+        your default scale when the client has none.
+      </p>
+
+      {scales.map(scale => (
+        <div key={scale.id} className="flex justify-between items-start bg-gray-50 rounded-md p-3 mb-2 text-sm">
+          <div>
+            <div className="font-medium text-gray-900">
+              {scale.name} <span className="text-gray-500">({scale.organization_name || 'Default'})</span>
+            </div>
+            <div className="text-gray-600">{describeBands(scale.bands)}</div>
+            <div className="text-gray-600">
+              Minimum {scale.currency} {Number(scale.minimum_fee).toLocaleString('en-LK')}
+              {Number(scale.travel_rate_per_km) > 0 && ` · Travel ${scale.currency} ${Number(scale.travel_rate_per_km)}/km`}
+              {scale.extras.length > 0 && ` · ${scale.extras.length} extra(s)`}
+              {Number(scale.tax_percentage) > 0 && ` · Tax ${Number(scale.tax_percentage)}%`}
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => setEditing(toDraft(scale))} className="text-blue-600 hover:text-blue-800">
+              Edit
+            </button>
+            <button onClick={() => handleDelete(scale)} className="text-red-600 hover:text-red-800">
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {!editing && (
+        <button
+          onClick={() => setEditing(EMPTY_SCALE)}
+          className="mt-2 px-4 py-2 bg-emerald-600 text-white rounded-md hover:bg-emerald-700 transition-colors"
+        >
+          Add Fee Scale
+        </button>
+      )}
+
+      {editing && (
+        <div className="mt-4 space-y-4 bg-white border border-gray-200 rounded-md p-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input
+                type="text"
+                value={editing.name || ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, name: e.target.value })}
+                className={inputClassName}
+                placeholder="e.g., IVSL scale 2026"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Client</label>
+              <select
+                value={editing.client_id ?? ''}
+                onChange={(e) => setEditing(prev => prev && {
+                  ...prev,
+                  client_id: e.target.value ? Number(e.target.value) : null
+                })}
+                className={inputClassName}
+              >
+                <option value="">Default (all other clients)</option>
+                {clients.map(client => (
+                  <option key={client.id} value={client.id}>{client.organization_name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+              <input
+                type="text"
+                maxLength={3}
+                value={editing.currency || ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, currency: e.target.value.toUpperCase() })}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sliding scale on market value</label>
+            {editing.bands.map((band, index) => (
+              <div key={index} className="flex gap-2 mb-2 items-center text-sm">
+                <span className="w-16 text-gray-600">{index === editing.bands.length - 1 ? 'Above' : 'Up to'}</span>
+                <input
+                  type="number"
+                  value={band.up_to}
+                  onChange={(e) => updateBand(index, 'up_to', e.target.value)}
+                  className={inputClassName}
+                  placeholder={index === editing.bands.length - 1 ? 'No limit' : 'Value'}
+                  disabled={index === editing.bands.length - 1}
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  value={band.rate}
+                  onChange={(e) => updateBand(index, 'rate', e.target.value)}
+                  className={inputClassName}
+                  placeholder="Rate %"
+                />
+                <button
+                  type="button"
+                  onClick={() => setEditing(prev => prev && { ...prev, bands: prev.bands.filter((_, i) => i !== index) })}
+                  disabled={editing.bands.length === 1}
+                  className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setEditing(prev => prev && {
+                ...prev,
+                bands: [...prev.bands.slice(0, -1), { up_to: '', rate: '' }, prev.bands[prev.bands.length - 1]]
+              })}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              + Add band
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minimum fee</label>
+              <input
+                type="number"
+                value={editing.minimum_fee ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, minimum_fee: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tax (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                value={editing.tax_percentage ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, tax_percentage: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Payment terms (days)</label>
+              <input
+                type="number"
+                value={editing.payment_terms_days ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, payment_terms_days: Number(e.target.value) })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Travel rate (per km)</label>
+              <input
+                type="number"
+                value={editing.travel_rate_per_km ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, travel_rate_per_km: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Free distance (km)</label>
+              <input
+                type="number"
+                value={editing.travel_free_km ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, travel_free_km: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex items-end pb-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={editing.travel_round_trip !== false}
+                  onChange={(e) => setEditing(prev => prev && { ...prev, travel_round_trip: e.target.checked })}
+                />
+                Charge the return journey
+              </label>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Office latitude</label>
+              <input
+                type="number"
+                step="any"
+                value={editing.office_latitude ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, office_latitude: e.target.value })}
+                className={inputClassName}
+                placeholder="Optional"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Office longitude</label>
+              <input
+                type="number"
+                step="any"
+                value={editing.office_longitude ?? ''}
+                onChange={(e) => setEditing(prev => prev && { ...prev, office_longitude: e.target.value })}
+                className={inputClassName}
+                placeholder="Optional"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Without an office location, travel is charged on the route distance from the nearest major city.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Extra charges</label>
+            {editing.extras.map((extra, index) => (
+              <div key={index} className="flex gap-2 mb-2 text-sm">
+                <input
+                  type="text"
+                  value={extra.label}
+                  onChange={(e) => updateExtra(index, 'label', e.target.value)}
+                  className={inputClassName}
+                  placeholder="e.g., Certified copy of survey plan"
+                />
+                <input
+                  type="number"
+                  value={extra.amount}
+                  onChange={(e) => updateExtra(index, 'amount', e.target.value)}
+                  className={inputClassName}
+                  placeholder="Amount"
+                />
+                <button
+                  type="button"
+                  onClick={() => setEditing(prev => prev && { ...prev, extras: prev.extras.filter((_, i) => i !== index) })}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setEditing(prev => prev && { ...prev, extras: [...prev.extras, { label: '', amount: '' }] })}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              + Add extra charge
+            </button>
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!editing.name || isSaving}
+              className="px-4 py-2 bg-emerald-600 text-white rounded-md hover:bg-emerald-700 disabled:bg-gray-400 transition-colors"
+            >
+              {isSaving ? 'Saving...' : 'Save Fee Scale'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeeScalesSection;
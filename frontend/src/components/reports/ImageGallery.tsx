@@ -36,7 +36,9 @@ const ImageGallery: React.FC<ImageGalleryProps> = ({
     building_exterior: { name: 'Building Exterior', icon: '🏠' },
     building_interior: { name: 'Building Interior', icon: '🏡' },
     boundaries: { name: 'Property Boundaries', icon: '📐' },
-    location_maps: { name: 'Location & Maps', icon: '🗺️' }
+    location_maps: { name: 'Location & Maps', icon: '🗺️' },
+    survey_plan: { name: 'Survey Plan Copy', icon: '📄' },
+    deed: { name: 'Deed Copy', icon: '📜' }
   };
 
   useEffect(() => {
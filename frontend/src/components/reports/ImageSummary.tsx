@@ -41,7 +41,9 @@ const ImageSummary: React.FC<ImageSummaryProps> = ({
     building_exterior: '🏠',
     building_interior: '🏡',
     boundaries: '📐',
-    location_maps: '🗺️'
+    location_maps: '🗺️',
+    survey_plan: '📄',
+    deed: '📜'
   };
 
   useEffect(() => {
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
 
 interface ReportImage {
   id: number;
@@ -35,6 +36,7 @@ const ImageUploadManager: React.FC<ImageUploadManagerProps> = ({
   const [selectedCategory, setSelectedCategory] = useState<string>('land_views');
   const [isUploading, setIsUploading] = useState(false);
   const [dragOver, setDragOver] = useState<string | null>(null);
+  const [sketchUnavailable, setSketchUnavailable] = useState(false);
 
   const imageCategories: ImageCategory[] = [
     {
@@ -76,6 +78,22 @@ const ImageUploadManager: React.FC<ImageUploadManagerProps> = ({
       icon: '🗺️',
       maxCount: 2,
       required: false
+    },
+    {
+      id: 'survey_plan',
+      name: 'Survey Plan Copy',
+      description: 'Scanned pages of the survey plan, printed as an annexure',
+      icon: '📄',
+      maxCount: 4,
+      required: false
+    },
+    {
+      id: 'deed',
+      name: 'Deed Copy',
+      description: 'Scanned pages of the title deed, printed as an annexure',
+      icon: '📜',
+      maxCount: 6,
+      required: false
     }
   ];
 
@@ -392,6 +410,28 @@ const ImageUploadManager: React.FC<ImageUploadManagerProps> = ({
                     )}
                   </div>
                 )}
+
+                {categoryImages.length === 0 && category.id === 'location_maps' && !sketchUnavailable && (
+                  <div className="border border-gray-200 rounded-lg p-4">
+                    <p className="text-sm text-gray-600 mb-3">
+                      Without an uploaded map the report prints this location sketch, drawn from the GPS
+                      coordinates and nearby facilities.
+                    </p>
+                    <img
+                      src={reportsApi.getLocationSketchUrl(reportId)}
+                      alt="Generated location sketch"
+                      className="w-full"
+                      onError={() => setSketchUnavailable(true)}
+                    />
+                    <a
+                      href={reportsApi.getLocationSketchUrl(reportId, 'png')}
+                      download={`location-sketch-${reportId}.png`}
+                      className="inline-block mt-2 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Download as PNG
+                    </a>
+                  </div>
+                )}
               </div>
             );
           })}
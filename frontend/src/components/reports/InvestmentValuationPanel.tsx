@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { InvestmentCalculation, InvestmentInputs, ValuationReport } from '../../types/reports';
+
+interface InvestmentValuationPanelProps {
+  reportId: number;
+  onCalculated?: (report: ValuationReport) => void;
+}
+
+const numberFields: Array<{ field: keyof InvestmentInputs; label: string; placeholder: string; leasehold?: boolean }> = [
+  { field: 'gross_monthly_rent', label: 'Gross Monthly Rent (Rs.)', placeholder: '150000' },
+  { field: 'outgoings_percentage', label: 'Outgoings (% of rent)', placeholder: '20' },
+  { field: 'yield_rate', label: 'Yield Rate (%) *', placeholder: '8' },
+  { field: 'term_years', label: 'Term to Reversion (years)', placeholder: '3' },
+  { field: 'reversion_annual_rent', label: 'Reversion Annual Rent (Rs.)', placeholder: '2400000' },
+  { field: 'unexpired_term_years', label: 'Unexpired Lease Term (years) *', placeholder: '25', leasehold: true },
+  { field: 'ground_rent', label: 'Ground Rent Payable (Rs. p.a.)', placeholder: '60000', leasehold: true },
+  { field: 'sinking_fund_rate', label: 'Sinking Fund Rate (%)', placeholder: '3', leasehold: true },
+  { field: 'tax_rate', label: 'Tax Rate (%)', placeholder: '0', leasehold: true }
+];
+
+const InvestmentValuationPanel: React.FC<InvestmentValuationPanelProps> = ({ reportId, onCalculated }) => {
+  const [inputs, setInputs] = useState<Partial<InvestmentInputs>>({ interest_type: 'freehold', use_dual_rate: true });
+  const [calculation, setCalculation] = useState<InvestmentCalculation | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    reportsApi.getInvestmentValuation(reportId)
+      .then(result => {
+        if (result.inputs) setInputs(result.inputs);
+        setCalculation(result.calculation);
+      })
+      .catch(error => console.error('Error loading investment valuation:', error));
+  }, [reportId]);
+
+  const handleChange = (field: keyof InvestmentInputs, value: any) => {
+    setInputs(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCalculate = async () => {
+    try {
+      setIsSaving(true);
+      const result = await reportsApi.saveInvestmentValuation(reportId, inputs);
+      setInputs(result.inputs);
+      setCalculation(result.calculation);
+      onCalculated?.(result.report);
+      toast.success('Investment valuation calculated and saved');
+    } catch (error: any) {
+      console.error('Error saving investment valuation:', error);
+      toast.error(error.message || 'Failed to calculate investment valuation');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isLeasehold = inputs.interest_type === 'leasehold';
+
+  return (
+    <div className="mt-8 border border-gray-200 rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-gray-900">Investment Method</h3>
+      <p className="text-sm text-gray-600 mb-4">Capitalise rental income using single-rate or dual-rate Years' Purchase</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Interest</label>
+          <select
+            value={inputs.interest_type}
+            onChange={(e) => handleChange('interest_type', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="freehold">Freehold</option>
+            <option value="leasehold">Leasehold</option>
+          </select>
+        </div>
+        {numberFields
+          .filter(({ leasehold }) => !leasehold || isLeasehold)
+          .map(({ field, label, placeholder }) => (
+            <div key={field}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+              <input
+                type="number"
+                value={(inputs[field] as number | undefined) ?? ''}
+                onChange={(e) => handleChange(field, e.target.value === '' ? null : parseFloat(e.target.value))}
+                placeholder={placeholder}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+        {isLeasehold && (
+          <label className="flex items-center mt-8">
+            <input
+              type="checkbox"
+              checked={inputs.use_dual_rate !== false}
+              onChange={(e) => handleChange('use_dual_rate', e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm">Dual-rate Years' Purchase</span>
+          </label>
+        )}
+      </div>
+
+      <div className="flex justify-end mt-4">
+        <button
+          onClick={handleCalculate}
+          disabled={isSaving || !inputs.yield_rate}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+        >
+          {isSaving ? 'Calculating...' : 'Capitalise & Save'}
+        </button>
+      </div>
+
+      {calculation && (
+        <table className="w-full text-sm mt-4">
+          <tbody className="divide-y divide-gray-200">
+            {calculation.rows.map((row, index) => (
+              <tr key={index} className={row.total ? 'bg-gray-50' : ''}>
+                <td className={`py-2 ${row.total || row.subtotal ? 'font-semibold' : 'text-gray-700'}`}>{row.label}</td>
+                <td className="py-2 text-right font-medium">
+                  {row.factor !== undefined ? row.factor.toFixed(4) : reportsApi.formatCurrency(row.amount || 0)}
+                </td>
+              </tr>
+            ))}
+            <tr className="bg-green-50">
+              <td className="py-2 font-semibold">Market Value (say)</td>
+              <td className="py-2 text-right font-bold">{reportsApi.formatCurrency(calculation.market_value)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default InvestmentValuationPanel;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { IncomeAnalytics, Invoice, InvoiceStatus } from '../../types/reports';
+
+interface InvoicesSectionProps {
+  userId: string;
+}
+
+const formatAmount = (amount: number | string) => Number(amount).toLocaleString('en-LK', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const isOverdue = (invoice: Invoice) =>
+  invoice.status === 'unpaid' && !!invoice.due_date && new Date(invoice.due_date) < new Date();
+
+const InvoicesSection: React.FC<InvoicesSectionProps> = ({ userId }) => {
+  const [invoices, setInvoices] = useState<Invoice[]>([]);
+  const [statusFilter, setStatusFilter] = useState<InvoiceStatus | ''>('');
+  const [income, setIncome] = useState<IncomeAnalytics | null>(null);
+
+  useEffect(() => {
+    reportsApi.getInvoices(userId, statusFilter || undefined)
+      .then(setInvoices)
+      .catch(error => console.error('Error loading invoices:', error));
+  }, [userId, statusFilter]);
+
+  useEffect(() => {
+    reportsApi.getIncomeAnalytics(userId)
+      .then(setIncome)
+      .catch(error => console.error('Error loading income analytics:', error));
+  }, [userId]);
+
+  const handleStatus = async (invoice: Invoice, status: InvoiceStatus) => {
+    let paymentReference: string | undefined;
+    if (status === 'paid') {
+      const reference = window.prompt(`Payment reference for ${invoice.invoice_number} (cheque or transfer number)`, '');
+      if (reference === null) return;
+      paymentReference = reference || undefined;
+    }
+
+    try {
+      const updated = await reportsApi.updateInvoiceStatus(userId, invoice.id, {
+        status,
+        payment_reference: paymentReference
+      });
+      setInvoices(prev => prev
+        .map(item => (item.id === updated.id ? { ...item, ...updated } : item))
+        .filter(item => !statusFilter || item.status === statusFilter));
+      reportsApi.getIncomeAnalytics(userId).then(setIncome).catch(() => undefined);
+      toast.success(`Invoice marked ${status}`);
+    } catch (error: any) {
+      console.error('Error updating invoice status:', error);
+      toast.error(error.message || 'Failed to update invoice');
+    }
+  };
+
+  const handleDownload = async (invoice: Invoice) => {
+    try {
+      await reportsApi.downloadInvoice(userId, invoice);
+    } catch (error: any) {
+      console.error('Error downloading invoice:', error);
+      toast.error(error.message || 'Failed to download invoice');
+    }
+  };
+
+  const maxMonthly = Math.max(1, ...(income?.by_month.map(month => Math.max(month.invoiced, month.received)) || []));
+
+  return (
+    <div className="mt-8 border-l-4 border-teal-500 pl-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-900">Invoices</h3>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value as InvoiceStatus | '')}
+          className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="">All</option>
+          <option value="unpaid">Unpaid</option>
+          <option value="paid">Paid</option>
+        </select>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Raised from your fee scales when a report is finalized.
+      </p>
+
+      {income && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+          <div className="bg-gray-50 rounded-md p-3">
+            <div className="text-gray-500">Invoiced</div>
+            <div className="font-semibold text-gray-900">LKR {formatAmount(income.summary.total_invoiced)}</div>
+          </div>
+          <div className="bg-gray-50 rounded-md p-3">
+            <div className="text-gray-500">Received</div>
+            <div className="font-semibold text-gray-900">LKR {formatAmount(income.summary.total_received)}</div>
+          </div>
+          <div className="bg-gray-50 rounded-md p-3">
+            <div className="text-gray-500">Outstanding</div>
+            <div className="font-semibold text-gray-900">LKR {formatAmount(income.summary.outstanding)}</div>
+          </div>
+          <div className="bg-gray-50 rounded-md p-3">
+            <div className="text-gray-500">Overdue</div>
+            <div className={`font-semibold ${income.summary.overdue > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              LKR {formatAmount(income.summary.overdue)}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {invoices.length === 0 && <div className="text-sm text-gray-500 mb-2">No invoices yet.</div>}
+      {invoices.map(invoice => (
+        <div key={invoice.id} className="flex justify-between items-start bg-gray-50 rounded-md p-3 mb-2 text-sm">
+          <div>
+            <div className="font-medium text-gray-900">
+              {invoice.invoice_number} · {invoice.client_name || invoice.bill_to_name || 'No client'}
+            </div>
+            <div className="text-gray-600">
+              {invoice.report_id ? (
+                <Link to={`/reports/builder/${invoice.report_id}`} className="text-blue-600 hover:text-blue-800">
+                  {invoice.report_reference}
+                </Link>
+              ) : (
+                <span>{invoice.report_reference || 'Deleted report'}</span>
+              )}
+              {' '}· {invoice.currency} {formatAmount(invoice.total)}
+              {invoice.due_date && ` · due ${new Date(invoice.due_date).toLocaleDateString()}`}
+            </div>
+            <div className={invoice.status === 'paid' ? 'text-green-700' : isOverdue(invoice) ? 'text-red-600' : 'text-yellow-700'}>
+              {invoice.status === 'paid'
+                ? `Paid${invoice.paid_at ? ` ${new Date(invoice.paid_at).toLocaleDateString()}` : ''}${invoice.payment_reference ? ` (${invoice.payment_reference})` : ''}`
+                : isOverdue(invoice) ? 'Overdue' : 'Unpaid'}
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => handleDownload(invoice)} className="text-gray-600 hover:text-gray-800">
+              PDF
+            </button>
+            {invoice.status === 'unpaid' ? (
+              <button onClick={() => handleStatus(invoice, 'paid')} className="text-green-600 hover:text-green-800">
+                Mark Paid
+              </button>
+            ) : (
+              <button onClick={() => handleStatus(invoice, 'unpaid')} className="text-yellow-600 hover:text-yellow-800">
+                Mark Unpaid
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {income && income.summary.invoice_count > 0 && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div>
+            <div className="font-medium text-gray-700 mb-2">Last 12 months</div>
+            <div className="h-32 flex items-end gap-1">
+              {income.by_month.map(month => (
+                <div key={month.month} className="flex-1 flex items-end gap-px h-full" title={month.month}>
+                  <div
+                    className="flex-1 bg-teal-600 rounded-t min-h-[2px]"
+                    style={{ height: `${(month.invoiced / maxMonthly) * 100}%` }}
+                    title={`${month.month} invoiced: LKR ${formatAmount(month.invoiced)}`}
+                  ></div>
+                  <div
+                    className="flex-1 bg-green-500 rounded-t min-h-[2px]"
+                    style={{ height: `${(month.received / maxMonthly) * 100}%` }}
+                    title={`${month.month} received: LKR ${formatAmount(month.received)}`}
+                  ></div>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-4 mt-2 text-xs text-gray-600">
+              <span className="flex items-center"><span className="w-3 h-3 bg-teal-600 rounded mr-1"></span>Invoiced</span>
+              <span className="flex items-center"><span className="w-3 h-3 bg-green-500 rounded mr-1"></span>Received</span>
+            </div>
+          </div>
+
+          <div>
+            <div className="font-medium text-gray-700 mb-2">By client</div>
+            {income.by_client.map(client => (
+              <div key={client.client_name} className="flex justify-between py-1">
+                <span>{client.client_name} ({client.invoice_count})</span>
+                <span className="text-gray-600">
+                  LKR {formatAmount(client.invoiced)}
+                  {client.outstanding > 0 && ` · ${formatAmount(client.outstanding)} due`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoicesSection;
@@ -2,6 +2,11 @@ import React, { useState } from 'react';
 import { toast } from 'react-toastify';
 import { reportsApi } from '../../services/reportsApi';
 import { UserProfile } from '../../types/reports';
+import SigningCertificateSection from './SigningCertificateSection';
+import ClientFormatProfilesSection from './ClientFormatProfilesSection';
+import ClientAddressBookSection from './ClientAddressBookSection';
+import FeeScalesSection from './FeeScalesSection';
+import InvoicesSection from './InvoicesSection';
 
 interface ProfileSetupProps {
   profile: UserProfile | null;
@@ -338,6 +343,13 @@ const ProfileSetup: React.FC<ProfileSetupProps> = ({ profile, onProfileUpdate, u
         </div>
       </form>
 
+      {/* Certificates belong to a saved profile */}
+      {profile && <SigningCertificateSection userId={userId} />}
+      {profile && <ClientFormatProfilesSection userId={userId} />}
+      {profile && <ClientAddressBookSection userId={userId} />}
+      {profile && <FeeScalesSection userId={userId} />}
+      {profile && <InvoicesSection userId={userId} />}
+
       <div className="mt-6 p-4 bg-blue-50 rounded-lg">
         <h4 className="text-sm font-semibold text-blue-900 mb-2">Why do we need this information?</h4>
         <ul className="text-sm text-blue-800 space-y-1">
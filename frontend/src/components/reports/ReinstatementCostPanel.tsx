@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { ReinstatementSchedule, ValuationReport } from '../../types/reports';
+
+interface ReinstatementCostPanelProps {
+  reportId: number;
+  initialSchedule?: ReinstatementSchedule;
+  onCalculated?: (report: ValuationReport) => void;
+}
+
+const ReinstatementCostPanel: React.FC<ReinstatementCostPanelProps> = ({
+  reportId,
+  initialSchedule,
+  onCalculated
+}) => {
+  const [schedule, setSchedule] = useState<ReinstatementSchedule | undefined>(initialSchedule);
+  const [isCalculating, setIsCalculating] = useState(false);
+
+  const handleCalculate = async () => {
+    try {
+      setIsCalculating(true);
+      const result = await reportsApi.calculateReinstatement(reportId);
+      setSchedule(result.breakdown);
+      onCalculated?.(result.report);
+      toast.success('Insurance value updated from reinstatement cost');
+    } catch (error: any) {
+      console.error('Error calculating reinstatement cost:', error);
+      toast.error(error.message || 'Failed to calculate reinstatement cost');
+    } finally {
+      setIsCalculating(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Reinstatement Cost</h3>
+          <p className="text-sm text-gray-600">
+            Uses your rate table for the building type and condition, plus professional fees and debris removal
+          </p>
+        </div>
+        <button
+          onClick={handleCalculate}
+          disabled={isCalculating}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+        >
+          {isCalculating ? 'Calculating...' : 'Calculate Insurance Value'}
+        </button>
+      </div>
+
+      {schedule && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-2">Element</th>
+              <th className="py-2 text-right">Rate / sq. ft.</th>
+              <th className="py-2 text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {schedule.elements.map(element => (
+              <tr key={element.element}>
+                <td className="py-2 text-gray-700">{element.description}</td>
+                <td className="py-2 text-right">{reportsApi.formatCurrency(element.rate_per_sqft)}</td>
+                <td className="py-2 text-right font-medium">{reportsApi.formatCurrency(element.cost)}</td>
+              </tr>
+            ))}
+            <tr>
+              <td className="py-2 text-gray-700" colSpan={2}>
+                Professional fees @ {schedule.professional_fees_percentage}%
+              </td>
+              <td className="py-2 text-right font-medium">{reportsApi.formatCurrency(schedule.professional_fees)}</td>
+            </tr>
+            <tr>
+              <td className="py-2 text-gray-700" colSpan={2}>
+                Debris removal @ {schedule.debris_removal_percentage}%
+              </td>
+              <td className="py-2 text-right font-medium">{reportsApi.formatCurrency(schedule.debris_removal)}</td>
+            </tr>
+            <tr className="bg-green-50">
+              <td className="py-2 font-semibold" colSpan={2}>Insurance Value (say)</td>
+              <td className="py-2 text-right font-bold">{reportsApi.formatCurrency(schedule.insurance_value)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ReinstatementCostPanel;
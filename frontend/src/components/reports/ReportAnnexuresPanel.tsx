@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { ReportAnnexureKey, ReportAnnexures, ValuationReport } from '../../types/reports';
+
+interface ReportAnnexuresPanelProps {
+  report: ValuationReport;
+  userId?: string;
+  isEditable: boolean;
+  onOrderChange?: (report: ValuationReport) => void;
+}
+
+const ANNEXURE_LABELS: Record<ReportAnnexureKey, string> = {
+  location_sketch: 'Location sketch',
+  route_map: 'Access route map',
+  survey_plan: 'Copy of survey plan',
+  deed: 'Copy of title deed',
+  photographs: 'Photographs'
+};
+
+const ReportAnnexuresPanel: React.FC<ReportAnnexuresPanelProps> = ({ report, userId, isEditable, onOrderChange }) => {
+  const [annexures, setAnnexures] = useState<ReportAnnexures | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    reportsApi.getReportAnnexures(report.id)
+      .then(setAnnexures)
+      .catch(error => console.error('Error loading report annexures:', error));
+  }, [report.id, report.updated_at]);
+
+  const saveOrder = async (order: ReportAnnexureKey[]) => {
+    try {
+      setIsSaving(true);
+      const updatedReport = await reportsApi.updateAnnexureOrder(report.id, order, userId);
+      onOrderChange?.(updatedReport);
+    } catch (error: any) {
+      console.error('Error updating annexure order:', error);
+      toast.error(error.message || 'Failed to update annexure order');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!annexures) return null;
+
+  const { order } = annexures;
+  // Annexures left out of the order are listed after it, unticked
+  const rows = [...order, ...annexures.available.filter(key => !order.includes(key))];
+
+  const move = (key: ReportAnnexureKey, offset: number) => {
+    const index = order.indexOf(key);
+    const next = [...order];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    saveOrder(next);
+  };
+
+  const toggle = (key: ReportAnnexureKey, included: boolean) => {
+    saveOrder(included ? [...order, key] : order.filter(item => item !== key));
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Annexures</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Printed after the certification with an index. Annexures with nothing uploaded are left out.
+      </p>
+
+      <ul className="space-y-2">
+        {rows.map(key => {
+          const index = order.indexOf(key);
+          const printed = annexures.annexures.find(annexure => annexure.key === key);
+
+          return (
+            <li key={key} className="flex items-center justify-between text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={index !== -1}
+                  disabled={!isEditable || isSaving}
+                  onChange={(e) => toggle(key, e.target.checked)}
+                />
+                <span className={index === -1 ? 'text-gray-400' : 'text-gray-900'}>
+                  {printed && <span className="font-medium">{printed.letter}. </span>}
+                  {ANNEXURE_LABELS[key]}
+                </span>
+                {index !== -1 && !printed && <span className="text-xs text-gray-400">(nothing to print)</span>}
+              </label>
+              {index !== -1 && (
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => move(key, -1)}
+                    disabled={!isEditable || isSaving || index === 0}
+                    className="px-2 text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => move(key, 1)}
+                    disabled={!isEditable || isSaving || index === order.length - 1}
+                    className="px-2 text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ReportAnnexuresPanel;
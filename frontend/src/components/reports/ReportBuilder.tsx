@@ -2,10 +2,19 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { reportsApi } from '../../services/reportsApi';
-import { UserProfile, ValuationReport } from '../../types/reports';
+import { ClientFormatProfile, CommentSummary, ReportLayout, ReportSectionSchema, UserProfile, ValuationReport } from '../../types/reports';
 import { useLocationAnalysis } from '../../hooks/useLocationAnalysis';
 import { LocationAnalysis, Coordinates } from '../../types';
 import ImageUploadManager from './ImageUploadManager';
+import ValuationBreakdownPanel from './ValuationBreakdownPanel';
+import InvestmentValuationPanel from './InvestmentValuationPanel';
+import ReinstatementCostPanel from './ReinstatementCostPanel';
+import DepreciationModelPanel from './DepreciationModelPanel';
+import SchemaSectionForm from './SchemaSectionForm';
+import ReportHistoryTimeline from './ReportHistoryTimeline';
+import ReportWorkflowPanel from './ReportWorkflowPanel';
+import ReportAnnexuresPanel from './ReportAnnexuresPanel';
+import SectionCommentsPanel from './SectionCommentsPanel';
 import CoordinateInput from '../CoordinateInput';
 
 interface ReportBuilderProps {
@@ -23,6 +32,10 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
   const [currentSection, setCurrentSection] = useState(isNewReport ? -1 : 0); // Start at -1 for GPS input on new reports
   const [formData, setFormData] = useState<Partial<ValuationReport>>({});
   const [isSaving, setIsSaving] = useState(false);
+  const [sectionSchema, setSectionSchema] = useState<ReportSectionSchema[]>([]);
+  const [commentSummary, setCommentSummary] = useState<CommentSummary>({});
+  const [layouts, setLayouts] = useState<ReportLayout[]>([]);
+  const [clientProfile, setClientProfile] = useState<ClientFormatProfile | null>(null);
 
   // Location intelligence integration
   const [locationData, setLocationData] = useState<LocationAnalysis | null>(null);
@@ -51,6 +64,30 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
     }
   }, [reportId, isNewReport, userProfile]);
 
+  useEffect(() => {
+    reportsApi.getSectionSchema()
+      .then(setSectionSchema)
+      .catch((error: any) => {
+        console.error('Error loading section schema:', error);
+        toast.error('Failed to load report sections');
+      });
+  }, []);
+
+  // Bank format profile the report is checked against, by client organization
+  useEffect(() => {
+    if (!report?.id) return;
+
+    reportsApi.getReportClientProfile(report.id)
+      .then(setClientProfile)
+      .catch(error => console.error('Error loading client format profile:', error));
+  }, [report?.id, report?.client_organization]);
+
+  useEffect(() => {
+    reportsApi.getLayouts()
+      .then(setLayouts)
+      .catch(error => console.error('Error loading report layouts:', error));
+  }, [userProfile?.user_id]);
+
   // Handle location analysis completion
   useEffect(() => {
     if (analysisData) {
@@ -147,9 +184,18 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
       const updatedReport = await reportsApi.updateReportSection(
         parseInt(reportId),
         sectionName,
-        formData
+        formData,
+        { user_id: userProfile.user_id }
       );
       setReport(updatedReport);
+
+      // Show the section as stored by the backend (converted extent, value words)
+      const savedFields = (sectionSchema.find(section => section.id === sectionName)?.fields || [])
+        .reduce<Record<string, any>>((values, field) => ({
+          ...values,
+          [field.name]: field.virtual ? undefined : updatedReport[field.name as keyof ValuationReport]
+        }), {});
+      setFormData(prev => ({ ...prev, ...savedFields, extent_unit: undefined }));
       onReportUpdate(updatedReport);
       toast.success('Section saved successfully');
     } catch (error: any) {
@@ -160,6 +206,25 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
     }
   };
 
+  const handleReportRefresh = (updatedReport: ValuationReport) => {
+    setReport(updatedReport);
+    setFormData(prev => ({ ...prev, ...updatedReport }));
+    onReportUpdate(updatedReport);
+  };
+
+  const handleLayoutChange = async (layoutKey: string) => {
+    if (!report) return;
+
+    try {
+      const updatedReport = await reportsApi.updateReportLayout(report.id, layoutKey, { user_id: userProfile?.user_id });
+      handleReportRefresh(updatedReport);
+      toast.success('Report layout updated');
+    } catch (error: any) {
+      console.error('Error updating report layout:', error);
+      toast.error(error.message || 'Failed to update report layout');
+    }
+  };
+
   // Define sections for both new and existing reports
   const gpsInputSection = {
     id: 'gps_input',
@@ -167,53 +232,24 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
     description: 'Enter GPS coordinates to automatically populate location data'
   };
 
-  const mainSections = [
-    {
-      id: 'basic_info',
-      title: '1. Basic Information',
-      description: 'Client details and report purpose'
-    },
-    {
-      id: 'property_location',
-      title: '2. Property Location',
-      description: 'GPS coordinates and administrative details (Auto-populated)'
-    },
-    {
-      id: 'legal_details',
-      title: '3. Legal Description',
-      description: 'Ownership and survey information'
-    },
-    {
-      id: 'boundaries',
-      title: '4. Property Boundaries',
-      description: 'North, South, East, West boundaries'
-    },
-    {
-      id: 'land_description',
-      title: '5. Land Description',
-      description: 'Topography, soil, and plantation details'
-    },
-    {
-      id: 'building_details',
-      title: '6. Building Details',
-      description: 'Construction and accommodation details'
-    },
-    {
-      id: 'property_images',
-      title: '7. Property Images',
-      description: 'Upload and organize property documentation photos'
-    },
-    {
-      id: 'valuation',
-      title: '8. Valuation',
-      description: 'Market analysis and final valuation'
-    }
-  ];
+  const mainSections = sectionSchema
+    .filter(section => !section.hidden)
+    .map((section, index) => ({
+      id: section.id,
+      title: `${index + 1}. ${section.title}`,
+      description: section.description
+    }));
+
+  // Sections can only be saved in draft, in progress and amended reports
+  const isEditable = !report || ['draft', 'in_progress', 'amended'].includes(report.status);
 
   // Combine sections based on report type
   const sections = isNewReport ? [gpsInputSection, ...mainSections] : mainSections;
+  const currentSchemaSection = currentSection === -1
+    ? undefined
+    : sectionSchema.find(section => section.id === sections[currentSection].id);
 
-  if (isLoading) {
+  if (isLoading || sectionSchema.length === 0) {
     return (
       <div className="min-h-screen bg-gray-100 flex items-center justify-center">
         <div className="bg-white rounded-lg shadow-md p-8 text-center">
@@ -257,21 +293,57 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
                     'Creating new report with location intelligence'
                 ) : (
                   <>Status: <span className={`font-medium ${
-                    report?.status === 'completed' ? 'text-green-600' :
-                    report?.status === 'in_progress' ? 'text-blue-600' : 'text-gray-600'
+                    report?.status === 'approved' || report?.status === 'finalized' ? 'text-green-600' :
+                    report?.status === 'under_review' ? 'text-yellow-600' :
+                    report?.status === 'in_progress' || report?.status === 'amended' ? 'text-blue-600' : 'text-gray-600'
                   }`}>
                     {report?.status?.replace('_', ' ').toUpperCase()}
                   </span></>
                 )}
               </p>
+              {clientProfile && (
+                <p className="text-xs text-teal-700">
+                  {clientProfile.organization_name} format: {clientProfile.required_fields.length} mandatory field(s)
+                  {clientProfile.forced_sale_percentage ? `, FSV ${Number(clientProfile.forced_sale_percentage)}%` : ''}
+                </p>
+              )}
             </div>
             <div className="flex gap-4">
+              {report && layouts.length > 0 && (
+                <select
+                  value={report.layout_key || 'standard'}
+                  onChange={(e) => handleLayoutChange(e.target.value)}
+                  disabled={!isEditable}
+                  title={isEditable ? 'Report layout' : 'This report is locked by its workflow status'}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 disabled:bg-gray-100"
+                >
+                  {layouts.map(layout => (
+                    <option key={layout.key} value={layout.key}>
+                      {layout.name}
+                    </option>
+                  ))}
+                </select>
+              )}
               <button
                 onClick={() => navigate('/reports')}
                 className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
               >
                 ← Back to Reports
               </button>
+              {report && (
+                <button
+                  onClick={() => {
+                    reportsApi.downloadReportDocx(report.id, `${report.report_reference || `report-${report.id}`}.docx`)
+                      .catch((error: any) => {
+                        console.error('Error downloading Word document:', error);
+                        toast.error(error.message || 'Failed to download Word document');
+                      });
+                  }}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+                >
+                  Download Word
+                </button>
+              )}
               <button
                 onClick={() => {
                   // Generate preview functionality would go here
@@ -281,17 +353,6 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
               >
                 Preview PDF
               </button>
-              {report?.status === 'completed' && (
-                <button
-                  onClick={() => {
-                    // Finalize report functionality would go here
-                    toast.info('Report finalization functionality will be implemented');
-                  }}
-                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
-                >
-                  Finalize Report
-                </button>
-              )}
             </div>
           </div>
         </div>
@@ -314,7 +375,17 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
                         : 'hover:bg-gray-100 text-gray-600'
                     }`}
                   >
-                    <div className="text-sm font-medium">{section.title}</div>
+                    <div className="flex justify-between items-center text-sm font-medium">
+                      <span>{section.title}</span>
+                      {commentSummary[section.id]?.unresolved > 0 && (
+                        <span
+                          className="ml-2 px-1.5 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800"
+                          title="Unresolved review comments"
+                        >
+                          {commentSummary[section.id].unresolved}
+                        </span>
+                      )}
+                    </div>
                     <div className="text-xs text-gray-500">{section.description}</div>
                   </button>
                 ))}
@@ -359,7 +430,9 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
                       handleLocationSubmit,
                       isAnalyzing,
                       analysisError,
-                      locationData
+                      locationData,
+                      onReportRefresh: handleReportRefresh,
+                      schemaSection: currentSchemaSection
                     }
                   )}
                 </div>
@@ -380,7 +453,8 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
                   {currentSection !== -1 && (
                     <button
                       onClick={() => saveSection(sections[currentSection].id)}
-                      disabled={isSaving}
+                      disabled={isSaving || !isEditable}
+                      title={isEditable ? undefined : 'This report is locked by its workflow status'}
                       className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
                     >
                       {isSaving ? 'Saving...' : 'Save Section'}
@@ -398,6 +472,14 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
               </div>
             </div>
 
+            {report && currentSchemaSection && (
+              <SectionCommentsPanel
+                reportId={report.id}
+                section={currentSchemaSection}
+                onSummaryChange={setCommentSummary}
+              />
+            )}
+
             {/* AI Enhancement Panel */}
             <div className="mt-6 bg-green-50 border border-green-200 rounded-lg p-6">
               <div className="flex items-center justify-between">
@@ -422,6 +504,32 @@ const ReportBuilder: React.FC<ReportBuilderProps> = ({ userProfile, onReportUpda
                 </button>
               </div>
             </div>
+
+            {report && (
+              <ReportWorkflowPanel
+                report={report}
+                onStatusChange={handleReportRefresh}
+              />
+            )}
+
+            {report && (
+              <ReportAnnexuresPanel
+                report={report}
+                userId={userProfile.user_id}
+                isEditable={isEditable}
+                onOrderChange={handleReportRefresh}
+              />
+            )}
+
+            {report && (
+              <ReportHistoryTimeline
+                reportId={report.id}
+                refreshKey={report.updated_at}
+                userId={userProfile.user_id}
+                canRestore={report.status !== 'finalized'}
+                onRestored={handleReportRefresh}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -440,6 +548,8 @@ function renderSectionContent(
     isAnalyzing?: boolean;
     analysisError?: string | null;
     locationData?: LocationAnalysis | null;
+    onReportRefresh?: (report: ValuationReport) => void;
+    schemaSection?: ReportSectionSchema;
   }
 ) {
   switch (sectionId) {
@@ -519,607 +629,48 @@ function renderSectionContent(
           )}
         </div>
       );
-    case 'basic_info':
-      return (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Client Name *
-            </label>
-            <input
-              type="text"
-              value={formData.instruction_source || ''}
-              onChange={(e) => handleInputChange('instruction_source', e.target.value)}
-              placeholder="Enter client name"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Client Organization
-            </label>
-            <input
-              type="text"
-              value={formData.client_organization || ''}
-              onChange={(e) => handleInputChange('client_organization', e.target.value)}
-              placeholder="Bank, Company, or Individual"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div className="md:col-span-2">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Valuation Purpose *
-            </label>
-            <textarea
-              value={formData.valuation_purpose || ''}
-              onChange={(e) => handleInputChange('valuation_purpose', e.target.value)}
-              placeholder="e.g., Mortgage evaluation, Fair value assessment, Insurance purposes"
-              rows={3}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-        </div>
-      );
-
-    case 'property_location':
-      return (
-        <div className="space-y-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Latitude
-              </label>
-              <input
-                type="number"
-                step="any"
-                value={formData.latitude || ''}
-                onChange={(e) => handleInputChange('latitude', parseFloat(e.target.value))}
-                placeholder="7.8731"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Longitude
-              </label>
-              <input
-                type="number"
-                step="any"
-                value={formData.longitude || ''}
-                onChange={(e) => handleInputChange('longitude', parseFloat(e.target.value))}
-                placeholder="80.7718"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Village/Area
-              </label>
-              <input
-                type="text"
-                value={formData.village_name || ''}
-                onChange={(e) => handleInputChange('village_name', e.target.value)}
-                placeholder="Village name"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                District
-              </label>
-              <input
-                type="text"
-                value={formData.district || ''}
-                onChange={(e) => handleInputChange('district', e.target.value)}
-                placeholder="District name"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Province
-              </label>
-              <input
-                type="text"
-                value={formData.province || ''}
-                onChange={(e) => handleInputChange('province', e.target.value)}
-                placeholder="Province name"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-        </div>
-      );
-
-    case 'legal_details':
-      return (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Lot Number *
-            </label>
-            <input
-              type="text"
-              value={formData.lot_number || ''}
-              onChange={(e) => handleInputChange('lot_number', e.target.value)}
-              placeholder="e.g., 15"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Plan Number *
-            </label>
-            <input
-              type="text"
-              value={formData.plan_number || ''}
-              onChange={(e) => handleInputChange('plan_number', e.target.value)}
-              placeholder="e.g., 1234 dated 2023-01-15"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Licensed Surveyor
-            </label>
-            <input
-              type="text"
-              value={formData.licensed_surveyor || ''}
-              onChange={(e) => handleInputChange('licensed_surveyor', e.target.value)}
-              placeholder="Surveyor name"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Current Owner *
-            </label>
-            <input
-              type="text"
-              value={formData.current_owner || ''}
-              onChange={(e) => handleInputChange('current_owner', e.target.value)}
-              placeholder="Property owner name"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-        </div>
-      );
-
-    case 'boundaries':
-      return (
-        <div className="space-y-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                North Boundary *
-              </label>
-              <input
-                type="text"
-                value={formData.north_boundary || ''}
-                onChange={(e) => handleInputChange('north_boundary', e.target.value)}
-                placeholder="e.g., Property of Mr. A.B. Silva"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                South Boundary *
-              </label>
-              <input
-                type="text"
-                value={formData.south_boundary || ''}
-                onChange={(e) => handleInputChange('south_boundary', e.target.value)}
-                placeholder="e.g., Property of Mrs. C.D. Fernando"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                East Boundary *
-              </label>
-              <input
-                type="text"
-                value={formData.east_boundary || ''}
-                onChange={(e) => handleInputChange('east_boundary', e.target.value)}
-                placeholder="e.g., Paddy land"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                West Boundary *
-              </label>
-              <input
-                type="text"
-                value={formData.west_boundary || ''}
-                onChange={(e) => handleInputChange('west_boundary', e.target.value)}
-                placeholder="e.g., 20 feet wide motorable road"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Total Extent *
-              </label>
-              <input
-                type="text"
-                value={formData.total_extent || ''}
-                onChange={(e) => handleInputChange('total_extent', e.target.value)}
-                placeholder="e.g., 35.5 perches"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Frontage
-              </label>
-              <input
-                type="text"
-                value={formData.frontage_measurement || ''}
-                onChange={(e) => handleInputChange('frontage_measurement', e.target.value)}
-                placeholder="e.g., 60 feet"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Access Road Type
-              </label>
-              <select
-                value={formData.access_road_type || ''}
-                onChange={(e) => handleInputChange('access_road_type', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select road type</option>
-                <option value="motorable_road">Motorable Road</option>
-                <option value="gravel_road">Gravel Road</option>
-                <option value="cart_track">Cart Track</option>
-                <option value="footpath">Footpath</option>
-              </select>
-            </div>
-          </div>
-        </div>
-      );
-
-    case 'land_description':
-      return (
-        <div className="space-y-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Land Shape *
-              </label>
-              <select
-                value={formData.land_shape || ''}
-                onChange={(e) => handleInputChange('land_shape', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select shape</option>
-                <option value="rectangular">Rectangular</option>
-                <option value="square">Square</option>
-                <option value="irregular">Irregular</option>
-                <option value="triangular">Triangular</option>
-                <option value="L_shaped">L-shaped</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Topography Type *
-              </label>
-              <select
-                value={formData.topography_type || ''}
-                onChange={(e) => handleInputChange('topography_type', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select topography</option>
-                <option value="fairly_level">Fairly Level</option>
-                <option value="gently_sloping">Gently Sloping</option>
-                <option value="moderately_sloping">Moderately Sloping</option>
-                <option value="steeply_sloping">Steeply Sloping</option>
-                <option value="undulating">Undulating</option>
-                <option value="terraced">Terraced</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Soil Type *
-              </label>
-              <select
-                value={formData.soil_type || ''}
-                onChange={(e) => handleInputChange('soil_type', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select soil type</option>
-                <option value="red_earth">Red Earth</option>
-                <option value="clay">Clay</option>
-                <option value="sandy">Sandy</option>
-                <option value="laterite">Laterite</option>
-                <option value="alluvial">Alluvial</option>
-                <option value="rocky">Rocky</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Land Use Type *
-              </label>
-              <select
-                value={formData.land_use_type || ''}
-                onChange={(e) => handleInputChange('land_use_type', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select land use</option>
-                <option value="residential">Residential</option>
-                <option value="commercial">Commercial</option>
-                <option value="agricultural">Agricultural</option>
-                <option value="industrial">Industrial</option>
-                <option value="mixed_residential">Mixed Residential</option>
-                <option value="plantation">Plantation</option>
-              </select>
-            </div>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Plantation Description
-            </label>
-            <textarea
-              value={formData.plantation_description || ''}
-              onChange={(e) => handleInputChange('plantation_description', e.target.value)}
-              placeholder="Describe any trees, crops, or vegetation on the property"
-              rows={3}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Additional Land Features
-            </label>
-            <textarea
-              value={formData.land_features || ''}
-              onChange={(e) => handleInputChange('land_features', e.target.value)}
-              placeholder="Wells, drainage, retaining walls, etc."
-              rows={3}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-        </div>
-      );
-
-    case 'building_details':
-      return (
-        <div className="space-y-6">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Building Type
-              </label>
-              <select
-                value={formData.building_type || ''}
-                onChange={(e) => handleInputChange('building_type', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select building type</option>
-                <option value="single_storied_house">Single Storied House</option>
-                <option value="two_storied_house">Two Storied House</option>
-                <option value="apartment">Apartment</option>
-                <option value="commercial_building">Commercial Building</option>
-                <option value="industrial_building">Industrial Building</option>
-                <option value="warehouse">Warehouse</option>
-                <option value="mixed_use">Mixed Use</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Building Age (years)
-              </label>
-              <input
-                type="number"
-                value={formData.building_age || ''}
-                onChange={(e) => handleInputChange('building_age', parseInt(e.target.value))}
-                placeholder="15"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Condition Grade
-              </label>
-              <select
-                value={formData.condition_grade || ''}
-                onChange={(e) => handleInputChange('condition_grade', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">Select condition</option>
-                <option value="excellent">Excellent</option>
-                <option value="very_good">Very Good</option>
-                <option value="good">Good</option>
-                <option value="fair">Fair</option>
-                <option value="poor">Poor</option>
-                <option value="dilapidated">Dilapidated</option>
-              </select>
-            </div>
-          </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Total Floor Area (sq ft)
-              </label>
-              <input
-                type="number"
-                value={formData.total_floor_area || ''}
-                onChange={(e) => handleInputChange('total_floor_area', parseFloat(e.target.value))}
-                placeholder="1500"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Number of Bedrooms
-              </label>
-              <input
-                type="number"
-                value={formData.bedrooms || ''}
-                onChange={(e) => handleInputChange('bedrooms', parseInt(e.target.value))}
-                placeholder="3"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Roof Description
-              </label>
-              <input
-                type="text"
-                value={formData.roof_description || ''}
-                onChange={(e) => handleInputChange('roof_description', e.target.value)}
-                placeholder="AC sheets on timber rafters"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Wall Description
-              </label>
-              <input
-                type="text"
-                value={formData.wall_description || ''}
-                onChange={(e) => handleInputChange('wall_description', e.target.value)}
-                placeholder="Cement block walls with cement plaster"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Floor Description
-              </label>
-              <input
-                type="text"
-                value={formData.floor_description || ''}
-                onChange={(e) => handleInputChange('floor_description', e.target.value)}
-                placeholder="Cement concrete floors with ceramic tiles"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Doors & Windows
-              </label>
-              <input
-                type="text"
-                value={formData.doors_windows || ''}
-                onChange={(e) => handleInputChange('doors_windows', e.target.value)}
-                placeholder="Timber doors and windows with glass panels"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Room Layout Description
-            </label>
-            <textarea
-              value={formData.room_layout_description || ''}
-              onChange={(e) => handleInputChange('room_layout_description', e.target.value)}
-              placeholder="Describe the layout: sitting room, dining room, kitchen, bedrooms, bathrooms, etc."
-              rows={4}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Building Conveniences
-            </label>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-              {[
-                'Electricity', 'Water Supply', 'Telephone', 'Internet',
-                'Sewerage', 'Solar Power', 'Generator', 'Security System'
-              ].map((convenience) => (
-                <label key={convenience} className="flex items-center">
-                  <input
-                    type="checkbox"
-                    checked={formData.building_conveniences?.includes(convenience) || false}
-                    onChange={(e) => {
-                      const currentConveniences = formData.building_conveniences || [];
-                      if (e.target.checked) {
-                        handleInputChange('building_conveniences', [...currentConveniences, convenience]);
-                      } else {
-                        handleInputChange('building_conveniences', currentConveniences.filter(c => c !== convenience));
-                      }
-                    }}
-                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                  />
-                  <span className="ml-2 text-sm">{convenience}</span>
-                </label>
-              ))}
-            </div>
-          </div>
-        </div>
-      );
-
     case 'valuation':
       return (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Land Rate (Rs. per perch) *
-            </label>
-            <input
-              type="number"
-              value={formData.land_rate || ''}
-              onChange={(e) => handleInputChange('land_rate', parseFloat(e.target.value))}
-              placeholder="450000"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        <>
+          {additionalProps?.schemaSection && (
+            <SchemaSectionForm
+              section={additionalProps.schemaSection}
+              formData={formData}
+              onChange={handleInputChange}
             />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Market Value (Rs.) *
-            </label>
-            <input
-              type="number"
-              value={formData.market_value || ''}
-              onChange={(e) => handleInputChange('market_value', parseFloat(e.target.value))}
-              placeholder="15000000"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          )}
+          {reportId && formData.report_type === 'investment' && (
+            <InvestmentValuationPanel
+              reportId={reportId}
+              onCalculated={additionalProps?.onReportRefresh}
             />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Forced Sale Value (Rs.)
-            </label>
-            <input
-              type="number"
-              value={formData.forced_sale_value || ''}
-              onChange={(e) => handleInputChange('forced_sale_value', parseFloat(e.target.value))}
-              placeholder="12000000"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          )}
+          {reportId && formData.report_type !== 'investment' && (
+            <DepreciationModelPanel
+              reportId={reportId}
+              initialModel={formData.depreciation_model}
+              initialEconomicLife={formData.economic_life}
+              initialWorking={formData.depreciation_working}
+              onCalculated={additionalProps?.onReportRefresh}
             />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Insurance Value (Rs.)
-            </label>
-            <input
-              type="number"
-              value={formData.insurance_value || ''}
-              onChange={(e) => handleInputChange('insurance_value', parseFloat(e.target.value))}
-              placeholder="8000000"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          )}
+          {reportId && formData.report_type !== 'investment' && (
+            <ValuationBreakdownPanel
+              reportId={reportId}
+              initialBreakdown={formData.valuation_breakdown}
+              valuationMethod={formData.valuation_method === 'comparison_method' ? 'comparison_method' : 'contractor_method'}
+              forcedSalePercentage={formData.forced_sale_percentage ? Number(formData.forced_sale_percentage) : undefined}
+              onCalculated={additionalProps?.onReportRefresh}
             />
-          </div>
-        </div>
+          )}
+          {reportId && formData.report_type === 'insurance' && (
+            <ReinstatementCostPanel
+              reportId={reportId}
+              initialSchedule={formData.reinstatement_breakdown}
+              onCalculated={additionalProps?.onReportRefresh}
+            />
+          )}
+        </>
       );
 
     case 'property_images':
@@ -1138,6 +689,15 @@ function renderSectionContent(
       );
 
     default:
+      if (additionalProps?.schemaSection) {
+        return (
+          <SchemaSectionForm
+            section={additionalProps.schemaSection}
+            formData={formData}
+            onChange={handleInputChange}
+          />
+        );
+      }
       return (
         <div className="text-center py-12">
           <div className="text-gray-400 mb-4">
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { ReportRevision, RevisionChangeType, ValuationReport } from '../../types/reports';
+
+interface ReportHistoryTimelineProps {
+  reportId: number;
+  refreshKey?: string;
+  userId?: string;
+  canRestore?: boolean;
+  onRestored?: (report: ValuationReport) => void;
+}
+
+const CHANGE_TYPE_LABELS: Record<RevisionChangeType, { label: string; className: string }> = {
+  section_update: { label: 'Section update', className: 'bg-blue-100 text-blue-700' },
+  ai_enhancement: { label: 'AI enhancement', className: 'bg-green-100 text-green-700' },
+  status_change: { label: 'Status change', className: 'bg-purple-100 text-purple-700' },
+  calculation: { label: 'Calculation', className: 'bg-yellow-100 text-yellow-800' },
+  restore: { label: 'Restore', className: 'bg-gray-200 text-gray-700' }
+};
+
+const COLLAPSED_COUNT = 5;
+
+const formatValue = (value: any): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatField = (field: string) =>
+  field.replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+
+const ReportHistoryTimeline: React.FC<ReportHistoryTimelineProps> = ({
+  reportId,
+  refreshKey,
+  userId,
+  canRestore = true,
+  onRestored
+}) => {
+  const [revisions, setRevisions] = useState<ReportRevision[]>([]);
+  const [showAll, setShowAll] = useState(false);
+  const [restoring, setRestoring] = useState<number | null>(null);
+
+  useEffect(() => {
+    reportsApi.getReportHistory(reportId)
+      .then(setRevisions)
+      .catch(error => console.error('Error loading report history:', error));
+  }, [reportId, refreshKey]);
+
+  const handleRestore = async (revisionNumber: number) => {
+    if (!window.confirm(`Restore the report to revision ${revisionNumber}? Later changes stay in the history.`)) return;
+
+    try {
+      setRestoring(revisionNumber);
+      const result = await reportsApi.restoreRevision(reportId, revisionNumber, userId);
+      onRestored?.(result.report);
+      toast.success(result.revision
+        ? `Report restored to revision ${revisionNumber}`
+        : `Report already matches revision ${revisionNumber}`);
+    } catch (error: any) {
+      console.error('Error restoring revision:', error);
+      toast.error(error.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const visibleRevisions = showAll ? revisions : revisions.slice(0, COLLAPSED_COUNT);
+  const latestRevision = revisions[0]?.revision_number;
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Revision History</h3>
+
+      {revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded yet</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {visibleRevisions.map(revision => {
+            const changeType = CHANGE_TYPE_LABELS[revision.change_type];
+
+            return (
+              <li key={revision.id} className="mb-6 ml-4">
+                <div className="absolute w-3 h-3 bg-gray-300 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900">Revision {revision.revision_number}</span>
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${changeType?.className || ''}`}>
+                        {changeType?.label || revision.change_type}
+                      </span>
+                      {revision.section && (
+                        <span className="text-xs text-gray-500">{formatField(revision.section)}</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(revision.created_at).toLocaleString()}
+                      {revision.user_id && ` · ${revision.user_id}`}
+                      {revision.restored_from && ` · restored to revision ${revision.restored_from}`}
+                    </p>
+                  </div>
+                  {canRestore && revision.revision_number !== latestRevision && (
+                    <button
+                      onClick={() => handleRestore(revision.revision_number)}
+                      disabled={restoring !== null}
+                      className="text-xs px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      {restoring === revision.revision_number ? 'Restoring...' : 'Restore'}
+                    </button>
+                  )}
+                </div>
+                <ul className="mt-2 space-y-1">
+                  {revision.changes.map(change => (
+                    <li key={change.field} className="text-sm">
+                      <span className="font-medium text-gray-700">{formatField(change.field)}:</span>{' '}
+                      <span className="text-red-600 line-through">{formatValue(change.old_value)}</span>
+                      {' → '}
+                      <span className="text-green-700">{formatValue(change.new_value)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {revisions.length > COLLAPSED_COUNT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          {showAll ? 'Show fewer' : `Show all ${revisions.length} revisions`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReportHistoryTimeline;
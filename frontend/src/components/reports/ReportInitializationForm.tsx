@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { UserProfile } from '../../contexts/AuthContext';
+import { reportsApi } from '../../services/reportsApi';
+import { ClientSuggestion, ReportLayout } from '../../types/reports';
 
 interface LocationData {
   latitude: number;
@@ -20,6 +22,12 @@ interface LocationAnalysis {
 interface ReportFormData {
   report_type: string;
   valuation_purpose: string;
+  layout_key: string;
+  // Address book entry the preamble was filled from
+  client_id: number | null;
+  client_branch_id: number | null;
+  client_contact_id: number | null;
+  save_client: boolean;
   client_information: {
     instruction_source: string;
     client_designation: string;
@@ -44,6 +52,7 @@ interface ReportInitializationFormProps {
   locationAnalysis: LocationAnalysis;
   coordinates: LocationData | null;
   userProfile: UserProfile | null;
+  userId?: string;
   onSubmit: (data: ReportFormData) => void;
   onBack: () => void;
 }
@@ -52,12 +61,18 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
   locationAnalysis,
   coordinates,
   userProfile,
+  userId,
   onSubmit,
   onBack
 }) => {
   const [formData, setFormData] = useState<ReportFormData>({
     report_type: 'fair_value',
     valuation_purpose: 'Property valuation for client assessment',
+    layout_key: 'standard',
+    client_id: null,
+    client_branch_id: null,
+    client_contact_id: null,
+    save_client: false,
     client_information: {
       instruction_source: '',
       client_designation: '',
@@ -79,6 +94,32 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
   });
 
   const [showAIPreview, setShowAIPreview] = useState(false);
+  const [layouts, setLayouts] = useState<ReportLayout[]>([]);
+  const [clientSearch, setClientSearch] = useState('');
+  const [clientSuggestions, setClientSuggestions] = useState<ClientSuggestion[]>([]);
+  const [linkedClient, setLinkedClient] = useState<string | null>(null);
+
+  useEffect(() => {
+    reportsApi.getLayouts()
+      .then(setLayouts)
+      .catch(error => console.error('Error loading report layouts:', error));
+  }, [userId]);
+
+  // Look the client up in the address book once a couple of letters are typed
+  useEffect(() => {
+    if (!userId || clientSearch.trim().length < 2) {
+      setClientSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      reportsApi.getClientSuggestions(userId, clientSearch.trim())
+        .then(setClientSuggestions)
+        .catch(error => console.error('Error searching clients:', error));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [userId, clientSearch]);
 
   // Calculate AI costs based on selected enhancements
   useEffect(() => {
@@ -109,6 +150,33 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
     }));
   };
 
+  const handleSelectClient = (suggestion: ClientSuggestion) => {
+    const { preamble } = suggestion;
+
+    setFormData(prev => ({
+      ...prev,
+      client_id: suggestion.client_id,
+      client_branch_id: suggestion.client_branch_id || null,
+      client_contact_id: suggestion.client_contact_id || null,
+      save_client: false,
+      client_information: {
+        ...prev.client_information,
+        instruction_source: preamble.instruction_source || '',
+        client_designation: preamble.client_designation || '',
+        client_organization: preamble.client_organization,
+        client_address: preamble.client_address || ''
+      }
+    }));
+    setLinkedClient(suggestion.label);
+    setClientSearch('');
+    setClientSuggestions([]);
+  };
+
+  const handleClearClient = () => {
+    setFormData(prev => ({ ...prev, client_id: null, client_branch_id: null, client_contact_id: null }));
+    setLinkedClient(null);
+  };
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     onSubmit(formData);
@@ -210,6 +278,28 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
                   placeholder="e.g., Property valuation for mortgage approval"
                 />
               </div>
+
+              <div>
+                <label htmlFor="layout_key" className="block text-sm font-medium text-gray-700">
+                  Report Layout
+                </label>
+                <select
+                  id="layout_key"
+                  value={formData.layout_key}
+                  onChange={(e) => handleInputChange('layout_key', '', e.target.value)}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  {layouts.length === 0 && <option value="standard">Standard</option>}
+                  {layouts.map(layout => (
+                    <option key={layout.key} value={layout.key}>
+                      {layout.name} (v{layout.version})
+                    </option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">
+                  {layouts.find(layout => layout.key === formData.layout_key)?.description}
+                </p>
+              </div>
             </div>
           </div>
         </div>
@@ -226,6 +316,54 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
           </div>
 
           <div className="px-6 py-5 space-y-6">
+            {linkedClient ? (
+              <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-md px-4 py-2 text-sm">
+                <span className="text-blue-800">
+                  Filled from address book: <span className="font-medium">{linkedClient}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={handleClearClient}
+                  className="text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Unlink
+                </button>
+              </div>
+            ) : (
+              <div className="relative">
+                <label htmlFor="client_search" className="block text-sm font-medium text-gray-700">
+                  Find in Address Book
+                </label>
+                <input
+                  type="text"
+                  id="client_search"
+                  autoComplete="off"
+                  value={clientSearch}
+                  onChange={(e) => setClientSearch(e.target.value)}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  placeholder="Type a bank, branch or contact person"
+                />
+                {clientSuggestions.length > 0 && (
+                  <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-auto">
+                    {clientSuggestions.map(suggestion => (
+                      <li key={`${suggestion.client_id}-${suggestion.client_branch_id}-${suggestion.client_contact_id}`}>
+                        <button
+                          type="button"
+                          onClick={() => handleSelectClient(suggestion)}
+                          className="w-full text-left px-4 py-2 hover:bg-gray-50"
+                        >
+                          <span className="block text-sm text-gray-900">{suggestion.label}</span>
+                          {suggestion.preamble.client_address && (
+                            <span className="block text-xs text-gray-500">{suggestion.preamble.client_address}</span>
+                          )}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
                 <label htmlFor="instruction_source" className="block text-sm font-medium text-gray-700">
@@ -237,7 +375,21 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
                   value={formData.client_information.instruction_source}
                   onChange={(e) => handleInputChange('client_information', 'instruction_source', e.target.value)}
                   className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                  placeholder="e.g., Mr. John Silva, Manager"
+                  placeholder="e.g., Mr. John Silva"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="client_designation" className="block text-sm font-medium text-gray-700">
+                  Designation
+                </label>
+                <input
+                  type="text"
+                  id="client_designation"
+                  value={formData.client_information.client_designation}
+                  onChange={(e) => handleInputChange('client_information', 'client_designation', e.target.value)}
+                  className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  placeholder="e.g., Branch Manager"
                 />
               </div>
 
@@ -299,6 +451,21 @@ const ReportInitializationForm: React.FC<ReportInitializationFormProps> = ({
                 placeholder="Complete address of the client organization"
               />
             </div>
+
+            {!formData.client_id && (
+              <div className="flex items-center">
+                <input
+                  id="save_client"
+                  type="checkbox"
+                  checked={formData.save_client}
+                  onChange={(e) => handleInputChange('save_client', '', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="save_client" className="ml-2 block text-sm text-gray-700">
+                  Save this client to my address book
+                </label>
+              </div>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { ReportWorkflow, ValuationReport, WorkflowTransition } from '../../types/reports';
+
+interface ReportWorkflowPanelProps {
+  report: ValuationReport;
+  onStatusChange?: (report: ValuationReport) => void;
+}
+
+const formatStatus = (status: string) => status.replace('_', ' ').toUpperCase();
+
+const ReportWorkflowPanel: React.FC<ReportWorkflowPanelProps> = ({ report, onStatusChange }) => {
+  const [workflow, setWorkflow] = useState<ReportWorkflow | null>(null);
+  const [comments, setComments] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [includeToc, setIncludeToc] = useState(false);
+
+  useEffect(() => {
+    reportsApi.getReportWorkflow(report.id)
+      .then(setWorkflow)
+      .catch(error => console.error('Error loading report workflow:', error));
+  }, [report.id, report.status]);
+
+  const handleTransition = async (transition: WorkflowTransition) => {
+    if (transition.requiresComments && !comments.trim()) {
+      toast.warning(`Add comments to ${transition.action.toLowerCase()}`);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const options = { comments: comments.trim() || undefined };
+
+      let updatedReport: ValuationReport;
+      if (transition.to === 'finalized') {
+        // Finalizing generates the signed-off PDF
+        await reportsApi.downloadReport(report.id, `${report.report_reference}.pdf`, { ...options, toc: includeToc });
+        updatedReport = await reportsApi.getReport(report.id);
+      } else {
+        updatedReport = await reportsApi.updateReportStatus(report.id, transition.to, options);
+      }
+
+      setComments('');
+      onStatusChange?.(updatedReport);
+      toast.success(`Report moved to ${formatStatus(transition.to).toLowerCase()}`);
+    } catch (error: any) {
+      console.error('Error changing report status:', error);
+      toast.error(error.message || 'Failed to change report status');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!workflow) return null;
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Workflow</h3>
+        <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">
+          {formatStatus(workflow.status)}
+        </span>
+      </div>
+
+      {!workflow.editable && (
+        <p className="text-sm text-gray-600 mb-4">
+          This report is locked while {formatStatus(workflow.status).toLowerCase()}.
+          {workflow.approved_by && ` Approved by ${workflow.approved_by}.`}
+        </p>
+      )}
+
+      {workflow.transitions.length > 0 && (
+        <>
+          <textarea
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            placeholder="Comments for this step (required when returning, reopening or amending)"
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-3"
+          />
+          {workflow.transitions.some(transition => transition.to === 'finalized') && (
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+              <input
+                type="checkbox"
+                checked={includeToc}
+                onChange={(e) => setIncludeToc(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Include a table of contents in the final PDF
+            </label>
+          )}
+          <div className="flex flex-wrap gap-2">
+            {workflow.transitions.map(transition => (
+              <button
+                key={transition.to}
+                onClick={() => handleTransition(transition)}
+                disabled={isSaving || !transition.allowed}
+                title={transition.allowed ? undefined : 'Only a reviewer can do this'}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors text-sm"
+              >
+                {transition.action}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {workflow.history.length > 0 && (
+        <ul className="mt-4 space-y-2 border-t pt-4">
+          {workflow.history.map(entry => (
+            <li key={entry.id} className="text-sm text-gray-700">
+              <span className="font-medium">{formatStatus(entry.from_status)} → {formatStatus(entry.to_status)}</span>
+              <span className="text-xs text-gray-500">
+                {' '}· {new Date(entry.created_at).toLocaleString()}
+                {entry.user_id && ` · ${entry.user_id}`}
+              </span>
+              {entry.comments && <p className="text-gray-600 mt-0.5">{entry.comments}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReportWorkflowPanel;
@@ -48,8 +48,10 @@ const ReportsList: React.FC<ReportsListProps> = ({ userId, onCreateNew, onSelect
     const colors = {
       draft: 'bg-gray-100 text-gray-800',
       in_progress: 'bg-blue-100 text-blue-800',
-      completed: 'bg-green-100 text-green-800',
-      finalized: 'bg-purple-100 text-purple-800'
+      under_review: 'bg-yellow-100 text-yellow-800',
+      approved: 'bg-green-100 text-green-800',
+      finalized: 'bg-purple-100 text-purple-800',
+      amended: 'bg-orange-100 text-orange-800'
     };
     return colors[status as keyof typeof colors] || colors.draft;
   };
@@ -71,8 +73,8 @@ const ReportsList: React.FC<ReportsListProps> = ({ userId, onCreateNew, onSelect
   const handleDownloadReport = async (report: ValuationReport, event: React.MouseEvent) => {
     event.stopPropagation();
 
-    if (report.status !== 'completed' && report.status !== 'finalized') {
-      toast.warning('Report must be completed before downloading');
+    if (report.status !== 'approved' && report.status !== 'finalized') {
+      toast.warning('Report must be approved before downloading');
       return;
     }
 
@@ -129,9 +131,9 @@ const ReportsList: React.FC<ReportsListProps> = ({ userId, onCreateNew, onSelect
           </div>
           <div className="bg-green-50 rounded-lg p-4">
             <div className="text-2xl font-bold text-green-600">
-              {reports.filter(r => r.status === 'completed').length}
+              {reports.filter(r => r.status === 'under_review').length}
             </div>
-            <div className="text-sm text-gray-600">Completed</div>
+            <div className="text-sm text-gray-600">Under Review</div>
           </div>
           <div className="bg-purple-50 rounded-lg p-4">
             <div className="text-2xl font-bold text-purple-600">
@@ -152,8 +154,10 @@ const ReportsList: React.FC<ReportsListProps> = ({ userId, onCreateNew, onSelect
             <option value="all">All Status</option>
             <option value="draft">Draft</option>
             <option value="in_progress">In Progress</option>
-            <option value="completed">Completed</option>
+            <option value="under_review">Under Review</option>
+            <option value="approved">Approved</option>
             <option value="finalized">Finalized</option>
+            <option value="amended">Amended</option>
           </select>
         </div>
       </div>
@@ -242,7 +246,7 @@ const ReportsList: React.FC<ReportsListProps> = ({ userId, onCreateNew, onSelect
 
                 {/* Action Buttons */}
                 <div className="flex gap-2 ml-4">
-                  {(report.status === 'completed' || report.status === 'finalized') && (
+                  {(report.status === 'approved' || report.status === 'finalized') && (
                     <button
                       onClick={(e) => handleDownloadReport(report, e)}
                       className="px-3 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors text-sm"
@@ -0,0 +1,180 @@
+import React from 'react';
+import { ReportSectionField, ReportSectionSchema, ValuationReport } from '../../types/reports';
+
+interface SchemaSectionFormProps {
+  section: ReportSectionSchema;
+  formData: Partial<ValuationReport>;
+  onChange: (field: string, value: any) => void;
+}
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const isFullWidth = (field: ReportSectionField) =>
+  field.type === 'textarea' || field.type === 'array';
+
+const SchemaSectionForm: React.FC<SchemaSectionFormProps> = ({ section, formData, onChange }) => {
+  const values = formData as Record<string, any>;
+  const hasExtent = section.fields.some(field => field.extentUnit);
+
+  const handleChange = (field: ReportSectionField, value: any) => {
+    onChange(field.name, value);
+    if (field.extentUnit) {
+      onChange('extent_unit', field.extentUnit);
+    }
+  };
+
+  const renderInput = (field: ReportSectionField) => {
+    const value = values[field.name];
+
+    if (field.generated) {
+      return (
+        <textarea
+          value={value || ''}
+          readOnly
+          rows={2}
+          className={`${INPUT_CLASS} bg-gray-50 text-gray-600`}
+        />
+      );
+    }
+
+    switch (field.type) {
+      case 'textarea':
+        return (
+          <textarea
+            value={value || ''}
+            onChange={(e) => handleChange(field, e.target.value)}
+            placeholder={field.placeholder}
+            rows={3}
+            className={INPUT_CLASS}
+          />
+        );
+
+      case 'integer':
+      case 'decimal':
+        return (
+          <input
+            type="number"
+            step={field.type === 'integer' ? 1 : 'any'}
+            min={field.min}
+            max={field.max}
+            value={value ?? ''}
+            onChange={(e) => handleChange(field, e.target.value === '' ? null : parseFloat(e.target.value))}
+            placeholder={field.placeholder}
+            className={INPUT_CLASS}
+          />
+        );
+
+      case 'date':
+        return (
+          <input
+            type="date"
+            value={value ? String(value).slice(0, 10) : ''}
+            onChange={(e) => handleChange(field, e.target.value)}
+            className={INPUT_CLASS}
+          />
+        );
+
+      case 'select':
+        return (
+          <>
+            <select
+              value={value || ''}
+              onChange={(e) => handleChange(field, e.target.value)}
+              className={INPUT_CLASS}
+            >
+              <option value="">Select {field.label.toLowerCase()}</option>
+              {field.options?.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+              {field.allowOther && value && !field.options?.some(option => option.value === value) && (
+                <option value={value}>{value}</option>
+              )}
+            </select>
+            {field.allowOther && (
+              <input
+                type="text"
+                value={value || ''}
+                onChange={(e) => handleChange(field, e.target.value)}
+                placeholder="Or type another value"
+                className={`${INPUT_CLASS} mt-2`}
+              />
+            )}
+          </>
+        );
+
+      case 'array': {
+        if (!field.options) {
+          // Edited as one item per line; the backend splits it on save
+          return (
+            <textarea
+              value={Array.isArray(value) ? value.join('\n') : value || ''}
+              onChange={(e) => handleChange(field, e.target.value)}
+              placeholder={field.placeholder}
+              rows={4}
+              className={INPUT_CLASS}
+            />
+          );
+        }
+
+        const selected: string[] = Array.isArray(value) ? value : [];
+        return (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {field.options.map(option => (
+              <label key={option.value} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option.value)}
+                  onChange={(e) => handleChange(
+                    field,
+                    e.target.checked
+                      ? [...selected, option.value]
+                      : selected.filter(item => item !== option.value)
+                  )}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="ml-2 text-sm">{option.label}</span>
+              </label>
+            ))}
+          </div>
+        );
+      }
+
+      default:
+        return (
+          <input
+            type="text"
+            value={value || ''}
+            onChange={(e) => handleChange(field, e.target.value)}
+            placeholder={field.placeholder}
+            maxLength={field.maxLength}
+            className={INPUT_CLASS}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {hasExtent && (
+        <p className="text-xs text-gray-500">
+          Enter the land extent in any one unit; the others are filled in when the section is saved
+        </p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {section.fields.map(field => (
+          <div key={field.name} className={isFullWidth(field) ? 'md:col-span-2' : undefined}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {field.label}{field.required && ' *'}
+            </label>
+            {renderInput(field)}
+            {field.generated && (
+              <p className="text-xs text-gray-500 mt-1">Generated from the figure when the section is saved</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SchemaSectionForm;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { CommentSummary, ReportComment, ReportSectionSchema } from '../../types/reports';
+
+interface SectionCommentsPanelProps {
+  reportId: number;
+  section: ReportSectionSchema;
+  onSummaryChange?: (summary: CommentSummary) => void;
+}
+
+const SectionCommentsPanel: React.FC<SectionCommentsPanelProps> = ({ reportId, section, onSummaryChange }) => {
+  const [threads, setThreads] = useState<ReportComment[]>([]);
+  const [body, setBody] = useState('');
+  const [field, setField] = useState('');
+  const [replies, setReplies] = useState<Record<number, string>>({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Fields and tables a comment can point at
+  const anchorOptions = [
+    ...(section.anchors || []),
+    ...section.fields.map(item => ({ id: item.name, label: item.label }))
+  ];
+  const anchorLabel = (id?: string) => anchorOptions.find(option => option.id === id)?.label || id;
+
+  const loadComments = useCallback(() => {
+    reportsApi.getComments(reportId, { section: section.id })
+      .then(comments => {
+        setThreads(comments.threads);
+        onSummaryChange?.(comments.summary);
+      })
+      .catch(error => console.error('Error loading review comments:', error));
+  }, [reportId, section.id, onSummaryChange]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const submit = async (comment: { body: string; field?: string; parent_id?: number }) => {
+    try {
+      setIsSaving(true);
+      await reportsApi.addComment(reportId, { ...comment, section: section.id });
+      loadComments();
+      return true;
+    } catch (error: any) {
+      console.error('Error adding review comment:', error);
+      toast.error(error.message || 'Failed to add comment');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddComment = async () => {
+    if (!body.trim()) return;
+    if (await submit({ body, field: field || undefined })) {
+      setBody('');
+      setField('');
+    }
+  };
+
+  const handleReply = async (threadId: number) => {
+    const reply = replies[threadId];
+    if (!reply?.trim()) return;
+    if (await submit({ body: reply, parent_id: threadId })) {
+      setReplies(prev => ({ ...prev, [threadId]: '' }));
+    }
+  };
+
+  const handleResolve = async (thread: ReportComment) => {
+    try {
+      await reportsApi.resolveComment(reportId, thread.id, !thread.is_resolved);
+      loadComments();
+    } catch (error: any) {
+      console.error('Error resolving review comment:', error);
+      toast.error(error.message || 'Failed to update comment');
+    }
+  };
+
+  const unresolved = threads.filter(thread => !thread.is_resolved).length;
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Review Comments</h3>
+        {unresolved > 0 && (
+          <span className="px-2 py-1 text-xs font-medium rounded-full bg-orange-100 text-orange-800">
+            {unresolved} unresolved
+          </span>
+        )}
+      </div>
+
+      {threads.length === 0 && (
+        <p className="text-sm text-gray-500 mb-4">No comments on {section.title}.</p>
+      )}
+
+      <ul className="space-y-4 mb-4">
+        {threads.map(thread => (
+          <li
+            key={thread.id}
+            className={`border rounded-md p-3 ${thread.is_resolved ? 'border-gray-200 bg-gray-50' : 'border-orange-200'}`}
+          >
+            <div className="flex justify-between items-start">
+              <div>
+                {thread.field && (
+                  <span className="text-xs font-medium text-blue-700 mr-2">{anchorLabel(thread.field)}</span>
+                )}
+                <span className="text-xs text-gray-500">
+                  {thread.user_id || 'Unknown'} · {new Date(thread.created_at).toLocaleString()}
+                </span>
+              </div>
+              <button
+                onClick={() => handleResolve(thread)}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                {thread.is_resolved ? 'Reopen' : 'Resolve'}
+              </button>
+            </div>
+            <p className="text-sm text-gray-800 mt-1 whitespace-pre-wrap">{thread.body}</p>
+
+            {(thread.replies || []).map(reply => (
+              <div key={reply.id} className="ml-4 mt-2 pl-3 border-l-2 border-gray-200">
+                <span className="text-xs text-gray-500">
+                  {reply.user_id || 'Unknown'} · {new Date(reply.created_at).toLocaleString()}
+                </span>
+                <p className="text-sm text-gray-700 whitespace-pre-wrap">{reply.body}</p>
+              </div>
+            ))}
+
+            {thread.is_resolved ? (
+              <p className="text-xs text-gray-500 mt-2">
+                Resolved{thread.resolved_by && ` by ${thread.resolved_by}`}
+              </p>
+            ) : (
+              <div className="flex gap-2 mt-2 ml-4">
+                <input
+                  type="text"
+                  value={replies[thread.id] || ''}
+                  onChange={(e) => setReplies(prev => ({ ...prev, [thread.id]: e.target.value }))}
+                  placeholder="Reply"
+                  className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={() => handleReply(thread.id)}
+                  disabled={isSaving || !replies[thread.id]?.trim()}
+                  className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Reply
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="border-t pt-4">
+        <select
+          value={field}
+          onChange={(e) => setField(e.target.value)}
+          className="w-full px-3 py-2 mb-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+        >
+          <option value="">Whole section</option>
+          {anchorOptions.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Comment or change request for this section"
+          rows={2}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-2"
+        />
+        <button
+          onClick={handleAddComment}
+          disabled={isSaving || !body.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors text-sm"
+        >
+          Add Comment
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SectionCommentsPanel;
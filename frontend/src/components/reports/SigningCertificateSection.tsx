@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { SigningCertificate } from '../../types/reports';
+
+interface SigningCertificateSectionProps {
+  userId: string;
+}
+
+const SigningCertificateSection: React.FC<SigningCertificateSectionProps> = ({ userId }) => {
+  const [certificate, setCertificate] = useState<SigningCertificate | null>(null);
+  const [file, setFile] = useState<File | null>(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+
+  useEffect(() => {
+    reportsApi.getSigningCertificate(userId)
+      .then(setCertificate)
+      .catch(error => console.error('Error loading signing certificate:', error));
+  }, [userId]);
+
+  const handleUpload = async () => {
+    if (!file) return;
+
+    try {
+      setIsUploading(true);
+      const saved = await reportsApi.uploadSigningCertificate(userId, file, passphrase);
+      setCertificate(saved);
+      setFile(null);
+      setPassphrase('');
+      toast.success('Signing certificate saved');
+    } catch (error: any) {
+      console.error('Error uploading signing certificate:', error);
+      toast.error(error.message || 'Failed to upload certificate');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove your signing certificate? Finalized reports will no longer be digitally signed.')) {
+      return;
+    }
+
+    try {
+      await reportsApi.deleteSigningCertificate(userId);
+      setCertificate(null);
+      toast.success('Signing certificate removed');
+    } catch (error: any) {
+      console.error('Error removing signing certificate:', error);
+      toast.error('Failed to remove certificate');
+    }
+  };
+
+  return (
+    <div className="mt-8 border-l-4 border-purple-500 pl-4">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Digital Signature</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Finalized reports are signed with this PKCS#12 certificate, so banks can check the signature in any PDF reader.
+        The certificate and passphrase are stored encrypted.
+      </p>
+
+      {certificate ? (
+        <div className="flex justify-between items-start bg-gray-50 rounded-md p-3 mb-4 text-sm">
+          <div>
+            <div className="font-medium text-gray-900">{certificate.subject_name}</div>
+            <div className="text-gray-600">Issued by {certificate.issuer_name}</div>
+            {certificate.valid_to && (
+              <div className="text-gray-600">Valid until {new Date(certificate.valid_to).toLocaleDateString()}</div>
+            )}
+          </div>
+          <button onClick={handleRemove} className="text-red-600 hover:text-red-800">
+            Remove
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-orange-700 mb-4">No certificate uploaded; finalized reports will not be digitally signed.</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Certificate (.p12 / .pfx)</label>
+          <input
+            type="file"
+            accept=".p12,.pfx"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="w-full text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Passphrase</label>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            autoComplete="off"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          onClick={handleUpload}
+          disabled={!file || isUploading}
+          className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400 transition-colors"
+        >
+          {isUploading ? 'Uploading...' : certificate ? 'Replace Certificate' : 'Upload Certificate'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SigningCertificateSection;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { reportsApi } from '../../services/reportsApi';
+import { ValuationBreakdown, ValuationReport } from '../../types/reports';
+
+interface ValuationBreakdownPanelProps {
+  reportId: number;
+  initialBreakdown?: ValuationBreakdown;
+  valuationMethod?: 'contractor_method' | 'comparison_method';
+  forcedSalePercentage?: number;
+  onCalculated?: (report: ValuationReport) => void;
+}
+
+const ValuationBreakdownPanel: React.FC<ValuationBreakdownPanelProps> = ({
+  reportId,
+  initialBreakdown,
+  valuationMethod = 'contractor_method',
+  forcedSalePercentage = 80,
+  onCalculated
+}) => {
+  const [breakdown, setBreakdown] = useState<ValuationBreakdown | undefined>(initialBreakdown);
+  const [method, setMethod] = useState(valuationMethod);
+  const [fsvPercentage, setFsvPercentage] = useState<number>(forcedSalePercentage);
+  const [isCalculating, setIsCalculating] = useState(false);
+
+  const formatRs = (amount: number) => reportsApi.formatCurrency(amount || 0);
+
+  const handleCalculate = async () => {
+    try {
+      setIsCalculating(true);
+      const result = await reportsApi.calculateValuation(reportId, {
+        valuation_method: method,
+        forced_sale_percentage: fsvPercentage
+      });
+      setBreakdown(result.breakdown);
+      onCalculated?.(result.report);
+      toast.success('Valuation calculated and saved');
+    } catch (error: any) {
+      console.error('Error calculating valuation:', error);
+      toast.error(error.message || 'Failed to calculate valuation');
+    } finally {
+      setIsCalculating(false);
+    }
+  };
+
+  const contractors = breakdown?.contractors_method;
+  const comparison = breakdown?.comparison_method;
+
+  return (
+    <div className="mt-8 border border-gray-200 rounded-lg p-6">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Valuation Calculation</h3>
+          <p className="text-sm text-gray-600">Computes land, building, market and forced sale values from the saved report data</p>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Method</label>
+            <select
+              value={method}
+              onChange={(e) => setMethod(e.target.value as 'contractor_method' | 'comparison_method')}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="contractor_method">Contractor's Method</option>
+              <option value="comparison_method">Comparison Method</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">FSV %</label>
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={fsvPercentage}
+              onChange={(e) => setFsvPercentage(parseFloat(e.target.value))}
+              className="w-20 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            onClick={handleCalculate}
+            disabled={isCalculating}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            {isCalculating ? 'Calculating...' : 'Calculate'}
+          </button>
+        </div>
+      </div>
+
+      {breakdown && contractors && (
+        <div className="space-y-4">
+          <table className="w-full text-sm">
+            <tbody className="divide-y divide-gray-200">
+              <tr>
+                <td className="py-2 text-gray-700">
+                  Land: {contractors.land.extent_perches} perches @ {formatRs(contractors.land.rate)} per perch
+                </td>
+                <td className="py-2 text-right font-medium">{formatRs(contractors.land.value)}</td>
+              </tr>
+              {contractors.building.floor_area > 0 && (
+                <tr>
+                  <td className="py-2 text-gray-700">
+                    Building: {contractors.building.floor_area} sq. ft @ {formatRs(contractors.building.rate)} per sq. ft
+                    = {formatRs(contractors.building.replacement_cost)}, less {contractors.building.depreciation_rate}% depreciation
+                    ({formatRs(contractors.building.depreciation)})
+                  </td>
+                  <td className="py-2 text-right font-medium">{formatRs(contractors.building.value)}</td>
+                </tr>
+              )}
+              {contractors.additional_components.map((component, index) => (
+                <tr key={index}>
+                  <td className="py-2 text-gray-700">{component.description}</td>
+                  <td className="py-2 text-right font-medium">{formatRs(component.value)}</td>
+                </tr>
+              ))}
+              <tr className="bg-gray-50">
+                <td className="py-2 font-semibold">Contractor's Method Total</td>
+                <td className="py-2 text-right font-semibold">{formatRs(contractors.total)}</td>
+              </tr>
+              {comparison && (
+                <tr className="bg-gray-50">
+                  <td className="py-2 font-semibold">
+                    Comparison Method Total ({formatRs(comparison.rate)} per perch from {comparison.rate_range.count} comparables)
+                  </td>
+                  <td className="py-2 text-right font-semibold">{formatRs(comparison.total)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-green-50 border border-green-200 rounded-md p-4">
+              <div className="text-xs text-green-700 uppercase">Market Value ({breakdown.valuation_method.replace('_', ' ')})</div>
+              <div className="text-xl font-bold text-green-900">{formatRs(breakdown.market_value)}</div>
+            </div>
+            <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
+              <div className="text-xs text-blue-700 uppercase">Forced Sale Value ({breakdown.forced_sale_percentage}%)</div>
+              <div className="text-xl font-bold text-blue-900">{formatRs(breakdown.forced_sale_value)}</div>
+            </div>
+          </div>
+
+          {breakdown.warnings.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+              <ul className="list-disc list-inside text-sm text-yellow-800 space-y-1">
+                {breakdown.warnings.map((warning, index) => (
+                  <li key={index}>{warning}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValuationBreakdownPanel;
@@ -266,6 +266,7 @@ const CreateReportPage: React.FC = () => {
               locationAnalysis={locationAnalysis}
               coordinates={coordinates}
               userProfile={state.user.profile}
+              userId={String(state.user.id)}
               onSubmit={handleCreateReport}
               onBack={handleStartOver}
             />
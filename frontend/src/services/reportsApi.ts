@@ -3,23 +3,65 @@ import {
   ValuationReport,
   ReportTemplate,
   SriLankanLocation,
+  ReportSectionSchema,
+  ReportLanguage,
+  ReportAnnexureKey,
+  ReportAnnexures,
+  ReportLayout,
+  PdfRenderOptions,
+  ClientFormatProfile,
+  Client,
+  ClientBranch,
+  ClientContact,
+  ClientLink,
+  ClientSuggestion,
+  ClientReport,
+  FeeScale,
+  Invoice,
+  InvoiceStatus,
+  IncomeAnalytics,
   AIContentRequest,
   AIContentResponse,
   CostAnalytics,
-  ReportValidation
+  ReportValidation,
+  ComparableSale,
+  ComparableRateRange,
+  ValuationBreakdown,
+  ValuationCalculationOptions,
+  InvestmentInputs,
+  InvestmentCalculation,
+  ReinstatementRate,
+  ReinstatementRateTable,
+  ReinstatementSchedule,
+  DepreciationModel,
+  DepreciationSuggestion,
+  ReportRevision,
+  ReportStatus,
+  ReportWorkflow,
+  ReportComment,
+  ReportComments,
+  SigningCertificate
 } from '../types/reports';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
 class ReportsAPI {
+  // Signed-in valuer's token for routes that act on their own records
+  private authHeaders(): Record<string, string> {
+    const token = localStorage.getItem('auth_token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
   private async request<T>(endpoint: string, options: RequestInit = {}): Promise<T> {
     const url = `${API_BASE_URL}/reports${endpoint}`;
     const config: RequestInit = {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
+        // Uploads leave the content type to the browser, which adds the multipart boundary
+        ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+        ...this.authHeaders(),
         ...options.headers,
       },
-      ...options,
     };
 
     const response = await fetch(url, config);
@@ -53,6 +95,189 @@ class ReportsAPI {
     });
   }
 
+  async getSigningCertificate(userId: string): Promise<SigningCertificate | null> {
+    return this.request<SigningCertificate | null>(`/profile/${userId}/certificate`);
+  }
+
+  async uploadSigningCertificate(userId: string, file: File, passphrase: string): Promise<SigningCertificate> {
+    const formData = new FormData();
+    formData.append('certificate', file);
+    formData.append('passphrase', passphrase);
+
+    return this.request<SigningCertificate>(`/profile/${userId}/certificate`, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async deleteSigningCertificate(userId: string): Promise<void> {
+    await this.request(`/profile/${userId}/certificate`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getClientProfiles(userId: string): Promise<ClientFormatProfile[]> {
+    return this.request<ClientFormatProfile[]>(`/profile/${userId}/client-profiles`);
+  }
+
+  async saveClientProfile(
+    userId: string,
+    profile: Partial<ClientFormatProfile>
+  ): Promise<ClientFormatProfile> {
+    const endpoint = profile.id
+      ? `/profile/${userId}/client-profiles/${profile.id}`
+      : `/profile/${userId}/client-profiles`;
+
+    return this.request<ClientFormatProfile>(endpoint, {
+      method: profile.id ? 'PUT' : 'POST',
+      body: JSON.stringify(profile),
+    });
+  }
+
+  async deleteClientProfile(userId: string, profileId: number): Promise<void> {
+    await this.request(`/profile/${userId}/client-profiles/${profileId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getReportClientProfile(reportId: number): Promise<ClientFormatProfile | null> {
+    return this.request<ClientFormatProfile | null>(`/${reportId}/client-profile`);
+  }
+
+  async getClients(userId: string, search?: string): Promise<Client[]> {
+    const query = search ? `?search=${encodeURIComponent(search)}` : '';
+    return this.request<Client[]>(`/profile/${userId}/clients${query}`);
+  }
+
+  async getClientSuggestions(userId: string, search: string, limit?: number): Promise<ClientSuggestion[]> {
+    const queryParams = new URLSearchParams({ q: search });
+    if (limit) queryParams.append('limit', limit.toString());
+
+    return this.request<ClientSuggestion[]>(`/profile/${userId}/clients/suggestions?${queryParams.toString()}`);
+  }
+
+  async getClient(userId: string, clientId: number): Promise<Client> {
+    return this.request<Client>(`/profile/${userId}/clients/${clientId}`);
+  }
+
+  async saveClient(userId: string, client: Partial<Client>): Promise<Client> {
+    const endpoint = client.id
+      ? `/profile/${userId}/clients/${client.id}`
+      : `/profile/${userId}/clients`;
+
+    return this.request<Client>(endpoint, {
+      method: client.id ? 'PUT' : 'POST',
+      body: JSON.stringify(client),
+    });
+  }
+
+  async deleteClient(userId: string, clientId: number): Promise<void> {
+    await this.request(`/profile/${userId}/clients/${clientId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async saveClientBranch(userId: string, clientId: number, branch: Partial<ClientBranch>): Promise<ClientBranch> {
+    const endpoint = branch.id
+      ? `/profile/${userId}/clients/${clientId}/branches/${branch.id}`
+      : `/profile/${userId}/clients/${clientId}/branches`;
+
+    return this.request<ClientBranch>(endpoint, {
+      method: branch.id ? 'PUT' : 'POST',
+      body: JSON.stringify(branch),
+    });
+  }
+
+  async deleteClientBranch(userId: string, clientId: number, branchId: number): Promise<void> {
+    await this.request(`/profile/${userId}/clients/${clientId}/branches/${branchId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async saveClientContact(userId: string, clientId: number, contact: Partial<ClientContact>): Promise<ClientContact> {
+    const endpoint = contact.id
+      ? `/profile/${userId}/clients/${clientId}/contacts/${contact.id}`
+      : `/profile/${userId}/clients/${clientId}/contacts`;
+
+    return this.request<ClientContact>(endpoint, {
+      method: contact.id ? 'PUT' : 'POST',
+      body: JSON.stringify(contact),
+    });
+  }
+
+  async deleteClientContact(userId: string, clientId: number, contactId: number): Promise<void> {
+    await this.request(`/profile/${userId}/clients/${clientId}/contacts/${contactId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getClientReports(userId: string, clientId: number): Promise<ClientReport[]> {
+    return this.request<ClientReport[]>(`/profile/${userId}/clients/${clientId}/reports`);
+  }
+
+  // ===============================================
+  // Fee Scales and Invoices
+  // ===============================================
+
+  async getFeeScales(userId: string): Promise<FeeScale[]> {
+    return this.request<FeeScale[]>(`/profile/${userId}/fee-scales`);
+  }
+
+  async saveFeeScale(userId: string, scale: Partial<FeeScale>): Promise<FeeScale> {
+    const endpoint = scale.id
+      ? `/profile/${userId}/fee-scales/${scale.id}`
+      : `/profile/${userId}/fee-scales`;
+
+    return this.request<FeeScale>(endpoint, {
+      method: scale.id ? 'PUT' : 'POST',
+      body: JSON.stringify(scale),
+    });
+  }
+
+  async deleteFeeScale(userId: string, scaleId: number): Promise<void> {
+    await this.request(`/profile/${userId}/fee-scales/${scaleId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getInvoices(userId: string, status?: InvoiceStatus): Promise<Invoice[]> {
+    return this.request<Invoice[]>(`/profile/${userId}/invoices${status ? `?status=${status}` : ''}`);
+  }
+
+  async updateInvoiceStatus(
+    userId: string,
+    invoiceId: number,
+    payment: { status: InvoiceStatus; paid_at?: string; payment_reference?: string }
+  ): Promise<Invoice> {
+    return this.request<Invoice>(`/profile/${userId}/invoices/${invoiceId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify(payment),
+    });
+  }
+
+  async downloadInvoice(userId: string, invoice: Invoice): Promise<void> {
+    const response = await fetch(`${API_BASE_URL}/api/reports/profile/${userId}/invoices/${invoice.id}/pdf`, {
+      headers: this.authHeaders(),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to generate invoice PDF');
+    }
+
+    this.saveBlob(await response.blob(), `invoice-${invoice.invoice_number.replace(/[^\w-]+/g, '-')}.pdf`);
+  }
+
+  async getReportInvoice(reportId: number): Promise<Invoice> {
+    return this.request<Invoice>(`/${reportId}/invoice`);
+  }
+
+  async createReportInvoice(reportId: number): Promise<Invoice> {
+    return this.request<Invoice>(`/${reportId}/invoice`, {
+      method: 'POST',
+    });
+  }
+
   // ===============================================
   // Report Management
   // ===============================================
@@ -62,6 +287,11 @@ class ReportsAPI {
     report_type?: string;
     coordinates?: { latitude: number; longitude: number };
     valuation_purpose?: string;
+    layout_key?: string;
+    client_id?: number | null;
+    client_branch_id?: number | null;
+    client_contact_id?: number | null;
+    save_client?: boolean;
   }): Promise<ValuationReport> {
     return this.request<ValuationReport>('/create', {
       method: 'POST',
@@ -113,24 +343,67 @@ class ReportsAPI {
   async updateReportSection(
     reportId: number,
     section: string,
-    data: Record<string, any>
+    data: Record<string, any>,
+    options: { change_type?: 'section_update' | 'ai_enhancement'; user_id?: string } = {}
   ): Promise<ValuationReport> {
     return this.request<ValuationReport>(`/${reportId}/section`, {
       method: 'PUT',
-      body: JSON.stringify({ section, data }),
+      body: JSON.stringify({ section, data, ...options }),
     });
   }
 
   async updateReportStatus(
     reportId: number,
-    status: 'draft' | 'in_progress' | 'completed' | 'finalized'
+    status: ReportStatus,
+    options: { comments?: string } = {}
   ): Promise<ValuationReport> {
     return this.request<ValuationReport>(`/${reportId}/status`, {
       method: 'PUT',
-      body: JSON.stringify({ status }),
+      body: JSON.stringify({ status, ...options }),
+    });
+  }
+
+  async updateReportLayout(
+    reportId: number,
+    layoutKey: string,
+    options: { version?: number; user_id?: string } = {}
+  ): Promise<ValuationReport> {
+    return this.request<ValuationReport>(`/${reportId}/layout`, {
+      method: 'PUT',
+      body: JSON.stringify({ layout_key: layoutKey, ...options }),
+    });
+  }
+
+  async updateReportClient(reportId: number, link: ClientLink, userId?: string): Promise<ValuationReport> {
+    return this.request<ValuationReport>(`/${reportId}/client`, {
+      method: 'PUT',
+      body: JSON.stringify({ ...link, user_id: userId }),
+    });
+  }
+
+  getLocationSketchUrl(reportId: number, format: 'svg' | 'png' = 'svg'): string {
+    return `${API_BASE_URL}/reports/${reportId}/location-sketch?format=${format}`;
+  }
+
+  async getReportAnnexures(reportId: number): Promise<ReportAnnexures> {
+    return this.request<ReportAnnexures>(`/${reportId}/annexures`);
+  }
+
+  async updateAnnexureOrder(
+    reportId: number,
+    order: ReportAnnexureKey[],
+    userId?: string
+  ): Promise<ValuationReport> {
+    return this.request<ValuationReport>(`/${reportId}/annexures`, {
+      method: 'PUT',
+      body: JSON.stringify({ order, user_id: userId }),
     });
   }
 
+  async getReportWorkflow(reportId: number): Promise<ReportWorkflow> {
+    return this.request<ReportWorkflow>(`/${reportId}/workflow`);
+  }
+
   async deleteReport(reportId: number): Promise<void> {
     await this.request(`/${reportId}`, {
       method: 'DELETE',
@@ -174,9 +447,13 @@ class ReportsAPI {
   // PDF Generation
   // ===============================================
 
-  async generateReportPreview(reportId: number, format: 'pdf' | 'html' = 'pdf'): Promise<Blob> {
+  async generateReportPreview(
+    reportId: number,
+    format: 'pdf' | 'html' = 'pdf',
+    language?: ReportLanguage
+  ): Promise<Blob> {
     const response = await fetch(
-      `${API_BASE_URL}/api/reports/${reportId}/preview?format=${format}`
+      `${API_BASE_URL}/api/reports/${reportId}/preview?format=${format}${language ? `&lang=${language}` : ''}`
     );
 
     if (!response.ok) {
@@ -186,9 +463,14 @@ class ReportsAPI {
     return response.blob();
   }
 
-  async finalizeReport(reportId: number): Promise<Blob> {
+  async finalizeReport(
+    reportId: number,
+    options: { comments?: string } & PdfRenderOptions = {}
+  ): Promise<Blob> {
     const response = await fetch(`${API_BASE_URL}/api/reports/${reportId}/finalize`, {
       method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+      body: JSON.stringify(options),
     });
 
     if (!response.ok) {
@@ -199,29 +481,245 @@ class ReportsAPI {
     return response.blob();
   }
 
-  async downloadReport(reportId: number, filename?: string): Promise<void> {
+  async downloadReport(
+    reportId: number,
+    filename?: string,
+    options: { comments?: string } & PdfRenderOptions = {}
+  ): Promise<void> {
     try {
-      const blob = await this.finalizeReport(reportId);
-
-      // Create download link
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename || `valuation-report-${reportId}.pdf`;
-
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-
-      // Cleanup
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      const blob = await this.finalizeReport(reportId, options);
+      this.saveBlob(blob, filename || `valuation-report-${reportId}.pdf`);
     } catch (error) {
       console.error('Error downloading report:', error);
       throw error;
     }
   }
 
+  async downloadReportDocx(reportId: number, filename?: string): Promise<void> {
+    const response = await fetch(`${API_BASE_URL}/api/reports/${reportId}/docx`);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Failed to generate Word document');
+    }
+
+    this.saveBlob(await response.blob(), filename || `valuation-report-${reportId}.docx`);
+  }
+
+  private saveBlob(blob: Blob, filename: string): void {
+    // Create download link
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+
+    // Cleanup
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }
+
+  // ===============================================
+  // Comparable Evidence (Section 10.0)
+  // ===============================================
+
+  async getComparables(reportId: number): Promise<{ comparables: ComparableSale[]; rate_range: ComparableRateRange }> {
+    return this.request(`/${reportId}/comparables`);
+  }
+
+  async findNearbyComparables(
+    reportId: number,
+    options: { radiusKm?: number; maxAgeMonths?: number; limit?: number } = {}
+  ): Promise<ComparableSale[]> {
+    const queryParams = new URLSearchParams();
+    if (options.radiusKm) queryParams.append('radius_km', options.radiusKm.toString());
+    if (options.maxAgeMonths) queryParams.append('max_age_months', options.maxAgeMonths.toString());
+    if (options.limit) queryParams.append('limit', options.limit.toString());
+
+    const queryString = queryParams.toString();
+    return this.request<ComparableSale[]>(`/${reportId}/comparables/nearby${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async addComparable(
+    reportId: number,
+    comparable: Partial<ComparableSale> & { comparable_id?: number }
+  ): Promise<ComparableSale> {
+    return this.request<ComparableSale>(`/${reportId}/comparables`, {
+      method: 'POST',
+      body: JSON.stringify(comparable),
+    });
+  }
+
+  async updateComparable(
+    reportId: number,
+    comparableId: number,
+    updates: Partial<ComparableSale>
+  ): Promise<ComparableSale> {
+    return this.request<ComparableSale>(`/${reportId}/comparables/${comparableId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async removeComparable(reportId: number, comparableId: number): Promise<void> {
+    await this.request(`/${reportId}/comparables/${comparableId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async applyComparableRateRange(reportId: number): Promise<ComparableRateRange> {
+    return this.request<ComparableRateRange>(`/${reportId}/comparables/rate-range`, {
+      method: 'POST',
+    });
+  }
+
+  // ===============================================
+  // Valuation Calculation
+  // ===============================================
+
+  async calculateValuation(
+    reportId: number,
+    options: ValuationCalculationOptions = {}
+  ): Promise<{ breakdown: ValuationBreakdown; report: ValuationReport }> {
+    return this.request(`/${reportId}/calculate`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async getInvestmentValuation(
+    reportId: number
+  ): Promise<{ inputs: InvestmentInputs | null; calculation: InvestmentCalculation | null }> {
+    return this.request(`/${reportId}/investment`);
+  }
+
+  async saveInvestmentValuation(
+    reportId: number,
+    inputs: Partial<InvestmentInputs>
+  ): Promise<{ inputs: InvestmentInputs; calculation: InvestmentCalculation; report: ValuationReport }> {
+    return this.request(`/${reportId}/investment`, {
+      method: 'PUT',
+      body: JSON.stringify(inputs),
+    });
+  }
+
+  async calculateReinstatement(
+    reportId: number,
+    options: {
+      floor_area?: number;
+      rates?: Partial<Record<ReinstatementRate['element'], number>>;
+      professional_fees_percentage?: number;
+      debris_removal_percentage?: number;
+      persist?: boolean;
+    } = {}
+  ): Promise<{ breakdown: ReinstatementSchedule; report: ValuationReport }> {
+    return this.request(`/${reportId}/reinstatement`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async getReinstatementRates(userId: string): Promise<ReinstatementRateTable> {
+    return this.request<ReinstatementRateTable>(`/reinstatement-rates/${userId}`);
+  }
+
+  async updateReinstatementRates(
+    userId: string,
+    data: {
+      rates?: Array<Omit<ReinstatementRate, 'id' | 'user_id'>>;
+      professional_fees_percentage?: number;
+      debris_removal_percentage?: number;
+    }
+  ): Promise<ReinstatementRateTable> {
+    return this.request<ReinstatementRateTable>(`/reinstatement-rates/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteReinstatementRate(userId: string, rateId: number): Promise<void> {
+    await this.request(`/reinstatement-rates/${userId}/${rateId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getDepreciationSuggestion(
+    reportId: number,
+    options: { model?: DepreciationModel; economic_life?: number } = {}
+  ): Promise<{ suggestion: DepreciationSuggestion; models: Array<{ model: DepreciationModel; label: string }> }> {
+    const queryParams = new URLSearchParams();
+    if (options.model) queryParams.append('model', options.model);
+    if (options.economic_life) queryParams.append('economic_life', options.economic_life.toString());
+
+    const queryString = queryParams.toString();
+    return this.request(`/${reportId}/depreciation${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async applyDepreciation(
+    reportId: number,
+    options: { model: DepreciationModel; economic_life?: number }
+  ): Promise<{ suggestion: DepreciationSuggestion; report: ValuationReport }> {
+    return this.request(`/${reportId}/depreciation`, {
+      method: 'PUT',
+      body: JSON.stringify(options),
+    });
+  }
+
+  // ===============================================
+  // Revision History
+  // ===============================================
+
+  async getReportHistory(reportId: number): Promise<ReportRevision[]> {
+    return this.request<ReportRevision[]>(`/${reportId}/history`);
+  }
+
+  async restoreRevision(
+    reportId: number,
+    revision: number,
+    userId?: string
+  ): Promise<{ report: ValuationReport; revision: ReportRevision | null }> {
+    return this.request<{ report: ValuationReport; revision: ReportRevision | null }>(`/${reportId}/restore/${revision}`, {
+      method: 'POST',
+      body: JSON.stringify({ user_id: userId }),
+    });
+  }
+
+  // ===============================================
+  // Review Comments
+  // ===============================================
+
+  async getComments(
+    reportId: number,
+    filters: { section?: string; status?: 'all' | 'resolved' | 'unresolved' } = {}
+  ): Promise<ReportComments> {
+    const queryParams = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+    const query = queryParams.toString();
+    return this.request<ReportComments>(`/${reportId}/comments${query ? `?${query}` : ''}`);
+  }
+
+  async addComment(
+    reportId: number,
+    comment: { section?: string; field?: string; body: string; parent_id?: number }
+  ): Promise<ReportComment> {
+    return this.request<ReportComment>(`/${reportId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify(comment),
+    });
+  }
+
+  async resolveComment(reportId: number, commentId: number, resolved: boolean): Promise<ReportComment> {
+    return this.request<ReportComment>(`/${reportId}/comments/${commentId}/resolve`, {
+      method: 'PUT',
+      body: JSON.stringify({ resolved }),
+    });
+  }
+
   // ===============================================
   // Templates and Reference Data
   // ===============================================
@@ -244,6 +742,15 @@ class ReportsAPI {
     return this.request<SriLankanLocation[]>(endpoint);
   }
 
+  async getSectionSchema(): Promise<ReportSectionSchema[]> {
+    return this.request<ReportSectionSchema[]>('/reference/section-schema');
+  }
+
+  // Disk and shared layouts plus the signed-in valuer's own
+  async getLayouts(): Promise<ReportLayout[]> {
+    return this.request<ReportLayout[]>('/reference/layouts');
+  }
+
   // ===============================================
   // Validation
   // ===============================================
@@ -331,6 +838,10 @@ class ReportsAPI {
     return this.request<CostAnalytics>(endpoint);
   }
 
+  async getIncomeAnalytics(userId: string): Promise<IncomeAnalytics> {
+    return this.request<IncomeAnalytics>(`/analytics/income/${userId}`);
+  }
+
   // ===============================================
   // Image Management
   // ===============================================
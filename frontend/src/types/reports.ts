@@ -25,6 +25,7 @@ export interface UserProfile {
   // Professional Details
   ivsl_registration?: string; // IVSL Reg. No
   default_valuer_reference?: string; // My Ref format
+  can_review?: boolean; // Senior valuer who may approve reports
 
   // Preferences and Defaults
   preferences?: {
@@ -47,10 +48,19 @@ export interface ValuationReport {
   report_reference?: string;
   report_date?: string;
   valuation_date?: string;
-  status: 'draft' | 'in_progress' | 'completed' | 'finalized';
+  status: ReportStatus;
+  approved_by?: string;
+  approved_at?: string;
   report_type?: string; // mortgage, fair_value, insurance, etc.
+  layout_key?: string;
+  layout_version?: number;
+  language?: ReportLanguage;
+  annexure_order?: ReportAnnexureKey[] | null;
 
   // Client Information (Section 1.0 PREAMBLE)
+  client_id?: number | null;
+  client_branch_id?: number | null;
+  client_contact_id?: number | null;
   instruction_source?: string;
   client_designation?: string;
   client_organization?: string;
@@ -92,6 +102,10 @@ export interface ValuationReport {
   roods?: number;
   perches?: number;
   hectares?: number;
+  // Entry only: the unit the valuer typed the extent in; the backend fills in the rest
+  extent_unit?: ExtentUnit;
+  square_metres?: number;
+  square_feet?: number;
 
   // Access and Route (Section 4.0) - AI Enhanced
   route_description?: string;
@@ -175,7 +189,17 @@ export interface ValuationReport {
   depreciation_rate?: number;
   building_value?: number;
   additional_components?: string;
+  additional_components_value?: number;
+  depreciation_amount?: number;
   total_market_value?: number;
+  valuation_method?: 'contractor_method' | 'comparison_method' | 'investment_method';
+  forced_sale_percentage?: number;
+  valuation_breakdown?: ValuationBreakdown;
+  valuation_calculated_at?: string;
+  reinstatement_breakdown?: ReinstatementSchedule;
+  depreciation_model?: DepreciationModel;
+  economic_life?: number;
+  depreciation_working?: DepreciationSuggestion;
 
   // Final Values
   market_value?: number;
@@ -196,6 +220,8 @@ export interface ValuationReport {
 
   // Additional computed fields
   images?: ReportImage[];
+  comparables?: ComparableSale[];
+  investment?: InvestmentInputs | null;
   location_summary?: string;
   valuer_name?: string;
   professional_title?: string;
@@ -214,6 +240,185 @@ export interface ReportImage {
   created_at?: string;
 }
 
+export interface ComparableSale {
+  id: number;
+  user_id?: string;
+  transaction_type: 'sale' | 'listing';
+  transaction_date: string;
+  address?: string;
+  description?: string;
+  latitude?: number;
+  longitude?: number;
+  extent_perches: number;
+  price: number;
+  rate_per_perch: number;
+  source?: string;
+  source_reference?: string;
+  notes?: string;
+
+  // Report-specific adjustment (present when linked to a report)
+  link_id?: number;
+  adjustment_percentage?: number;
+  adjustment_notes?: string;
+  adjusted_rate?: number;
+  is_selected?: boolean;
+  display_order?: number;
+
+  // Present on nearby search results
+  distance_km?: number;
+}
+
+export interface ComparableRateRange {
+  min_rate: number | null;
+  max_rate: number | null;
+  average_rate: number | null;
+  count: number;
+}
+
+export interface AdditionalComponent {
+  description: string;
+  value: number;
+}
+
+export interface ValuationBreakdown {
+  valuation_method: 'contractor_method' | 'comparison_method';
+  contractors_method: {
+    land: {
+      extent_perches: number;
+      rate: number;
+      value: number;
+    };
+    building: {
+      floor_area: number;
+      rate: number;
+      replacement_cost: number;
+      depreciation_rate: number;
+      depreciation: number;
+      value: number;
+    };
+    additional_components: AdditionalComponent[];
+    additional_total: number;
+    total: number;
+  };
+  comparison_method: {
+    rate: number;
+    rate_range: ComparableRateRange;
+    extent_perches: number;
+    land_value: number;
+    improvements_value: number;
+    total: number;
+  } | null;
+  total_market_value: number;
+  market_value: number;
+  forced_sale_percentage: number;
+  forced_sale_value: number;
+  final_value: number;
+  round_to: number;
+  warnings: string[];
+}
+
+export interface ValuationCalculationOptions {
+  valuation_method?: 'contractor_method' | 'comparison_method';
+  land_rate?: number;
+  building_rate?: number;
+  depreciation_rate?: number;
+  comparison_rate?: number;
+  forced_sale_percentage?: number;
+  round_to?: number;
+  additional_components?: AdditionalComponent[];
+  persist?: boolean;
+}
+
+export interface InvestmentInputs {
+  interest_type: 'freehold' | 'leasehold';
+  gross_monthly_rent?: number;
+  gross_annual_rent?: number;
+  outgoings_percentage?: number;
+  outgoings_amount?: number;
+  outgoings_notes?: string;
+  yield_rate: number;
+  term_years?: number;
+  reversion_annual_rent?: number;
+  reversion_yield_rate?: number;
+  unexpired_term_years?: number;
+  ground_rent?: number;
+  use_dual_rate?: boolean;
+  sinking_fund_rate?: number;
+  tax_rate?: number;
+}
+
+export interface InvestmentCalculationRow {
+  label: string;
+  amount?: number;
+  factor?: number;
+  subtotal?: boolean;
+  total?: boolean;
+}
+
+export interface InvestmentCalculation {
+  interest_type: 'freehold' | 'leasehold';
+  gross_annual_rent: number;
+  outgoings: number;
+  net_income: number;
+  capital_value: number;
+  market_value: number;
+  rows: InvestmentCalculationRow[];
+}
+
+export type BuildingElement = 'structure' | 'roof' | 'finishes' | 'services';
+
+export interface ReinstatementRate {
+  id: number;
+  user_id?: string | null;
+  building_type: string;
+  condition_grade?: string | null;
+  element: BuildingElement;
+  rate_per_sqft: number;
+}
+
+export interface ReinstatementRateTable {
+  rates: ReinstatementRate[];
+  professional_fees_percentage: number;
+  debris_removal_percentage: number;
+}
+
+export interface ReinstatementSchedule {
+  building_type?: string;
+  matched_rate_type: string;
+  condition_grade?: string;
+  elements: Array<{
+    element: BuildingElement;
+    description: string;
+    floor_area: number;
+    rate_per_sqft: number;
+    cost: number;
+  }>;
+  construction_cost: number;
+  professional_fees_percentage: number;
+  professional_fees: number;
+  debris_removal_percentage: number;
+  debris_removal: number;
+  total_reinstatement_cost: number;
+  insurance_value: number;
+}
+
+export type DepreciationModel = 'straight_line' | 'reducing_balance' | 'condition_adjusted';
+
+export interface DepreciationSuggestion {
+  model: DepreciationModel;
+  model_label: string;
+  building_age: number;
+  economic_life: number;
+  remaining_life: number;
+  condition_grade?: string | null;
+  condition_factor?: number | null;
+  annual_rate: number;
+  depreciation_rate: number;
+  working: string[];
+}
+
+export type ExtentUnit = 'arp' | 'hectares' | 'square_metres' | 'square_feet' | 'land_extent';
+
 export interface ReportTemplate {
   id: number;
   template_name: string;
@@ -273,6 +478,319 @@ export interface ReportFormField {
   helpText?: string;
 }
 
+// Report workflow
+export type ReportStatus = 'draft' | 'in_progress' | 'under_review' | 'approved' | 'finalized' | 'amended';
+
+export interface WorkflowTransition {
+  from: ReportStatus;
+  to: ReportStatus;
+  action: string;
+  requiresValidation?: boolean;
+  requiresReviewer?: boolean;
+  requiresComments?: boolean;
+  allowed: boolean;
+}
+
+export interface StatusTransition {
+  id: number;
+  report_id: number;
+  from_status: ReportStatus;
+  to_status: ReportStatus;
+  user_id?: string;
+  comments?: string;
+  created_at: string;
+}
+
+export interface ReportWorkflow {
+  status: ReportStatus;
+  editable: boolean;
+  approved_by?: string;
+  approved_at?: string;
+  is_reviewer: boolean;
+  transitions: WorkflowTransition[];
+  history: StatusTransition[];
+}
+
+// PKCS#12 certificate used to digitally sign finalized reports
+export interface SigningCertificate {
+  user_id: string;
+  subject_name?: string;
+  issuer_name?: string;
+  serial_number?: string;
+  valid_from?: string;
+  valid_to?: string;
+  updated_at?: string;
+}
+
+// Lending bank's format profile: mandatory fields, photographs, extra
+// sections and default percentages
+export type ClientExtraSection = 'ltv_summary' | 'photographs' | { key: string; title: string; template: string };
+
+export interface ClientFormatProfile {
+  id: number;
+  user_id: string;
+  organization_name: string;
+  aliases: string[];
+  required_fields: string[];
+  required_images: Record<string, number>;
+  extra_sections: ClientExtraSection[];
+  forced_sale_percentage?: number | string | null;
+  ltv_percentage?: number | string | null;
+  ltv_basis: 'market_value' | 'forced_sale_value';
+  notes?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+// Address book of instructing organisations, their branches and contact persons
+export interface ClientBranch {
+  id: number;
+  client_id: number;
+  branch_name: string;
+  address?: string | null;
+  telephone?: string | null;
+  email?: string | null;
+}
+
+export interface ClientContact {
+  id: number;
+  client_id: number;
+  branch_id?: number | null;
+  full_name: string;
+  designation?: string | null;
+  telephone?: string | null;
+  email?: string | null;
+}
+
+export interface Client {
+  id: number;
+  user_id: string;
+  organization_name: string;
+  address?: string | null;
+  telephone?: string | null;
+  email?: string | null;
+  notes?: string | null;
+  branches: ClientBranch[];
+  contacts: ClientContact[];
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ClientPreamble {
+  instruction_source: string | null;
+  client_designation: string | null;
+  client_organization: string;
+  client_address: string | null;
+}
+
+export interface ClientLink {
+  client_id: number;
+  client_branch_id?: number | null;
+  client_contact_id?: number | null;
+}
+
+// Autocomplete entry: a contact person, a branch or a client
+export interface ClientSuggestion extends ClientLink {
+  label: string;
+  preamble: ClientPreamble;
+}
+
+export interface ClientReport {
+  id: number;
+  report_reference?: string;
+  report_date?: string;
+  valuation_date?: string;
+  status: ReportStatus;
+  report_type?: string;
+  instruction_source?: string;
+  market_value?: number | string | null;
+  location_summary: string;
+  branch_name?: string | null;
+  created_at: string;
+}
+
+// Fee scale a valuer bills on, by default (no client_id) or for one client.
+// Each slice of the market value is charged at its band's rate (percent);
+// the last band is open-ended (up_to null).
+export interface FeeBand {
+  up_to: number | null;
+  rate: number;
+}
+
+export interface FeeExtra {
+  label: string;
+  amount: number;
+}
+
+export interface FeeScale {
+  id: number;
+  user_id: string;
+  client_id?: number | null;
+  organization_name?: string | null;
+  name: string;
+  currency: string;
+  bands: FeeBand[];
+  minimum_fee: number | string;
+  travel_rate_per_km: number | string;
+  travel_free_km: number | string;
+  travel_round_trip: boolean;
+  office_latitude?: number | string | null;
+  office_longitude?: number | string | null;
+  extras: FeeExtra[];
+  tax_percentage: number | string;
+  payment_terms_days: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+// Invoice raised when a report is finalized
+export type InvoiceStatus = 'unpaid' | 'paid';
+
+export interface InvoiceLineItem {
+  type: 'professional' | 'travel' | 'extra';
+  description: string;
+  amount: number;
+}
+
+export interface Invoice {
+  id: number;
+  user_id: string;
+  report_id: number | null;
+  report_reference?: string | null;
+  client_id?: number | null;
+  client_name?: string | null;
+  fee_scale_id?: number | null;
+  invoice_number: string;
+  invoice_date: string;
+  due_date?: string | null;
+  bill_to_name?: string | null;
+  bill_to_attention?: string | null;
+  bill_to_address?: string | null;
+  currency: string;
+  market_value?: number | string | null;
+  distance_km?: number | string | null;
+  line_items: InvoiceLineItem[];
+  subtotal: number | string;
+  tax_percentage: number | string;
+  tax_amount: number | string;
+  total: number | string;
+  status: InvoiceStatus;
+  paid_at?: string | null;
+  payment_reference?: string | null;
+  created_at?: string;
+}
+
+// Language the report is printed in
+export type ReportLanguage = 'en' | 'si' | 'ta';
+
+// Print options for a rendered PDF; unset options use the server defaults
+// (running header and distinct first page on, no table of contents, PDF/A-2b
+// for finalized reports)
+export interface PdfRenderOptions {
+  running_header?: boolean;
+  toc?: boolean;
+  distinct_first_page?: boolean;
+  pdfa?: boolean;
+}
+
+// Report layout template (letterhead, section order, wording and CSS)
+export interface ReportLayout {
+  key: string;
+  version: number;
+  name: string;
+  description?: string;
+  source: 'disk' | 'database';
+  is_default: boolean;
+}
+
+// Annexures printed after the certification
+export type ReportAnnexureKey = 'location_sketch' | 'route_map' | 'survey_plan' | 'deed' | 'photographs';
+
+export interface ReportAnnexure {
+  letter: string;
+  key: ReportAnnexureKey;
+  count: number;
+}
+
+export interface ReportAnnexures {
+  order: ReportAnnexureKey[];
+  available: ReportAnnexureKey[];
+  annexures: ReportAnnexure[];
+}
+
+// Revision history
+export type RevisionChangeType = 'section_update' | 'ai_enhancement' | 'status_change' | 'calculation' | 'restore';
+
+export interface RevisionChange {
+  field: string;
+  old_value: any;
+  new_value: any;
+}
+
+export interface ReportRevision {
+  id: number;
+  report_id: number;
+  revision_number: number;
+  change_type: RevisionChangeType;
+  section?: string;
+  changes: RevisionChange[];
+  user_id?: string;
+  restored_from?: number;
+  created_at: string;
+}
+
+// Section schema served by GET /api/reports/reference/section-schema
+export interface ReportSectionField {
+  name: string;
+  section: string;
+  label: string;
+  type: 'text' | 'textarea' | 'integer' | 'decimal' | 'date' | 'select' | 'array';
+  required?: boolean;
+  options?: Array<{ value: string; label: string }>;
+  allowOther?: boolean;
+  min?: number;
+  max?: number;
+  maxLength?: number;
+  placeholder?: string;
+  generated?: string;
+  virtual?: boolean;
+  extentUnit?: ExtentUnit;
+}
+
+export interface ReportSectionSchema {
+  id: string;
+  title: string;
+  description: string;
+  pdfSection?: string;
+  hidden?: boolean;
+  anchors?: Array<{ id: string; label: string }>;
+  fields: ReportSectionField[];
+}
+
+// Review comments, anchored to a section and optionally a field or table in it
+export interface ReportComment {
+  id: number;
+  report_id: number;
+  parent_id?: number;
+  section: string;
+  field?: string;
+  body: string;
+  user_id?: string;
+  is_resolved: boolean;
+  resolved_by?: string;
+  resolved_at?: string;
+  created_at: string;
+  replies?: ReportComment[];
+}
+
+export type CommentSummary = Record<string, { total: number; unresolved: number }>;
+
+export interface ReportComments {
+  threads: ReportComment[];
+  summary: CommentSummary;
+  unresolved: number;
+}
+
 // AI Content Generation
 export interface AIContentRequest {
   content_type: 'route_description' | 'property_description' | 'market_analysis' | 'building_description' | 'quality_validation';
@@ -323,6 +841,32 @@ export interface CostAnalytics {
   }>;
 }
 
+export interface IncomeSummary {
+  invoice_count: number;
+  unpaid_count: number;
+  total_invoiced: number;
+  total_received: number;
+  outstanding: number;
+  overdue: number;
+  invoiced_this_month: number;
+  received_this_month: number;
+}
+
+export interface IncomeAnalytics {
+  summary: IncomeSummary;
+  by_month: Array<{
+    month: string;
+    invoiced: number;
+    received: number;
+  }>;
+  by_client: Array<{
+    client_name: string;
+    invoice_count: number;
+    invoiced: number;
+    outstanding: number;
+  }>;
+}
+
 // Location Analysis Integration
 export interface LocationAnalysisData {
   coordinates: {